@@ -1,14 +1,54 @@
 import { NextResponse } from 'next/server';
-import { callLLM } from '@/lib/llm-client';
-import { SYSTEM_PROMPT, USER_PROMPT_TEMPLATE } from '@/lib/prompts';
+import { SYSTEM_PROMPT, USER_PROMPT_TEMPLATE, REFINE_PROMPT_TEMPLATE } from '@/lib/prompts';
+import { normalizeRepairAttempts } from '@/lib/generation-repair';
+import { generateWithRepair, generateWithTools, supportsToolBuild } from '@/lib/diagram-generator';
+import { normalizeCandidateCount, assignCandidateConfigs } from '@/lib/generation-candidates';
+
+// Maximum number of previous conversation turns forwarded to the model
+const MAX_HISTORY_MESSAGES = 12;
+
+/**
+ * Keep only well-formed user/assistant turns from the client-provided history
+ * @param {Array} history - Previous conversation turns
+ * @returns {Array} Sanitized chat messages
+ */
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .filter(message =>
+      message &&
+      (message.role === 'user' || message.role === 'assistant') &&
+      typeof message.content === 'string' &&
+      message.content.trim()
+    )
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map(({ role, content }) => ({ role, content }));
+}
 
 /**
  * POST /api/generate
- * Generate Excalidraw code based on user input
+ * Generate Excalidraw code based on user input.
+ * When currentElements is provided, the model edits the existing diagram
+ * instead of generating a new one (refinement mode). With outputMode 'patch'
+ * it returns a list of operations instead of the full element array.
+ *
+ * When maxRepairAttempts > 0, output that fails to parse or validate is sent
+ * back to the same provider together with the diagnostics, and a
+ * { repair: { attempt, maxAttempts, diagnostics } } event is emitted before
+ * each corrected output is streamed.
+ *
+ * When candidates > 1 (full output only), that many generations run
+ * concurrently, cycling through candidateConfigs when provided. Every event
+ * carries the candidate index; see lib/generation-candidates.js.
+ *
+ * New diagrams from configs with toolCalling enabled are built through tool
+ * calls instead: { build: { tool, ok, message, elements } } is emitted after
+ * each call, and the final element array arrives as a single content event.
  */
 export async function POST(request) {
   try {
-    const { config, userInput, chartType } = await request.json();
+    const { config, userInput, chartType, currentElements, history, outputMode, maxRepairAttempts, candidates, candidateConfigs } = await request.json();
 
     if (!config || !userInput) {
       return NextResponse.json(
@@ -17,6 +57,15 @@ export async function POST(request) {
       );
     }
 
+    // Refinement mode: edit the diagram currently on the canvas
+    const isRefinement = Array.isArray(currentElements) && currentElements.length > 0;
+    const resolvedOutputMode = isRefinement && outputMode === 'patch' ? 'patch' : 'full';
+    const repairAttempts = normalizeRepairAttempts(maxRepairAttempts);
+    const candidateCount = resolvedOutputMode === 'full' ? normalizeCandidateCount(candidates) : 1;
+    const buildPrompt = (text) => isRefinement
+      ? REFINE_PROMPT_TEMPLATE(text, currentElements, chartType, resolvedOutputMode)
+      : USER_PROMPT_TEMPLATE(text, chartType);
+
     // Build messages array
     let userMessage;
 
@@ -26,7 +75,7 @@ export async function POST(request) {
       const { text, image } = userInput;
       userMessage = {
         role: 'user',
-        content: USER_PROMPT_TEMPLATE(text, chartType),
+        content: buildPrompt(text),
         image: {
           data: image.data,
           mimeType: image.mimeType
@@ -36,12 +85,13 @@ export async function POST(request) {
       // Regular text input
       userMessage = {
         role: 'user',
-        content: USER_PROMPT_TEMPLATE(userInput, chartType)
+        content: buildPrompt(userInput)
       };
     }
 
     const fullMessages = [
       { role: 'system', content: SYSTEM_PROMPT },
+      ...(isRefinement ? sanitizeHistory(history) : []),
       userMessage
     ];
 
@@ -49,20 +99,41 @@ export async function POST(request) {
     const encoder = new TextEncoder();
     const stream = new ReadableStream({
       async start(controller) {
+        const sendEvent = (payload) => {
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify(payload)}\n\n`));
+        };
+
         try {
-          await callLLM(config, fullMessages, (chunk) => {
-            // Send each chunk as SSE
-            const data = `data: ${JSON.stringify({ content: chunk })}\n\n`;
-            controller.enqueue(encoder.encode(data));
-          });
+          const options = { repairAttempts, outputMode: resolvedOutputMode };
+          // Tool calls only build new diagrams; refinements keep the text protocol
+          const generate = (generationConfig, onEvent) => !isRefinement && supportsToolBuild(generationConfig)
+            ? generateWithTools(generationConfig, fullMessages, { chartType }, onEvent)
+            : generateWithRepair(generationConfig, fullMessages, options, onEvent);
+
+          if (candidateCount > 1) {
+            const configs = assignCandidateConfigs(config, candidateConfigs, candidateCount);
+            sendEvent({ candidates: configs.map(({ name, type, model }) => ({ name: name || type, model: model || '' })) });
+
+            // A failing candidate must not stop the others
+            await Promise.all(configs.map(async (candidateConfig, index) => {
+              try {
+                await generate(candidateConfig, (event) => sendEvent({ candidate: index, ...event }));
+                sendEvent({ candidate: index, done: true });
+              } catch (error) {
+                console.error(`Error in candidate ${index}:`, error);
+                sendEvent({ candidate: index, error: error.message });
+              }
+            }));
+          } else {
+            await generate(config, sendEvent);
+          }
 
           // Send done signal
           controller.enqueue(encoder.encode('data: [DONE]\n\n'));
           controller.close();
         } catch (error) {
           console.error('Error in stream:', error);
-          const errorData = `data: ${JSON.stringify({ error: error.message })}\n\n`;
-          controller.enqueue(encoder.encode(errorData));
+          sendEvent({ error: error.message });
           controller.close();
         }
       },
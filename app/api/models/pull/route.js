@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { pullOllamaModel } from '@/lib/llm-client';
+
+/**
+ * POST /api/models/pull
+ * Pull a model into a local Ollama server.
+ *
+ * Body: { baseUrl, apiKey?, model }
+ * Returns SSE with { pull: { status, digest, total, completed } } progress
+ * events as Ollama downloads the layers, then { done: true, status } or
+ * { error }, then [DONE].
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+  }
+
+  const { baseUrl, apiKey, model } = body || {};
+  if (!baseUrl || !model) {
+    return NextResponse.json({ error: 'Missing required parameters: baseUrl, model' }, { status: 400 });
+  }
+
+  const encoder = new TextEncoder();
+  const readable = new ReadableStream({
+    async start(controller) {
+      const sendEvent = (payload) => {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(payload)}\n\n`));
+      };
+
+      try {
+        const status = await pullOllamaModel(baseUrl, apiKey, model, (progress) => sendEvent({ pull: progress }));
+        sendEvent({ done: true, status });
+      } catch (error) {
+        console.error('Error pulling Ollama model:', error);
+        sendEvent({ error: error.message });
+      }
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    },
+  });
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    },
+  });
+}
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { fetchModels } from '@/lib/llm-client';
+import { isApiKeyRequired } from '@/lib/config-manager';
 
 /**
  * GET /api/models
@@ -12,7 +13,7 @@ export async function GET(request) {
     const baseUrl = searchParams.get('baseUrl');
     const apiKey = searchParams.get('apiKey');
 
-    if (!type || !baseUrl || !apiKey) {
+    if (!type || !baseUrl || (!apiKey && isApiKeyRequired(type))) {
       return NextResponse.json(
         { error: 'Missing required parameters: type, baseUrl, apiKey' },
         { status: 400 }
@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import { inspectParsedElements } from '@/lib/code-parser';
+import { validateAndFixElements } from '@/lib/skeleton-validator';
+import { formatDiagram, OUTPUT_FORMATS } from '@/lib/diagram-generator';
+import { METADATA_KEY } from '@/lib/diagram-export';
+
+/**
+ * POST /api/render
+ * Render skeleton JSON into a file on the server, without a browser or a model.
+ *
+ * Body: { elements, format?: 'svg' | 'excalidraw' | 'json', handDrawn?, padding?, background? }
+ * elements may be the skeleton array or an exported skeleton JSON object
+ * ({ elements, smartExcalidraw }), whose metadata is embedded in the output.
+ * background: null gives a transparent SVG.
+ * Returns the file content; elements that cannot be fixed automatically
+ * produce a 400 with the validation errors.
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+  }
+
+  const { elements, format = 'svg', handDrawn = false, padding, background } = body || {};
+  if (!OUTPUT_FORMATS[format]) {
+    return NextResponse.json(
+      { error: `Unsupported format: ${format}. Supported: ${Object.keys(OUTPUT_FORMATS).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  const parsedInfo = inspectParsedElements(elements);
+  if (!parsedInfo || parsedInfo.elements.length === 0) {
+    return NextResponse.json({ error: 'Missing required parameter: elements' }, { status: 400 });
+  }
+
+  const { elements: fixedElements, errors } = validateAndFixElements(parsedInfo.elements);
+  if (errors.length > 0) {
+    return NextResponse.json({ error: 'Invalid elements', details: errors.map(error => error.message) }, { status: 400 });
+  }
+
+  try {
+    const options = {
+      handDrawn: !!handDrawn,
+      ...(Number.isFinite(padding) ? { padding } : {}),
+      ...(background !== undefined ? { background } : {}),
+    };
+    const metadata = Array.isArray(elements) ? undefined : elements[METADATA_KEY];
+    const { content, mimeType, warnings } = formatDiagram(fixedElements, format, metadata, options);
+    return new Response(content, {
+      headers: {
+        'Content-Type': mimeType,
+        ...(warnings.length > 0 ? { 'X-Render-Warnings': encodeURIComponent(warnings.join('\n')) } : {}),
+      },
+    });
+  } catch (error) {
+    console.error('Error rendering diagram:', error);
+    return NextResponse.json({ error: error.message || 'Failed to render diagram' }, { status: 500 });
+  }
+}
@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest, canUseProfile } from '@/lib/api-tokens';
+import { getApiProfile } from '@/lib/api-profiles';
+import { generateDiagram, formatDiagram, OUTPUT_FORMATS } from '@/lib/diagram-generator';
+import { normalizeRepairAttempts } from '@/lib/generation-repair';
+import { buildExportMetadata } from '@/lib/diagram-export';
+
+// Headless callers cannot fix the output by hand, so one correction round is on by default
+const DEFAULT_REPAIR_ATTEMPTS = 1;
+
+/**
+ * POST /api/v1/generate
+ * Generate a diagram with a server-side provider profile, for scripts and CI.
+ *
+ * Headers: Authorization: Bearer <access token issued by /api/v1/tokens>
+ * Body: { prompt, chartType?, format?: 'json' | 'excalidraw' | 'svg', profile?, stream?, maxRepairAttempts?, handDrawn? }
+ *
+ * Blocking mode returns the file content directly (skeleton JSON array,
+ * .excalidraw scene or SVG; handDrawn applies to SVG). Validation problems
+ * left after the repair rounds and conversion warnings are listed in the
+ * URI-encoded, newline-separated X-Generation-Warnings header. With stream: true it
+ * returns SSE with the same { content } / { repair } / { build } events as
+ * /api/generate, followed by { result: { format, mimeType, content, warnings } }
+ * or { error }, then [DONE]. Profiles with "toolCalling": true build the
+ * diagram through tool calls.
+ */
+export async function POST(request) {
+  const auth = authenticateRequest(request);
+  if (auth.error) {
+    return NextResponse.json({ error: auth.error }, { status: auth.status });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+  }
+
+  const { prompt, chartType = 'auto', format = 'json', profile: profileName, stream = false, maxRepairAttempts, handDrawn = false } = body || {};
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return NextResponse.json({ error: 'Missing required parameter: prompt' }, { status: 400 });
+  }
+  if (!OUTPUT_FORMATS[format]) {
+    return NextResponse.json(
+      { error: `Unsupported format: ${format}. Supported: ${Object.keys(OUTPUT_FORMATS).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  let profile;
+  try {
+    profile = getApiProfile(profileName);
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+  if (!canUseProfile(auth.claims, profile.name)) {
+    return NextResponse.json({ error: `Token is not allowed to use profile ${profile.name}` }, { status: 403 });
+  }
+
+  const options = {
+    prompt,
+    chartType,
+    repairAttempts: normalizeRepairAttempts(maxRepairAttempts ?? DEFAULT_REPAIR_ATTEMPTS),
+  };
+  const metadata = buildExportMetadata([{ role: 'user', content: prompt }]);
+  const renderOptions = { handDrawn: !!handDrawn };
+
+  if (!stream) {
+    try {
+      const generated = await generateDiagram(profile, options);
+      const { content, mimeType, extension, warnings } = formatDiagram(generated.elements, format, metadata, renderOptions);
+      const allWarnings = [...generated.warnings, ...warnings];
+      return new Response(content, {
+        headers: {
+          'Content-Type': mimeType,
+          'Content-Disposition': `attachment; filename="diagram.${extension}"`,
+          ...(allWarnings.length > 0 ? { 'X-Generation-Warnings': encodeURIComponent(allWarnings.join('\n')) } : {}),
+        },
+      });
+    } catch (error) {
+      console.error('Error in headless generation:', error);
+      return NextResponse.json({ error: error.message || 'Failed to generate diagram' }, { status: 502 });
+    }
+  }
+
+  const encoder = new TextEncoder();
+  const readable = new ReadableStream({
+    async start(controller) {
+      const sendEvent = (payload) => {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(payload)}\n\n`));
+      };
+
+      try {
+        const generated = await generateDiagram(profile, options, sendEvent);
+        const { content, mimeType, warnings } = formatDiagram(generated.elements, format, metadata, renderOptions);
+        sendEvent({ result: { format, mimeType, content, warnings: [...generated.warnings, ...warnings] } });
+      } catch (error) {
+        console.error('Error in headless generation stream:', error);
+        sendEvent({ error: error.message });
+      }
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    },
+  });
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    },
+  });
+}
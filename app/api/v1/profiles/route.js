@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest, canUseProfile } from '@/lib/api-tokens';
+import { listApiProfiles } from '@/lib/api-profiles';
+
+/**
+ * GET /api/v1/profiles
+ * List the server-side provider profiles the access token may use (without keys)
+ */
+export async function GET(request) {
+  const auth = authenticateRequest(request);
+  if (auth.error) {
+    return NextResponse.json({ error: auth.error }, { status: auth.status });
+  }
+
+  try {
+    const profiles = listApiProfiles().filter(profile => canUseProfile(auth.claims, profile.name));
+    return NextResponse.json({ profiles });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { getBearerToken, isAdminKey, issueAccessToken } from '@/lib/api-tokens';
+
+/**
+ * POST /api/v1/tokens
+ * Issue an access token for /api/v1.
+ *
+ * Headers: Authorization: Bearer <API_ADMIN_KEY>
+ * Body: { name, profiles?: string[], expiresIn?: seconds }
+ * Returns { token, claims }. Tokens are not stored; set API_TOKEN_NOT_BEFORE
+ * to revoke every token issued before that time.
+ */
+export async function POST(request) {
+  if (!process.env.API_TOKEN_SECRET || !process.env.API_ADMIN_KEY) {
+    return NextResponse.json(
+      { error: 'Token issuing is disabled: set API_TOKEN_SECRET and API_ADMIN_KEY' },
+      { status: 503 }
+    );
+  }
+  if (!isAdminKey(getBearerToken(request))) {
+    return NextResponse.json({ error: 'Invalid admin key' }, { status: 401 });
+  }
+
+  try {
+    const { name, profiles, expiresIn } = await request.json();
+    return NextResponse.json(issueAccessToken({ name, profiles, expiresIn }));
+  } catch (error) {
+    return NextResponse.json({ error: error.message || 'Failed to issue token' }, { status: 400 });
+  }
+}
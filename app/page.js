@@ -1,34 +1,96 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import dynamic from 'next/dynamic';
 import Chat from '@/components/Chat';
 import CodeEditor from '@/components/CodeEditor';
 import ConfigManager from '@/components/ConfigManager';
 import ContactModal from '@/components/ContactModal';
 import Notification from '@/components/Notification';
+import PatchPreview from '@/components/PatchPreview';
+import ExportMenu from '@/components/ExportMenu';
+import WorkspaceSidebar from '@/components/WorkspaceSidebar';
+import VersionHistory from '@/components/VersionHistory';
+import CandidatePicker from '@/components/CandidatePicker';
+import QualityPanel from '@/components/QualityPanel';
 import { getConfig, isConfigValid } from '@/lib/config';
 import { optimizeExcalidrawCode } from '@/lib/optimizeArrows';
 import { configManager } from '@/lib/config-manager.js';
+import { extractPatchOperations, applyPatch } from '@/lib/diagram-patch';
+import {
+  postProcessExcalidrawCode,
+  analyzeJsonStructure,
+  inspectParsedElements,
+} from '@/lib/code-parser';
+import { StreamingElementParser } from '@/lib/streaming-json-parser';
+import { validateAndFixElements } from '@/lib/skeleton-validator';
+import { normalizeRepairAttempts } from '@/lib/generation-repair';
+import { convertSourceToElements, IMPORT_FORMATS } from '@/lib/diagram-import';
+import { autoLayoutElements, LAYOUT_CHART_TYPES } from '@/lib/auto-layout';
+import { exportDiagram, downloadBlob, buildExportMetadata } from '@/lib/diagram-export';
+import { convertSceneElementsToSkeleton } from '@/lib/scene-converter';
+import { lintDiagram } from '@/lib/diagram-lint';
+import { workspaceStore } from '@/lib/workspace-store';
+import { createVersion, appendVersion, buildDiffElements } from '@/lib/version-history';
+import { normalizeCandidateCount, applyCandidateEvent } from '@/lib/generation-candidates';
 
 // Dynamically import ExcalidrawCanvas to avoid SSR issues
 const ExcalidrawCanvas = dynamic(() => import('@/components/ExcalidrawCanvas'), {
   ssr: false,
 });
 
+// localStorage key for the automatic self-correction preference
+const REPAIR_ATTEMPTS_KEY = 'smart-excalidraw-repair-attempts';
+// localStorage keys for the candidate generation preferences
+const CANDIDATE_COUNT_KEY = 'smart-excalidraw-candidate-count';
+const CANDIDATE_ALL_CONFIGS_KEY = 'smart-excalidraw-candidate-all-configs';
+
+// Delay before changes are autosaved to the workspace
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Serialize the parts of the editor state that are saved to the workspace, used to skip redundant saves
+const createWorkspaceSnapshot = (code, elements, conversation, chartType, versions) =>
+  JSON.stringify({ code, elements, conversation, chartType, versions });
+
 export default function Home() {
   const [config, setConfig] = useState(null);
   const [isConfigManagerOpen, setIsConfigManagerOpen] = useState(false);
   const [isContactModalOpen, setIsContactModalOpen] = useState(false);
   const [generatedCode, setGeneratedCode] = useState('');
   const [elements, setElements] = useState([]);
+  const [liveElements, setLiveElements] = useState(null); // Skeleton of the canvas after manual edits, null when it matches `elements`
+  const [syncedCode, setSyncedCode] = useState(''); // Editor code that matches the canvas; differs from generatedCode when the editor has unapplied edits
+  const [syncConflict, setSyncConflict] = useState(null); // Canvas edits waiting for the user to choose a side: { code, elements }
+  const [excalidrawAPI, setExcalidrawAPI] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [isApplyingCode, setIsApplyingCode] = useState(false);
   const [isOptimizingCode, setIsOptimizingCode] = useState(false);
+  const [isRelayoutingCode, setIsRelayoutingCode] = useState(false);
+  const [layoutChartType, setLayoutChartType] = useState('auto'); // Chart type used by the re-layout action
   const [leftPanelWidth, setLeftPanelWidth] = useState(25); // Percentage of viewport width
   const [isResizingHorizontal, setIsResizingHorizontal] = useState(false);
   const [apiError, setApiError] = useState(null);
   const [jsonError, setJsonError] = useState(null);
+  const [validationIssues, setValidationIssues] = useState(null); // { fixes, errors } from skeleton validation
+  const [conversation, setConversation] = useState([]); // Chat thread tied to the diagram on the canvas
+  const [refineOutputMode, setRefineOutputMode] = useState('full'); // 'full' or 'patch'
+  const [pendingPatch, setPendingPatch] = useState(null); // Patch waiting for user confirmation
+  const [maxRepairAttempts, setMaxRepairAttempts] = useState(0); // Automatic self-correction rounds, 0 = off
+  const [candidateCount, setCandidateCount] = useState(1); // Candidates generated in parallel, 1 = off
+  const [useAllConfigsForCandidates, setUseAllConfigsForCandidates] = useState(false); // Cycle candidates through every saved config
+  const [candidates, setCandidates] = useState(null); // { items, messageId, isRefinement } while candidates are shown
+  const [isWorkspaceOpen, setIsWorkspaceOpen] = useState(false);
+  const [diagrams, setDiagrams] = useState([]); // Diagrams saved in the IndexedDB workspace
+  const [activeDiagramId, setActiveDiagramId] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('');
+  const lastSavedSnapshotRef = useRef(null);
+  // Latest active diagram id and the in-flight create, read by saves that overlap a create
+  const activeDiagramIdRef = useRef(null);
+  const pendingCreateRef = useRef(null);
+  const saveCurrentDiagramRef = useRef(null);
+  const [versions, setVersions] = useState([]); // Version history of the active diagram, oldest first
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [selectedVersionId, setSelectedVersionId] = useState(null);
   const [notification, setNotification] = useState({
     isOpen: false,
     title: '',
@@ -36,6 +98,19 @@ export default function Home() {
     type: 'info'
   });
 
+  // Elements currently shown on the canvas, including manual edits
+  const currentElements = liveElements ?? elements;
+
+  // Visual diff between the selected version and the current diagram, shown on the canvas while browsing history
+  const selectedVersion = isHistoryOpen ? versions.find(version => version.id === selectedVersionId) : null;
+  const versionDiff = useMemo(
+    () => (selectedVersion ? buildDiffElements(selectedVersion.elements, currentElements) : null),
+    [selectedVersion, currentElements]
+  );
+
+  // Quality score and issues of the current diagram
+  const quality = useMemo(() => lintDiagram(currentElements), [currentElements]);
+
   // Load config on mount and listen for config changes
   useEffect(() => {
     const initializeConfig = async () => {
@@ -65,6 +140,11 @@ export default function Home() {
 
     initializeConfig();
 
+    // Restore the self-correction preference
+    setMaxRepairAttempts(normalizeRepairAttempts(localStorage.getItem(REPAIR_ATTEMPTS_KEY)));
+    setCandidateCount(normalizeCandidateCount(localStorage.getItem(CANDIDATE_COUNT_KEY)));
+    setUseAllConfigsForCandidates(localStorage.getItem(CANDIDATE_ALL_CONFIGS_KEY) === 'true');
+
     // Listen for storage changes to sync across tabs
     const handleStorageChange = (e) => {
       if (e.key === 'smart-excalidraw-active-config' ||
@@ -80,318 +160,64 @@ export default function Home() {
     return () => window.removeEventListener('storage', handleStorageChange);
   }, []);
 
-  // Post-process Excalidraw code: remove markdown wrappers and fix unescaped quotes
-  const postProcessExcalidrawCode = (code) => {
-    if (!code || typeof code !== 'string') return code;
-
-    let processed = code.trim();
-    console.log('Original code:', processed.substring(0, 200) + (processed.length > 200 ? '...' : ''));
-
-    // Step 1: Remove markdown code fence wrappers (```json, ```javascript, ```js, or just ```)
-    processed = processed.replace(/^```(?:json|javascript|js)?\s*\n?/i, '');
-    processed = processed.replace(/\n?```\s*$/, '');
-    processed = processed.trim();
-
-    // Step 2: Try to extract JSON content from mixed text
-    // Look for JSON objects or arrays in the text
-    let jsonContent = processed;
-
-    // 首先尝试使用平衡括号提取（更可靠）
-    const balancedSnippet = extractBalancedJsonSnippet(processed);
-
-    if (balancedSnippet) {
-      jsonContent = balancedSnippet;
-      console.log('Extracted balanced JSON snippet from generated text');
-    } else if (!processed.startsWith('{') && !processed.startsWith('[')) {
-      // 如果平衡提取失败，回退到简单的正则匹配
-      // Look for JSON object
-      const objectMatch = processed.match(/\{[\s\S]*\}/);
-      if (objectMatch) {
-        jsonContent = objectMatch[0];
-        console.log('Found JSON object in mixed content');
-      } else {
-        // Look for JSON array
-        const arrayMatch = processed.match(/\[[\s\S]*\]/);
-        if (arrayMatch) {
-          jsonContent = arrayMatch[0];
-          console.log('Found JSON array in mixed content');
-        }
-      }
-    }
-
-    // Step 2.5: Sanitize JSON-like text to fix common JS-to-JSON deviations
-    jsonContent = sanitizeJsonLikeText(jsonContent);
-    console.log('Applied JSON sanitization');
-
-    // Step 3: Try to parse the extracted content as-is first
-    try {
-      const parsed = JSON.parse(jsonContent);
-      console.log('Successfully parsed JSON content directly');
-      return jsonContent; // Already valid JSON, no need to fix
-    } catch (e) {
-      console.log('Direct parse failed, attempting to fix quotes:', e.message);
-    }
-
-    // Step 4: If direct parse failed, try to fix unescaped quotes
-    try {
-      const fixed = fixUnescapedQuotes(jsonContent);
-      // Test if the fix worked
-      JSON.parse(fixed);
-      console.log('Successfully fixed and parsed JSON content');
-      return fixed;
-    } catch (e) {
-      console.log('Failed to fix JSON content:', e.message);
-      // Return original content so user can see what was generated
-      return processed;
-    }
+  // Handle changing the number of automatic self-correction rounds
+  const handleMaxRepairAttemptsChange = (attempts) => {
+    setMaxRepairAttempts(attempts);
+    localStorage.setItem(REPAIR_ATTEMPTS_KEY, String(attempts));
   };
 
-  // Sanitize JSON-like text to fix common JavaScript-to-JSON deviations
-  // This function converts JS-style code to valid JSON format:
-  // - Removes single-line (//) and multi-line (/* */) comments
-  // - Converts unquoted object keys to quoted keys
-  // - Removes trailing commas before closing brackets/braces
-  // - Converts single quotes to double quotes for strings (with improved handling)
-  const sanitizeJsonLikeText = (text) => {
-    if (!text || typeof text !== 'string') return text;
-
-    let sanitized = text;
-
-    // Remove multi-line comments (/* ... */)
-    sanitized = sanitized.replace(/\/\*[\s\S]*?\*\//g, '');
-
-    // Remove single-line comments (// ...)
-    sanitized = sanitized.replace(/\/\/[^\n\r]*/g, '');
-
-    // Convert unquoted keys to quoted keys
-    // Matches: { key: or , key: and converts to { "key": or , "key":
-    // Note: This is a heuristic that works well for LLM-generated code
-    // but may not handle all edge cases in arbitrary text
-    sanitized = sanitized.replace(/([{,]\s*)([A-Za-z0-9_@$-]+)(\s*:)/g, '$1"$2"$3');
-
-    // Remove trailing commas before closing brackets/braces
-    sanitized = sanitized.replace(/,(\s*[}\]])/g, '$1');
-
-    // Convert single-quoted strings to double-quoted strings
-    // Improved pattern: only replace strings that look like complete string literals
-    // Avoid replacing apostrophes within words (e.g., don't, it's)
-    // Match pattern: 'string content' where content doesn't contain unescaped quotes
-    sanitized = sanitized.replace(/'([^'\\]*(?:\\.[^'\\]*)*)'/g, (match, content) => {
-      // Escape any unescaped double quotes in the content
-      const escapedContent = content.replace(/\\'/g, "'").replace(/"/g, '\\"');
-      return `"${escapedContent}"`;
-    });
-
-    return sanitized.trim();
+  // Handle changing the candidate generation preferences
+  const handleCandidateCountChange = (count) => {
+    setCandidateCount(count);
+    localStorage.setItem(CANDIDATE_COUNT_KEY, String(count));
   };
 
-  // Helper function to fix unescaped quotes in JSON strings
-  const fixUnescapedQuotes = (jsonString) => {
-    let result = '';
-    let inString = false;
-    let escapeNext = false;
-    let currentQuotePos = -1;
-
-    for (let i = 0; i < jsonString.length; i++) {
-      const char = jsonString[i];
-      const prevChar = i > 0 ? jsonString[i - 1] : '';
-
-      if (escapeNext) {
-        result += char;
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        result += char;
-        escapeNext = true;
-        continue;
-      }
-
-      if (char === '"') {
-        if (!inString) {
-          // Starting a string
-          inString = true;
-          currentQuotePos = i;
-          result += char;
-        } else {
-          // Potentially ending a string
-          // Check if this is a structural quote (followed by : or , or } or ])
-          const nextNonWhitespace = jsonString.slice(i + 1).match(/^\s*(.)/);
-          const nextChar = nextNonWhitespace ? nextNonWhitespace[1] : '';
-
-          if (nextChar === ':' || nextChar === ',' || nextChar === '}' || nextChar === ']' || nextChar === '') {
-            // This is a closing quote for the string
-            inString = false;
-            result += char;
-          } else {
-            // This is an unescaped quote within the string - escape it
-            result += '\\"';
-          }
-        }
-      } else {
-        result += char;
-      }
-    }
-
-    return result;
+  const handleUseAllConfigsForCandidatesChange = (enabled) => {
+    setUseAllConfigsForCandidates(enabled);
+    localStorage.setItem(CANDIDATE_ALL_CONFIGS_KEY, String(enabled));
   };
 
-  // 括号映射：用于自动补全
-  const closingBracketMap = { '{': '}', '[': ']' };
-
-  // 从文本中提取平衡的 JSON 片段（使用栈追踪括号匹配）
-  // 这个函数比简单的正则更可靠，可以正确处理嵌套结构
-  const extractBalancedJsonSnippet = (text) => {
-    const stack = [];
-    let startIndex = -1;
-    let inString = false;
-    let escapeNext = false;
-
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-
-      // 处理转义字符
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
-      }
-
-      // 处理字符串内容（字符串内的括号不计数）
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-
-      if (inString) {
-        continue;
-      }
-
-      // 遇到开括号时入栈
-      if (char === '{' || char === '[') {
-        if (stack.length === 0) {
-          startIndex = i;
-        }
-        stack.push(char);
-      }
-      // 遇到闭括号时出栈
-      else if (char === '}' || char === ']') {
-        const lastOpen = stack[stack.length - 1];
-        const matches =
-          (lastOpen === '{' && char === '}') ||
-          (lastOpen === '[' && char === ']');
-
-        if (matches) {
-          stack.pop();
-          // 栈空了说明找到了完整的平衡片段
-          if (stack.length === 0 && startIndex !== -1) {
-            return text.slice(startIndex, i + 1);
-          }
-        } else if (stack.length > 0) {
-          // 括号不匹配，重置状态
-          stack.length = 0;
-          startIndex = -1;
-        }
+  // Configs the candidates cycle through: the active one first, then the other valid saved configs
+  const getCandidateConfigs = () => [
+    config,
+    ...configManager.getAllConfigs().filter(saved => saved.id !== config.id && isConfigValid(saved)),
+  ];
+
+  // 去掉流式输出开头的 Markdown 代码块标记，便于在编辑器中实时查看
+  const stripLeadingCodeFence = (code) => code.replace(/^\s*```(?:json|javascript|js)?[^\S\n]*\n?/i, '');
+
+  // 将对话消息转换为发送给模型的历史记录
+  // 只保留成功完成的问答轮次，失败的轮次和自动纠错记录不计入上下文
+  const buildConversationHistory = (conversationMessages) => {
+    const messages = conversationMessages.filter(message => message.status !== 'repair');
+    const history = [];
+    for (let i = 0; i < messages.length; i++) {
+      const message = messages[i];
+      const reply = messages[i + 1];
+      if (message.role === 'user' && reply?.role === 'assistant' && reply.status === 'success') {
+        history.push({ role: 'user', content: message.content });
+        history.push({ role: 'assistant', content: reply.content });
+        i++;
       }
     }
-
-    return null;
+    return history;
   };
 
-  // 分析 JSON 结构，检测括号平衡性和缺失的括号
-  // 返回诊断信息帮助用户理解问题
-  const analyzeJsonStructure = (text) => {
-    const stack = [];
-    let inString = false;
-    let escapeNext = false;
-    let hasMismatchedClosing = false;
-
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-
-      if (inString) {
-        continue;
-      }
-
-      if (char === '{' || char === '[') {
-        stack.push(char);
-      } else if (char === '}' || char === ']') {
-        const lastOpen = stack[stack.length - 1];
-        const matches =
-          (lastOpen === '{' && char === '}') ||
-          (lastOpen === '[' && char === ']');
-
-        if (matches) {
-          stack.pop();
-        } else {
-          hasMismatchedClosing = true;
-        }
-      }
+  // 生成对话中显示的用户消息文本
+  const describeUserMessage = (userMessage) => {
+    if (typeof userMessage === 'object' && userMessage.image) {
+      return `[图片] ${userMessage.image.name || '上传的图片'}`;
     }
-
-    // 根据栈中剩余的开括号，生成需要补全的闭括号
-    const pendingClosers = stack
-      .slice()
-      .reverse()
-      .map((open) => closingBracketMap[open] || '')
-      .join('');
-
-    return {
-      isBalanced: stack.length === 0 && !hasMismatchedClosing,
-      pendingClosers,
-      pendingCount: stack.length,
-      hasMismatchedClosing,
-    };
+    return userMessage;
   };
 
-  // 统一检查解析后的数据，提取 elements 数组
-  // 支持多种常见的数据结构
-  const inspectParsedElements = (parsed) => {
-    // 直接是数组
-    if (Array.isArray(parsed)) {
-      return { elements: parsed, source: 'array' };
-    }
-
-    // 对象结构
-    if (parsed && typeof parsed === 'object') {
-      if (Array.isArray(parsed.elements)) {
-        return { elements: parsed.elements, source: 'parsed.elements' };
-      }
-      if (Array.isArray(parsed.data) && Array.isArray(parsed.data[0]?.elements)) {
-        return {
-          elements: parsed.data[0].elements,
-          source: 'parsed.data[0].elements',
-        };
-      }
-      if (Array.isArray(parsed.data?.elements)) {
-        return { elements: parsed.data.elements, source: 'parsed.data.elements' };
-      }
-    }
-
-    return null;
+  // Handle starting a new conversation (next message generates a new diagram)
+  const handleNewConversation = () => {
+    setConversation([]);
   };
 
-  // Handle sending a message (single-turn)
+  // Handle sending a message
+  // If a conversation about the current diagram exists, the message refines it
   const handleSendMessage = async (userMessage, chartType = 'auto') => {
     if (!isConfigValid(config)) {
       setNotification({
@@ -405,8 +231,24 @@ export default function Home() {
     }
 
     setIsGenerating(true);
+    setIsHistoryOpen(false);
+    setCandidates(null);
+    setLayoutChartType(LAYOUT_CHART_TYPES[chartType] ? chartType : 'auto');
     setApiError(null); // Clear previous errors
     setJsonError(null); // Clear previous JSON errors
+    setValidationIssues(null);
+
+    // Refine the current diagram when the thread belongs to it
+    const isRefinement = conversation.length > 0 && currentElements.length > 0;
+    const isPatchRequest = isRefinement && refineOutputMode === 'patch';
+    const isCandidateRequest = candidateCount > 1 && !isPatchRequest;
+    const history = isRefinement ? buildConversationHistory(conversation) : [];
+    const userEntry = {
+      id: `${Date.now()}-user`,
+      role: 'user',
+      content: describeUserMessage(userMessage),
+    };
+    setConversation(prev => (isRefinement ? [...prev, userEntry] : [userEntry]));
 
     try {
       // Call generate API with streaming
@@ -417,6 +259,16 @@ export default function Home() {
           config,
           userInput: userMessage,
           chartType,
+          ...(isRefinement && {
+            currentElements,
+            history,
+            outputMode: refineOutputMode,
+          }),
+          maxRepairAttempts,
+          ...(isCandidateRequest && {
+            candidates: candidateCount,
+            ...(useAllConfigsForCandidates && { candidateConfigs: getCandidateConfigs() }),
+          }),
         }),
       });
 
@@ -456,8 +308,10 @@ export default function Home() {
       // Process streaming response
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
+      const elementParser = new StreamingElementParser();
       let accumulatedCode = '';
       let buffer = '';
+      let candidateItems = [];
 
       while (true) {
         const { done, value } = await reader.read();
@@ -473,11 +327,40 @@ export default function Home() {
           if (line.startsWith('data: ')) {
             try {
               const data = JSON.parse(line.slice(6));
-              if (data.content) {
+              if (isCandidateRequest && (data.candidates || data.candidate !== undefined)) {
+                // Candidate events are collected separately and shown in the candidate picker
+                candidateItems = applyCandidateEvent(candidateItems, data);
+                setCandidates({ items: candidateItems, messageId: null, isRefinement });
+              } else if (data.build) {
+                // Tool-call generation: the server sends the whole diagram after every call
+                setGeneratedCode(JSON.stringify(data.build.elements, null, 2));
+                setElements(validateAndFixElements(data.build.elements).elements);
+                setLiveElements(null);
+              } else if (data.content) {
                 accumulatedCode += data.content;
-                // Post-process and set the cleaned code to editor
-                const processedCode = postProcessExcalidrawCode(accumulatedCode);
-                setGeneratedCode(processedCode);
+                // Show the raw output while streaming; full post-processing runs once at the end
+                setGeneratedCode(stripLeadingCodeFence(accumulatedCode));
+
+                // Grow the canvas element by element as each one completes.
+                // Refinements keep the current diagram until the edited version is complete.
+                const completedElements = elementParser.push(data.content);
+                if (!isRefinement && completedElements.length > 0) {
+                  // Bindings may point to elements that have not arrived yet; the validator drops them for now
+                  setElements(validateAndFixElements(elementParser.getElements()).elements);
+                  setLiveElements(null);
+                }
+              } else if (data.repair) {
+                // The server found problems and asked the model to correct them; the corrected output streams next
+                const { attempt, maxAttempts, diagnostics } = data.repair;
+                setConversation(prev => [...prev, {
+                  id: `${Date.now()}-repair-${attempt}`,
+                  role: 'assistant',
+                  content: `第 ${attempt}/${maxAttempts} 次自动纠错：\n${diagnostics.map(message => `· ${message}`).join('\n')}`,
+                  status: 'repair',
+                }]);
+                accumulatedCode = '';
+                elementParser.reset();
+                setGeneratedCode('');
               } else if (data.error) {
                 throw new Error(data.error);
               }
@@ -492,32 +375,139 @@ export default function Home() {
         }
       }
 
+      // Candidate mode: wait for the user to pick one of the candidates
+      if (isCandidateRequest) {
+        const readyCount = candidateItems.filter(candidate => candidate.status === 'done').length;
+        const messageId = `${Date.now()}-assistant`;
+        setCandidates({ items: candidateItems, messageId, isRefinement });
+        setConversation(prev => [...prev, {
+          id: messageId,
+          role: 'assistant',
+          content: readyCount > 0
+            ? `生成了 ${readyCount} 个候选方案，等待选择`
+            : '所有候选方案都生成失败',
+          status: readyCount > 0 ? 'pending' : 'error',
+        }]);
+        return;
+      }
+
       // Try to parse and apply the generated code (already post-processed)
       const processedCode = postProcessExcalidrawCode(accumulatedCode);
+
+      // Patch mode: preview the operations before applying them to the canvas
+      if (isPatchRequest) {
+        const patch = preparePatch(processedCode);
+        if (patch) {
+          const messageId = `${Date.now()}-assistant`;
+          setPendingPatch({ ...patch, messageId });
+          setConversation(prev => [...prev, {
+            id: messageId,
+            role: 'assistant',
+            content: `生成了 ${patch.operationCount} 项增量修改，等待确认`,
+            status: 'pending',
+          }]);
+          return;
+        }
+        // The model returned a full element array instead, apply it as usual
+      }
+
       tryParseAndApply(processedCode);
 
       // Automatically optimize the generated code
       const optimizedCode = optimizeExcalidrawCode(processedCode);
       setGeneratedCode(optimizedCode);
-      tryParseAndApply(optimizedCode);
+      const appliedCount = tryParseAndApply(optimizedCode, isRefinement ? 'refine' : 'generate');
+
+      setConversation(prev => [...prev, {
+        id: `${Date.now()}-assistant`,
+        role: 'assistant',
+        content: appliedCount === null
+          ? '生成的代码未能解析，请检查代码编辑器中的错误提示'
+          : `${isRefinement ? '已按要求修改图表' : '已生成图表'}（共 ${appliedCount} 个元素）`,
+        status: appliedCount === null ? 'error' : 'success',
+      }]);
     } catch (error) {
       console.error('Error generating code:', error);
       // Check if it's a network error
-      if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
-        setApiError('网络连接失败，请检查网络连接');
-      } else {
-        setApiError(error.message);
-      }
+      const errorMessage = error.message === 'Failed to fetch' || error.name === 'TypeError'
+        ? '网络连接失败，请检查网络连接'
+        : error.message;
+      setApiError(errorMessage);
+      setConversation(prev => [...prev, {
+        id: `${Date.now()}-assistant`,
+        role: 'assistant',
+        content: errorMessage,
+        status: 'error',
+      }]);
     } finally {
       setIsGenerating(false);
     }
   };
 
+  // 解析补丁代码并在当前元素上预演，不是补丁结构时返回 null
+  const preparePatch = (code) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(code.trim());
+    } catch {
+      return null;
+    }
+
+    const operations = extractPatchOperations(parsed);
+    if (!operations) return null;
+
+    return { ...applyPatch(currentElements, operations), operationCount: operations.length };
+  };
+
+  // 更新对话中某条助手消息的内容和状态
+  const updateConversationMessage = (messageId, updates) => {
+    setConversation(prev => prev.map(message =>
+      message.id === messageId ? { ...message, ...updates } : message
+    ));
+  };
+
+  // Handle confirming the previewed patch
+  const handleConfirmPatch = () => {
+    if (!pendingPatch) return;
+
+    const { summary } = pendingPatch;
+    const optimizedCode = optimizeExcalidrawCode(JSON.stringify(pendingPatch.elements, null, 2));
+    setGeneratedCode(optimizedCode);
+    const appliedCount = tryParseAndApply(optimizedCode, 'patch');
+
+    updateConversationMessage(pendingPatch.messageId, appliedCount === null
+      ? { content: '增量修改应用失败，请检查代码编辑器中的错误提示', status: 'error' }
+      : {
+          content: `已应用增量修改：新增 ${summary.added.length}、更新 ${summary.updated.length + summary.rebound.length}、删除 ${summary.deleted.length}（共 ${appliedCount} 个元素）`,
+          status: 'success',
+        });
+    setPendingPatch(null);
+  };
+
+  // Handle discarding the previewed patch and restoring the current diagram code
+  const handleCancelPatch = () => {
+    if (!pendingPatch) return;
+
+    const restoredCode = JSON.stringify(currentElements, null, 2);
+    setGeneratedCode(restoredCode);
+    setSyncedCode(restoredCode);
+    updateConversationMessage(pendingPatch.messageId, { content: '已放弃本次增量修改', status: 'cancelled' });
+    setPendingPatch(null);
+  };
+
+  // Record a version in the history of the active diagram
+  const recordVersion = (source, code, versionElements) => {
+    setVersions(prev => appendVersion(prev, createVersion(source, code, versionElements)));
+  };
+
   // Try to parse and apply code to canvas
-  const tryParseAndApply = (code) => {
+  // When `source` is given, the applied diagram is recorded as a version from that source
+  // Returns the number of applied elements, or null if parsing failed
+  const tryParseAndApply = (code, source) => {
     try {
       // Clear previous JSON errors
       setJsonError(null);
+      setValidationIssues(null);
 
       // Code is already post-processed, just extract the array and parse
       const cleanedCode = code.trim();
@@ -598,10 +588,27 @@ export default function Home() {
 
       // If we found elements, apply them
       if (elementsArray && Array.isArray(elementsArray)) {
-        setElements(elementsArray);
+        // 校验元素规范，自动修复安全的问题并报告其余错误
+        const { elements: validatedElements, fixes, errors } = validateAndFixElements(elementsArray);
+        const appliedCode = fixes.length > 0 ? JSON.stringify(validatedElements, null, 2) : code;
+        if (fixes.length > 0) {
+          setGeneratedCode(appliedCode);
+          console.log('Applied', fixes.length, 'automatic fixes to generated elements');
+        }
+        setSyncedCode(appliedCode);
+        if (source) {
+          recordVersion(source, appliedCode, validatedElements);
+        }
+        if (fixes.length > 0 || errors.length > 0) {
+          setValidationIssues({ fixes, errors });
+        }
+
+        setElements(validatedElements);
+        setLiveElements(null);
+        setSyncConflict(null);
         setJsonError(null);
-        console.log('Successfully applied', elementsArray.length, 'elements to canvas');
-        return;
+        console.log('Successfully applied', validatedElements.length, 'elements to canvas');
+        return validatedElements.length;
       }
 
       // Build detailed error message
@@ -631,6 +638,7 @@ export default function Home() {
       console.error(finalErrorMsg);
       console.error('Original code length:', code.length);
       console.error('Cleaned code preview:', cleanedCode.substring(0, 500));
+      return null;
 
     } catch (error) {
       console.error('Unexpected error in tryParseAndApply:', error);
@@ -640,6 +648,7 @@ export default function Home() {
       } else {
         setJsonError('解析失败：' + error.message);
       }
+      return null;
     }
   };
 
@@ -649,7 +658,7 @@ export default function Home() {
     try {
       // Simulate async operation for better UX
       await new Promise(resolve => setTimeout(resolve, 300));
-      tryParseAndApply(generatedCode);
+      tryParseAndApply(generatedCode, 'apply');
     } catch (error) {
       console.error('Error applying code:', error);
     } finally {
@@ -665,7 +674,7 @@ export default function Home() {
       await new Promise(resolve => setTimeout(resolve, 500));
       const optimizedCode = optimizeExcalidrawCode(generatedCode);
       setGeneratedCode(optimizedCode);
-      tryParseAndApply(optimizedCode);
+      tryParseAndApply(optimizedCode, 'optimize');
     } catch (error) {
       console.error('Error optimizing code:', error);
     } finally {
@@ -673,6 +682,342 @@ export default function Home() {
     }
   };
 
+  // Handle re-layout: recompute node positions locally from the arrow bindings
+  const handleRelayoutCode = async () => {
+    setIsRelayoutingCode(true);
+    try {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const arrayMatch = postProcessExcalidrawCode(generatedCode).match(/\[[\s\S]*\]/);
+      if (!arrayMatch) {
+        setJsonError('代码中未找到有效的 JSON 数组，无法重新布局');
+        return;
+      }
+      const { elements: laidOutElements } = autoLayoutElements(JSON.parse(arrayMatch[0]), layoutChartType);
+      const optimizedCode = optimizeExcalidrawCode(JSON.stringify(laidOutElements, null, 2));
+      setGeneratedCode(optimizedCode);
+      tryParseAndApply(optimizedCode, 'relayout');
+    } catch (error) {
+      console.error('Error re-laying out code:', error);
+      setNotification({
+        isOpen: true,
+        title: '重新布局失败',
+        message: error instanceof SyntaxError ? 'JSON 语法错误：' + error.message : error.message,
+        type: 'error'
+      });
+    } finally {
+      setIsRelayoutingCode(false);
+    }
+  };
+
+  // Handle importing Mermaid/PlantUML/DOT source or an Excalidraw scene, converted locally without calling the LLM
+  const handleImportDiagram = (source, format = 'auto') => {
+    try {
+      const { format: resolvedFormat, type, typeName, elements: importedElements, warnings, metadata } = convertSourceToElements(source, format);
+      const formatName = IMPORT_FORMATS[resolvedFormat];
+      const optimizedCode = optimizeExcalidrawCode(JSON.stringify(importedElements, null, 2));
+      setApiError(null);
+      setGeneratedCode(optimizedCode);
+      const appliedCount = tryParseAndApply(optimizedCode, 'import');
+      if (appliedCount === null) return;
+      setLayoutChartType(LAYOUT_CHART_TYPES[type] ? type : 'auto');
+
+      // Start a new thread on the imported diagram so it can be refined with follow-up messages
+      // Files exported by this app carry the original prompt, which becomes the first turn
+      setConversation([
+        { id: `${Date.now()}-user`, role: 'user', content: metadata?.prompt || `[${formatName}] 导入${typeName}` },
+        {
+          id: `${Date.now()}-assistant`,
+          role: 'assistant',
+          content: `已从 ${formatName} 导入${typeName}（共 ${appliedCount} 个元素）`,
+          status: 'success',
+        },
+      ]);
+
+      if (warnings.length > 0) {
+        setNotification({
+          isOpen: true,
+          title: `${warnings.length} 条语句未能转换`,
+          message: warnings.slice(0, 3).join('；'),
+          type: 'warning'
+        });
+      }
+    } catch (error) {
+      console.error('Error importing diagram source:', error);
+      setNotification({
+        isOpen: true,
+        title: '导入失败',
+        message: error.message,
+        type: 'error'
+      });
+    }
+  };
+
+  // Handle exporting the canvas; the conversation's prompts are embedded as metadata
+  const handleExport = async (format, options) => {
+    try {
+      const { blob, filename } = await exportDiagram(excalidrawAPI, format, {
+        ...options,
+        metadata: buildExportMetadata(conversation),
+        skeleton: currentElements,
+      });
+      downloadBlob(blob, filename);
+    } catch (error) {
+      console.error('Error exporting diagram:', error);
+      setNotification({
+        isOpen: true,
+        title: '导出失败',
+        message: error.message,
+        type: 'error'
+      });
+    }
+  };
+
+  // Handle manual edits on the canvas: convert the scene back to skeleton JSON for the code editor
+  // If the editor also has unapplied edits, keep them and let the user choose which side wins
+  const handleCanvasChange = (sceneElements) => {
+    if (isGenerating || pendingPatch || isHistoryOpen) return;
+
+    const { elements: skeleton } = convertSceneElementsToSkeleton(sceneElements, { preserveIds: true });
+    const code = JSON.stringify(skeleton, null, 2);
+    if (generatedCode !== syncedCode) {
+      setSyncConflict({ code, elements: skeleton });
+      return;
+    }
+
+    setLiveElements(skeleton);
+    setGeneratedCode(code);
+    setSyncedCode(code);
+    recordVersion('canvas', code, skeleton);
+  };
+
+  // Handle resolving a canvas/editor conflict: 'canvas' takes the canvas edits, 'code' applies the editor code
+  const handleResolveSyncConflict = (choice) => {
+    if (!syncConflict) return;
+
+    if (choice === 'canvas') {
+      setLiveElements(syncConflict.elements);
+      setGeneratedCode(syncConflict.code);
+      setSyncedCode(syncConflict.code);
+      setJsonError(null);
+      recordVersion('canvas', syncConflict.code, syncConflict.elements);
+    } else {
+      tryParseAndApply(generatedCode, 'apply');
+    }
+    setSyncConflict(null);
+  };
+
+  // Reload the diagram list shown in the workspace sidebar
+  const refreshDiagrams = async () => {
+    setDiagrams(await workspaceStore.listDiagrams());
+  };
+
+  // Load a saved diagram into the editor and canvas; null resets to a blank diagram
+  const loadDiagram = (diagram) => {
+    const code = diagram?.code || '';
+    const skeleton = diagram?.elements || [];
+    const diagramConversation = diagram?.conversation || [];
+    const chartType = diagram?.chartType || 'auto';
+    const diagramVersions = diagram?.versions || [];
+    const sceneElements = diagram?.scene?.elements;
+
+    // The full scene keeps manual edits that the skeleton cannot express
+    if (sceneElements?.length) {
+      setElements(sceneElements);
+      setLiveElements(skeleton);
+    } else {
+      setElements(skeleton);
+      setLiveElements(null);
+    }
+    setGeneratedCode(code);
+    setSyncedCode(code);
+    setConversation(diagramConversation);
+    setLayoutChartType(chartType);
+    setVersions(diagramVersions);
+    setIsHistoryOpen(false);
+    setSelectedVersionId(null);
+    setPendingPatch(null);
+    setSyncConflict(null);
+    setJsonError(null);
+    setValidationIssues(null);
+    activeDiagramIdRef.current = diagram?.id || null;
+    setActiveDiagramId(diagram?.id || null);
+    workspaceStore.setActiveDiagramId(diagram?.id || null);
+    lastSavedSnapshotRef.current = createWorkspaceSnapshot(code, skeleton, diagramConversation, chartType, diagramVersions);
+  };
+
+  // Save the current editor state to the active diagram, creating one if needed
+  const saveCurrentDiagram = async () => {
+    const snapshot = createWorkspaceSnapshot(generatedCode, currentElements, conversation, layoutChartType, versions);
+    if (snapshot === lastSavedSnapshotRef.current) return;
+    if (!activeDiagramIdRef.current && !pendingCreateRef.current && !generatedCode.trim() && currentElements.length === 0) return;
+
+    const prompt = conversation.find(message => message.role === 'user')?.content || '';
+    const data = {
+      code: generatedCode,
+      elements: currentElements,
+      scene: excalidrawAPI
+        ? { elements: excalidrawAPI.getSceneElements(), files: excalidrawAPI.getFiles() }
+        : null,
+      prompt,
+      chartType: layoutChartType,
+      conversation,
+      versions,
+    };
+
+    try {
+      if (!activeDiagramIdRef.current && pendingCreateRef.current) {
+        // A save that started before the new diagram got its id updates that diagram instead of creating another
+        await pendingCreateRef.current;
+      }
+      if (activeDiagramIdRef.current) {
+        await workspaceStore.updateDiagram(activeDiagramIdRef.current, data);
+      } else {
+        pendingCreateRef.current = workspaceStore.createDiagram({ ...data, name: prompt.slice(0, 30) || '未命名图表' });
+        try {
+          const created = await pendingCreateRef.current;
+          activeDiagramIdRef.current = created.id;
+          setActiveDiagramId(created.id);
+          workspaceStore.setActiveDiagramId(created.id);
+        } finally {
+          pendingCreateRef.current = null;
+        }
+      }
+      lastSavedSnapshotRef.current = snapshot;
+      setSaveStatus(`已保存 ${new Date().toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })}`);
+      await refreshDiagrams();
+    } catch (error) {
+      console.error('Error saving diagram:', error);
+      setSaveStatus('保存失败');
+    }
+  };
+
+  // Handle opening a saved diagram; unsaved changes to the current one are saved first
+  const handleOpenDiagram = async (id) => {
+    if (isGenerating || id === activeDiagramId) return;
+    await saveCurrentDiagram();
+    const diagram = await workspaceStore.getDiagram(id);
+    if (diagram) {
+      loadDiagram(diagram);
+    }
+  };
+
+  // Handle creating a blank diagram in the workspace
+  const handleCreateDiagram = async () => {
+    if (isGenerating) return;
+    await saveCurrentDiagram();
+    try {
+      const diagram = await workspaceStore.createDiagram();
+      loadDiagram(diagram);
+      await refreshDiagrams();
+    } catch (error) {
+      console.error('Error creating diagram:', error);
+      setNotification({ isOpen: true, title: '新建失败', message: error.message, type: 'error' });
+    }
+  };
+
+  // Handle workspace sidebar actions that only touch the stored list
+  const runWorkspaceAction = async (title, action) => {
+    try {
+      await action();
+      await refreshDiagrams();
+    } catch (error) {
+      console.error(`Error in workspace action "${title}":`, error);
+      setNotification({ isOpen: true, title, message: error.message, type: 'error' });
+    }
+  };
+
+  const handleRenameDiagram = (id, name) => runWorkspaceAction('重命名失败', () => workspaceStore.renameDiagram(id, name));
+
+  const handleDuplicateDiagram = (id) => runWorkspaceAction('复制失败', async () => {
+    if (id === activeDiagramId) await saveCurrentDiagram();
+    await workspaceStore.duplicateDiagram(id);
+  });
+
+  const handleDeleteDiagram = (id) => runWorkspaceAction('删除失败', async () => {
+    await workspaceStore.deleteDiagram(id);
+    if (id === activeDiagramId) loadDiagram(null);
+  });
+
+  // Restore the workspace and reopen the last active diagram on mount
+  useEffect(() => {
+    const restoreWorkspace = async () => {
+      try {
+        const savedDiagrams = await workspaceStore.listDiagrams();
+        setDiagrams(savedDiagrams);
+        const activeDiagram = savedDiagrams.find(diagram => diagram.id === workspaceStore.getActiveDiagramId());
+        if (activeDiagram) {
+          loadDiagram(activeDiagram);
+        }
+      } catch (error) {
+        console.error('Failed to restore workspace:', error);
+      }
+    };
+    restoreWorkspace();
+  }, []);
+
+  // The autosave timer calls the save function from the latest render
+  useEffect(() => {
+    saveCurrentDiagramRef.current = saveCurrentDiagram;
+  });
+
+  // Autosave the code, canvas and conversation shortly after they change
+  useEffect(() => {
+    if (isGenerating) return;
+    const timer = setTimeout(() => saveCurrentDiagramRef.current(), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [generatedCode, currentElements, conversation, layoutChartType, versions, isGenerating]);
+
+  // Handle promoting a candidate to the main canvas
+  const handlePromoteCandidate = (index) => {
+    const candidate = candidates?.items[index];
+    if (!candidate || candidate.status !== 'done') return;
+
+    setGeneratedCode(candidate.code);
+    const appliedCount = tryParseAndApply(candidate.code, candidates.isRefinement ? 'refine' : 'generate');
+    updateConversationMessage(candidates.messageId, appliedCount === null
+      ? { content: '候选方案应用失败，请检查代码编辑器中的错误提示', status: 'error' }
+      : { content: `已采用方案 ${index + 1}（共 ${appliedCount} 个元素）`, status: 'success' });
+    setCandidates(null);
+  };
+
+  // Handle discarding all candidates
+  const handleDiscardCandidates = () => {
+    if (candidates?.messageId) {
+      updateConversationMessage(candidates.messageId, { content: '已放弃全部候选方案', status: 'cancelled' });
+    }
+    setCandidates(null);
+  };
+
+  // Handle clicking a quality issue: select the offending elements on the canvas and bring them into view
+  const handleSelectElements = (elementIds) => {
+    if (!excalidrawAPI || elementIds.length === 0) return;
+    const targets = excalidrawAPI.getSceneElements().filter(element => elementIds.includes(element.id));
+    if (targets.length === 0) return;
+    excalidrawAPI.updateScene({
+      appState: { selectedElementIds: Object.fromEntries(targets.map(element => [element.id, true])) },
+    });
+    excalidrawAPI.scrollToContent(targets, { fitToContent: false, animate: true });
+  };
+
+  // Handle opening the version history; the latest version is selected for comparison
+  const handleOpenHistory = () => {
+    // Keep the exact scene so closing the history restores the canvas, including manual edits
+    if (excalidrawAPI) {
+      setLiveElements(currentElements);
+      setElements(excalidrawAPI.getSceneElements());
+    }
+    setSelectedVersionId(versions[versions.length - 1]?.id || null);
+    setIsHistoryOpen(true);
+  };
+
+  // Handle restoring a version: its code is applied and recorded as a new version
+  const handleRestoreVersion = (version) => {
+    if (!version) return;
+    setGeneratedCode(version.code);
+    tryParseAndApply(version.code, 'restore');
+    setIsHistoryOpen(false);
+  };
+
   // Handle clearing code
   const handleClearCode = () => {
     setGeneratedCode('');
@@ -742,6 +1087,17 @@ export default function Home() {
             </div>
           )}
           <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setIsWorkspaceOpen(!isWorkspaceOpen)}
+              className={`px-4 py-2 text-sm font-medium border rounded transition-colors duration-200 ${
+                isWorkspaceOpen
+                  ? 'text-white bg-gray-700 border-gray-700 hover:bg-gray-600'
+                  : 'text-gray-700 bg-white border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              我的图表
+            </button>
+            <ExportMenu onExport={handleExport} disabled={currentElements.length === 0} />
             <button
               onClick={() => setIsConfigManagerOpen(true)}
               className="px-4 py-2 text-sm font-medium text-white bg-gray-900 border border-gray-900 rounded hover:bg-gray-800 transition-colors duration-200"
@@ -754,6 +1110,20 @@ export default function Home() {
 
       {/* Main Content - Two Column Layout */}
       <div className="flex flex-1 overflow-hidden pb-1">
+        {/* Workspace Sidebar */}
+        {isWorkspaceOpen && (
+          <WorkspaceSidebar
+            diagrams={diagrams}
+            activeDiagramId={activeDiagramId}
+            saveStatus={saveStatus}
+            onOpen={handleOpenDiagram}
+            onCreate={handleCreateDiagram}
+            onRename={handleRenameDiagram}
+            onDuplicate={handleDuplicateDiagram}
+            onDelete={handleDeleteDiagram}
+          />
+        )}
+
         {/* Left Panel - Chat and Code Editor */}
         <div id="left-panel" style={{ width: `${leftPanelWidth}%` }} className="flex flex-col border-r border-gray-200 bg-white">
           {/* API Error Banner */}
@@ -784,23 +1154,63 @@ export default function Home() {
             <Chat
               onSendMessage={handleSendMessage}
               isGenerating={isGenerating}
+              conversation={conversation}
+              isRefining={conversation.length > 0 && currentElements.length > 0}
+              onNewConversation={handleNewConversation}
+              refineOutputMode={refineOutputMode}
+              onRefineOutputModeChange={setRefineOutputMode}
+              maxRepairAttempts={maxRepairAttempts}
+              onMaxRepairAttemptsChange={handleMaxRepairAttemptsChange}
+              candidateCount={candidateCount}
+              onCandidateCountChange={handleCandidateCountChange}
+              useAllConfigsForCandidates={useAllConfigsForCandidates}
+              onUseAllConfigsForCandidatesChange={handleUseAllConfigsForCandidatesChange}
+              onImportDiagram={handleImportDiagram}
             />
           </div>
 
           {/* Code Editor Section */}
-          <div style={{ height: '50%' }} className="overflow-hidden">
-            <CodeEditor
-              code={generatedCode}
-              onChange={setGeneratedCode}
-              onApply={handleApplyCode}
-              onOptimize={handleOptimizeCode}
-              onClear={handleClearCode}
-              jsonError={jsonError}
-              onClearJsonError={() => setJsonError(null)}
-              isGenerating={isGenerating}
-              isApplyingCode={isApplyingCode}
-              isOptimizingCode={isOptimizingCode}
-            />
+          <div style={{ height: '50%' }} className="flex overflow-hidden">
+            <div className="flex-1 min-w-0">
+              {isHistoryOpen ? (
+                <VersionHistory
+                  versions={versions}
+                  selectedVersionId={selectedVersionId}
+                  onSelect={setSelectedVersionId}
+                  diff={versionDiff?.diff}
+                  currentCode={generatedCode}
+                  onRestore={handleRestoreVersion}
+                  onClose={() => setIsHistoryOpen(false)}
+                  isGenerating={isGenerating}
+                />
+              ) : (
+                <CodeEditor
+                  code={generatedCode}
+                  onChange={setGeneratedCode}
+                  onApply={handleApplyCode}
+                  onOptimize={handleOptimizeCode}
+                  onRelayout={handleRelayoutCode}
+                  layoutChartType={layoutChartType}
+                  onLayoutChartTypeChange={setLayoutChartType}
+                  onClear={handleClearCode}
+                  jsonError={jsonError}
+                  onClearJsonError={() => setJsonError(null)}
+                  validationIssues={validationIssues}
+                  onClearValidationIssues={() => setValidationIssues(null)}
+                  syncConflict={syncConflict}
+                  onResolveSyncConflict={handleResolveSyncConflict}
+                  isGenerating={isGenerating}
+                  isApplyingCode={isApplyingCode}
+                  isOptimizingCode={isOptimizingCode}
+                  isRelayoutingCode={isRelayoutingCode}
+                  versionCount={versions.length}
+                  onOpenHistory={handleOpenHistory}
+                />
+              )}
+            </div>
+            {!isHistoryOpen && elements.length > 0 && (
+              <QualityPanel quality={quality} onSelectElements={handleSelectElements} />
+            )}
           </div>
         </div>
 
@@ -811,8 +1221,20 @@ export default function Home() {
         />
 
         {/* Right Panel - Excalidraw Canvas */}
-        <div style={{ width: `${100 - leftPanelWidth}%` }} className="bg-gray-50">
-          <ExcalidrawCanvas elements={elements} />
+        <div style={{ width: `${100 - leftPanelWidth}%` }} className="relative bg-gray-50">
+          <CandidatePicker
+            candidates={candidates?.items}
+            onPromote={handlePromoteCandidate}
+            onDiscard={handleDiscardCandidates}
+            isGenerating={isGenerating}
+          />
+          <ExcalidrawCanvas
+            elements={versionDiff ? versionDiff.elements : elements}
+            isStreaming={isGenerating}
+            isPreview={!!versionDiff}
+            onApiReady={setExcalidrawAPI}
+            onSceneChange={handleCanvasChange}
+          />
         </div>
       </div>
 
@@ -823,6 +1245,13 @@ export default function Home() {
         onConfigSelect={handleConfigSelect}
       />
 
+      {/* Patch Preview */}
+      <PatchPreview
+        patch={pendingPatch}
+        onConfirm={handleConfirmPatch}
+        onCancel={handleCancelPatch}
+      />
+
       {/* Footer */}
       <footer className="bg-white border-t border-gray-200 px-6 py-3">
         <div className="flex items-center justify-center space-x-4 text-sm text-gray-600">
@@ -0,0 +1,198 @@
+/**
+ * 命令行批量生成图表
+ *
+ * 扫描目录中的 Markdown 文件（```excalidraw-prompt 代码块）和 .excalidraw-prompt 文件，
+ * 把生成的图表写在源文件旁边。提供商配置与 /api/v1 相同，来自 API_PROFILES 环境变量。
+ * 输入未变化的图表根据内容哈希缓存跳过。
+ */
+
+import { readFile, writeFile, readdir, stat, access } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { getApiProfile } from '../lib/api-profiles.js';
+import { generateDiagram, formatDiagram, OUTPUT_FORMATS } from '../lib/diagram-generator.js';
+import { normalizeRepairAttempts } from '../lib/generation-repair.js';
+import { buildExportMetadata } from '../lib/diagram-export.js';
+import {
+  extractPromptBlocks,
+  hashPromptJob,
+  MARKDOWN_EXTENSIONS,
+  PROMPT_FILE_EXTENSION,
+} from '../lib/markdown-prompts.js';
+
+const DEFAULT_CACHE_FILE = '.smart-excalidraw-cache.json';
+const IGNORED_DIRECTORIES = ['node_modules', '.git', '.next', 'out', 'build'];
+
+const HELP = `用法: smart-excalidraw [选项] [目录或文件...]
+
+扫描 Markdown 中的 \`\`\`excalidraw-prompt 代码块和 *${PROMPT_FILE_EXTENSION} 文件并生成图表。
+
+选项:
+  -f, --format <格式>   输出格式，多个用逗号分隔（${Object.keys(OUTPUT_FORMATS).join(', ')}），默认 excalidraw
+  -p, --profile <名称>  使用的提供商配置，默认为 API_DEFAULT_PROFILE 或第一个
+      --hand-drawn      SVG 使用手绘风格
+      --repair <次数>   输出无效时的纠错次数（0-3），默认 1
+      --cache <文件>    哈希缓存文件，默认 ${DEFAULT_CACHE_FILE}
+      --force           忽略缓存，全部重新生成
+      --dry-run         只列出需要生成的图表
+  -h, --help            显示帮助
+
+提供商配置通过 API_PROFILES 环境变量设置，例如：
+  API_PROFILES='{"default":{"type":"openai","baseUrl":"https://api.openai.com/v1","apiKey":"sk-...","model":"gpt-4o"}}'`;
+
+const exists = filePath => access(filePath).then(() => true, () => false);
+
+const toFileName = name => name.replace(/[^\w一-鿿-]+/g, '-');
+
+async function collectFiles(target, files = []) {
+  const info = await stat(target);
+  if (info.isFile()) {
+    files.push(target);
+    return files;
+  }
+
+  const entries = await readdir(target, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || IGNORED_DIRECTORIES.includes(entry.name)) continue;
+    const entryPath = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      await collectFiles(entryPath, files);
+    } else if (entry.name.endsWith(PROMPT_FILE_EXTENSION) || MARKDOWN_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * 读取一个源文件中的所有生成任务，outputBase 为不含扩展名的输出路径
+ */
+async function collectJobs(filePath) {
+  const content = await readFile(filePath, 'utf8');
+
+  if (filePath.endsWith(PROMPT_FILE_EXTENSION)) {
+    const prompt = content.trim();
+    return prompt
+      ? [{ source: filePath, label: filePath, prompt, chartType: 'auto', outputBase: filePath.slice(0, -PROMPT_FILE_EXTENSION.length) }]
+      : [];
+  }
+
+  const base = filePath.slice(0, -path.extname(filePath).length);
+  return extractPromptBlocks(content).map(block => ({
+    source: filePath,
+    label: `${filePath}:${block.line} (${block.name})`,
+    prompt: block.prompt,
+    chartType: block.chartType,
+    outputBase: `${base}.${toFileName(block.name)}`,
+  }));
+}
+
+async function loadCache(cachePath) {
+  try {
+    const cache = JSON.parse(await readFile(cachePath, 'utf8'));
+    return cache && typeof cache.entries === 'object' ? cache : { entries: {} };
+  } catch {
+    return { entries: {} };
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'excalidraw' },
+      profile: { type: 'string', short: 'p' },
+      repair: { type: 'string', default: '1' },
+      'hand-drawn': { type: 'boolean', default: false },
+      cache: { type: 'string', default: DEFAULT_CACHE_FILE },
+      force: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+
+  const formats = values.format.split(',').map(format => format.trim()).filter(Boolean);
+  const unsupported = formats.filter(format => !OUTPUT_FORMATS[format]);
+  if (unsupported.length > 0) {
+    throw new Error(`不支持的输出格式 ${unsupported.join(', ')}，可选值：${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  const profile = getApiProfile(values.profile);
+  const repairAttempts = normalizeRepairAttempts(values.repair);
+  const cachePath = path.resolve(values.cache);
+  const cache = await loadCache(cachePath);
+
+  const files = [];
+  for (const target of positionals.length > 0 ? positionals : ['.']) {
+    await collectFiles(target, files);
+  }
+  const jobs = (await Promise.all(files.map(collectJobs))).flat();
+
+  // 所有输出文件都存在且哈希未变时跳过
+  const pending = [];
+  for (const job of jobs) {
+    job.outputs = formats.map(format => {
+      const filePath = `${job.outputBase}.${OUTPUT_FORMATS[format].extension}`;
+      return {
+        format,
+        filePath,
+        cacheKey: path.relative(path.dirname(cachePath), path.resolve(filePath)),
+        hash: hashPromptJob(job, { format, profile: profile.name, model: profile.model, ...(format === 'svg' ? { handDrawn: values['hand-drawn'] } : {}) }),
+      };
+    });
+    const upToDate = !values.force && (await Promise.all(job.outputs.map(async output =>
+      cache.entries[output.cacheKey] === output.hash && exists(output.filePath)
+    ))).every(Boolean);
+    if (upToDate) {
+      console.log(`- ${job.label} 未变化，跳过`);
+    } else {
+      pending.push(job);
+    }
+  }
+
+  console.log(`共 ${jobs.length} 个图表，需要生成 ${pending.length} 个（配置 ${profile.name}）`);
+  if (values['dry-run']) {
+    pending.forEach(job => console.log(`  ${job.label} → ${job.outputs.map(output => output.filePath).join(', ')}`));
+    return 0;
+  }
+
+  let failed = 0;
+  for (const job of pending) {
+    try {
+      const { elements, warnings: validationWarnings } = await generateDiagram(profile, { prompt: job.prompt, chartType: job.chartType, repairAttempts });
+      validationWarnings.forEach(warning => console.warn(`  ! ${warning}`));
+      const metadata = buildExportMetadata([{ role: 'user', content: job.prompt }]);
+      for (const output of job.outputs) {
+        const { content, warnings } = formatDiagram(elements, output.format, metadata, { handDrawn: values['hand-drawn'] });
+        await writeFile(output.filePath, content);
+        warnings.forEach(warning => console.warn(`  ! ${warning}`));
+        cache.entries[output.cacheKey] = output.hash;
+      }
+      // 每个图表完成后立即保存缓存，中断后再次运行不会重复生成
+      await writeFile(cachePath, JSON.stringify(cache, null, 2));
+      console.log(`✓ ${job.label} → ${job.outputs.map(output => output.filePath).join(', ')}`);
+    } catch (error) {
+      failed++;
+      console.error(`✗ ${job.label}：${error.message}`);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`${failed} 个图表生成失败`);
+    return 1;
+  }
+  return 0;
+}
+
+main().then(
+  code => process.exit(code),
+  error => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
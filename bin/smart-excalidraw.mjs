@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * 命令行入口 - 屏蔽加载 lib/ 时的 MODULE_TYPELESS_PACKAGE_JSON 警告后启动 cli.mjs
+ *
+ * lib/ 中的 ES 模块同时供 Next.js 使用，package.json 不能声明 "type": "module"，
+ * Node 每次加载都会提示模块类型未声明。其他警告照常输出到 stderr。
+ */
+
+process.removeAllListeners('warning');
+process.on('warning', (warning) => {
+  if (warning.code === 'MODULE_TYPELESS_PACKAGE_JSON') return;
+  console.warn(`(node:${process.pid}) ${warning.code ? `[${warning.code}] ` : ''}${warning.name}: ${warning.message}`);
+});
+
+await import('./cli.mjs');
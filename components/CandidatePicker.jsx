@@ -0,0 +1,103 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { getRecommendedCandidate } from '@/lib/generation-candidates';
+import { getScoreColor } from '@/components/QualityPanel';
+
+// Render a candidate's elements as an SVG preview
+function CandidateThumbnail({ elements }) {
+  const [svgMarkup, setSvgMarkup] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const renderThumbnail = async () => {
+      try {
+        const { convertToExcalidrawElements, exportToSvg } = await import('@excalidraw/excalidraw');
+        const svg = await exportToSvg({
+          elements: convertToExcalidrawElements(elements, { regenerateIds: false }),
+          appState: { exportBackground: true, viewBackgroundColor: '#ffffff' },
+          files: null,
+          exportPadding: 16,
+        });
+        svg.setAttribute('width', '100%');
+        svg.setAttribute('height', '100%');
+        if (!cancelled) setSvgMarkup(svg.outerHTML);
+      } catch (error) {
+        console.error('Failed to render candidate thumbnail:', error);
+      }
+    };
+    renderThumbnail();
+    return () => {
+      cancelled = true;
+    };
+  }, [elements]);
+
+  if (!svgMarkup) {
+    return <div className="w-6 h-6 border-2 border-gray-300 border-t-transparent rounded-full animate-spin"></div>;
+  }
+  return <div className="w-full h-full" dangerouslySetInnerHTML={{ __html: svgMarkup }} />;
+}
+
+export default function CandidatePicker({ candidates, onPromote, onDiscard, isGenerating }) {
+  if (!candidates) return null;
+
+  const recommended = isGenerating ? -1 : getRecommendedCandidate(candidates);
+
+  return (
+    <div className="absolute inset-0 z-10 flex flex-col bg-white/95">
+      <div className="flex items-center justify-between px-6 py-3 border-b border-gray-200">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">候选方案</h3>
+          <p className="text-xs text-gray-500">
+            {isGenerating ? '正在并行生成，完成后可比较并选择一个方案' : '比较各个方案，选择一个放到画布上'}
+          </p>
+        </div>
+        <button
+          onClick={onDiscard}
+          disabled={isGenerating}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
+        >
+          全部放弃
+        </button>
+      </div>
+
+      <div className={`grid flex-1 gap-4 p-6 overflow-auto ${candidates.length > 2 ? 'grid-cols-2 grid-rows-2' : 'grid-cols-2'}`}>
+        {candidates.map((candidate, index) => (
+          <div key={index} className={`flex flex-col min-h-0 bg-white border rounded ${index === recommended ? 'border-green-500' : 'border-gray-200'}`}>
+            <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100">
+              <span className="text-sm font-medium text-gray-800">
+                方案 {index + 1}
+                <span className="ml-2 text-xs font-normal text-gray-400">{candidate.name}{candidate.model && ` - ${candidate.model}`}</span>
+                {index === recommended && (
+                  <span className="ml-2 px-1.5 py-0.5 text-xs font-normal text-green-700 bg-green-50 rounded">推荐</span>
+                )}
+              </span>
+              <button
+                onClick={() => onPromote(index)}
+                disabled={candidate.status !== 'done'}
+                className="px-3 py-1 text-sm font-medium text-white bg-gray-900 rounded hover:bg-gray-800 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors duration-200"
+              >
+                使用此方案
+              </button>
+            </div>
+            <div className="flex items-center justify-center flex-1 min-h-0 p-2">
+              {candidate.status === 'done' && <CandidateThumbnail elements={candidate.elements} />}
+              {candidate.status === 'streaming' && (
+                <p className="text-sm text-gray-500">
+                  {candidate.repairs > 0 ? `第 ${candidate.repairs} 次纠错中` : '生成中'}... 已接收 {candidate.output.length} 字符
+                </p>
+              )}
+              {candidate.status === 'error' && <p className="text-sm text-red-600">生成失败：{candidate.error}</p>}
+            </div>
+            {candidate.status === 'done' && (
+              <p className="px-3 py-1.5 text-xs text-gray-500 border-t border-gray-100" title={candidate.quality.issues.map(issue => issue.message).join('\n')}>
+                共 {candidate.elements.length} 个元素 · 质量评分 <span className={`font-medium ${getScoreColor(candidate.quality.score)}`}>{candidate.quality.score}</span>
+                {candidate.quality.issues.length > 0 && `（${candidate.quality.issues.length} 个问题）`}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,12 @@
 'use client';
 
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import ImageUpload from './ImageUpload';
 import LoadingOverlay from './LoadingOverlay';
 import { generateImagePrompt } from '@/lib/image-utils';
+import { MAX_REPAIR_ATTEMPTS } from '@/lib/generation-repair';
+import { MAX_CANDIDATES } from '@/lib/generation-candidates';
+import { parseSceneSource, readSceneFile } from '@/lib/scene-converter';
 
 // Chart type options
 // Must match CHART_TYPE_NAMES in lib/prompts.js
@@ -33,8 +36,58 @@ const CHART_TYPES = {
   infographic: '信息图'
 };
 
-export default function Chat({ onSendMessage, isGenerating }) {
-  const [activeTab, setActiveTab] = useState('text'); // 'text', 'file', or 'image'
+// Import formats, must match IMPORT_FORMATS in lib/diagram-import.js
+const IMPORT_FORMAT_OPTIONS = {
+  auto: '自动识别',
+  mermaid: 'Mermaid',
+  plantuml: 'PlantUML',
+  dot: 'Graphviz DOT',
+  excalidraw: 'Excalidraw 场景',
+};
+
+const IMPORT_PLACEHOLDERS = {
+  auto: `flowchart TD
+  A[开始] --> B{是否通过?}
+  B -->|是| C[发布]
+  B -->|否| D[修改]
+  D --> A`,
+  mermaid: `sequenceDiagram
+  participant U as 用户
+  participant S as 服务端
+  U->>S: 登录请求
+  S-->>U: 返回令牌`,
+  plantuml: `@startuml
+[前端] --> [网关] : HTTP
+[网关] --> [订单服务]
+[订单服务] ..> [数据库]
+@enduml`,
+  dot: `digraph G {
+  rankdir=LR;
+  node [shape=box];
+  网关 -> 订单服务 -> 数据库;
+}`,
+  excalidraw: `粘贴 .excalidraw 文件内容，或在 Excalidraw 中选中元素后复制到这里
+
+也可以点击下方按钮打开 .excalidraw / .json 文件，或嵌入了场景的 SVG / PNG 图片`,
+};
+
+export default function Chat({
+  onSendMessage,
+  isGenerating,
+  conversation = [],
+  isRefining = false,
+  onNewConversation,
+  refineOutputMode = 'full',
+  onRefineOutputModeChange,
+  maxRepairAttempts = 0,
+  onMaxRepairAttemptsChange,
+  candidateCount = 1,
+  onCandidateCountChange,
+  useAllConfigsForCandidates = false,
+  onUseAllConfigsForCandidatesChange,
+  onImportDiagram,
+}) {
+  const [activeTab, setActiveTab] = useState('text'); // 'text', 'file', 'image', or 'code'
   const [input, setInput] = useState('');
   const [chartType, setChartType] = useState('auto'); // Selected chart type
   const [selectedFile, setSelectedFile] = useState(null);
@@ -42,16 +95,26 @@ export default function Chat({ onSendMessage, isGenerating }) {
   const [fileError, setFileError] = useState('');
   const [selectedImage, setSelectedImage] = useState(null);
   const [fileContent, setFileContent] = useState(''); // Store parsed file content
+  const [importSource, setImportSource] = useState('');
+  const [importFormat, setImportFormat] = useState('auto');
+  const [importError, setImportError] = useState('');
   const [canGenerate, setCanGenerate] = useState(false); // Track if generation is possible
   const textareaRef = useRef(null);
   const fileInputRef = useRef(null);
+  const sceneInputRef = useRef(null);
+  const threadEndRef = useRef(null);
+
+  // Keep the latest message of the conversation thread in view
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [conversation]);
 
-  
   const handleSubmit = (e) => {
     e.preventDefault();
     if (input.trim() && !isGenerating) {
       onSendMessage(input.trim(), chartType);
-      // Don't clear input - keep it for user reference
+      // The message is kept in the conversation thread, so clear the input
+      setInput('');
     }
   };
 
@@ -167,6 +230,41 @@ export default function Chat({ onSendMessage, isGenerating }) {
     }
   };
 
+  // Load an Excalidraw scene into the import textarea
+  const handleSceneFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setImportError('');
+    try {
+      setImportSource(await readSceneFile(file));
+      setImportFormat('excalidraw');
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const handlePasteScene = async () => {
+    setImportError('');
+    try {
+      const text = await navigator.clipboard.readText();
+      if (!text.trim()) {
+        setImportError('剪贴板为空');
+        return;
+      }
+      setImportSource(text);
+      setImportFormat(parseSceneSource(text) ? 'excalidraw' : 'auto');
+    } catch {
+      setImportError('无法读取剪贴板，请检查浏览器权限或直接粘贴到输入框');
+    }
+  };
+
+  const handleCodeImport = () => {
+    if (importSource.trim() && !isGenerating) {
+      onImportDiagram?.(importSource, importFormat);
+    }
+  };
+
   return (
     <div className="flex flex-col h-full bg-white">
       {/* Header */}
@@ -215,6 +313,136 @@ export default function Chat({ onSendMessage, isGenerating }) {
         >
           图片上传
         </button>
+        <button
+          onClick={() => {
+            setActiveTab('code');
+            setCanGenerate(false);
+          }}
+          className={`flex-1 px-4 py-3 text-sm font-medium transition-colors duration-200 ${
+            activeTab === 'code'
+              ? 'bg-white text-gray-900 border-b-2 border-gray-900'
+              : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+          }`}
+        >
+          代码导入
+        </button>
+      </div>
+
+      {/* Conversation Thread */}
+      {conversation.length > 0 && (
+        <div className="border-b border-gray-200 bg-gray-50">
+          <div className="flex items-center justify-between px-4 pt-2">
+            <span className="text-xs font-medium text-gray-500">
+              {isRefining ? '对话中 · 新消息将修改当前图表' : '对话记录'}
+            </span>
+            <div className="flex items-center space-x-3">
+              {isRefining && (
+                <div className="flex rounded border border-gray-300 overflow-hidden" title="完整：返回修改后的全部元素；增量：只返回修改操作，应用前可预览">
+                  {[['full', '完整'], ['patch', '增量']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => onRefineOutputModeChange?.(mode)}
+                      disabled={isGenerating}
+                      className={`px-2 py-0.5 text-xs transition-colors duration-200 disabled:cursor-not-allowed ${
+                        refineOutputMode === mode
+                          ? 'bg-gray-900 text-white'
+                          : 'bg-white text-gray-600 hover:bg-gray-100'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <button
+                onClick={onNewConversation}
+                disabled={isGenerating}
+                className="text-xs text-gray-600 hover:text-gray-900 disabled:text-gray-300 disabled:cursor-not-allowed transition-colors duration-200"
+                title="清空对话，下一条消息将重新生成图表"
+              >
+                新对话
+              </button>
+            </div>
+          </div>
+          <div className="max-h-32 overflow-y-auto px-4 py-2 space-y-1.5">
+            {conversation.map((message) => (
+              <div
+                key={message.id}
+                className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
+              >
+                <div
+                  className={`max-w-[85%] px-2.5 py-1.5 rounded text-xs break-words whitespace-pre-wrap ${
+                    message.role === 'user'
+                      ? 'bg-gray-900 text-white'
+                      : message.status === 'error'
+                        ? 'bg-red-50 text-red-700 border border-red-200'
+                        : message.status === 'repair'
+                          ? 'bg-yellow-50 text-yellow-800 border border-yellow-200'
+                          : 'bg-white text-gray-700 border border-gray-200'
+                  }`}
+                >
+                  {message.content}
+                </div>
+              </div>
+            ))}
+            <div ref={threadEndRef} />
+          </div>
+        </div>
+      )}
+
+      {/* Self-correction Setting */}
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+        <label htmlFor="repair-attempts" className="text-xs font-medium text-gray-700" title="生成的代码无法解析或未通过校验时，自动把问题反馈给模型重新生成">
+          自动纠错
+        </label>
+        <select
+          id="repair-attempts"
+          value={maxRepairAttempts}
+          onChange={(e) => onMaxRepairAttemptsChange?.(Number(e.target.value))}
+          className="px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900 bg-white"
+          disabled={isGenerating}
+        >
+          <option value={0}>关闭</option>
+          {Array.from({ length: MAX_REPAIR_ATTEMPTS }, (_, i) => i + 1).map(attempts => (
+            <option key={attempts} value={attempts}>
+              最多 {attempts} 次
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Candidate Generation Setting */}
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+        <label htmlFor="candidate-count" className="text-xs font-medium text-gray-700" title="同时生成多个方案，比较后选择一个放到画布上（增量修改模式下不可用）">
+          候选方案
+        </label>
+        <div className="flex items-center space-x-3">
+          {candidateCount > 1 && (
+            <label className="flex items-center space-x-1 text-xs text-gray-600 cursor-pointer" title="各个候选轮流使用已保存的全部有效配置">
+              <input
+                type="checkbox"
+                checked={useAllConfigsForCandidates}
+                onChange={(e) => onUseAllConfigsForCandidatesChange?.(e.target.checked)}
+                disabled={isGenerating}
+              />
+              <span>轮流使用所有配置</span>
+            </label>
+          )}
+          <select
+            id="candidate-count"
+            value={candidateCount}
+            onChange={(e) => onCandidateCountChange?.(Number(e.target.value))}
+            className="px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900 bg-white"
+            disabled={isGenerating}
+          >
+            <option value={1}>关闭</option>
+            {Array.from({ length: MAX_CANDIDATES - 1 }, (_, i) => i + 2).map(count => (
+              <option key={count} value={count}>
+                {count} 个
+              </option>
+            ))}
+          </select>
+        </div>
       </div>
 
       {/* Content Area */}
@@ -248,7 +476,7 @@ export default function Chat({ onSendMessage, isGenerating }) {
                   value={input}
                   onChange={(e) => setInput(e.target.value)}
                   onKeyDown={handleKeyDown}
-                  placeholder="描述您想要创建的图表..."
+                  placeholder={isRefining ? '描述您想对当前图表做的修改...' : '描述您想要创建的图表...'}
                   className="w-full h-full pl-3 pr-12 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900 resize-none text-sm scrollbar-hide"
                   style={{
                     scrollbarWidth: 'none',
@@ -422,6 +650,74 @@ export default function Chat({ onSendMessage, isGenerating }) {
             />
           </div>
         )}
+
+        {/* Code Import Tab */}
+        {activeTab === 'code' && (
+          <div className="flex-1 flex flex-col p-4">
+            <div className="mb-3">
+              <label htmlFor="import-format" className="block text-xs font-medium text-gray-700 mb-1">
+                代码格式
+              </label>
+              <select
+                id="import-format"
+                value={importFormat}
+                onChange={(e) => setImportFormat(e.target.value)}
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900 bg-white"
+                disabled={isGenerating}
+              >
+                {Object.entries(IMPORT_FORMAT_OPTIONS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">
+              支持 Mermaid（流程图/时序图/类图/状态图/ER 图）、PlantUML（时序图/类图/组件图）、Graphviz DOT 和 Excalidraw 场景，在本地转换，不消耗模型额度
+            </p>
+            <div className="flex space-x-2 mb-2">
+              <input
+                ref={sceneInputRef}
+                type="file"
+                accept=".excalidraw,.json,.svg,.png"
+                onChange={handleSceneFileChange}
+                className="hidden"
+              />
+              <button
+                onClick={() => sceneInputRef.current?.click()}
+                disabled={isGenerating}
+                className="flex-1 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
+              >
+                打开场景文件
+              </button>
+              <button
+                onClick={handlePasteScene}
+                disabled={isGenerating}
+                className="flex-1 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
+              >
+                从剪贴板粘贴
+              </button>
+            </div>
+            {importError && (
+              <p className="text-xs text-red-600 mb-2">{importError}</p>
+            )}
+            <textarea
+              value={importSource}
+              onChange={(e) => setImportSource(e.target.value)}
+              placeholder={IMPORT_PLACEHOLDERS[importFormat]}
+              spellCheck={false}
+              className="flex-1 w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900 resize-none text-sm font-mono"
+              disabled={isGenerating}
+            />
+            <button
+              onClick={handleCodeImport}
+              disabled={!importSource.trim() || isGenerating}
+              className="mt-3 w-full px-4 py-2 bg-gray-900 text-white text-sm rounded hover:bg-gray-800 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+              转换为图表
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,16 +1,27 @@
 'use client';
 
 import { Editor } from '@monaco-editor/react';
+import { LAYOUT_CHART_TYPES } from '@/lib/auto-layout';
+
+export default function CodeEditor({ code, onChange, onApply, onOptimize, onRelayout, layoutChartType, onLayoutChartTypeChange, onClear, jsonError, onClearJsonError, validationIssues, onClearValidationIssues, syncConflict, onResolveSyncConflict, isGenerating, isApplyingCode, isOptimizingCode, isRelayoutingCode, versionCount, onOpenHistory }) {
+  const isBusy = isGenerating || isApplyingCode || isOptimizingCode || isRelayoutingCode;
 
-export default function CodeEditor({ code, onChange, onApply, onOptimize, onClear, jsonError, onClearJsonError, isGenerating, isApplyingCode, isOptimizingCode }) {
   return (
     <div className="flex relative flex-col h-full bg-gray-50 border-t border-gray-200">
       <div className="flex items-center justify-between px-4 py-3 bg-white border-b border-gray-200">
         <h3 className="text-sm font-semibold text-gray-700">生成的代码</h3>
         <div className="flex space-x-2">
+          <button
+            onClick={onOpenHistory}
+            disabled={isBusy}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
+            title="查看历史版本并与当前代码对比"
+          >
+            历史{versionCount > 0 && ` (${versionCount})`}
+          </button>
           <button
             onClick={onClear}
-            disabled={isGenerating || isApplyingCode || isOptimizingCode}
+            disabled={isBusy}
             className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
           >
             清除
@@ -20,10 +31,10 @@ export default function CodeEditor({ code, onChange, onApply, onOptimize, onClea
           </button>
           <button
             onClick={onOptimize}
-            disabled={isGenerating || isApplyingCode || isOptimizingCode || !code.trim()}
+            disabled={isBusy || !code.trim()}
             className="px-4 py-2 text-sm font-medium text-white rounded disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
             style={{
-              background: isGenerating || isApplyingCode || isOptimizingCode ? '#d1d5db' : 'linear-gradient(135deg, #667eea 0%, #764ba2 50%, #f093fb 100%)'
+              background: isBusy ? '#d1d5db' : 'linear-gradient(135deg, #667eea 0%, #764ba2 50%, #f093fb 100%)'
             }}
             title="优化图标布局和箭头连接"
           >
@@ -41,9 +52,33 @@ export default function CodeEditor({ code, onChange, onApply, onOptimize, onClea
               </>
             )}
           </button>
+          <div className="flex items-center rounded border border-gray-300 overflow-hidden">
+            <select
+              value={layoutChartType}
+              onChange={(e) => onLayoutChartTypeChange(e.target.value)}
+              disabled={isBusy}
+              className="h-full pl-2 pr-1 text-sm text-gray-700 bg-white border-r border-gray-300 focus:outline-none disabled:bg-gray-100 disabled:text-gray-400"
+              title="重新布局使用的图表类型"
+            >
+              {Object.entries(LAYOUT_CHART_TYPES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={onRelayout}
+              disabled={isBusy || !code.trim()}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
+              title="根据连线关系重新计算节点位置"
+            >
+              {isRelayoutingCode && (
+                <div className="w-3 h-3 border-2 border-gray-500 border-t-transparent rounded-full animate-spin"></div>
+              )}
+              <span>{isRelayoutingCode ? '布局中...' : '重新布局'}</span>
+            </button>
+          </div>
           <button
             onClick={onApply}
-            disabled={isGenerating || isApplyingCode || isOptimizingCode || !code.trim()}
+            disabled={isBusy || !code.trim()}
             className="px-4 py-2 text-sm font-medium text-white bg-gray-900 rounded hover:bg-gray-800 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
           >
             {isApplyingCode ? (
@@ -73,6 +108,29 @@ export default function CodeEditor({ code, onChange, onApply, onOptimize, onClea
         </div>
       </div>
 
+      {/* Canvas Sync Conflict Banner */}
+      {syncConflict && (
+        <div className="flex items-center justify-between px-4 py-2 bg-amber-50 border-b border-amber-200">
+          <p className="text-sm text-amber-800">画布上的修改与编辑器中未应用的代码冲突，请选择保留哪一边</p>
+          <div className="flex flex-shrink-0 ml-3 space-x-2">
+            <button
+              onClick={() => onResolveSyncConflict('canvas')}
+              className="px-3 py-1 text-sm font-medium text-amber-800 bg-white border border-amber-300 rounded hover:bg-amber-100 transition-colors duration-200"
+              title="用画布内容覆盖编辑器中的代码"
+            >
+              采用画布
+            </button>
+            <button
+              onClick={() => onResolveSyncConflict('code')}
+              className="px-3 py-1 text-sm font-medium text-white bg-gray-900 rounded hover:bg-gray-800 transition-colors duration-200"
+              title="把编辑器中的代码应用到画布，放弃画布上的修改"
+            >
+              采用代码
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* JSON Error Banner */}
       {jsonError && (
         <div className="absolute bottom-0 z-1 border-b border-red-200 px-4 py-3 flex items-start justify-between bg-white" >
@@ -95,6 +153,35 @@ export default function CodeEditor({ code, onChange, onApply, onOptimize, onClea
         </div>
       )}
 
+      {/* Validation Issues Panel */}
+      {!jsonError && validationIssues && (
+        <div className="absolute bottom-0 left-0 right-0 z-1 border-t border-gray-200 px-4 py-3 bg-white">
+          <div className="flex items-start justify-between">
+            <p className={`text-sm font-medium ${validationIssues.errors.length > 0 ? 'text-red-700' : 'text-green-700'}`}>
+              {validationIssues.errors.length > 0 && `校验发现 ${validationIssues.errors.length} 个问题`}
+              {validationIssues.errors.length > 0 && validationIssues.fixes.length > 0 && '，'}
+              {validationIssues.fixes.length > 0 && `已自动修复 ${validationIssues.fixes.length} 处`}
+            </p>
+            <button
+              onClick={onClearValidationIssues}
+              className="text-gray-500 hover:text-gray-700 transition-colors ml-2"
+            >
+              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+              </svg>
+            </button>
+          </div>
+          <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto font-mono" style={{ fontSize: '12px' }}>
+            {validationIssues.errors.map((issue, index) => (
+              <li key={`error-${index}`} className="text-red-700">✕ {issue.message}</li>
+            ))}
+            {validationIssues.fixes.map((issue, index) => (
+              <li key={`fix-${index}`} className="text-green-700">✓ {issue.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="flex-1">
         <Editor
           height="100%"
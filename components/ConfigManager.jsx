@@ -1,7 +1,8 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { configManager } from '../lib/config-manager.js';
+import { configManager, PROVIDER_TYPES, isApiKeyRequired } from '../lib/config-manager.js';
+import OllamaPullButton from './OllamaPullButton';
 import Notification from './Notification';
 import ConfirmDialog from './ConfirmDialog';
 import BuiltinStatus from './BuiltinStatus';
@@ -469,7 +470,7 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
   }, [models, formData.model]);
 
   const handleLoadModels = async () => {
-    if (!formData.type || !formData.baseUrl || !formData.apiKey) {
+    if (!formData.type || !formData.baseUrl || (!formData.apiKey && isApiKeyRequired(formData.type))) {
       setError('请先填写提供商类型、基础 URL 和 API 密钥');
       return;
     }
@@ -481,7 +482,7 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
       const params = new URLSearchParams({
         type: formData.type,
         baseUrl: formData.baseUrl,
-        apiKey: formData.apiKey,
+        apiKey: formData.apiKey || '',
       });
 
       const response = await fetch(`/api/models?${params}`);
@@ -501,7 +502,7 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
   };
 
   const handleSave = () => {
-    if (!formData.name || !formData.type || !formData.baseUrl || !formData.apiKey || !formData.model) {
+    if (!formData.name || !formData.type || !formData.baseUrl || (!formData.apiKey && isApiKeyRequired(formData.type)) || !formData.model) {
       setError('请填写所有必填字段');
       return;
     }
@@ -572,8 +573,9 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
               onChange={(e) => setFormData({ ...formData, type: e.target.value, model: '' })}
               className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900"
             >
-              <option value="openai">OpenAI</option>
-              <option value="anthropic">Anthropic</option>
+              {Object.entries(PROVIDER_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
             </select>
           </div>
 
@@ -585,20 +587,20 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
               type="text"
               value={formData.baseUrl}
               onChange={(e) => setFormData({ ...formData, baseUrl: e.target.value })}
-              placeholder={formData.type === 'openai' ? 'https://api.openai.com/v1' : 'https://api.anthropic.com/v1'}
+              placeholder={PROVIDER_TYPES[formData.type]?.baseUrl}
               className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900"
             />
           </div>
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              API 密钥 <span className="text-red-500">*</span>
+              API 密钥 {isApiKeyRequired(formData.type) && <span className="text-red-500">*</span>}
             </label>
             <input
               type="password"
               value={formData.apiKey}
               onChange={(e) => setFormData({ ...formData, apiKey: e.target.value })}
-              placeholder="sk-..."
+              placeholder={isApiKeyRequired(formData.type) ? 'sk-...' : '本地服务可留空'}
               className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900"
             />
           </div>
@@ -672,7 +674,46 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
                 className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900"
               />
             )}
+
+            {formData.type === 'ollama' && (
+              <OllamaPullButton
+                baseUrl={formData.baseUrl}
+                apiKey={formData.apiKey}
+                model={formData.model}
+                onPulled={handleLoadModels}
+              />
+            )}
           </div>
+
+          {PROVIDER_TYPES[formData.type]?.structuredOutput && (
+            <label className="flex items-start cursor-pointer" title="按元素的 JSON Schema 约束模型输出，减少格式错误；提供商不支持时请关闭，改为从文本中解析">
+              <input
+                type="checkbox"
+                checked={!!formData.structuredOutput}
+                onChange={(e) => setFormData({ ...formData, structuredOutput: e.target.checked })}
+                className="mt-0.5 mr-2"
+              />
+              <span className="text-sm text-gray-700">
+                结构化输出
+                <span className="block text-xs text-gray-500">需要提供商支持 JSON Schema（OpenAI）或工具调用（Anthropic）</span>
+              </span>
+            </label>
+          )}
+
+          {PROVIDER_TYPES[formData.type]?.toolCalling && (
+            <label className="flex items-start cursor-pointer" title="模型通过 add_node、connect 等工具逐步构建新图表，由服务器保证 id 和连线绑定有效；修改已有图表时仍使用 JSON 输出">
+              <input
+                type="checkbox"
+                checked={!!formData.toolCalling}
+                onChange={(e) => setFormData({ ...formData, toolCalling: e.target.checked })}
+                className="mt-0.5 mr-2"
+              />
+              <span className="text-sm text-gray-700">
+                工具调用构建
+                <span className="block text-xs text-gray-500">需要模型支持工具调用（function calling）</span>
+              </span>
+            </label>
+          )}
         </div>
 
         <div className="flex justify-end space-x-3 px-6 py-4 border-t border-gray-200">
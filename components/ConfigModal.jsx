@@ -1,7 +1,8 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { configManager } from '../lib/config-manager.js';
+import { configManager, PROVIDER_TYPES, isApiKeyRequired } from '../lib/config-manager.js';
+import OllamaPullButton from './OllamaPullButton';
 
 export default function ConfigModal({ isOpen, onClose, onSave, initialConfig, showManager = false }) {
   const [config, setConfig] = useState({
@@ -36,7 +37,7 @@ export default function ConfigModal({ isOpen, onClose, onSave, initialConfig, sh
   }, [models, config.model]);
 
   const handleLoadModels = async () => {
-    if (!config.type || !config.baseUrl || !config.apiKey) {
+    if (!config.type || !config.baseUrl || (!config.apiKey && isApiKeyRequired(config.type))) {
       setError('请先填写提供商类型、基础 URL 和 API 密钥');
       return;
     }
@@ -48,7 +49,7 @@ export default function ConfigModal({ isOpen, onClose, onSave, initialConfig, sh
       const params = new URLSearchParams({
         type: config.type,
         baseUrl: config.baseUrl,
-        apiKey: config.apiKey,
+        apiKey: config.apiKey || '',
       });
 
       const response = await fetch(`/api/models?${params}`);
@@ -78,7 +79,7 @@ export default function ConfigModal({ isOpen, onClose, onSave, initialConfig, sh
   };
 
   const handleSave = () => {
-    if (!config.type || !config.baseUrl || !config.apiKey || !config.model) {
+    if (!config.type || !config.baseUrl || (!config.apiKey && isApiKeyRequired(config.type)) || !config.model) {
       setError('请填写所有必填字段');
       return;
     }
@@ -144,8 +145,9 @@ export default function ConfigModal({ isOpen, onClose, onSave, initialConfig, sh
               onChange={(e) => setConfig({ ...config, type: e.target.value, model: '' })}
               className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900"
             >
-              <option value="openai">OpenAI</option>
-              <option value="anthropic">Anthropic</option>
+              {Object.entries(PROVIDER_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
             </select>
           </div>
 
@@ -158,7 +160,7 @@ export default function ConfigModal({ isOpen, onClose, onSave, initialConfig, sh
               type="text"
               value={config.baseUrl}
               onChange={(e) => setConfig({ ...config, baseUrl: e.target.value })}
-              placeholder={config.type === 'openai' ? 'https://api.openai.com/v1' : 'https://api.anthropic.com/v1'}
+              placeholder={PROVIDER_TYPES[config.type]?.baseUrl}
               className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900"
             />
           </div>
@@ -166,13 +168,13 @@ export default function ConfigModal({ isOpen, onClose, onSave, initialConfig, sh
           {/* API Key */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              API 密钥 <span className="text-red-500">*</span>
+              API 密钥 {isApiKeyRequired(config.type) && <span className="text-red-500">*</span>}
             </label>
             <input
               type="password"
               value={config.apiKey}
               onChange={(e) => setConfig({ ...config, apiKey: e.target.value })}
-              placeholder="sk-..."
+              placeholder={isApiKeyRequired(config.type) ? 'sk-...' : '本地服务可留空'}
               className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900"
             />
           </div>
@@ -252,7 +254,46 @@ export default function ConfigModal({ isOpen, onClose, onSave, initialConfig, sh
                 className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-900"
               />
             )}
+
+            {config.type === 'ollama' && (
+              <OllamaPullButton
+                baseUrl={config.baseUrl}
+                apiKey={config.apiKey}
+                model={config.model}
+                onPulled={handleLoadModels}
+              />
+            )}
           </div>
+
+          {PROVIDER_TYPES[config.type]?.structuredOutput && (
+            <label className="flex items-start cursor-pointer" title="按元素的 JSON Schema 约束模型输出，减少格式错误；提供商不支持时请关闭，改为从文本中解析">
+              <input
+                type="checkbox"
+                checked={!!config.structuredOutput}
+                onChange={(e) => setConfig({ ...config, structuredOutput: e.target.checked })}
+                className="mt-0.5 mr-2"
+              />
+              <span className="text-sm text-gray-700">
+                结构化输出
+                <span className="block text-xs text-gray-500">需要提供商支持 JSON Schema（OpenAI）或工具调用（Anthropic）</span>
+              </span>
+            </label>
+          )}
+
+          {PROVIDER_TYPES[config.type]?.toolCalling && (
+            <label className="flex items-start cursor-pointer" title="模型通过 add_node、connect 等工具逐步构建新图表，由服务器保证 id 和连线绑定有效；修改已有图表时仍使用 JSON 输出">
+              <input
+                type="checkbox"
+                checked={!!config.toolCalling}
+                onChange={(e) => setConfig({ ...config, toolCalling: e.target.checked })}
+                className="mt-0.5 mr-2"
+              />
+              <span className="text-sm text-gray-700">
+                工具调用构建
+                <span className="block text-xs text-gray-500">需要模型支持工具调用（function calling）</span>
+              </span>
+            </label>
+          )}
         </div>
 
         {/* Footer */}
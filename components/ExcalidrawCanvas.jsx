@@ -1,8 +1,9 @@
 'use client';
 
 import dynamic from 'next/dynamic';
-import { useState, useEffect, useMemo, useRef } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import '@excalidraw/excalidraw/index.css';
+import { reconcileSceneElements } from '@/lib/scene-reconciler';
 
 // Dynamically import Excalidraw with no SSR
 const Excalidraw = dynamic(
@@ -10,140 +11,160 @@ const Excalidraw = dynamic(
   { ssr: false }
 );
 
-// Dynamically import convertToExcalidrawElements
-const getConvertFunction = async () => {
+// Dynamically import convertToExcalidrawElements and the undo capture modes for updateScene
+const getExcalidrawUtils = async () => {
   const excalidrawModule = await import('@excalidraw/excalidraw');
-  return excalidrawModule.convertToExcalidrawElements;
+  return {
+    convertToExcalidrawElements: excalidrawModule.convertToExcalidrawElements,
+    CaptureUpdateAction: excalidrawModule.CaptureUpdateAction,
+  };
 };
 
+// 画布手动编辑同步到代码编辑器的防抖时间
+const SCENE_SYNC_DEBOUNCE_MS = 600;
+
 /**
- * 为元素数组生成唯一的签名，用于检测内容变化
- * 使用元素的关键属性（id、type、位置）来生成稳定的标识
+ * 生成画布内容的签名，用于判断是否发生了用户可见的修改
+ * 忽略文本元素的尺寸和 label 文本的位置（字体加载后 Excalidraw 会重新测量），以及选中、滚动等状态变化
  */
-const createElementsSignature = (elements) => {
-  if (!elements || !Array.isArray(elements) || elements.length === 0) {
-    return '';
-  }
-
-  return elements
-    .map((el) => {
-      const id = el.id || '';
-      const type = el.type || '';
-      const x = Math.round(el.x ?? 0);
-      const y = Math.round(el.y ?? 0);
-      return `${id}:${type}:${x}:${y}`;
-    })
-    .join('|');
-};
-
-export default function ExcalidrawCanvas({ elements }) {
-  const [convertToExcalidrawElements, setConvertFunction] = useState(null);
+const createSceneSignature = (elements) => elements
+  .filter((el) => !el.isDeleted)
+  .map((el) => [
+    el.id,
+    el.type,
+    el.containerId ? '' : `${Math.round(el.x)},${Math.round(el.y)}`,
+    el.type === 'text' ? '' : `${Math.round(el.width)}x${Math.round(el.height)}`,
+    el.originalText ?? el.text ?? '',
+    el.strokeColor,
+    el.backgroundColor,
+    el.startBinding?.elementId ?? '',
+    el.endBinding?.elementId ?? '',
+    el.points?.map(([px, py]) => `${Math.round(px)},${Math.round(py)}`).join(';') ?? '',
+  ].join(':'))
+  .join('|');
+
+// 完整的 Excalidraw 元素带有 versionNonce，骨架元素没有
+const isSceneElement = (el) => 'versionNonce' in el;
+
+// isPreview：elements 是临时叠加的内容（例如版本差异），进入、切换和退出预览都不写入撤销记录
+export default function ExcalidrawCanvas({ elements, isStreaming = false, isPreview = false, onApiReady, onSceneChange }) {
+  const [excalidrawUtils, setExcalidrawUtils] = useState(null);
   const [excalidrawAPI, setExcalidrawAPI] = useState(null);
 
-  // 使用 ref 保存最后一次成功转换的元素，避免转换失败时清空画布
-  const lastValidElementsRef = useRef([]);
-  // 使用 ref 保存最后一次滚动的签名，避免重复触发滚动
-  const lastScrollSignatureRef = useRef('');
+  // 最后一次看到的画布签名，用于区分用户编辑和程序更新
+  const lastSceneSignatureRef = useRef('');
+  const sceneSyncTimerRef = useRef(null);
+  // 换成新图后持续缩放到内容，直到流式生成结束
+  const followContentRef = useRef(false);
+  const onSceneChangeRef = useRef(onSceneChange);
+  // 上一次写入的是否为预览内容，退出预览时恢复原内容同样不能进入撤销记录
+  const wasPreviewRef = useRef(false);
+
+  useEffect(() => {
+    onSceneChangeRef.current = onSceneChange;
+  }, [onSceneChange]);
 
-  // Load convert function on mount
+  // Load Excalidraw utilities on mount
   useEffect(() => {
-    getConvertFunction().then(fn => {
-      setConvertFunction(() => fn);
-    });
+    getExcalidrawUtils().then(setExcalidrawUtils);
   }, []);
 
-  // Convert elements to Excalidraw format
-  const convertedElements = useMemo(() => {
-    // 如果输入的元素为空，清空上次的状态并返回空数组
-    if (!elements || elements.length === 0) {
-      lastValidElementsRef.current = [];
-      lastScrollSignatureRef.current = '';
-      return [];
-    }
+  // 组件卸载时丢弃尚未同步的修改
+  useEffect(() => () => clearTimeout(sceneSyncTimerRef.current), []);
 
-    // 如果转换函数还未加载，返回上次的有效元素（避免闪烁）
-    if (!convertToExcalidrawElements) {
-      return lastValidElementsRef.current;
+  // Push element changes into the mounted scene, reconciled by element id
+  // Keeps undo history, selection and viewport instead of remounting Excalidraw
+  useEffect(() => {
+    if (!excalidrawAPI || !excalidrawUtils) return;
+
+    const { convertToExcalidrawElements, CaptureUpdateAction } = excalidrawUtils;
+    let converted = [];
+    if (elements && elements.length > 0 && elements.some(isSceneElement)) {
+      // 已经是完整的 Excalidraw 元素（例如从工作区恢复的场景），直接使用
+      converted = elements;
+    } else if (elements && elements.length > 0) {
+      try {
+        // 保留骨架中的 id，才能与画布上的元素一一对应
+        converted = convertToExcalidrawElements(elements, { regenerateIds: false });
+      } catch (error) {
+        // 转换失败时保留画布上的内容
+        console.error('Failed to convert elements:', error);
+        return;
+      }
+      if (converted.length === 0) {
+        console.warn('Element conversion returned empty array, keeping current content');
+        return;
+      }
     }
 
-    try {
-      const converted = convertToExcalidrawElements(elements);
-
-      // 验证转换结果是否有效
-      if (Array.isArray(converted) && converted.length > 0) {
-        lastValidElementsRef.current = converted;
-        return converted;
-      }
+    const { elements: nextElements, changed, isFreshScene } = reconcileSceneElements(
+      excalidrawAPI.getSceneElementsIncludingDeleted(),
+      converted
+    );
 
-      // 转换结果为空，保留上次的有效内容（避免闪烁）
-      console.warn('Element conversion returned empty array, keeping last valid content');
-      return lastValidElementsRef.current;
-    } catch (error) {
-      console.error('Failed to convert elements:', error);
-      // 转换失败时，保留上次的有效元素
-      return lastValidElementsRef.current;
+    // 流式生成过程中的更新合并到生成结束后的一次撤销记录中，预览内容不进入撤销记录
+    let captureUpdate = isStreaming ? CaptureUpdateAction.EVENTUALLY : CaptureUpdateAction.IMMEDIATELY;
+    if (isPreview || wasPreviewRef.current) {
+      captureUpdate = CaptureUpdateAction.NEVER;
     }
-  }, [elements, convertToExcalidrawElements]);
-
-  // Auto zoom to fit content when API is ready and elements change
-  useEffect(() => {
-    // API 未就绪或没有内容时不执行滚动
-    if (!excalidrawAPI || convertedElements.length === 0) {
-      lastScrollSignatureRef.current = '';
-      return;
+    wasPreviewRef.current = isPreview;
+    if (changed || !isStreaming) {
+      excalidrawAPI.updateScene({ elements: nextElements, captureUpdate });
     }
 
-    // 生成当前内容的签名
-    const currentSignature = createElementsSignature(convertedElements);
+    // 程序写入的内容不是用户编辑，不同步回代码编辑器
+    clearTimeout(sceneSyncTimerRef.current);
+    lastSceneSignatureRef.current = createSceneSignature(excalidrawAPI.getSceneElements());
 
-    // 签名为空或与上次相同时不重复滚动
-    if (!currentSignature || currentSignature === lastScrollSignatureRef.current) {
-      return;
+    // 换成一张新图时缩放到合适大小，修改当前图时保持用户的视口
+    if (changed && isFreshScene && converted.length > 0) {
+      followContentRef.current = true;
     }
+    const shouldScroll = followContentRef.current && (changed || !isStreaming);
+    if (!isStreaming) {
+      followContentRef.current = false;
+    }
+    if (!shouldScroll) return;
 
-    // 更新签名并执行滚动
-    lastScrollSignatureRef.current = currentSignature;
-
-    // 延迟执行以确保元素已经渲染
     const timeout = setTimeout(() => {
-      excalidrawAPI.scrollToContent(convertedElements, {
+      excalidrawAPI.scrollToContent(excalidrawAPI.getSceneElements(), {
         fitToContent: true,
         animate: true,
         duration: 300,
       });
     }, 100);
-
-    // 清理函数：组件卸载或依赖变化时清除定时器
     return () => clearTimeout(timeout);
-  }, [excalidrawAPI, convertedElements]);
+  }, [excalidrawAPI, excalidrawUtils, elements, isStreaming, isPreview]);
 
-  // Generate unique key when elements change to force remount
-  const canvasKey = useMemo(() => {
-    if (convertedElements.length === 0) {
-      return 'empty';
-    }
+  // Sync manual canvas edits back as debounced scene snapshots
+  const handleChange = (sceneElements) => {
+    if (!onSceneChangeRef.current) return;
+
+    const signature = createSceneSignature(sceneElements);
+    if (signature === lastSceneSignatureRef.current) return;
 
-    // 使用完整的元素签名而不是截断的 JSON
-    // 这样可以确保相同内容产生相同的 key，避免不必要的重新挂载
-    const signature = createElementsSignature(convertedElements);
-    return signature ? `canvas-${signature.slice(0, 100)}-${convertedElements.length}` : 'content';
-  }, [convertedElements]);
+    lastSceneSignatureRef.current = signature;
+    clearTimeout(sceneSyncTimerRef.current);
+    sceneSyncTimerRef.current = setTimeout(() => {
+      onSceneChangeRef.current?.(sceneElements);
+    }, SCENE_SYNC_DEBOUNCE_MS);
+  };
 
   return (
     <div className="w-full h-full">
       <Excalidraw
-        key={canvasKey}
-        excalidrawAPI={(api) => setExcalidrawAPI(api)}
+        excalidrawAPI={(api) => {
+          setExcalidrawAPI(api);
+          onApiReady?.(api);
+        }}
+        onChange={handleChange}
         initialData={{
-          elements: convertedElements,
           appState: {
             viewBackgroundColor: '#ffffff',
             currentItemFontFamily: 1,
           },
-          scrollToContent: true,
         }}
       />
     </div>
   );
 }
-
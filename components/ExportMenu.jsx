@@ -0,0 +1,101 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { EXPORT_FORMATS, PNG_EXPORT_SCALES } from '@/lib/diagram-export';
+
+export default function ExportMenu({ onExport, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [scale, setScale] = useState(2);
+  const [background, setBackground] = useState('white'); // 'white' or 'transparent'
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      await onExport(format, { scale, background });
+      setIsOpen(false);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
+      >
+        导出
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-2 w-64 p-3 bg-white border border-gray-200 rounded shadow-lg space-y-3">
+          <div className="space-y-2">
+            <p className="text-xs font-medium text-gray-500">图片选项</p>
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-700">PNG 缩放</span>
+              <select
+                value={scale}
+                onChange={(e) => setScale(Number(e.target.value))}
+                className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-900"
+              >
+                {PNG_EXPORT_SCALES.map(value => (
+                  <option key={value} value={value}>{value}x</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-700">背景</span>
+              <div className="flex space-x-3 text-sm text-gray-700">
+                <label className="flex items-center space-x-1 cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={background === 'white'}
+                    onChange={() => setBackground('white')}
+                  />
+                  <span>白色</span>
+                </label>
+                <label className="flex items-center space-x-1 cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={background === 'transparent'}
+                    onChange={() => setBackground('transparent')}
+                  />
+                  <span>透明</span>
+                </label>
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2 pt-3 border-t border-gray-100">
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={exportingFormat !== null}
+                className="px-3 py-2 text-sm font-medium text-gray-700 bg-gray-50 border border-gray-200 rounded hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
+              >
+                {exportingFormat === format ? '导出中...' : label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">导出文件会附带原始提示词，SVG 和 PNG 可重新导入 Excalidraw 编辑</p>
+        </div>
+      )}
+    </div>
+  );
+}
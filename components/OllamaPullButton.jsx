@@ -0,0 +1,97 @@
+'use client';
+
+import { useState } from 'react';
+
+// 把字节数格式化为 GB / MB
+const formatBytes = (bytes) => (bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)} GB` : `${Math.round(bytes / 1e6)} MB`);
+
+/**
+ * 拉取状态文本，下载层时带上进度
+ */
+const describeProgress = ({ status, total, completed }) => {
+  if (!total) return status;
+  const percent = Math.floor(((completed || 0) / total) * 100);
+  return `${status} ${percent}%（${formatBytes(completed || 0)} / ${formatBytes(total)}）`;
+};
+
+export default function OllamaPullButton({ baseUrl, apiKey, model, onPulled }) {
+  const [isPulling, setIsPulling] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState('');
+
+  const handlePull = async () => {
+    if (!baseUrl || !model) {
+      setError('请先填写基础 URL 和模型名称');
+      return;
+    }
+
+    setIsPulling(true);
+    setError('');
+    setProgress('正在连接 Ollama...');
+
+    try {
+      const response = await fetch('/api/models/pull', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ baseUrl, apiKey, model }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || '拉取模型失败');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let pullError = '';
+      let finished = false;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.startsWith('data: ') || line.trim() === 'data: [DONE]') continue;
+          const data = JSON.parse(line.slice(6));
+          if (data.pull) {
+            setProgress(describeProgress(data.pull));
+          } else if (data.error) {
+            pullError = data.error;
+          } else if (data.done) {
+            finished = true;
+          }
+        }
+      }
+
+      if (pullError) throw new Error(pullError);
+      if (!finished) throw new Error('拉取中断，请重试');
+      setProgress(`${model} 已安装`);
+      onPulled?.(model);
+    } catch (err) {
+      setError(err.message);
+      setProgress('');
+    } finally {
+      setIsPulling(false);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <button
+        type="button"
+        onClick={handlePull}
+        disabled={isPulling || !model}
+        className="px-3 py-1.5 text-sm bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:bg-gray-50 disabled:text-gray-400 transition-colors duration-200"
+        title="下载该模型到本地 Ollama，已安装的模型会检查更新"
+      >
+        {isPulling ? '拉取中...' : '拉取模型'}
+      </button>
+      {progress && <p className="mt-1 text-xs text-gray-500">{progress}</p>}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+'use client';
+
+const SECTIONS = [
+  { key: 'added', title: '新增', badge: 'bg-green-100 text-green-800', symbol: '+' },
+  { key: 'updated', title: '更新', badge: 'bg-blue-100 text-blue-800', symbol: '~' },
+  { key: 'rebound', title: '重新绑定', badge: 'bg-purple-100 text-purple-800', symbol: '↔' },
+  { key: 'deleted', title: '删除', badge: 'bg-red-100 text-red-800', symbol: '−' },
+];
+
+export default function PatchPreview({ patch, onConfirm, onCancel }) {
+  if (!patch) return null;
+
+  const { summary, issues } = patch;
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity !== 'error');
+  const changeCount = SECTIONS.reduce((total, section) => total + summary[section.key].length, 0);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50"
+        onClick={onCancel}
+      />
+
+      {/* Dialog Content */}
+      <div className="relative bg-white rounded-lg border border-gray-300 w-full max-w-lg mx-4 shadow-xl max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">预览增量修改</h2>
+          <p className="text-xs text-gray-500 mt-1">
+            共 {changeCount} 项有效修改{errors.length > 0 && `，${errors.length} 项操作无效将被跳过`}
+          </p>
+        </div>
+
+        {/* Body */}
+        <div className="px-6 py-4 space-y-4 overflow-y-auto">
+          {SECTIONS.map(section => summary[section.key].length > 0 && (
+            <div key={section.key}>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">
+                {section.title}（{summary[section.key].length}）
+              </h3>
+              <ul className="space-y-1">
+                {summary[section.key].map((item, index) => (
+                  <li key={`${section.key}-${item.id || index}`} className="flex items-start space-x-2 text-xs">
+                    <span className={`px-1.5 rounded font-mono ${section.badge}`}>{section.symbol}</span>
+                    <span className="text-gray-700 break-all">
+                      <span className="font-mono">{item.id || '(无 id)'}</span>
+                      {item.description && <span className="text-gray-500"> · {item.description}</span>}
+                      {item.changes && <span className="text-gray-500"> · {item.changes.join(', ')}</span>}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+
+          {changeCount === 0 && (
+            <p className="text-sm text-gray-500">补丁中没有可应用的修改</p>
+          )}
+
+          {(errors.length > 0 || warnings.length > 0) && (
+            <div className="space-y-1">
+              {errors.map((issue, index) => (
+                <p key={`error-${index}`} className="text-xs text-red-700 bg-red-50 border border-red-200 rounded px-2 py-1">
+                  {issue.message}
+                </p>
+              ))}
+              {warnings.map((issue, index) => (
+                <p key={`warning-${index}`} className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded px-2 py-1">
+                  {issue.message}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end space-x-3 px-6 py-4 border-t border-gray-200">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            放弃修改
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={changeCount === 0}
+            className="px-4 py-2 text-sm font-medium text-white bg-gray-900 rounded-md hover:bg-gray-800 disabled:bg-gray-300 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-offset-2"
+          >
+            应用修改
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+'use client';
+
+import { useState } from 'react';
+import { DIAGRAM_LINT_RULES } from '@/lib/diagram-lint';
+
+const SEVERITY_STYLES = {
+  error: 'text-red-700',
+  warning: 'text-yellow-700',
+  info: 'text-gray-600',
+};
+
+const SEVERITY_ICONS = { error: '✕', warning: '!', info: 'i' };
+
+// 分数颜色：80 分以上为绿色，60 分以上为黄色，否则为红色
+export const getScoreColor = (score) => {
+  if (score >= 80) return 'text-green-700';
+  if (score >= 60) return 'text-yellow-700';
+  return 'text-red-700';
+};
+
+export default function QualityPanel({ quality, onSelectElements }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!quality) return null;
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="flex flex-col items-center flex-shrink-0 w-12 py-3 space-y-1 bg-white border-t border-l border-gray-200 hover:bg-gray-50 transition-colors duration-200"
+        title="展开质量检查"
+      >
+        <span className="text-xs text-gray-500">质量</span>
+        <span className={`text-lg font-semibold ${getScoreColor(quality.score)}`}>{quality.score}</span>
+        {quality.issues.length > 0 && <span className="text-xs text-gray-400">{quality.issues.length} 项</span>}
+      </button>
+    );
+  }
+
+  return (
+    <div className="flex flex-col flex-shrink-0 w-64 bg-white border-t border-l border-gray-200">
+      <div className="flex items-center justify-between px-3 py-3 border-b border-gray-200">
+        <h3 className="text-sm font-semibold text-gray-700">
+          质量评分 <span className={getScoreColor(quality.score)}>{quality.score}</span>
+        </h3>
+        <button
+          onClick={() => setIsOpen(false)}
+          className="text-gray-500 hover:text-gray-700 transition-colors"
+          title="收起"
+        >
+          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-1 px-3 py-2 border-b border-gray-100">
+        {Object.entries(DIAGRAM_LINT_RULES).map(([rule, label]) => (
+          <span
+            key={rule}
+            className={`px-1.5 py-0.5 text-xs rounded ${quality.counts[rule] ? 'bg-yellow-50 text-yellow-800' : 'bg-gray-50 text-gray-400'}`}
+          >
+            {label} {quality.counts[rule] || 0}
+          </span>
+        ))}
+      </div>
+
+      <ul className="flex-1 overflow-y-auto">
+        {quality.issues.length === 0 && (
+          <li className="px-3 py-6 text-sm text-center text-green-700">没有发现问题</li>
+        )}
+        {quality.issues.map((issue, index) => (
+          <li key={index}>
+            <button
+              onClick={() => onSelectElements(issue.elementIds)}
+              disabled={issue.elementIds.length === 0}
+              className={`w-full px-3 py-2 text-left border-b border-gray-100 hover:bg-gray-50 disabled:cursor-default disabled:hover:bg-white ${SEVERITY_STYLES[issue.severity]}`}
+              style={{ fontSize: '12px' }}
+              title={issue.elementIds.length > 0 ? '在画布上选中相关元素' : undefined}
+            >
+              <span className="mr-1 font-mono">{SEVERITY_ICONS[issue.severity]}</span>
+              {issue.message}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
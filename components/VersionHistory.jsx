@@ -0,0 +1,95 @@
+'use client';
+
+import { DiffEditor } from '@monaco-editor/react';
+import { VERSION_SOURCES, DIFF_COLORS } from '@/lib/version-history';
+
+const DIFF_LEGEND = [
+  { key: 'added', label: '新增' },
+  { key: 'removed', label: '删除' },
+  { key: 'moved', label: '移动' },
+  { key: 'changed', label: '修改' },
+];
+
+export default function VersionHistory({ versions, selectedVersionId, onSelect, diff, currentCode, onRestore, onClose, isGenerating }) {
+  const selectedVersion = versions.find(version => version.id === selectedVersionId);
+
+  return (
+    <div className="flex flex-col h-full bg-gray-50 border-t border-gray-200">
+      <div className="flex items-center justify-between px-4 py-3 bg-white border-b border-gray-200">
+        <h3 className="text-sm font-semibold text-gray-700">历史版本（{versions.length}）</h3>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => onRestore(selectedVersion)}
+            disabled={!selectedVersion || isGenerating}
+            className="px-4 py-2 text-sm font-medium text-white bg-gray-900 rounded hover:bg-gray-800 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            恢复此版本
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 transition-colors duration-200"
+          >
+            返回代码
+          </button>
+        </div>
+      </div>
+
+      <ul className="max-h-40 overflow-y-auto bg-white border-b border-gray-200">
+        {versions.length === 0 && (
+          <li className="px-4 py-3 text-sm text-gray-400">还没有版本记录，生成、优化、应用代码或编辑画布后会自动记录</li>
+        )}
+        {[...versions].reverse().map((version, index) => (
+          <li
+            key={version.id}
+            onClick={() => onSelect(version.id)}
+            className={`flex items-center justify-between px-4 py-1.5 text-sm cursor-pointer ${
+              version.id === selectedVersionId ? 'bg-gray-100' : 'hover:bg-gray-50'
+            }`}
+          >
+            <span className="text-gray-800">
+              #{versions.length - index} {VERSION_SOURCES[version.source] || version.source}
+              {index === 0 && <span className="ml-2 text-xs text-gray-400">最新</span>}
+            </span>
+            <span className="text-xs text-gray-400">
+              {version.elements.length} 个元素 · {new Date(version.createdAt).toLocaleTimeString('zh-CN')}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {selectedVersion ? (
+        <>
+          <div className="flex items-center px-4 py-2 space-x-4 text-xs text-gray-600 bg-white border-b border-gray-200">
+            <span>与当前代码相比：</span>
+            {DIFF_LEGEND.map(({ key, label }) => (
+              <span key={key} className="flex items-center space-x-1">
+                <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: DIFF_COLORS[key] }}></span>
+                <span>{label} {diff?.[key].length ?? 0}</span>
+              </span>
+            ))}
+          </div>
+          <div className="flex-1">
+            <DiffEditor
+              height="100%"
+              language="json"
+              original={selectedVersion.code}
+              modified={currentCode}
+              theme="vs-light"
+              options={{
+                readOnly: true,
+                renderSideBySide: false,
+                minimap: { enabled: false },
+                fontSize: 13,
+                scrollBeyondLastLine: false,
+                automaticLayout: true,
+                wordWrap: 'on',
+              }}
+            />
+          </div>
+        </>
+      ) : (
+        <p className="flex-1 px-4 py-6 text-sm text-center text-gray-400">选择一个版本，在画布和下方查看它与当前代码的差异</p>
+      )}
+    </div>
+  );
+}
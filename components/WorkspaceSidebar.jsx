@@ -0,0 +1,127 @@
+'use client';
+
+import { useState } from 'react';
+import ConfirmDialog from './ConfirmDialog';
+
+// 格式化更新时间：今天只显示时间，其余显示日期
+const formatUpdatedAt = (iso) => {
+  const date = new Date(iso);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString('zh-CN');
+};
+
+export default function WorkspaceSidebar({ diagrams, activeDiagramId, saveStatus, onOpen, onCreate, onRename, onDuplicate, onDelete }) {
+  const [query, setQuery] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  const lowerQuery = query.trim().toLowerCase();
+  const filteredDiagrams = lowerQuery
+    ? diagrams.filter(diagram =>
+        diagram.name.toLowerCase().includes(lowerQuery) ||
+        (diagram.prompt || '').toLowerCase().includes(lowerQuery)
+      )
+    : diagrams;
+
+  const startRename = (diagram) => {
+    setEditingId(diagram.id);
+    setEditingName(diagram.name);
+  };
+
+  const commitRename = () => {
+    if (editingId && editingName.trim()) {
+      onRename(editingId, editingName);
+    }
+    setEditingId(null);
+  };
+
+  return (
+    <div className="flex flex-col w-64 h-full bg-white border-r border-gray-200 flex-shrink-0">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700">我的图表</h3>
+          {saveStatus && <p className="text-xs text-gray-400">{saveStatus}</p>}
+        </div>
+        <button
+          onClick={onCreate}
+          className="px-3 py-1.5 text-sm font-medium text-white bg-gray-900 rounded hover:bg-gray-800 transition-colors duration-200"
+        >
+          新建
+        </button>
+      </div>
+
+      <div className="px-4 py-2 border-b border-gray-100">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="搜索名称或提示词"
+          className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-900"
+        />
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {filteredDiagrams.length === 0 ? (
+          <p className="px-4 py-6 text-sm text-center text-gray-400">
+            {diagrams.length === 0 ? '还没有保存的图表' : '没有匹配的图表'}
+          </p>
+        ) : (
+          <ul>
+            {filteredDiagrams.map(diagram => (
+              <li
+                key={diagram.id}
+                className={`group px-4 py-2 border-b border-gray-100 cursor-pointer ${
+                  diagram.id === activeDiagramId ? 'bg-gray-100' : 'hover:bg-gray-50'
+                }`}
+                onClick={() => editingId !== diagram.id && onOpen(diagram.id)}
+              >
+                {editingId === diagram.id ? (
+                  <input
+                    type="text"
+                    value={editingName}
+                    autoFocus
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    className="w-full px-2 py-0.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-900"
+                  />
+                ) : (
+                  <p className="text-sm font-medium text-gray-800 truncate" title={diagram.prompt || diagram.name}>
+                    {diagram.name}
+                  </p>
+                )}
+                <div className="flex items-center justify-between mt-0.5">
+                  <span className="text-xs text-gray-400">{formatUpdatedAt(diagram.updatedAt)}</span>
+                  <div className="hidden space-x-2 text-xs group-hover:flex" onClick={(e) => e.stopPropagation()}>
+                    <button onClick={() => startRename(diagram)} className="text-gray-500 hover:text-gray-900">重命名</button>
+                    <button onClick={() => onDuplicate(diagram.id)} className="text-gray-500 hover:text-gray-900">复制</button>
+                    <button onClick={() => setDeleteTarget(diagram)} className="text-red-500 hover:text-red-700">删除</button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <ConfirmDialog
+        isOpen={deleteTarget !== null}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={() => {
+          onDelete(deleteTarget.id);
+          setDeleteTarget(null);
+        }}
+        title="删除图表"
+        message={`确定要删除「${deleteTarget?.name || ''}」吗？此操作无法撤销。`}
+        confirmText="删除"
+        type="danger"
+      />
+    </div>
+  );
+}
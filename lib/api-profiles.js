@@ -0,0 +1,88 @@
+/**
+ * 服务器端提供商配置 - 供 /api/v1 等无浏览器调用方按名称选择，密钥不会下发给调用方
+ *
+ * 通过环境变量 API_PROFILES 配置，值为 JSON 对象，键为配置名称：
+ *   API_PROFILES='{"default":{"type":"openai","baseUrl":"https://api.openai.com/v1","apiKey":"sk-...","model":"gpt-4o"}}'
+ * API_DEFAULT_PROFILE 指定未传 profile 时使用的配置，默认为第一个完整的配置
+ * 配置了内置 GLM（BUILTIN_GLM_BASE_URL / BUILTIN_GLM_API_KEY）时自动提供名为 builtin-glm 的配置
+ * ollama 类型的配置可以省略 apiKey
+ */
+
+import { isApiKeyRequired } from './config-manager.js';
+
+const BUILTIN_PROFILE_NAME = 'builtin-glm';
+
+function parseProfiles() {
+  const profiles = {};
+
+  if (process.env.API_PROFILES) {
+    let parsed;
+    try {
+      parsed = JSON.parse(process.env.API_PROFILES);
+    } catch (error) {
+      throw new Error(`API_PROFILES 不是合法的 JSON：${error.message}`);
+    }
+    Object.entries(parsed || {}).forEach(([name, profile]) => {
+      profiles[name] = { ...profile, name };
+    });
+  }
+
+  if (!profiles[BUILTIN_PROFILE_NAME] && process.env.BUILTIN_GLM_BASE_URL && process.env.BUILTIN_GLM_API_KEY) {
+    profiles[BUILTIN_PROFILE_NAME] = {
+      name: BUILTIN_PROFILE_NAME,
+      type: 'builtin-glm',
+      model: process.env.BUILTIN_GLM_MODEL || 'glm-4.6',
+    };
+  }
+
+  return profiles;
+}
+
+function isProfileComplete(profile) {
+  if (profile.type === 'builtin-glm') return true;
+  return !!(profile.type && profile.baseUrl && (profile.apiKey || !isApiKeyRequired(profile.type)) && profile.model);
+}
+
+/**
+ * 默认配置名称：API_DEFAULT_PROFILE，未设置时为第一个完整的配置
+ */
+function getDefaultProfileName(profiles) {
+  return process.env.API_DEFAULT_PROFILE || Object.values(profiles).find(isProfileComplete)?.name;
+}
+
+/**
+ * 列出可用的配置，不包含密钥和地址
+ * @returns {Array} [{ name, type, model, isDefault }]
+ */
+export function listApiProfiles() {
+  const profiles = parseProfiles();
+  const defaultName = getDefaultProfileName(profiles);
+  return Object.values(profiles)
+    .filter(isProfileComplete)
+    .map(({ name, type, model }) => ({ name, type, model, isDefault: name === defaultName }));
+}
+
+/**
+ * 按名称取出配置
+ * @param {string} name - 配置名称，为空时使用默认配置
+ * @returns {Object} 可直接传给 callLLM 的配置
+ * @throws {Error} 配置不存在或不完整时抛出
+ */
+export function getApiProfile(name) {
+  const profiles = parseProfiles();
+  const resolvedName = name || getDefaultProfileName(profiles);
+
+  if (!resolvedName) {
+    throw new Error(Object.keys(profiles).length > 0
+      ? `API_PROFILES 中没有完整的配置（${Object.keys(profiles).join(', ')}），需要 type、baseUrl、apiKey 和 model`
+      : '服务器没有配置任何提供商，请设置 API_PROFILES 环境变量');
+  }
+  const profile = profiles[resolvedName];
+  if (!profile) {
+    throw new Error(`配置 ${resolvedName} 不存在`);
+  }
+  if (!isProfileComplete(profile)) {
+    throw new Error(`配置 ${resolvedName} 不完整，需要 type、baseUrl、apiKey 和 model`);
+  }
+  return profile;
+}
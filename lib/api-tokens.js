@@ -0,0 +1,138 @@
+/**
+ * API 访问令牌 - 由服务器签发、用 HMAC-SHA256 签名，无需数据库即可校验
+ *
+ * 令牌格式：sek_<base64url(JSON 声明)>.<base64url(签名)>
+ * 声明为 { sub, profiles, iat, exp }：sub 为令牌名称，profiles 限制可使用的配置（为空表示不限），
+ * exp 为过期时间（秒）。
+ *
+ * 环境变量：
+ * - API_TOKEN_SECRET：签名密钥，未设置时 /api/v1 不可用
+ * - API_ADMIN_KEY：签发令牌时使用的管理密钥
+ * - API_TOKEN_NOT_BEFORE：Unix 时间（秒），早于该时间签发的令牌全部失效，用于批量吊销
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const TOKEN_PREFIX = 'sek_';
+
+const toBase64Url = value => Buffer.from(value).toString('base64url');
+
+function getSecret() {
+  const secret = process.env.API_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('服务器未设置 API_TOKEN_SECRET，无法使用访问令牌');
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * 从 Authorization 请求头中取出 Bearer 令牌
+ * @param {Request} request - 请求对象
+ * @returns {string|null} 令牌，没有时返回 null
+ */
+export function getBearerToken(request) {
+  const header = request.headers.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * 校验管理密钥
+ * @param {string} key - 调用方提供的密钥
+ * @returns {boolean} 是否与 API_ADMIN_KEY 一致，未设置 API_ADMIN_KEY 时始终为 false
+ */
+export function isAdminKey(key) {
+  const adminKey = process.env.API_ADMIN_KEY;
+  return !!(adminKey && key && safeEqual(key, adminKey));
+}
+
+/**
+ * 签发访问令牌
+ * @param {Object} options - { name, profiles, expiresIn }，expiresIn 为有效期（秒），为空表示永不过期
+ * @returns {Object} { token, claims }
+ */
+export function issueAccessToken({ name, profiles = [], expiresIn } = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('令牌名称不能为空');
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = {
+    sub: name,
+    profiles: Array.isArray(profiles) ? profiles.filter(profile => typeof profile === 'string') : [],
+    iat: issuedAt,
+    ...(Number(expiresIn) > 0 ? { exp: issuedAt + Math.floor(Number(expiresIn)) } : {}),
+  };
+  const payload = toBase64Url(JSON.stringify(claims));
+  return { token: `${TOKEN_PREFIX}${payload}.${sign(payload)}`, claims };
+}
+
+/**
+ * 校验访问令牌
+ * @param {string} token - 调用方提供的令牌
+ * @returns {Object} 令牌声明
+ * @throws {Error} 令牌格式错误、签名不符、已过期或已吊销时抛出
+ */
+export function verifyAccessToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    throw new Error('缺少访问令牌或令牌格式错误');
+  }
+
+  const [payload, signature] = token.slice(TOKEN_PREFIX.length).split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    throw new Error('访问令牌无效');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('访问令牌无效');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp && claims.exp <= now) {
+    throw new Error('访问令牌已过期');
+  }
+  const notBefore = Number(process.env.API_TOKEN_NOT_BEFORE);
+  if (notBefore && claims.iat < notBefore) {
+    throw new Error('访问令牌已被吊销');
+  }
+  return claims;
+}
+
+/**
+ * 判断令牌是否允许使用某个配置
+ * @param {Object} claims - 令牌声明
+ * @param {string} profileName - 配置名称
+ * @returns {boolean}
+ */
+export function canUseProfile(claims, profileName) {
+  return !claims.profiles?.length || claims.profiles.includes(profileName);
+}
+
+/**
+ * 校验请求携带的访问令牌
+ * @param {Request} request - 请求对象
+ * @returns {Object} 成功时为 { claims }，失败时为 { error, status }
+ */
+export function authenticateRequest(request) {
+  if (!process.env.API_TOKEN_SECRET) {
+    return { error: '服务器未启用 API 访问（未设置 API_TOKEN_SECRET）', status: 503 };
+  }
+  try {
+    return { claims: verifyAccessToken(getBearerToken(request)) };
+  } catch (error) {
+    return { error: error.message, status: 401 };
+  }
+}
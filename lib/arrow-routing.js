@@ -0,0 +1,286 @@
+/**
+ * 正交箭头路由 - 在其他元素的包围盒之间寻找只含水平/垂直线段的路径
+ *
+ * 做法：以起止点的引出点和所有障碍物（外扩 margin 后）的边界坐标构造稀疏网格，
+ * 在网格上做 A* 搜索，代价为路径长度加上每次转弯的惩罚，最后合并共线的点。
+ */
+
+const DEFAULT_OPTIONS = {
+  margin: 20, // 路径与障碍物之间的最小距离，也是从边缘引出的长度
+  bendPenalty: 40, // 每次转弯额外增加的代价，用于减少折线段数
+  maxExpansions: 4000, // 搜索展开的状态数上限，超过后放弃绕行，避免大图阻塞主线程
+};
+
+// 各边的外法线方向
+export const SIDE_NORMALS = {
+  top: { x: 0, y: -1 },
+  bottom: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+};
+
+const DIRECTIONS = [
+  { x: 1, y: 0 },
+  { x: -1, y: 0 },
+  { x: 0, y: 1 },
+  { x: 0, y: -1 },
+];
+
+/**
+ * 判断点在矩形的哪条边上（取距离最近的边）
+ * @param {Object} point - { x, y }
+ * @param {Object} bounds - { x, y, width, height }
+ * @returns {string} 'top' | 'bottom' | 'left' | 'right'
+ */
+export function getSideOfPoint(point, bounds) {
+  const distances = {
+    left: Math.abs(point.x - bounds.x),
+    right: Math.abs(point.x - (bounds.x + bounds.width)),
+    top: Math.abs(point.y - bounds.y),
+    bottom: Math.abs(point.y - (bounds.y + bounds.height)),
+  };
+  return Object.keys(distances).reduce((best, side) => (distances[side] < distances[best] ? side : best));
+}
+
+/**
+ * 判断点是否严格位于矩形内部
+ */
+function isInside(point, rect) {
+  return point.x > rect.x && point.x < rect.x + rect.width
+    && point.y > rect.y && point.y < rect.y + rect.height;
+}
+
+/**
+ * 判断线段是否穿过矩形（Liang-Barsky 裁剪）
+ * @param {Object} p1 - 线段起点 { x, y }
+ * @param {Object} p2 - 线段终点 { x, y }
+ * @param {Object} rect - { x, y, width, height }
+ * @returns {boolean}
+ */
+export function segmentIntersectsRect(p1, p2, rect) {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const checks = [
+    [-dx, p1.x - rect.x],
+    [dx, rect.x + rect.width - p1.x],
+    [-dy, p1.y - rect.y],
+    [dy, rect.y + rect.height - p1.y],
+  ];
+
+  let t0 = 0;
+  let t1 = 1;
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q <= 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return false;
+      t0 = Math.max(t0, t);
+    } else {
+      if (t < t0) return false;
+      t1 = Math.min(t1, t);
+    }
+  }
+  return t1 - t0 > 1e-9;
+}
+
+/**
+ * 判断水平或垂直线段是否穿过矩形内部，是 segmentIntersectsRect 在网格边上的快速版本
+ */
+function axisSegmentIntersectsRect(p1, p2, rect) {
+  if (p1.y === p2.y) {
+    return p1.y > rect.y && p1.y < rect.y + rect.height
+      && Math.max(p1.x, p2.x) > rect.x && Math.min(p1.x, p2.x) < rect.x + rect.width;
+  }
+  return p1.x > rect.x && p1.x < rect.x + rect.width
+    && Math.max(p1.y, p2.y) > rect.y && Math.min(p1.y, p2.y) < rect.y + rect.height;
+}
+
+/**
+ * 最小二叉堆，用于 A* 的开放列表
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= items[index].priority) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * 合并共线的连续点
+ */
+function simplifyPath(points) {
+  const result = [];
+  points.forEach(point => {
+    const last = result[result.length - 1];
+    if (last && last.x === point.x && last.y === point.y) return;
+    if (result.length >= 2) {
+      const prev = result[result.length - 2];
+      const collinear = (prev.x === last.x && last.x === point.x) || (prev.y === last.y && last.y === point.y);
+      if (collinear) result.pop();
+    }
+    result.push(point);
+  });
+  return result;
+}
+
+/**
+ * 计算两点之间绕开障碍物的正交路径
+ * @param {Object} start - 起点 { x, y }，位于起始元素的边上
+ * @param {string} startSide - 起点所在的边，路径沿该边的法线方向引出
+ * @param {Object} end - 终点 { x, y }，位于目标元素的边上
+ * @param {string} endSide - 终点所在的边，路径沿该边的法线方向进入
+ * @param {Array} obstacles - 障碍物包围盒 [{ x, y, width, height }]
+ * @param {Object} options - 路由参数，见 DEFAULT_OPTIONS
+ * @returns {Array|null} 路径上的绝对坐标点 [{ x, y }]，找不到路径或超出搜索上限时返回 null
+ */
+export function routeOrthogonal(start, startSide, end, endSide, obstacles, options = {}) {
+  const { margin, bendPenalty, maxExpansions } = { ...DEFAULT_OPTIONS, ...options };
+  start = { x: Math.round(start.x), y: Math.round(start.y) };
+  end = { x: Math.round(end.x), y: Math.round(end.y) };
+  const startNormal = SIDE_NORMALS[startSide];
+  const endNormal = SIDE_NORMALS[endSide];
+  const stubStart = { x: start.x + startNormal.x * margin, y: start.y + startNormal.y * margin };
+  const stubEnd = { x: end.x + endNormal.x * margin, y: end.y + endNormal.y * margin };
+
+  // 外扩后的障碍物；包含引出点的障碍物无法绕开，直接忽略
+  const inflated = obstacles
+    .map(rect => ({
+      x: rect.x - margin / 2,
+      y: rect.y - margin / 2,
+      width: rect.width + margin,
+      height: rect.height + margin,
+    }))
+    .filter(rect => !isInside(stubStart, rect) && !isInside(stubEnd, rect));
+
+  const uniqueSorted = values => [...new Set(values.map(value => Math.round(value)))].sort((a, b) => a - b);
+  const xs = uniqueSorted([
+    stubStart.x,
+    stubEnd.x,
+    (stubStart.x + stubEnd.x) / 2,
+    ...inflated.flatMap(rect => [rect.x - margin / 2, rect.x + rect.width + margin / 2]),
+  ]);
+  const ys = uniqueSorted([
+    stubStart.y,
+    stubEnd.y,
+    (stubStart.y + stubEnd.y) / 2,
+    ...inflated.flatMap(rect => [rect.y - margin / 2, rect.y + rect.height + margin / 2]),
+  ]);
+
+  // 同一条网格边会从不同方向多次检查，缓存结果
+  const blockedEdges = new Map();
+  const blocked = (ix1, iy1, ix2, iy2) => {
+    const edgeKey = (Math.min(ix1, ix2) * ys.length + Math.min(iy1, iy2)) * 2 + (iy1 === iy2 ? 0 : 1);
+    if (!blockedEdges.has(edgeKey)) {
+      const p1 = pointAt(ix1, iy1);
+      const p2 = pointAt(ix2, iy2);
+      blockedEdges.set(edgeKey, inflated.some(rect => axisSegmentIntersectsRect(p1, p2, rect)));
+    }
+    return blockedEdges.get(edgeKey);
+  };
+  const pointAt = (ix, iy) => ({ x: xs[ix], y: ys[iy] });
+  const startIndex = { ix: xs.indexOf(Math.round(stubStart.x)), iy: ys.indexOf(Math.round(stubStart.y)) };
+  const goalIndex = { ix: xs.indexOf(Math.round(stubEnd.x)), iy: ys.indexOf(Math.round(stubEnd.y)) };
+  const entryDirection = { x: -endNormal.x, y: -endNormal.y };
+
+  const directionIndex = direction => DIRECTIONS.findIndex(d => d.x === direction.x && d.y === direction.y);
+  const stateKey = (ix, iy, dir) => (ix * ys.length + iy) * 4 + dir;
+  const heuristic = (ix, iy) => Math.abs(xs[ix] - xs[goalIndex.ix]) + Math.abs(ys[iy] - ys[goalIndex.iy]);
+
+  const costs = new Map();
+  const previous = new Map();
+  const open = new MinHeap();
+  const initialDir = directionIndex(startNormal);
+  const initialKey = stateKey(startIndex.ix, startIndex.iy, initialDir);
+  costs.set(initialKey, 0);
+  open.push({ ...startIndex, dir: initialDir, cost: 0, priority: heuristic(startIndex.ix, startIndex.iy) });
+
+  let goalKey = null;
+  let bestGoalCost = Infinity;
+  let expansions = 0;
+  while (open.size > 0) {
+    const current = open.pop();
+    const key = stateKey(current.ix, current.iy, current.dir);
+    if (current.cost > costs.get(key)) continue;
+    if (current.priority >= bestGoalCost) break;
+    if (++expansions > maxExpansions) return null;
+
+    if (current.ix === goalIndex.ix && current.iy === goalIndex.iy) {
+      // 到达终点引出点后还要沿法线反方向进入目标元素
+      const entryCost = current.dir === directionIndex(entryDirection) ? 0 : bendPenalty;
+      if (current.cost + entryCost < bestGoalCost) {
+        bestGoalCost = current.cost + entryCost;
+        goalKey = key;
+      }
+      continue;
+    }
+
+    DIRECTIONS.forEach((direction, dir) => {
+      // 不允许原路折返
+      const currentDirection = DIRECTIONS[current.dir];
+      if (direction.x === -currentDirection.x && direction.y === -currentDirection.y) return;
+      const ix = current.ix + direction.x;
+      const iy = current.iy + direction.y;
+      if (ix < 0 || iy < 0 || ix >= xs.length || iy >= ys.length) return;
+
+      if (blocked(current.ix, current.iy, ix, iy)) return;
+      const from = pointAt(current.ix, current.iy);
+      const to = pointAt(ix, iy);
+
+      const cost = current.cost + Math.abs(to.x - from.x) + Math.abs(to.y - from.y) + (dir === current.dir ? 0 : bendPenalty);
+      const nextKey = stateKey(ix, iy, dir);
+      if (cost >= (costs.get(nextKey) ?? Infinity)) return;
+      costs.set(nextKey, cost);
+      previous.set(nextKey, key);
+      open.push({ ix, iy, dir, cost, priority: cost + heuristic(ix, iy) });
+    });
+  }
+
+  if (goalKey === null) return null;
+
+  const gridPath = [];
+  for (let key = goalKey; key !== undefined; key = previous.get(key)) {
+    const cell = Math.floor(key / 4);
+    gridPath.unshift(pointAt(Math.floor(cell / ys.length), cell % ys.length));
+  }
+
+  return simplifyPath([start, ...gridPath, end]);
+}
@@ -0,0 +1,356 @@
+/**
+ * 自动布局 - 根据元素数组中的连线关系重新计算节点坐标
+ *
+ * 节点：被箭头 start/end 绑定的形状
+ * 附属元素：中心落在节点内的文本或形状，随节点一起移动
+ * 分组：包含节点的其他形状（如分组背景框），按成员的新位置重新适配大小
+ * 其余元素（标题、图例等）保持原位，新布局从原节点区域的左上角开始
+ */
+
+import { layeredLayout, treeLayout, radialLayout } from './graph-layout.js';
+import { getElementBounds } from './shape-geometry.js';
+
+// 支持自动布局的图表类型
+export const LAYOUT_CHART_TYPES = {
+  auto: '自动',
+  flowchart: '流程图',
+  dataflow: '数据流图',
+  state: '状态图',
+  architecture: '架构图',
+  network: '网络拓扑图',
+  class: 'UML类图',
+  er: 'ER图',
+  tree: '树形图',
+  orgchart: '组织架构图',
+  mindmap: '思维导图',
+  concept: '概念图',
+};
+
+const LAYOUT_STRATEGIES = {
+  flowchart: 'layered',
+  dataflow: 'layered',
+  state: 'layered',
+  architecture: 'layered',
+  network: 'layered',
+  class: 'layered',
+  er: 'layered',
+  tree: 'tree',
+  orgchart: 'tree',
+  mindmap: 'mindmap',
+  concept: 'radial',
+};
+
+const NODE_TYPES = ['rectangle', 'ellipse', 'diamond', 'image'];
+const GROUP_PADDING = 30;
+
+function containsPoint(bounds, point) {
+  return point.x >= bounds.x && point.x <= bounds.x + bounds.width
+    && point.y >= bounds.y && point.y <= bounds.y + bounds.height;
+}
+
+function centerOf(bounds) {
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * 从元素数组中提取节点和连线
+ * @param {Array} elements - ExcalidrawElementSkeleton 元素数组
+ * @returns {Object} { nodes, edges }，nodes 为 [{ id, width, height }]，edges 为 [{ from, to }]
+ */
+export function extractLayoutGraph(elements) {
+  const shapes = new Map(elements
+    .filter(element => NODE_TYPES.includes(element.type) && element.id)
+    .map(element => [element.id, element]));
+
+  const edges = [];
+  const seen = new Set();
+  elements.forEach(element => {
+    if (element.type !== 'arrow') return;
+    const from = element.start?.id;
+    const to = element.end?.id;
+    if (!shapes.has(from) || !shapes.has(to) || from === to) return;
+    const key = `${from}->${to}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    edges.push({ from, to });
+  });
+
+  const connected = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+  const nodes = [...shapes.values()]
+    .filter(shape => connected.has(shape.id))
+    .map(shape => {
+      const { width, height } = getElementBounds(shape);
+      return { id: shape.id, width, height };
+    });
+
+  return { nodes, edges };
+}
+
+/**
+ * 判断连线是否构成森林（每个节点最多一个父节点且无环）
+ */
+function isForest(nodes, edges) {
+  const parent = new Map();
+  for (const edge of edges) {
+    if (parent.has(edge.to)) return false;
+    parent.set(edge.to, edge.from);
+  }
+  return nodes.every(node => {
+    const visited = new Set();
+    let current = node.id;
+    while (parent.has(current)) {
+      if (visited.has(current)) return false;
+      visited.add(current);
+      current = parent.get(current);
+    }
+    return true;
+  });
+}
+
+/**
+ * 根据现有坐标推断分层方向：连线以水平为主时使用从左到右
+ */
+function inferDirection(edges, boundsById, fallback) {
+  let horizontal = 0;
+  let vertical = 0;
+  edges.forEach(edge => {
+    const from = centerOf(boundsById.get(edge.from));
+    const to = centerOf(boundsById.get(edge.to));
+    horizontal += Math.abs(to.x - from.x);
+    vertical += Math.abs(to.y - from.y);
+  });
+  if (horizontal === vertical) return fallback;
+  return horizontal > vertical ? 'LR' : 'TB';
+}
+
+/**
+ * 思维导图：中心主题的分支平均分到左右两侧，两侧分别做整齐树布局
+ */
+function mindmapLayout(nodes, edges, options) {
+  const hasIncoming = new Set(edges.map(edge => edge.to));
+  const root = nodes.find(node => !hasIncoming.has(node.id)) || nodes[0];
+  const branches = edges.filter(edge => edge.from === root.id).map(edge => edge.to);
+  if (branches.length < 2) {
+    return treeLayout(nodes, edges, { ...options, direction: 'LR' });
+  }
+
+  // 收集每个分支下的所有节点
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+  const collect = (id, result) => {
+    if (id === root.id || result.has(id)) return result;
+    result.add(id);
+    outgoing.get(id).forEach(next => collect(next, result));
+    return result;
+  };
+  const rightIds = new Set();
+  const leftIds = new Set();
+  branches.forEach((branch, index) => collect(branch, index < Math.ceil(branches.length / 2) ? rightIds : leftIds));
+  leftIds.forEach(id => rightIds.delete(id));
+
+  const sideLayout = (ids) => {
+    const sideNodes = nodes.filter(node => node.id === root.id || ids.has(node.id));
+    const sideEdges = edges.filter(edge => (edge.from === root.id || ids.has(edge.from)) && ids.has(edge.to));
+    return treeLayout(sideNodes, sideEdges, { ...options, direction: 'LR', originX: 0, originY: 0 });
+  };
+  const right = sideLayout(rightIds);
+  const left = sideLayout(leftIds);
+
+  // 左侧沿根节点中心镜像，再把两侧的根节点对齐
+  const sizeOf = new Map(nodes.map(node => [node.id, node]));
+  const rightRoot = right.get(root.id);
+  const leftRoot = left.get(root.id);
+  const centers = new Map();
+  right.forEach((position, id) => {
+    centers.set(id, { x: position.x - rightRoot.x, y: position.y - rightRoot.y });
+  });
+  left.forEach((position, id) => {
+    if (id === root.id) return;
+    const mirroredX = root.width - (position.x - leftRoot.x) - sizeOf.get(id).width;
+    centers.set(id, { x: mirroredX, y: position.y - leftRoot.y });
+  });
+
+  const minX = Math.min(...[...centers.values()].map(position => position.x));
+  const minY = Math.min(...[...centers.values()].map(position => position.y));
+  const { originX = 100, originY = 100 } = options;
+  const positions = new Map();
+  centers.forEach((position, id) => {
+    positions.set(id, { x: Math.round(originX + position.x - minX), y: Math.round(originY + position.y - minY) });
+  });
+  // 不与中心主题相连的节点放在最下方
+  const bottom = Math.max(...[...positions.entries()].map(([id, position]) => position.y + sizeOf.get(id).height));
+  let cursorX = originX;
+  nodes.forEach(node => {
+    if (positions.has(node.id)) return;
+    positions.set(node.id, { x: cursorX, y: bottom + (options.layerGap ?? 100) });
+    cursorX += node.width + (options.nodeGap ?? 60);
+  });
+  return positions;
+}
+
+/**
+ * 按图表类型重新布局元素
+ * @param {Array} elements - ExcalidrawElementSkeleton 元素数组
+ * @param {string} chartType - LAYOUT_CHART_TYPES 中的类型
+ * @returns {Object} { elements, strategy, nodeCount }
+ * @throws {Error} 图表类型不支持或没有可布局的连线时抛出
+ */
+export function autoLayoutElements(elements, chartType = 'auto') {
+  if (!Array.isArray(elements)) {
+    throw new Error('元素数据必须是数组');
+  }
+  if (chartType !== 'auto' && !LAYOUT_STRATEGIES[chartType]) {
+    throw new Error(`暂不支持对该图表类型自动布局，可选：${Object.values(LAYOUT_CHART_TYPES).join('、')}`);
+  }
+
+  const { nodes, edges } = extractLayoutGraph(elements);
+  if (edges.length === 0) {
+    throw new Error('没有找到绑定了 start/end 的箭头，无法推断节点之间的关系');
+  }
+
+  const boundsById = new Map(elements.filter(element => element.id).map(element => [element.id, getElementBounds(element)]));
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const originX = Math.round(Math.min(...nodes.map(node => boundsById.get(node.id).x)));
+  const originY = Math.round(Math.min(...nodes.map(node => boundsById.get(node.id).y)));
+  const options = { originX, originY };
+
+  const strategy = chartType === 'auto'
+    ? (isForest(nodes, edges) ? 'tree' : 'layered')
+    : LAYOUT_STRATEGIES[chartType];
+
+  let positions;
+  if (strategy === 'layered') {
+    const direction = inferDirection(edges, boundsById, chartType === 'dataflow' ? 'LR' : 'TB');
+    positions = layeredLayout(nodes, edges, { ...options, direction });
+  } else if (strategy === 'tree') {
+    positions = treeLayout(nodes, edges, { ...options, nodeGap: 40, layerGap: 80 });
+  } else if (strategy === 'mindmap') {
+    positions = mindmapLayout(nodes, edges, { ...options, nodeGap: 30, layerGap: 80 });
+  } else {
+    positions = radialLayout(nodes, edges, options);
+  }
+
+  const deltas = new Map(nodes.map(node => {
+    const before = boundsById.get(node.id);
+    const after = positions.get(node.id);
+    return [node.id, { dx: after.x - before.x, dy: after.y - before.y }];
+  }));
+
+  // 中心落在节点内的元素作为附属元素跟随节点移动，取面积最小的节点
+  const ownerOf = (element) => {
+    if (nodeIds.has(element.id) || element.type === 'frame') return null;
+    const bounds = element.type === 'arrow' || element.type === 'line'
+      ? { x: element.x || 0, y: element.y || 0, width: 0, height: 0 }
+      : getElementBounds(element);
+    const point = centerOf(bounds);
+    let owner = null;
+    nodes.forEach(node => {
+      const nodeBounds = boundsById.get(node.id);
+      if (!containsPoint(nodeBounds, point)) return;
+      if (bounds.width * bounds.height >= nodeBounds.width * nodeBounds.height) return;
+      if (!owner || nodeBounds.width * nodeBounds.height < owner.area) {
+        owner = { id: node.id, area: nodeBounds.width * nodeBounds.height };
+      }
+    });
+    return owner?.id ?? null;
+  };
+
+  // 包含节点的非节点形状视为分组框
+  const membersOf = (element) => {
+    if (!NODE_TYPES.includes(element.type) || nodeIds.has(element.id)) return [];
+    const bounds = getElementBounds(element);
+    return nodes.filter(node => containsPoint(bounds, centerOf(boundsById.get(node.id)))).map(node => node.id);
+  };
+
+  const newBounds = (id) => {
+    const { width, height } = boundsById.get(id);
+    return { ...positions.get(id), width, height };
+  };
+  const enclose = (memberIds) => {
+    const boxes = memberIds.map(newBounds);
+    const minX = Math.min(...boxes.map(box => box.x));
+    const minY = Math.min(...boxes.map(box => box.y));
+    const maxX = Math.max(...boxes.map(box => box.x + box.width));
+    const maxY = Math.max(...boxes.map(box => box.y + box.height));
+    return {
+      x: minX - GROUP_PADDING,
+      y: minY - GROUP_PADDING,
+      width: maxX - minX + GROUP_PADDING * 2,
+      height: maxY - minY + GROUP_PADDING * 2,
+    };
+  };
+
+  // 分组框的新位置，以及分组内标题等元素的偏移
+  const groupDeltas = new Map();
+  const groups = elements
+    .map(element => ({ element, members: membersOf(element) }))
+    .filter(group => group.members.length > 0);
+  const laidOutGroups = new Map(groups.map(({ element, members }) => {
+    const before = getElementBounds(element);
+    const after = enclose(members);
+    groupDeltas.set(element.id, { dx: after.x - before.x, dy: after.y - before.y, bounds: before });
+    return [element, after];
+  }));
+
+  const groupOwnerOf = (element) => {
+    const point = centerOf(element.type === 'arrow' || element.type === 'line'
+      ? { x: element.x || 0, y: element.y || 0, width: 0, height: 0 }
+      : getElementBounds(element));
+    let owner = null;
+    groupDeltas.forEach((delta, id) => {
+      if (id === element.id || !containsPoint(delta.bounds, point)) return;
+      const area = delta.bounds.width * delta.bounds.height;
+      if (!owner || area < owner.area) owner = { delta, area };
+    });
+    return owner?.delta ?? null;
+  };
+
+  const laidOutElements = elements.map(element => {
+    if (nodeIds.has(element.id)) {
+      return { ...element, ...positions.get(element.id) };
+    }
+
+    if (laidOutGroups.has(element)) {
+      return { ...element, ...laidOutGroups.get(element) };
+    }
+
+    // 两端都绑定到节点的箭头：起点放在起始节点中心，由 optimizeExcalidrawCode 吸附到边缘
+    if (element.type === 'arrow' && nodeIds.has(element.start?.id) && nodeIds.has(element.end?.id)) {
+      const from = centerOf(newBounds(element.start.id));
+      const to = centerOf(newBounds(element.end.id));
+      const { points: _points, ...rest } = element;
+      return { ...rest, x: from.x, y: from.y, width: to.x - from.x, height: to.y - from.y };
+    }
+
+    // 只有一端绑定的箭头跟随绑定的节点
+    const boundId = [element.start?.id, element.end?.id].find(id => nodeIds.has(id));
+    const ownerId = boundId ?? ownerOf(element);
+    const delta = ownerId ? deltas.get(ownerId) : groupOwnerOf(element);
+    if (delta && element.type !== 'frame') {
+      return { ...element, x: (element.x || 0) + delta.dx, y: (element.y || 0) + delta.dy };
+    }
+
+    return element;
+  });
+
+  // 显式指定了位置的框架按子元素的新位置重新适配
+  const laidOutById = new Map(laidOutElements.filter(element => element.id).map(element => [element.id, element]));
+  const result = laidOutElements.map(element => {
+    if (element.type !== 'frame' || !Array.isArray(element.children) || element.x === undefined) return element;
+    const children = element.children.map(id => laidOutById.get(id)).filter(Boolean).map(getBounds);
+    if (children.length === 0) return element;
+    const minX = Math.min(...children.map(box => box.x));
+    const minY = Math.min(...children.map(box => box.y));
+    const maxX = Math.max(...children.map(box => box.x + box.width));
+    const maxY = Math.max(...children.map(box => box.y + box.height));
+    return {
+      ...element,
+      x: minX - GROUP_PADDING,
+      y: minY - GROUP_PADDING,
+      width: maxX - minX + GROUP_PADDING * 2,
+      height: maxY - minY + GROUP_PADDING * 2,
+    };
+  });
+
+  return { elements: result, strategy, nodeCount: nodes.length };
+}
@@ -0,0 +1,306 @@
+/**
+ * 生成代码解析工具 - 清理模型输出并提取 ExcalidrawElementSkeleton 元素数组
+ */
+
+// Post-process Excalidraw code: remove markdown wrappers and fix unescaped quotes
+export function postProcessExcalidrawCode(code) {
+  if (!code || typeof code !== 'string') return code;
+
+  let processed = code.trim();
+
+  // Step 1: Remove markdown code fence wrappers (```json, ```javascript, ```js, or just ```)
+  processed = processed.replace(/^```(?:json|javascript|js)?\s*\n?/i, '');
+  processed = processed.replace(/\n?```\s*$/, '');
+  processed = processed.trim();
+
+  // Step 2: Try to extract JSON content from mixed text
+  // Look for JSON objects or arrays in the text
+  let jsonContent = processed;
+
+  // 首先尝试使用平衡括号提取（更可靠）
+  const balancedSnippet = extractBalancedJsonSnippet(processed);
+
+  if (balancedSnippet) {
+    jsonContent = balancedSnippet;
+  } else if (!processed.startsWith('{') && !processed.startsWith('[')) {
+    // 如果平衡提取失败，回退到简单的正则匹配
+    // Look for JSON object
+    const objectMatch = processed.match(/\{[\s\S]*\}/);
+    if (objectMatch) {
+      jsonContent = objectMatch[0];
+    } else {
+      // Look for JSON array
+      const arrayMatch = processed.match(/\[[\s\S]*\]/);
+      if (arrayMatch) {
+        jsonContent = arrayMatch[0];
+      }
+    }
+  }
+
+  // Step 2.5: Sanitize JSON-like text to fix common JS-to-JSON deviations
+  jsonContent = sanitizeJsonLikeText(jsonContent);
+
+  // Step 3: Try to parse the extracted content as-is first
+  try {
+    JSON.parse(jsonContent);
+    return jsonContent; // Already valid JSON, no need to fix
+  } catch {
+    // Fall through to quote fixing
+  }
+
+  // Step 4: If direct parse failed, try to fix unescaped quotes
+  try {
+    const fixed = fixUnescapedQuotes(jsonContent);
+    // Test if the fix worked
+    JSON.parse(fixed);
+    return fixed;
+  } catch {
+    // Return original content so user can see what was generated
+    return processed;
+  }
+}
+
+// Sanitize JSON-like text to fix common JavaScript-to-JSON deviations
+// This function converts JS-style code to valid JSON format:
+// - Removes single-line (//) and multi-line (/* */) comments
+// - Converts unquoted object keys to quoted keys
+// - Removes trailing commas before closing brackets/braces
+// - Converts single quotes to double quotes for strings (with improved handling)
+export function sanitizeJsonLikeText(text) {
+  if (!text || typeof text !== 'string') return text;
+
+  let sanitized = text;
+
+  // Remove multi-line comments (/* ... */)
+  sanitized = sanitized.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  // Remove single-line comments (// ...)
+  sanitized = sanitized.replace(/\/\/[^\n\r]*/g, '');
+
+  // Convert unquoted keys to quoted keys
+  // Matches: { key: or , key: and converts to { "key": or , "key":
+  // Note: This is a heuristic that works well for LLM-generated code
+  // but may not handle all edge cases in arbitrary text
+  sanitized = sanitized.replace(/([{,]\s*)([A-Za-z0-9_@$-]+)(\s*:)/g, '$1"$2"$3');
+
+  // Remove trailing commas before closing brackets/braces
+  sanitized = sanitized.replace(/,(\s*[}\]])/g, '$1');
+
+  // Convert single-quoted strings to double-quoted strings
+  // Improved pattern: only replace strings that look like complete string literals
+  // Avoid replacing apostrophes within words (e.g., don't, it's)
+  // Match pattern: 'string content' where content doesn't contain unescaped quotes
+  sanitized = sanitized.replace(/'([^'\\]*(?:\\.[^'\\]*)*)'/g, (match, content) => {
+    // Escape any unescaped double quotes in the content
+    const escapedContent = content.replace(/\\'/g, "'").replace(/"/g, '\\"');
+    return `"${escapedContent}"`;
+  });
+
+  return sanitized.trim();
+}
+
+// Helper function to fix unescaped quotes in JSON strings
+export function fixUnescapedQuotes(jsonString) {
+  let result = '';
+  let inString = false;
+  let escapeNext = false;
+  let currentQuotePos = -1;
+
+  for (let i = 0; i < jsonString.length; i++) {
+    const char = jsonString[i];
+    const prevChar = i > 0 ? jsonString[i - 1] : '';
+
+    if (escapeNext) {
+      result += char;
+      escapeNext = false;
+      continue;
+    }
+
+    if (char === '\\') {
+      result += char;
+      escapeNext = true;
+      continue;
+    }
+
+    if (char === '"') {
+      if (!inString) {
+        // Starting a string
+        inString = true;
+        currentQuotePos = i;
+        result += char;
+      } else {
+        // Potentially ending a string
+        // Check if this is a structural quote (followed by : or , or } or ])
+        const nextNonWhitespace = jsonString.slice(i + 1).match(/^\s*(.)/);
+        const nextChar = nextNonWhitespace ? nextNonWhitespace[1] : '';
+
+        if (nextChar === ':' || nextChar === ',' || nextChar === '}' || nextChar === ']' || nextChar === '') {
+          // This is a closing quote for the string
+          inString = false;
+          result += char;
+        } else {
+          // This is an unescaped quote within the string - escape it
+          result += '\\"';
+        }
+      }
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+// 括号映射：用于自动补全
+const closingBracketMap = { '{': '}', '[': ']' };
+
+// 从文本中提取平衡的 JSON 片段（使用栈追踪括号匹配）
+// 这个函数比简单的正则更可靠，可以正确处理嵌套结构
+export function extractBalancedJsonSnippet(text) {
+  const stack = [];
+  let startIndex = -1;
+  let inString = false;
+  let escapeNext = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    // 处理转义字符
+    if (escapeNext) {
+      escapeNext = false;
+      continue;
+    }
+
+    if (char === '\\') {
+      escapeNext = true;
+      continue;
+    }
+
+    // 处理字符串内容（字符串内的括号不计数）
+    if (char === '"') {
+      inString = !inString;
+      continue;
+    }
+
+    if (inString) {
+      continue;
+    }
+
+    // 遇到开括号时入栈
+    if (char === '{' || char === '[') {
+      if (stack.length === 0) {
+        startIndex = i;
+      }
+      stack.push(char);
+    }
+    // 遇到闭括号时出栈
+    else if (char === '}' || char === ']') {
+      const lastOpen = stack[stack.length - 1];
+      const matches =
+        (lastOpen === '{' && char === '}') ||
+        (lastOpen === '[' && char === ']');
+
+      if (matches) {
+        stack.pop();
+        // 栈空了说明找到了完整的平衡片段
+        if (stack.length === 0 && startIndex !== -1) {
+          return text.slice(startIndex, i + 1);
+        }
+      } else if (stack.length > 0) {
+        // 括号不匹配，重置状态
+        stack.length = 0;
+        startIndex = -1;
+      }
+    }
+  }
+
+  return null;
+}
+
+// 分析 JSON 结构，检测括号平衡性和缺失的括号
+// 返回诊断信息帮助用户理解问题
+export function analyzeJsonStructure(text) {
+  const stack = [];
+  let inString = false;
+  let escapeNext = false;
+  let hasMismatchedClosing = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (escapeNext) {
+      escapeNext = false;
+      continue;
+    }
+
+    if (char === '\\') {
+      escapeNext = true;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = !inString;
+      continue;
+    }
+
+    if (inString) {
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      stack.push(char);
+    } else if (char === '}' || char === ']') {
+      const lastOpen = stack[stack.length - 1];
+      const matches =
+        (lastOpen === '{' && char === '}') ||
+        (lastOpen === '[' && char === ']');
+
+      if (matches) {
+        stack.pop();
+      } else {
+        hasMismatchedClosing = true;
+      }
+    }
+  }
+
+  // 根据栈中剩余的开括号，生成需要补全的闭括号
+  const pendingClosers = stack
+    .slice()
+    .reverse()
+    .map((open) => closingBracketMap[open] || '')
+    .join('');
+
+  return {
+    isBalanced: stack.length === 0 && !hasMismatchedClosing,
+    pendingClosers,
+    pendingCount: stack.length,
+    hasMismatchedClosing,
+  };
+}
+
+// 统一检查解析后的数据，提取 elements 数组
+// 支持多种常见的数据结构
+export function inspectParsedElements(parsed) {
+  // 直接是数组
+  if (Array.isArray(parsed)) {
+    return { elements: parsed, source: 'array' };
+  }
+
+  // 对象结构
+  if (parsed && typeof parsed === 'object') {
+    if (Array.isArray(parsed.elements)) {
+      return { elements: parsed.elements, source: 'parsed.elements' };
+    }
+    if (Array.isArray(parsed.data) && Array.isArray(parsed.data[0]?.elements)) {
+      return {
+        elements: parsed.data[0].elements,
+        source: 'parsed.data[0].elements',
+      };
+    }
+    if (Array.isArray(parsed.data?.elements)) {
+      return { elements: parsed.data.elements, source: 'parsed.data.elements' };
+    }
+  }
+
+  return null;
+}
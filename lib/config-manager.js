@@ -2,6 +2,23 @@
  * 配置管理器 - 处理多份大模型API配置的管理
  */
 
+// 可在配置中选择的提供商类型及其默认 API 地址
+// structuredOutput 表示可以开启结构化输出（按 JSON Schema 约束模型输出），toolCalling 表示可以通过工具调用构建图表
+export const PROVIDER_TYPES = {
+  openai: { label: 'OpenAI', baseUrl: 'https://api.openai.com/v1', structuredOutput: true, toolCalling: true },
+  anthropic: { label: 'Anthropic', baseUrl: 'https://api.anthropic.com/v1', structuredOutput: true, toolCalling: true },
+  gemini: { label: 'Google Gemini', baseUrl: 'https://generativelanguage.googleapis.com/v1beta' },
+  // 本地 Ollama 默认不需要密钥，经过鉴权代理时可以填写
+  ollama: { label: 'Ollama（本地）', baseUrl: 'http://localhost:11434', apiKeyOptional: true },
+};
+
+/**
+ * 该提供商类型是否必须填写 API 密钥
+ */
+export function isApiKeyRequired(type) {
+  return !PROVIDER_TYPES[type]?.apiKeyOptional;
+}
+
 class ConfigManager {
   constructor() {
     this.STORAGE_KEY = 'smart-excalidraw-configs';
@@ -116,6 +133,8 @@ class ConfigManager {
       baseUrl: configData.baseUrl || '',
       apiKey: configData.apiKey || '',
       model: configData.model || '',
+      structuredOutput: false,
+      toolCalling: false,
       description: configData.description || '',
       isActive: false,
       createdAt: new Date().toISOString(),
@@ -359,8 +378,8 @@ class ConfigManager {
       }
     } else {
       // 传统配置验证
-      if (!config.type || !['openai', 'anthropic'].includes(config.type)) {
-        errors.push('配置类型必须是 openai 或 anthropic');
+      if (!config.type || !PROVIDER_TYPES[config.type]) {
+        errors.push(`配置类型必须是 ${Object.keys(PROVIDER_TYPES).join('、')} 之一`);
       }
 
       if (!config.baseUrl || config.baseUrl.trim() === '') {
@@ -373,7 +392,7 @@ class ConfigManager {
         }
       }
 
-      if (!config.apiKey || config.apiKey.trim() === '') {
+      if (isApiKeyRequired(config.type) && (!config.apiKey || config.apiKey.trim() === '')) {
         errors.push('API密钥不能为空');
       }
 
@@ -3,7 +3,7 @@
  * Backward compatibility layer for the new multi-config system
  */
 
-import { configManager } from './config-manager.js';
+import { configManager, isApiKeyRequired } from './config-manager.js';
 
 const LEGACY_CONFIG_KEY = 'smart-excalidraw-config';
 
@@ -55,7 +55,9 @@ export function getConfig() {
     type: activeConfig.type,
     baseUrl: activeConfig.baseUrl,
     apiKey: activeConfig.apiKey,
-    model: activeConfig.model
+    model: activeConfig.model,
+    structuredOutput: activeConfig.structuredOutput,
+    toolCalling: activeConfig.toolCalling
   };
 }
 
@@ -63,10 +65,12 @@ export function getConfig() {
  * Save provider configuration (backward compatibility)
  * @param {Object} config - Provider configuration
  * @param {string} config.name - Provider display name
- * @param {string} config.type - Provider type ('openai' or 'anthropic')
+ * @param {string} config.type - Provider type ('openai', 'anthropic', 'gemini' or 'ollama')
  * @param {string} config.baseUrl - API base URL
- * @param {string} config.apiKey - API key
+ * @param {string} config.apiKey - API key (optional for Ollama)
  * @param {string} config.model - Selected model
+ * @param {boolean} config.structuredOutput - Constrain output with the element JSON schema (OpenAI/Anthropic only)
+ * @param {boolean} config.toolCalling - Build new diagrams through tool calls (OpenAI/Anthropic only)
  */
 export function saveConfig(config) {
   if (typeof window === 'undefined') return;
@@ -101,7 +105,7 @@ export function isConfigValid(config) {
   return !!(
     config.type &&
     config.baseUrl &&
-    config.apiKey &&
+    (config.apiKey || !isApiKeyRequired(config.type)) &&
     config.model
   );
 }
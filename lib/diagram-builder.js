@@ -0,0 +1,461 @@
+/**
+ * 图表构建器 - 执行模型的工具调用，逐步生成 ExcalidrawElementSkeleton 元素数组
+ *
+ * 模型只通过 id 引用元素，构建器负责保证结果有效：
+ * - 分配不重复的 id，模型指定的 id 已被占用时改用新 id 并在结果中告知
+ * - 连线、框架和分组只能引用已存在的元素，箭头坐标由两端节点的位置计算
+ * - 未提供坐标的节点先按网格摆放；所有节点都没有坐标时，最后按连线关系自动布局
+ *
+ * 工具：add_node、connect、create_frame、group、set_style，定义见 DIAGRAM_TOOLS
+ */
+
+import { ENUM_VALUES, BINDING_TYPES, validateAndFixElements } from './skeleton-validator.js';
+import { measureNode } from './diagram-graph.js';
+import { getElementBounds } from './shape-geometry.js';
+import { autoLayoutElements, LAYOUT_CHART_TYPES } from './auto-layout.js';
+
+const NODE_SHAPES = ['rectangle', 'roundedRectangle', 'ellipse', 'diamond', 'text'];
+const DEFAULT_FONT_SIZE = 20;
+const EDGE_FONT_SIZE = 16;
+
+// 未提供坐标的节点临时按网格摆放
+const GRID_COLUMNS = 4;
+const GRID_CELL = { width: 240, height: 160 };
+
+// 错误提示中最多列出的已有 id 数量
+const MAX_LISTED_IDS = 20;
+
+const STYLE_PROPERTIES = {
+  strokeColor: { type: 'string', description: '描边和文字颜色，如 #1971c2' },
+  backgroundColor: { type: 'string', description: '填充颜色，如 #a5d8ff' },
+  fillStyle: { type: 'string', enum: ENUM_VALUES.fillStyle },
+  strokeStyle: { type: 'string', enum: ENUM_VALUES.strokeStyle },
+  strokeWidth: { type: 'number' },
+  roughness: { type: 'number', description: '0 为规整线条，1-2 为手绘风格' },
+  opacity: { type: 'number', description: '0-100' },
+  fontSize: { type: 'number', description: '文字字号' },
+};
+
+// 连线支持的样式
+const EDGE_STYLE_KEYS = ['strokeColor', 'strokeStyle', 'strokeWidth', 'roughness', 'opacity', 'fontSize'];
+
+const ARROWHEAD = { type: ['string', 'null'], enum: [...ENUM_VALUES.endArrowhead, null] };
+
+// 传给 callLLM 的工具定义
+export const DIAGRAM_TOOLS = [
+  {
+    name: 'add_node',
+    description: '添加一个节点（带文字的形状，或 shape 为 text 的独立文本），返回节点 id',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: '可选，便于后续引用的唯一 id，如 "login"' },
+        shape: { type: 'string', enum: NODE_SHAPES, description: '默认 rectangle' },
+        label: { type: 'string', description: '节点文字，可用 \\n 换行' },
+        x: { type: 'number', description: '左上角 x，省略时自动摆放' },
+        y: { type: 'number', description: '左上角 y，省略时自动摆放' },
+        width: { type: 'number', description: '省略时按文字自动计算' },
+        height: { type: 'number', description: '省略时按文字自动计算' },
+        ...STYLE_PROPERTIES,
+      },
+      required: ['label'],
+    },
+  },
+  {
+    name: 'connect',
+    description: '用箭头连接两个已添加的节点，箭头会绑定到两端节点',
+    parameters: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: '起点节点 id' },
+        to: { type: 'string', description: '终点节点 id' },
+        label: { type: 'string', description: '可选，箭头上的文字' },
+        id: { type: 'string', description: '可选，箭头的唯一 id' },
+        startArrowhead: { ...ARROWHEAD, description: '起点箭头，默认无' },
+        endArrowhead: { ...ARROWHEAD, description: '终点箭头，默认 arrow，null 表示无' },
+        elbowed: { type: 'boolean', description: '是否使用直角折线' },
+        ...Object.fromEntries(EDGE_STYLE_KEYS.map(key => [key, STYLE_PROPERTIES[key]])),
+      },
+      required: ['from', 'to'],
+    },
+  },
+  {
+    name: 'create_frame',
+    description: '创建一个框架，把指定元素框在一起，位置和尺寸自动计算',
+    parameters: {
+      type: 'object',
+      properties: {
+        children: { type: 'array', items: { type: 'string' }, minItems: 1, description: '框架内元素的 id' },
+        name: { type: 'string', description: '框架标题' },
+        id: { type: 'string', description: '可选，框架的唯一 id' },
+      },
+      required: ['children'],
+    },
+  },
+  {
+    name: 'group',
+    description: '把多个元素组合在一起，在画布上可以整体选中和移动',
+    parameters: {
+      type: 'object',
+      properties: {
+        ids: { type: 'array', items: { type: 'string' }, minItems: 2, description: '要组合的元素 id' },
+      },
+      required: ['ids'],
+    },
+  },
+  {
+    name: 'set_style',
+    description: '修改已有元素的样式，只修改提供的属性',
+    parameters: {
+      type: 'object',
+      properties: {
+        ids: { type: 'array', items: { type: 'string' }, minItems: 1, description: '要修改的元素 id' },
+        ...STYLE_PROPERTIES,
+      },
+      required: ['ids'],
+    },
+  },
+];
+
+/**
+ * 箭头从起点节点中心指向终点节点中心，后续由 optimizeExcalidrawCode 吸附到边缘
+ */
+function routeArrow(arrow, elementsById) {
+  const from = elementsById.get(arrow.start?.id);
+  const to = elementsById.get(arrow.end?.id);
+  if (!from || !to) return { ...arrow };
+
+  const fromBounds = getElementBounds(from);
+  const toBounds = getElementBounds(to);
+  const x = fromBounds.x + fromBounds.width / 2;
+  const y = fromBounds.y + fromBounds.height / 2;
+  return {
+    ...arrow,
+    x,
+    y,
+    width: toBounds.x + toBounds.width / 2 - x,
+    height: toBounds.y + toBounds.height / 2 - y,
+  };
+}
+
+function describeElement(element) {
+  const label = element.label?.text || element.text || element.name;
+  return label ? `${element.type} "${label}"` : element.type;
+}
+
+export class DiagramBuilder {
+  constructor() {
+    this.elements = [];
+    this.idCounters = {};
+    this.groupCount = 0;
+    this.autoPlacedIds = new Set();
+    this.gridOrigin = null;
+  }
+
+  /**
+   * 获取当前的元素数组（返回新数组，箭头按节点当前位置重新计算）
+   * @returns {Array} ExcalidrawElementSkeleton 元素数组
+   */
+  getElements() {
+    const elementsById = new Map(this.elements.map(element => [element.id, element]));
+    return this.elements.map(element => element.type === 'arrow' ? routeArrow(element, elementsById) : { ...element });
+  }
+
+  /**
+   * 执行一次工具调用
+   * @param {string} name - 工具名称，见 DIAGRAM_TOOLS
+   * @param {Object|null} input - 工具参数，参数不是 JSON 对象时为 null
+   * @returns {Object} { ok, message }，message 作为工具结果返回给模型
+   */
+  execute(name, input) {
+    const handlers = {
+      add_node: this.addNode,
+      connect: this.connect,
+      create_frame: this.createFrame,
+      group: this.group,
+      set_style: this.setStyle,
+    };
+
+    if (!handlers[name]) {
+      return { ok: false, message: `未知的工具 ${name}，可用的工具：${Object.keys(handlers).join('、')}` };
+    }
+    if (!input) {
+      return { ok: false, message: '参数不是合法的 JSON 对象' };
+    }
+
+    try {
+      return { ok: true, message: handlers[name].call(this, input) };
+    } catch (error) {
+      return { ok: false, message: error.message };
+    }
+  }
+
+  /**
+   * 结束构建：需要时自动布局，并经过校验器补全默认值
+   * @param {Object} options - { chartType }，自动布局使用的图表类型
+   * @returns {Object} { elements, warnings }
+   */
+  finish({ chartType = 'auto' } = {}) {
+    const warnings = [];
+    let elements = this.getElements();
+
+    const nodes = elements.filter(element => BINDING_TYPES.includes(element.type));
+    const needsLayout = nodes.length > 0
+      && nodes.every(node => this.autoPlacedIds.has(node.id))
+      && elements.some(element => element.type === 'arrow');
+    if (needsLayout) {
+      try {
+        const laidOut = autoLayoutElements(elements, LAYOUT_CHART_TYPES[chartType] ? chartType : 'auto').elements;
+        const elementsById = new Map(laidOut.map(element => [element.id, element]));
+        elements = laidOut.map(element => element.type === 'arrow' ? routeArrow(element, elementsById) : element);
+      } catch (error) {
+        warnings.push(`自动布局失败，保留网格排列：${error.message}`);
+      }
+    }
+
+    const { elements: fixedElements, errors } = validateAndFixElements(elements);
+    errors.forEach(error => warnings.push(error.message));
+    return { elements: fixedElements, warnings };
+  }
+
+  addNode(input) {
+    const shape = input.shape ?? 'rectangle';
+    if (!NODE_SHAPES.includes(shape)) {
+      throw new Error(`shape 必须是 ${NODE_SHAPES.join('/')} 之一`);
+    }
+    const label = typeof input.label === 'string' ? input.label.trim() : '';
+    if (!label) {
+      throw new Error('label 不能为空');
+    }
+
+    const { fontSize = DEFAULT_FONT_SIZE, ...style } = this.readStyle(input, Object.keys(STYLE_PROPERTIES));
+    const size = shape === 'text'
+      ? {}
+      : measureNode({ label, shape, fontSize, width: this.readNumber(input, 'width'), height: this.readNumber(input, 'height') });
+    const { id, note } = this.assignId(input.id, shape === 'text' ? 'text' : 'node');
+    const position = this.readPosition(input, id);
+
+    const element = shape === 'text'
+      ? { id, type: 'text', ...position, text: label, fontSize, ...style }
+      : {
+        id,
+        type: shape === 'roundedRectangle' ? 'rectangle' : shape,
+        ...position,
+        ...size,
+        ...style,
+        ...(shape === 'roundedRectangle' && { roundness: { type: 3 } }),
+        label: { text: label, fontSize },
+      };
+
+    this.elements.push(element);
+    return `已添加 ${describeElement(element)}，id: ${id}${note}`;
+  }
+
+  connect(input) {
+    const from = this.requireElement(input.from, 'from', BINDING_TYPES);
+    const to = this.requireElement(input.to, 'to', BINDING_TYPES);
+    if (from.id === to.id) {
+      throw new Error('from 和 to 不能是同一个节点');
+    }
+
+    const { fontSize = EDGE_FONT_SIZE, ...style } = this.readStyle(input, EDGE_STYLE_KEYS);
+    const arrowheads = {};
+    for (const key of ['startArrowhead', 'endArrowhead']) {
+      if (input[key] === undefined) continue;
+      if (input[key] !== null && !ENUM_VALUES[key].includes(input[key])) {
+        throw new Error(`${key} 必须是 ${ENUM_VALUES[key].join('/')} 之一或 null`);
+      }
+      arrowheads[key] = input[key];
+    }
+
+    const { id, note } = this.assignId(input.id, 'arrow');
+    const label = typeof input.label === 'string' ? input.label.trim() : '';
+    const element = {
+      id,
+      type: 'arrow',
+      x: 0,
+      y: 0,
+      ...style,
+      ...arrowheads,
+      ...(input.elbowed === true && { elbowed: true }),
+      start: { id: from.id },
+      end: { id: to.id },
+      ...(label && { label: { text: label, fontSize } }),
+    };
+
+    this.elements.push(element);
+    return `已连接 ${from.id} → ${to.id}，箭头 id: ${id}${note}`;
+  }
+
+  createFrame(input) {
+    const childIds = this.readIdList(input.children, 'children', 1);
+    const children = childIds.map(childId => this.requireElement(childId, 'children'));
+
+    for (const child of children) {
+      if (child.type === 'frame') {
+        throw new Error(`框架不能嵌套，${child.id} 本身是框架`);
+      }
+      const owner = this.elements.find(element => element.type === 'frame' && element.children.includes(child.id));
+      if (owner) {
+        throw new Error(`元素 ${child.id} 已在框架 ${owner.id} 中，一个元素只能属于一个框架`);
+      }
+    }
+
+    const { id, note } = this.assignId(input.id, 'frame');
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    // frame 需要放在其 children 之后，新建的框架总是追加在末尾
+    this.elements.push({ id, type: 'frame', children: childIds, ...(name && { name }) });
+    return `已创建框架${name ? ` "${name}"` : ''}，包含 ${childIds.length} 个元素，id: ${id}${note}`;
+  }
+
+  group(input) {
+    const ids = this.readIdList(input.ids, 'ids', 2);
+    ids.forEach(elementId => this.requireElement(elementId, 'ids'));
+
+    const groupId = this.assignGroupId();
+    this.elements = this.elements.map(element => ids.includes(element.id)
+      ? { ...element, groupIds: [...(element.groupIds || []), groupId] }
+      : element);
+    return `已将 ${ids.length} 个元素组合，分组 id: ${groupId}`;
+  }
+
+  setStyle(input) {
+    const ids = this.readIdList(input.ids, 'ids', 1);
+    ids.forEach(elementId => this.requireElement(elementId, 'ids'));
+
+    const { fontSize, ...style } = this.readStyle(input, Object.keys(STYLE_PROPERTIES));
+    const changedKeys = [...Object.keys(style), ...(fontSize !== undefined ? ['fontSize'] : [])];
+    if (changedKeys.length === 0) {
+      throw new Error(`没有提供要修改的样式，可用属性：${Object.keys(STYLE_PROPERTIES).join('、')}`);
+    }
+
+    this.elements = this.elements.map(element => {
+      if (!ids.includes(element.id)) return element;
+      const next = { ...element, ...style };
+      if (fontSize !== undefined) {
+        if (element.type === 'text') {
+          next.fontSize = fontSize;
+        } else if (element.label) {
+          next.label = { ...element.label, fontSize };
+        }
+      }
+      return next;
+    });
+    return `已修改 ${ids.length} 个元素的 ${changedKeys.join('、')}`;
+  }
+
+  /**
+   * 使用模型指定的 id，已被占用或未指定时生成新的 id
+   * @returns {Object} { id, note }，note 为 id 被改写时附加给模型的说明
+   */
+  assignId(preferred, prefix) {
+    const requested = typeof preferred === 'string' ? preferred.trim() : '';
+    if (requested && !this.findElement(requested)) {
+      return { id: requested, note: '' };
+    }
+
+    const base = requested || prefix;
+    let id;
+    do {
+      this.idCounters[base] = (this.idCounters[base] || 0) + 1;
+      id = `${base}-${this.idCounters[base]}`;
+    } while (this.findElement(id));
+
+    return { id, note: requested ? `（id ${requested} 已被占用，已改用 ${id}）` : '' };
+  }
+
+  assignGroupId() {
+    const usedGroupIds = new Set(this.elements.flatMap(element => element.groupIds || []));
+    let groupId;
+    do {
+      this.groupCount++;
+      groupId = `group-${this.groupCount}`;
+    } while (usedGroupIds.has(groupId));
+    return groupId;
+  }
+
+  findElement(id) {
+    return this.elements.find(element => element.id === id);
+  }
+
+  /**
+   * 按 id 取出已有元素，不存在或类型不符时抛出带已有 id 列表的错误
+   */
+  requireElement(id, field, allowedTypes) {
+    const element = typeof id === 'string' ? this.findElement(id) : null;
+    if (!element) {
+      const knownIds = this.elements.filter(item => !allowedTypes || allowedTypes.includes(item.type)).map(item => item.id);
+      const listed = knownIds.slice(0, MAX_LISTED_IDS).join(', ') + (knownIds.length > MAX_LISTED_IDS ? ' …' : '');
+      throw new Error(`${field} 引用的元素 ${id} 不存在${knownIds.length > 0 ? `，可用的 id：${listed}` : '，请先用 add_node 添加节点'}`);
+    }
+    if (allowedTypes && !allowedTypes.includes(element.type)) {
+      throw new Error(`${field} 引用的 ${element.id} 是 ${element.type}，只能是 ${allowedTypes.join('/')}`);
+    }
+    return element;
+  }
+
+  readIdList(value, field, minCount) {
+    if (!Array.isArray(value) || value.some(id => typeof id !== 'string')) {
+      throw new Error(`${field} 必须是元素 id 的数组`);
+    }
+    const ids = [...new Set(value)];
+    if (ids.length < minCount) {
+      throw new Error(`${field} 至少需要 ${minCount} 个不同的元素 id`);
+    }
+    return ids;
+  }
+
+  readNumber(input, key) {
+    if (input[key] === undefined || input[key] === null) return undefined;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`${key} 必须是数字`);
+    }
+    return value;
+  }
+
+  /**
+   * 读取并校验样式属性，只保留 keys 中列出的属性
+   */
+  readStyle(input, keys) {
+    const style = {};
+    for (const key of keys) {
+      if (input[key] === undefined || input[key] === null) continue;
+      const schema = STYLE_PROPERTIES[key];
+      if (schema.type === 'number') {
+        style[key] = this.readNumber(input, key);
+      } else if (schema.enum && !schema.enum.includes(input[key])) {
+        throw new Error(`${key} 必须是 ${schema.enum.join('/')} 之一`);
+      } else {
+        style[key] = String(input[key]);
+      }
+    }
+    return style;
+  }
+
+  /**
+   * 节点坐标：都提供时直接使用，否则按网格临时摆放在已有内容下方
+   */
+  readPosition(input, id) {
+    const x = this.readNumber(input, 'x');
+    const y = this.readNumber(input, 'y');
+    if (x !== undefined && y !== undefined) {
+      return { x, y };
+    }
+
+    if (!this.gridOrigin) {
+      const placed = this.elements.filter(element => BINDING_TYPES.includes(element.type)).map(getElementBounds);
+      this.gridOrigin = {
+        x: placed.length > 0 ? Math.min(...placed.map(bounds => bounds.x)) : 0,
+        y: placed.length > 0 ? Math.max(...placed.map(bounds => bounds.y + bounds.height)) + GRID_CELL.height / 2 : 0,
+      };
+    }
+
+    const slot = this.autoPlacedIds.size;
+    this.autoPlacedIds.add(id);
+    return {
+      x: this.gridOrigin.x + (slot % GRID_COLUMNS) * GRID_CELL.width,
+      y: this.gridOrigin.y + Math.floor(slot / GRID_COLUMNS) * GRID_CELL.height,
+    };
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * 图表导出 - 基于 excalidrawAPI 导出 SVG、PNG、.excalidraw 场景文件和骨架 JSON
+ *
+ * 所有格式都嵌入生成时使用的提示词：
+ * - SVG：<metadata> 节点
+ * - PNG：iTXt 文本块（UTF-8，支持中文）
+ * - .excalidraw / 骨架 JSON：顶层的 smartExcalidraw 字段
+ * SVG 和 PNG 同时嵌入完整场景，可以被 Excalidraw 重新打开编辑
+ */
+
+export const EXPORT_FORMATS = {
+  svg: { label: 'SVG', extension: 'svg', mimeType: 'image/svg+xml' },
+  png: { label: 'PNG', extension: 'png', mimeType: 'image/png' },
+  excalidraw: { label: '.excalidraw', extension: 'excalidraw', mimeType: 'application/vnd.excalidraw+json' },
+  skeleton: { label: '骨架 JSON', extension: 'json', mimeType: 'application/json' },
+};
+
+export const PNG_EXPORT_SCALES = [1, 2, 3, 4];
+
+export const METADATA_KEY = 'smartExcalidraw';
+
+/**
+ * 构建嵌入到导出文件中的元数据
+ * @param {Array} conversation - 对话消息，第一条用户消息为原始提示词，其后为修改要求
+ * @returns {Object} { generator, prompt, refinements, exportedAt }
+ */
+export function buildExportMetadata(conversation = []) {
+  const userMessages = conversation
+    .filter(message => message.role === 'user' && typeof message.content === 'string')
+    .map(message => message.content);
+  return {
+    generator: 'smart-excalidraw',
+    prompt: userMessages[0] || '',
+    refinements: userMessages.slice(1),
+    exportedAt: new Date().toISOString(),
+  };
+}
+
+// PNG 块使用的 CRC32 查找表
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 在 PNG 的 IEND 块之前插入一个 iTXt 文本块
+ * @param {Uint8Array} png - PNG 文件内容
+ * @param {string} keyword - 关键字（Latin-1，1~79 字节）
+ * @param {string} text - UTF-8 文本
+ * @returns {Uint8Array} 新的 PNG 文件内容
+ */
+export function insertPngTextChunk(png, keyword, text) {
+  const encoder = new TextEncoder();
+  // iTXt：keyword \0 压缩标志 压缩方法 语言标签 \0 翻译关键字 \0 文本
+  const data = new Uint8Array([
+    ...encoder.encode(keyword), 0, 0, 0, 0, 0,
+    ...encoder.encode(text),
+  ]);
+  const type = encoder.encode('iTXt');
+
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(type, 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  // IEND 块固定为最后 12 字节
+  const iendOffset = png.length - 12;
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, iendOffset), 0);
+  result.set(chunk, iendOffset);
+  result.set(png.subarray(iendOffset), iendOffset + chunk.length);
+  return result;
+}
+
+/**
+ * 读取导出文件中嵌入的元数据（SVG 的 <metadata> 节点或 PNG 的 iTXt 块）
+ * @param {Blob} blob - SVG 或 PNG 文件
+ * @returns {Promise<Object|null>} 元数据，没有时返回 null
+ */
+export async function readExportMetadata(blob) {
+  try {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const decoder = new TextDecoder();
+
+    // PNG 签名：0x89 'P' 'N' 'G'
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      for (let offset = 8; offset + 12 <= bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = decoder.decode(bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'iTXt' && decoder.decode(data.subarray(0, METADATA_KEY.length)) === METADATA_KEY) {
+          // 跳过 keyword \0 压缩标志 压缩方法 语言标签 \0 翻译关键字 \0
+          let index = METADATA_KEY.length + 3;
+          index = data.indexOf(0, index) + 1;
+          index = data.indexOf(0, index) + 1;
+          return JSON.parse(decoder.decode(data.subarray(index)));
+        }
+        offset += 12 + length;
+      }
+      return null;
+    }
+
+    const match = decoder.decode(bytes).match(new RegExp(`<metadata id="${METADATA_KEY}">([\\s\\S]*?)</metadata>`));
+    if (!match) return null;
+    return JSON.parse(match[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+  } catch (error) {
+    console.warn('Failed to read export metadata:', error);
+    return null;
+  }
+}
+
+function createFilename(extension) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+  return `smart-excalidraw-${stamp}.${extension}`;
+}
+
+/**
+ * 导出当前画布
+ * @param {Object} excalidrawAPI - Excalidraw 组件提供的 API
+ * @param {string} format - EXPORT_FORMATS 中的格式
+ * @param {Object} options - { scale, background: 'white' | 'transparent', metadata, skeleton }
+ * @returns {Promise<Object>} { blob, filename }
+ * @throws {Error} 画布为空或格式不支持时抛出
+ */
+export async function exportDiagram(excalidrawAPI, format, options = {}) {
+  const { scale = 2, background = 'white', metadata = buildExportMetadata(), skeleton = [] } = options;
+  const formatInfo = EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    throw new Error(`不支持的导出格式：${format}`);
+  }
+
+  // 骨架 JSON 不依赖画布，直接导出生成代码对应的元素
+  if (format === 'skeleton') {
+    if (!skeleton.length) throw new Error('没有可导出的元素');
+    const content = JSON.stringify({ [METADATA_KEY]: metadata, elements: skeleton }, null, 2);
+    return { blob: new Blob([content], { type: formatInfo.mimeType }), filename: createFilename(formatInfo.extension) };
+  }
+
+  if (!excalidrawAPI) {
+    throw new Error('画布尚未就绪');
+  }
+  const elements = excalidrawAPI.getSceneElements();
+  if (elements.length === 0) {
+    throw new Error('画布为空，没有可导出的内容');
+  }
+
+  const { exportToSvg, exportToBlob, serializeAsJSON } = await import('@excalidraw/excalidraw');
+  const files = excalidrawAPI.getFiles();
+  const appState = {
+    ...excalidrawAPI.getAppState(),
+    exportBackground: background !== 'transparent',
+    viewBackgroundColor: '#ffffff',
+    exportEmbedScene: true,
+    exportScale: scale,
+  };
+  const metadataText = JSON.stringify(metadata);
+
+  if (format === 'svg') {
+    const svg = await exportToSvg({ elements, appState, files });
+    const metadataNode = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'metadata');
+    metadataNode.setAttribute('id', METADATA_KEY);
+    metadataNode.textContent = metadataText;
+    svg.insertBefore(metadataNode, svg.firstChild);
+    if (metadata.prompt) {
+      const title = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'title');
+      title.textContent = metadata.prompt.slice(0, 200);
+      svg.insertBefore(title, svg.firstChild);
+    }
+    return {
+      blob: new Blob([svg.outerHTML], { type: formatInfo.mimeType }),
+      filename: createFilename(formatInfo.extension),
+    };
+  }
+
+  if (format === 'png') {
+    const pngBlob = await exportToBlob({ elements, appState, files, mimeType: formatInfo.mimeType });
+    const png = new Uint8Array(await pngBlob.arrayBuffer());
+    return {
+      blob: new Blob([insertPngTextChunk(png, METADATA_KEY, metadataText)], { type: formatInfo.mimeType }),
+      filename: createFilename(formatInfo.extension),
+    };
+  }
+
+  const scene = JSON.parse(serializeAsJSON(elements, appState, files, 'local'));
+  const content = JSON.stringify({ ...scene, [METADATA_KEY]: metadata }, null, 2);
+  return { blob: new Blob([content], { type: formatInfo.mimeType }), filename: createFilename(formatInfo.extension) };
+}
+
+/**
+ * 触发浏览器下载
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 文件名
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,175 @@
+/**
+ * 服务器端图表生成 - 调用模型、自动纠错并解析出最终的骨架元素
+ * 供 /api/generate、/api/v1/generate 等不经过浏览器的调用方使用
+ */
+
+import { callLLM, TOOL_PROVIDER_TYPES } from './llm-client.js';
+import { SYSTEM_PROMPT, USER_PROMPT_TEMPLATE, REPAIR_PROMPT_TEMPLATE, TOOL_BUILD_PROMPT } from './prompts.js';
+import { diagnoseGeneratedCode } from './generation-repair.js';
+import { SKELETON_RESPONSE_FORMAT } from './skeleton-schema.js';
+import { DiagramBuilder, DIAGRAM_TOOLS } from './diagram-builder.js';
+import { parseCandidateOutput } from './generation-candidates.js';
+import { EXPORT_FORMATS } from './diagram-export.js';
+import { createExcalidrawScene } from './skeleton-expander.js';
+import { renderSkeletonToSvg } from './svg-renderer.js';
+
+// 服务器端可以输出的格式
+export const OUTPUT_FORMATS = {
+  json: EXPORT_FORMATS.skeleton,
+  excalidraw: EXPORT_FORMATS.excalidraw,
+  svg: EXPORT_FORMATS.svg,
+};
+
+// 工具调用的最大轮数，防止模型一直调用工具不结束
+const MAX_TOOL_ROUNDS = 12;
+
+/**
+ * 流式生成一次，输出未通过检查时把诊断信息发回模型纠错
+ * @param {Object} config - 提供商配置
+ * @param {Array} messages - 对话消息数组
+ * @param {Object} options - { repairAttempts, outputMode }
+ * @param {Function} sendEvent - 接收 { content } 和 { repair } 事件
+ * @returns {Promise<string>} 最后一次的模型输出
+ */
+export async function generateWithRepair(config, messages, { repairAttempts, outputMode }, sendEvent) {
+  let currentMessages = messages;
+  // 增量修改输出的是操作列表，只有完整输出才能按骨架元素的 Schema 约束
+  const llmOptions = outputMode === 'patch' ? {} : { responseFormat: SKELETON_RESPONSE_FORMAT };
+
+  for (let attempt = 0; ; attempt++) {
+    let output = '';
+    await callLLM(config, currentMessages, (chunk) => {
+      output += chunk;
+      sendEvent({ content: chunk });
+    }, llmOptions);
+
+    if (attempt >= repairAttempts) return output;
+
+    const { ok, diagnostics } = diagnoseGeneratedCode(output, { allowPatch: outputMode === 'patch' });
+    if (ok) return output;
+
+    // 让同一个提供商修正它上一次的输出
+    sendEvent({ repair: { attempt: attempt + 1, maxAttempts: repairAttempts, diagnostics } });
+    currentMessages = [
+      ...currentMessages,
+      { role: 'assistant', content: output },
+      { role: 'user', content: REPAIR_PROMPT_TEMPLATE(diagnostics, outputMode) },
+    ];
+  }
+}
+
+/**
+ * 该配置是否通过工具调用构建新图表（需要开启 toolCalling 且提供商支持工具调用）
+ * @param {Object} config - 提供商配置
+ * @returns {boolean}
+ */
+export function supportsToolBuild(config) {
+  return !!config?.toolCalling && TOOL_PROVIDER_TYPES.includes(config.type);
+}
+
+/**
+ * 通过工具调用构建新图表：模型调用 DIAGRAM_TOOLS，由 DiagramBuilder 在服务器端执行
+ * 每次工具调用后发送 { build: { tool, ok, message, elements } } 事件，elements 为当前的全部元素；
+ * 结束时把最终的元素数组作为一次 { content } 事件发送，与文本输出的后续解析流程一致。
+ * 构建器保证 id 和绑定有效，因此不再进行自动纠错。
+ * @param {Object} config - 提供商配置
+ * @param {Array} messages - 对话消息数组
+ * @param {Object} options - { chartType }，所有节点都未指定坐标时用于自动布局
+ * @param {Function} sendEvent - 接收 { build } 和 { content } 事件
+ * @returns {Promise<string>} 最终元素数组的 JSON
+ * @throws {Error} 模型没有添加任何元素时抛出
+ */
+export async function generateWithTools(config, messages, { chartType } = {}, sendEvent) {
+  const builder = new DiagramBuilder();
+  let currentMessages = messages.map(message => message.role === 'system'
+    ? { ...message, content: `${message.content}\n\n${TOOL_BUILD_PROMPT}` }
+    : message);
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const toolCalls = [];
+    const toolResults = [];
+    const text = await callLLM(config, currentMessages, null, {
+      tools: DIAGRAM_TOOLS,
+      onToolCall: (call) => {
+        const { ok, message } = builder.execute(call.name, call.input);
+        toolCalls.push(call);
+        toolResults.push({ id: call.id, content: message, isError: !ok });
+        sendEvent({ build: { tool: call.name, ok, message, elements: builder.getElements() } });
+      },
+    });
+
+    // 模型不再调用工具表示构建完成
+    if (toolCalls.length === 0) break;
+    currentMessages = [
+      ...currentMessages,
+      { role: 'assistant', content: text, toolCalls },
+      { role: 'tool', toolResults },
+    ];
+  }
+
+  if (builder.elements.length === 0) {
+    throw new Error('模型没有通过工具调用添加任何元素');
+  }
+
+  const { elements, warnings } = builder.finish({ chartType });
+  warnings.forEach(warning => console.warn('Diagram builder:', warning));
+  const output = JSON.stringify(elements, null, 2);
+  sendEvent({ content: output });
+  return output;
+}
+
+/**
+ * 根据文字描述生成一张新图表，开启了 toolCalling 的配置通过工具调用构建
+ * @param {Object} config - 提供商配置
+ * @param {Object} options - { prompt, chartType, repairAttempts }
+ * @param {Function} sendEvent - 可选，接收生成过程中的 { content }、{ repair } 和 { build } 事件
+ * @returns {Promise<Object>} { code, elements, warnings }，warnings 为纠错后仍未通过校验的问题
+ * @throws {Error} 纠错后仍无法解析出元素时抛出
+ */
+export async function generateDiagram(config, { prompt, chartType = 'auto', repairAttempts = 0 }, sendEvent = () => {}) {
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: USER_PROMPT_TEMPLATE(prompt, chartType) },
+  ];
+
+  const output = supportsToolBuild(config)
+    ? await generateWithTools(config, messages, { chartType }, sendEvent)
+    : await generateWithRepair(config, messages, { repairAttempts, outputMode: 'full' }, sendEvent);
+  const result = parseCandidateOutput(output);
+  if (result.error) {
+    throw new Error(`生成结果无法解析：${result.error}`);
+  }
+  const { code, elements, errors } = result;
+  return { code, elements, warnings: errors };
+}
+
+/**
+ * 把生成的骨架元素转换为指定格式的文件内容
+ * @param {Array} elements - 骨架元素
+ * @param {string} format - OUTPUT_FORMATS 中的格式
+ * @param {Object} metadata - 可选，嵌入文件的元数据（见 buildExportMetadata）
+ * @param {Object} options - SVG 渲染选项，见 renderSkeletonToSvg
+ * @returns {Object} { content, mimeType, extension, warnings }
+ * @throws {Error} 格式不支持时抛出
+ */
+export function formatDiagram(elements, format, metadata, options = {}) {
+  const formatInfo = OUTPUT_FORMATS[format];
+  if (!formatInfo) {
+    throw new Error(`不支持的输出格式 ${format}，可选值：${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  let content;
+  let warnings = [];
+  if (format === 'excalidraw') {
+    const result = createExcalidrawScene(elements, metadata);
+    content = JSON.stringify(result.scene, null, 2);
+    warnings = result.warnings;
+  } else if (format === 'svg') {
+    const result = renderSkeletonToSvg(elements, { ...options, metadata });
+    content = result.svg;
+    warnings = result.warnings;
+  } else {
+    content = JSON.stringify(elements, null, 2);
+  }
+  return { content, mimeType: formatInfo.mimeType, extension: formatInfo.extension, warnings };
+}
@@ -0,0 +1,381 @@
+/**
+ * 图结构 -> ExcalidrawElementSkeleton 元素
+ *
+ * Mermaid 等文本格式的转换器先把源码解析为与格式无关的图结构，
+ * 再由这里统一计算尺寸、布局，并生成带绑定箭头的元素数组。
+ */
+
+import { layeredLayout, gridLayout } from './graph-layout.js';
+
+const DEFAULT_FONT_SIZE = 16;
+const LINE_HEIGHT = 1.25;
+
+// 节点默认样式，与 SYSTEM_PROMPT 示例中的配色保持一致
+const NODE_STYLES = {
+  rectangle: { backgroundColor: '#e3f2fd', strokeColor: '#1976d2' },
+  ellipse: { backgroundColor: '#e8f5e9', strokeColor: '#2e7d32' },
+  diamond: { backgroundColor: '#fff3bf', strokeColor: '#f08c00' },
+};
+
+/**
+ * 估算文本尺寸：中日韩字符按一个字号宽度计算，其余字符按 0.6 个字号计算
+ * @param {string} text - 文本，可包含换行
+ * @param {number} fontSize - 字号
+ * @returns {Object} { width, height }
+ */
+export function estimateTextSize(text, fontSize = DEFAULT_FONT_SIZE) {
+  const lines = String(text ?? '').split('\n');
+  const width = Math.max(0, ...lines.map(line =>
+    [...line].reduce((sum, char) => sum + (/[⺀-鿿가-힯＀-￯]/.test(char) ? 1 : 0.6) * fontSize, 0)
+  ));
+  return { width: Math.ceil(width), height: Math.ceil(lines.length * fontSize * LINE_HEIGHT) };
+}
+
+/**
+ * 根据标签文本和形状计算节点尺寸
+ * 椭圆和菱形的内切区域较小，需要额外放大
+ * @param {Object} node - { label, shape, fontSize, width, height, minWidth, minHeight }
+ * @returns {Object} { width, height }
+ */
+export function measureNode(node) {
+  if (node.width && node.height) return { width: node.width, height: node.height };
+
+  const textSize = estimateTextSize(node.label, node.fontSize || DEFAULT_FONT_SIZE);
+  let width = Math.max(textSize.width + 40, node.minWidth ?? 120);
+  let height = Math.max(textSize.height + 30, node.minHeight ?? 60);
+
+  if (node.shape === 'ellipse' || node.shape === 'diamond') {
+    width = Math.round(width * 1.4);
+    height = Math.round(height * 1.4);
+  }
+
+  return { width: node.width || width, height: node.height || height };
+}
+
+/**
+ * 生成节点元素
+ */
+function createNodeElement(node, position, size) {
+  const type = ['ellipse', 'diamond'].includes(node.shape) ? node.shape : 'rectangle';
+  const element = {
+    id: node.id,
+    type,
+    x: position.x,
+    y: position.y,
+    width: size.width,
+    height: size.height,
+    ...NODE_STYLES[type],
+    ...node.style,
+  };
+
+  if (node.shape === 'roundedRectangle') {
+    element.roundness = { type: 3 };
+  }
+
+  if (node.label) {
+    element.label = {
+      text: node.label,
+      fontSize: node.fontSize || DEFAULT_FONT_SIZE,
+      ...(node.textAlign && { textAlign: node.textAlign }),
+      ...(node.verticalAlign && { verticalAlign: node.verticalAlign }),
+    };
+  }
+
+  return element;
+}
+
+/**
+ * 生成连线元素：起止点先放在两个节点的中心，后续由 optimizeExcalidrawCode 吸附到边缘
+ */
+function createEdgeElement(edge, index, nodeElements) {
+  const from = nodeElements.get(edge.from);
+  const to = nodeElements.get(edge.to);
+  const startX = from.x + from.width / 2;
+  const startY = from.y + from.height / 2;
+
+  const element = {
+    id: edge.id || `edge-${index + 1}`,
+    type: edge.type === 'line' ? 'line' : 'arrow',
+    x: startX,
+    y: startY,
+    width: to.x + to.width / 2 - startX,
+    height: to.y + to.height / 2 - startY,
+    strokeColor: edge.strokeColor || '#1e1e1e',
+    ...(edge.strokeStyle && edge.strokeStyle !== 'solid' && { strokeStyle: edge.strokeStyle }),
+    ...(edge.strokeWidth && { strokeWidth: edge.strokeWidth }),
+  };
+
+  if (element.type === 'arrow') {
+    element.start = { id: edge.from };
+    element.end = { id: edge.to };
+    // null 表示不显示箭头，undefined 使用 Excalidraw 默认值
+    if (edge.startArrowhead !== undefined) element.startArrowhead = edge.startArrowhead;
+    if (edge.endArrowhead !== undefined) element.endArrowhead = edge.endArrowhead;
+  }
+
+  if (edge.label) {
+    element.label = { text: edge.label, fontSize: 14 };
+  }
+
+  return element;
+}
+
+/**
+ * 把节点-连线图转换为元素数组
+ *
+ * @param {Object} graph
+ * @param {Array} graph.nodes - [{ id, label, shape, style, width, height, fontSize, textAlign }]
+ *   shape 可选 rectangle / roundedRectangle / ellipse / diamond
+ * @param {Array} graph.edges - [{ from, to, label, strokeStyle, strokeWidth, startArrowhead, endArrowhead }]
+ * @param {Array} graph.clusters - [{ id, label, nodeIds }]，会生成包含这些节点的 frame
+ * @param {string} graph.direction - 'TB' | 'BT' | 'LR' | 'RL'
+ * @param {Object} layoutOptions - 传给 layeredLayout 的额外参数
+ * @returns {Array} ExcalidrawElementSkeleton 元素数组
+ */
+export function buildGraphElements(graph, layoutOptions = {}) {
+  const { nodes = [], edges = [], clusters = [], direction = 'TB' } = graph;
+  if (nodes.length === 0) return [];
+
+  const sizes = new Map(nodes.map(node => [node.id, measureNode(node)]));
+  const layoutNodes = nodes.map(node => ({ id: node.id, ...sizes.get(node.id) }));
+  const positions = edges.length > 0
+    ? layeredLayout(layoutNodes, edges, { direction, ...layoutOptions })
+    : gridLayout(layoutNodes, layoutOptions);
+
+  const nodeElements = new Map();
+  nodes.forEach(node => {
+    nodeElements.set(node.id, createNodeElement(node, positions.get(node.id), sizes.get(node.id)));
+  });
+
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const edgeElements = edges
+    .filter(edge => nodeIds.has(edge.from) && nodeIds.has(edge.to))
+    .map((edge, index) => createEdgeElement(edge, index, nodeElements));
+
+  // frame 需要放在其 children 之后
+  const frameElements = clusters
+    .map(cluster => ({ ...cluster, nodeIds: cluster.nodeIds.filter(id => nodeIds.has(id)) }))
+    .filter(cluster => cluster.nodeIds.length > 0)
+    .map(cluster => ({
+      id: cluster.id,
+      type: 'frame',
+      children: cluster.nodeIds,
+      ...(cluster.label && { name: cluster.label }),
+    }));
+
+  return [...nodeElements.values(), ...edgeElements, ...frameElements];
+}
+
+/**
+ * 把时序图结构转换为元素数组
+ *
+ * @param {Object} sequence
+ * @param {Array} sequence.participants - [{ id, label, kind: 'participant' | 'actor' }]
+ * @param {Array} sequence.messages - [{ from, to, text, strokeStyle, endArrowhead }]
+ * @param {Array} sequence.notes - [{ participants: [id], position: 'over' | 'left' | 'right', text, row }]
+ * @param {Array} sequence.blocks - [{ kind, label, startRow, endRow, dividers: [{ row, label }] }]
+ *   row 表示消息行号，note 和 block 都按行号和消息交错排列
+ * @returns {Array} ExcalidrawElementSkeleton 元素数组
+ */
+export function buildSequenceElements(sequence) {
+  const { participants = [], messages = [], notes = [], blocks = [] } = sequence;
+  if (participants.length === 0) return [];
+
+  const originX = 100;
+  const originY = 100;
+  const rowHeight = 60;
+  const boxHeight = 60;
+
+  const boxWidth = Math.max(120, ...participants.map(participant => estimateTextSize(participant.label).width + 40));
+  const messageWidth = Math.max(0, ...messages.map(message => estimateTextSize(message.text, 14).width + 40));
+  const spacing = Math.max(boxWidth + 60, messageWidth);
+
+  const centerX = new Map(participants.map((participant, index) => [
+    participant.id,
+    originX + index * spacing + boxWidth / 2,
+  ]));
+
+  const rowCount = Math.max(
+    0,
+    ...messages.map((message, index) => (message.row ?? index) + 1),
+    ...notes.map(note => note.row + 1),
+    ...blocks.map(block => block.endRow)
+  );
+  const firstRowY = originY + boxHeight + rowHeight;
+  const rowY = (row) => firstRowY + row * rowHeight;
+  const lifelineEnd = rowY(rowCount) + rowHeight / 2;
+
+  const elements = [];
+
+  // 组合片段（loop/alt/opt 等），放在最前面作为背景
+  blocks.forEach((block, index) => {
+    const involved = participants.map(participant => centerX.get(participant.id));
+    const left = Math.min(...involved) - boxWidth / 2 - 20 + (block.depth || 0) * 10;
+    const right = Math.max(...involved) + boxWidth / 2 + 20 - (block.depth || 0) * 10;
+    const top = rowY(block.startRow) - rowHeight / 2 - 10;
+    const bottom = rowY(block.endRow) - rowHeight / 2 + 10;
+    const id = `block-${index + 1}`;
+
+    elements.push({
+      id,
+      type: 'rectangle',
+      x: left,
+      y: top,
+      width: right - left,
+      height: bottom - top,
+      strokeColor: '#868e96',
+      strokeStyle: 'dashed',
+      backgroundColor: 'transparent',
+    });
+    const title = [block.kind, block.label && `[${block.label}]`].filter(Boolean).join(' ');
+    if (title) {
+      elements.push({
+        id: `${id}-label`,
+        type: 'text',
+        x: left + 8,
+        y: top + 4,
+        text: title,
+        fontSize: 14,
+        strokeColor: '#495057',
+      });
+    }
+
+    (block.dividers || []).forEach((divider, dividerIndex) => {
+      const y = rowY(divider.row) - rowHeight / 2;
+      elements.push({
+        id: `${id}-divider-${dividerIndex + 1}`,
+        type: 'line',
+        x: left,
+        y,
+        width: right - left,
+        height: 0,
+        strokeColor: '#868e96',
+        strokeStyle: 'dashed',
+      });
+      if (divider.label) {
+        elements.push({
+          id: `${id}-divider-${dividerIndex + 1}-label`,
+          type: 'text',
+          x: left + 8,
+          y: y + 4,
+          text: `[${divider.label}]`,
+          fontSize: 14,
+          strokeColor: '#495057',
+        });
+      }
+    });
+  });
+
+  // 参与者和生命线
+  participants.forEach(participant => {
+    const x = centerX.get(participant.id) - boxWidth / 2;
+    elements.push({
+      id: participant.id,
+      type: participant.kind === 'actor' ? 'ellipse' : 'rectangle',
+      x,
+      y: originY,
+      width: boxWidth,
+      height: boxHeight,
+      ...NODE_STYLES[participant.kind === 'actor' ? 'ellipse' : 'rectangle'],
+      label: { text: participant.label, fontSize: DEFAULT_FONT_SIZE },
+    });
+    elements.push({
+      id: `${participant.id}-lifeline`,
+      type: 'line',
+      x: centerX.get(participant.id),
+      y: originY + boxHeight,
+      width: 1,
+      height: lifelineEnd - originY - boxHeight,
+      strokeColor: '#868e96',
+      strokeStyle: 'dashed',
+    });
+  });
+
+  // 消息
+  messages.forEach((message, index) => {
+    const fromX = centerX.get(message.from);
+    const toX = centerX.get(message.to);
+    const y = rowY(message.row ?? index);
+    const id = `message-${index + 1}`;
+    const style = {
+      strokeColor: '#1e1e1e',
+      ...(message.strokeStyle && message.strokeStyle !== 'solid' && { strokeStyle: message.strokeStyle }),
+    };
+
+    if (message.from === message.to) {
+      // 自调用：先画一段折线，再用短箭头返回生命线
+      elements.push({
+        id: `${id}-loop`,
+        type: 'line',
+        x: fromX,
+        y: y - 10,
+        points: [[0, 0], [40, 0], [40, 20]],
+        ...style,
+      });
+      elements.push({
+        id,
+        type: 'arrow',
+        x: fromX + 40,
+        y: y + 10,
+        width: -40,
+        height: 0,
+        ...style,
+        ...(message.endArrowhead !== undefined && { endArrowhead: message.endArrowhead }),
+      });
+      if (message.text) {
+        elements.push({ id: `${id}-text`, type: 'text', x: fromX + 48, y: y - 10, text: message.text, fontSize: 14 });
+      }
+      return;
+    }
+
+    elements.push({
+      id,
+      type: 'arrow',
+      x: fromX,
+      y,
+      width: toX - fromX,
+      height: 0,
+      ...style,
+      ...(message.endArrowhead !== undefined && { endArrowhead: message.endArrowhead }),
+    });
+    if (message.text) {
+      const textSize = estimateTextSize(message.text, 14);
+      elements.push({
+        id: `${id}-text`,
+        type: 'text',
+        x: Math.min(fromX, toX) + (Math.abs(toX - fromX) - textSize.width) / 2,
+        y: y - textSize.height - 4,
+        text: message.text,
+        fontSize: 14,
+      });
+    }
+  });
+
+  // 注释
+  notes.forEach((note, index) => {
+    const xs = note.participants.map(id => centerX.get(id)).filter(x => x !== undefined);
+    if (xs.length === 0) return;
+    const textSize = estimateTextSize(note.text, 14);
+    const width = Math.max(textSize.width + 24, note.position === 'over' && xs.length > 1 ? Math.max(...xs) - Math.min(...xs) + 40 : 0);
+    const height = textSize.height + 16;
+    const x = note.position === 'left'
+      ? xs[0] - width - 10
+      : note.position === 'right'
+        ? xs[0] + 10
+        : (Math.min(...xs) + Math.max(...xs)) / 2 - width / 2;
+
+    elements.push({
+      id: `note-${index + 1}`,
+      type: 'rectangle',
+      x,
+      y: rowY(note.row) - height / 2,
+      width,
+      height,
+      backgroundColor: '#fff9db',
+      strokeColor: '#f08c00',
+      label: { text: note.text, fontSize: 14 },
+    });
+  });
+
+  return elements;
+}
@@ -0,0 +1,64 @@
+/**
+ * 图表代码导入 - 统一入口，按格式分发到各个本地转换器
+ */
+
+import { convertMermaidToElements, detectMermaidType, MERMAID_DIAGRAM_TYPES } from './mermaid-converter.js';
+import { convertPlantUMLToElements, PLANTUML_DIAGRAM_TYPES } from './plantuml-converter.js';
+import { convertDotToElements, DOT_DIAGRAM_TYPES } from './dot-converter.js';
+import { convertSceneToElements, parseSceneSource, SCENE_DIAGRAM_TYPES } from './scene-converter.js';
+
+export const IMPORT_FORMATS = {
+  mermaid: 'Mermaid',
+  plantuml: 'PlantUML',
+  dot: 'Graphviz DOT',
+  excalidraw: 'Excalidraw',
+};
+
+const CONVERTERS = {
+  mermaid: { convert: convertMermaidToElements, typeNames: MERMAID_DIAGRAM_TYPES },
+  plantuml: { convert: convertPlantUMLToElements, typeNames: PLANTUML_DIAGRAM_TYPES },
+  dot: { convert: convertDotToElements, typeNames: DOT_DIAGRAM_TYPES },
+  excalidraw: { convert: convertSceneToElements, typeNames: SCENE_DIAGRAM_TYPES },
+};
+
+/**
+ * 根据源码特征判断格式
+ * @param {string} source - 图表源码
+ * @returns {string|null} IMPORT_FORMATS 中的格式，无法判断时返回 null
+ */
+export function detectImportFormat(source) {
+  const text = String(source || '').trim();
+  if (!text) return null;
+
+  if (parseSceneSource(text)) return 'excalidraw';
+  if (/^\s*@start(uml|mindmap|wbs)\b/im.test(text)) return 'plantuml';
+  if (/^(strict\s+)?(di)?graph\b[^{\n]*\{/i.test(text)) return 'dot';
+  if (/^```mermaid/i.test(text) || detectMermaidType(text)) return 'mermaid';
+  return null;
+}
+
+/**
+ * 把图表源码转换为元素数组
+ * @param {string} source - 图表源码
+ * @param {string} format - 'auto' 或 IMPORT_FORMATS 中的格式
+ * @returns {Object} { format, type, typeName, elements, warnings, metadata }
+ * metadata 为导入文件中嵌入的生成信息（如原始提示词），没有时为 null
+ * @throws {Error} 无法识别格式或转换失败时抛出
+ */
+export function convertSourceToElements(source, format = 'auto') {
+  const resolvedFormat = format === 'auto' ? detectImportFormat(source) : format;
+  const converter = CONVERTERS[resolvedFormat];
+  if (!converter) {
+    throw new Error('无法识别代码格式，请手动选择 Mermaid、PlantUML、Graphviz DOT 或 Excalidraw 场景');
+  }
+
+  const { type, elements, warnings, metadata = null } = converter.convert(source);
+  return {
+    format: resolvedFormat,
+    type,
+    typeName: converter.typeNames[type],
+    elements,
+    warnings,
+    metadata,
+  };
+}
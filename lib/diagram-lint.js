@@ -0,0 +1,254 @@
+/**
+ * 图表质量检查 - 对骨架元素数组打分并列出问题
+ *
+ * 检查项：
+ * - overlap：形状相互重叠（完全包含视为分组，不算重叠）
+ * - arrow-crossing：箭头穿过与它无关的形状
+ * - text-overflow：label 文字超出容器，画布上会被换行或撑大
+ * - dangling-arrow：箭头一端没有绑定，或绑定到不存在的元素
+ * - inconsistent-size：同一父节点下的同类子节点尺寸差异过大
+ * - sprawl：元素远离其他元素，或整体布局过于松散
+ *
+ * 满分 100，每个问题按严重程度扣分，单个检查项的扣分有上限
+ */
+
+import { getElementBounds } from './shape-geometry.js';
+import { segmentIntersectsRect } from './arrow-routing.js';
+import { estimateTextSize } from './diagram-graph.js';
+
+export const DIAGRAM_LINT_RULES = {
+  overlap: '形状重叠',
+  'arrow-crossing': '箭头穿过形状',
+  'text-overflow': '文字溢出',
+  'dangling-arrow': '悬空箭头',
+  'inconsistent-size': '尺寸不一致',
+  sprawl: '布局松散',
+};
+
+const SEVERITY_PENALTIES = { error: 10, warning: 5, info: 2 };
+const MAX_RULE_PENALTY = 30;
+
+const SHAPE_TYPES = ['rectangle', 'ellipse', 'diamond', 'image'];
+const LINEAR_TYPES = ['arrow', 'line'];
+const DEFAULT_FONT_SIZE = 20;
+const BOUND_TEXT_PADDING = 5;
+
+// 重叠面积占较小形状的比例超过该值才算重叠
+const OVERLAP_RATIO = 0.1;
+// 与最近元素的间距超过该值视为远离画布主体
+const OUTLIER_GAP = 800;
+// 形状总面积占整体范围的比例低于该值视为松散
+const MIN_DENSITY = 0.05;
+// 同级节点宽或高的最大/最小比例超过该值视为不一致
+const MAX_SIBLING_RATIO = 1.5;
+
+const describe = element => (element.label?.text || element.text || element.id || element.type).split('\n')[0];
+
+function intersectionArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+function contains(outer, inner) {
+  return inner.x >= outer.x && inner.y >= outer.y
+    && inner.x + inner.width <= outer.x + outer.width
+    && inner.y + inner.height <= outer.y + outer.height;
+}
+
+function containsPoint(bounds, point) {
+  return point.x >= bounds.x && point.x <= bounds.x + bounds.width
+    && point.y >= bounds.y && point.y <= bounds.y + bounds.height;
+}
+
+function shrink(bounds, amount) {
+  return {
+    x: bounds.x + amount,
+    y: bounds.y + amount,
+    width: Math.max(0, bounds.width - amount * 2),
+    height: Math.max(0, bounds.height - amount * 2),
+  };
+}
+
+/**
+ * 箭头的绝对坐标折线
+ */
+function getArrowPath(arrow) {
+  const x = arrow.x || 0;
+  const y = arrow.y || 0;
+  const points = Array.isArray(arrow.points) && arrow.points.length >= 2
+    ? arrow.points
+    : [[0, 0], [arrow.width ?? 100, arrow.height ?? 0]];
+  return points.map(([px, py]) => ({ x: x + px, y: y + py }));
+}
+
+/**
+ * 容器内可以放文字的区域，椭圆和菱形的内切区域较小
+ */
+function getTextArea(element, bounds) {
+  let { width, height } = bounds;
+  if (element.type === 'ellipse') {
+    width /= Math.SQRT2;
+    height /= Math.SQRT2;
+  } else if (element.type === 'diamond') {
+    width /= 2;
+    height /= 2;
+  }
+  return { width: width - BOUND_TEXT_PADDING * 2, height: height - BOUND_TEXT_PADDING * 2 };
+}
+
+function checkOverlaps(shapes, addIssue) {
+  for (let i = 0; i < shapes.length; i++) {
+    for (let j = i + 1; j < shapes.length; j++) {
+      const a = shapes[i];
+      const b = shapes[j];
+      if (contains(a.bounds, b.bounds) || contains(b.bounds, a.bounds)) continue;
+      const area = intersectionArea(a.bounds, b.bounds);
+      const smaller = Math.min(a.bounds.width * a.bounds.height, b.bounds.width * b.bounds.height);
+      if (area > 0 && smaller > 0 && area / smaller > OVERLAP_RATIO) {
+        addIssue('overlap', 'error', `「${describe(a.element)}」与「${describe(b.element)}」重叠`, [a.element.id, b.element.id]);
+      }
+    }
+  }
+}
+
+function checkArrowCrossings(arrows, shapes, addIssue) {
+  arrows.forEach(arrow => {
+    const path = getArrowPath(arrow);
+    const endpoints = [path[0], path[path.length - 1]];
+    const boundIds = new Set([arrow.start?.id, arrow.end?.id].filter(Boolean));
+
+    const crossed = shapes.filter(({ element, bounds }) => {
+      if (boundIds.has(element.id)) return false;
+      // 包含箭头端点的形状是分组框或容器
+      if (endpoints.some(point => containsPoint(bounds, point))) return false;
+      const inner = shrink(bounds, 2);
+      return path.slice(1).some((point, index) => segmentIntersectsRect(path[index], point, inner));
+    });
+    crossed.forEach(({ element }) => {
+      addIssue('arrow-crossing', 'warning', `箭头 ${arrow.id || ''} 穿过了「${describe(element)}」`, [arrow.id, element.id]);
+    });
+  });
+}
+
+function checkTextOverflow(shapes, addIssue) {
+  shapes.forEach(({ element, bounds }) => {
+    if (!element.label?.text || element.width === undefined || element.height === undefined) return;
+
+    const fontSize = element.label.fontSize || DEFAULT_FONT_SIZE;
+    const textSize = estimateTextSize(element.label.text, fontSize);
+    const area = getTextArea(element, bounds);
+    // 最长的不可断开的单词（中文可以在任意字符处换行）
+    const longestWord = Math.max(0, ...element.label.text.split(/[\s\n]+/)
+      .map(word => (/[⺀-鿿]/.test(word) ? 0 : estimateTextSize(word, fontSize).width)));
+
+    if (longestWord > area.width || textSize.width * textSize.height > area.width * area.height) {
+      addIssue('text-overflow', 'warning', `「${describe(element)}」的文字超出容器，画布上会被换行或撑大`, [element.id]);
+    }
+  });
+}
+
+function checkDanglingArrows(arrows, elementIds, addIssue) {
+  arrows.forEach(arrow => {
+    ['start', 'end'].forEach(end => {
+      const name = end === 'start' ? '起点' : '终点';
+      const binding = arrow[end];
+      if (binding?.id && !elementIds.has(binding.id)) {
+        addIssue('dangling-arrow', 'error', `箭头 ${arrow.id || ''} 的${name}绑定到不存在的元素 ${binding.id}`, [arrow.id]);
+      } else if (!binding?.id && !binding?.type) {
+        addIssue('dangling-arrow', 'info', `箭头 ${arrow.id || ''} 的${name}没有连接到任何元素`, [arrow.id]);
+      }
+    });
+  });
+}
+
+function checkSiblingSizes(arrows, shapesById, addIssue) {
+  // 同一起点指向的同类节点视为同级
+  const groups = new Map();
+  arrows.forEach(arrow => {
+    const source = arrow.start?.id;
+    const target = shapesById.get(arrow.end?.id);
+    if (!source || !target) return;
+    const key = `${source}:${target.element.type}`;
+    if (!groups.has(key)) groups.set(key, new Map());
+    groups.get(key).set(target.element.id, target);
+  });
+
+  groups.forEach(group => {
+    const siblings = [...group.values()];
+    if (siblings.length < 3) return;
+    const widths = siblings.map(({ bounds }) => bounds.width);
+    const heights = siblings.map(({ bounds }) => bounds.height);
+    const ratio = values => Math.max(...values) / Math.max(1, Math.min(...values));
+    if (ratio(widths) > MAX_SIBLING_RATIO || ratio(heights) > MAX_SIBLING_RATIO) {
+      addIssue('inconsistent-size', 'info', `同级节点${siblings.map(({ element }) => `「${describe(element)}」`).join('')}尺寸差异较大`, siblings.map(({ element }) => element.id));
+    }
+  });
+}
+
+function checkSprawl(items, shapes, addIssue) {
+  if (items.length < 2) return;
+
+  items.forEach(item => {
+    const nearestGap = Math.min(...items
+      .filter(other => other !== item)
+      .map(other => {
+        const dx = Math.max(0, other.bounds.x - (item.bounds.x + item.bounds.width), item.bounds.x - (other.bounds.x + other.bounds.width));
+        const dy = Math.max(0, other.bounds.y - (item.bounds.y + item.bounds.height), item.bounds.y - (other.bounds.y + other.bounds.height));
+        return Math.hypot(dx, dy);
+      }));
+    if (nearestGap > OUTLIER_GAP) {
+      addIssue('sprawl', 'warning', `「${describe(item.element)}」远离其他元素（${Math.round(nearestGap)}px）`, [item.element.id]);
+    }
+  });
+
+  if (shapes.length < 4) return;
+  const minX = Math.min(...items.map(({ bounds }) => bounds.x));
+  const minY = Math.min(...items.map(({ bounds }) => bounds.y));
+  const maxX = Math.max(...items.map(({ bounds }) => bounds.x + bounds.width));
+  const maxY = Math.max(...items.map(({ bounds }) => bounds.y + bounds.height));
+  const shapeArea = shapes.reduce((sum, { bounds }) => sum + bounds.width * bounds.height, 0);
+  const density = shapeArea / Math.max(1, (maxX - minX) * (maxY - minY));
+  if (density < MIN_DENSITY) {
+    addIssue('sprawl', 'info', `整体布局过于松散（${Math.round(maxX - minX)}×${Math.round(maxY - minY)}，形状只占 ${(density * 100).toFixed(1)}%）`, []);
+  }
+}
+
+/**
+ * 检查图表质量
+ * @param {Array} elements - ExcalidrawElementSkeleton 元素数组
+ * @returns {Object} { score, issues, counts }
+ *   issues 为 { rule, severity: 'error' | 'warning' | 'info', message, elementIds }
+ *   counts 为每个检查项的问题数
+ */
+export function lintDiagram(elements = []) {
+  const issues = [];
+  const addIssue = (rule, severity, message, elementIds) => {
+    issues.push({ rule, severity, message, elementIds: elementIds.filter(Boolean) });
+  };
+
+  const live = elements.filter(element => element && !element.isDeleted);
+  const elementIds = new Set(live.map(element => element.id).filter(Boolean));
+  const arrows = live.filter(element => element.type === 'arrow');
+  const toItem = element => ({ element, bounds: getElementBounds(element) });
+  const shapes = live.filter(element => SHAPE_TYPES.includes(element.type)).map(toItem);
+  const texts = live.filter(element => element.type === 'text' && !element.containerId).map(toItem);
+  const shapesById = new Map(shapes.map(shape => [shape.element.id, shape]));
+
+  checkOverlaps([...shapes, ...texts], addIssue);
+  checkArrowCrossings(arrows, shapes, addIssue);
+  checkTextOverflow(shapes, addIssue);
+  checkDanglingArrows(arrows, elementIds, addIssue);
+  checkSiblingSizes(arrows, shapesById, addIssue);
+  checkSprawl(live.filter(element => !LINEAR_TYPES.includes(element.type) && element.type !== 'frame').map(toItem), shapes, addIssue);
+
+  const counts = {};
+  const penalties = {};
+  issues.forEach(({ rule, severity }) => {
+    counts[rule] = (counts[rule] || 0) + 1;
+    penalties[rule] = Math.min(MAX_RULE_PENALTY, (penalties[rule] || 0) + SEVERITY_PENALTIES[severity]);
+  });
+  const score = Math.max(0, 100 - Object.values(penalties).reduce((sum, penalty) => sum + penalty, 0));
+
+  return { score, issues, counts };
+}
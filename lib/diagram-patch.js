@@ -0,0 +1,201 @@
+/**
+ * 增量补丁 - 将模型输出的操作列表应用到当前的 ExcalidrawElementSkeleton 元素数组
+ *
+ * 支持的操作：
+ * - { op: 'add', element }            新增元素
+ * - { op: 'update', id, props }       按 id 浅合并属性，值为 null 时删除该属性
+ * - { op: 'delete', id }              按 id 删除元素
+ * - { op: 'rebind', id, start, end }  修改箭头 start/end 绑定的元素 id
+ */
+
+export const PATCH_OPERATION_TYPES = ['add', 'update', 'delete', 'rebind'];
+
+// 不允许通过 update 修改的属性
+const PROTECTED_PROPS = ['id', 'type'];
+
+/**
+ * 从解析后的 JSON 中提取操作列表
+ * 支持 { operations: [...] } 和直接的操作数组两种结构
+ * @param {*} parsed - JSON.parse 的结果
+ * @returns {Array|null} 操作列表，不是补丁结构时返回 null
+ */
+export function extractPatchOperations(parsed) {
+  const operations = Array.isArray(parsed)
+    ? parsed
+    : Array.isArray(parsed?.operations)
+      ? parsed.operations
+      : null;
+
+  if (!operations || operations.length === 0) return null;
+
+  // 只有每一项都带有 op 字段才视为补丁，避免把普通元素数组误判为补丁
+  const isPatch = operations.every(item => item && typeof item === 'object' && typeof item.op === 'string');
+  return isPatch ? operations : null;
+}
+
+/**
+ * 获取元素的可读名称，用于预览和错误提示
+ */
+function describeElement(element) {
+  if (!element) return '';
+  const label = element.label?.text || element.text || element.name;
+  return label ? `${element.type} "${label}"` : element.type;
+}
+
+/**
+ * 移除箭头上指向已删除元素的绑定，并同步 frame 的 children
+ * @returns {Array} 描述被移除绑定的提示信息
+ */
+function pruneReferences(elements, deletedIds) {
+  const notes = [];
+
+  for (let i = 0; i < elements.length; i++) {
+    const element = elements[i];
+
+    if (element.type === 'arrow') {
+      let next = element;
+      for (const end of ['start', 'end']) {
+        const boundId = element[end]?.id;
+        if (boundId && deletedIds.has(boundId)) {
+          next = { ...next };
+          delete next[end];
+          notes.push(`箭头 ${element.id || `#${i}`} 的 ${end} 绑定指向已删除的元素 ${boundId}，已移除该绑定`);
+        }
+      }
+      elements[i] = next;
+    }
+
+    if (element.type === 'frame' && Array.isArray(element.children)) {
+      const children = element.children.filter(id => !deletedIds.has(id));
+      if (children.length !== element.children.length) {
+        elements[i] = { ...elements[i], children };
+      }
+    }
+  }
+
+  return notes;
+}
+
+/**
+ * 校验并应用补丁
+ * 操作按顺序执行，无效的操作会被跳过并记录在 issues 中
+ * @param {Array} elements - 当前元素数组
+ * @param {Array} operations - 操作列表
+ * @returns {Object} { elements, summary, issues }
+ */
+export function applyPatch(elements, operations) {
+  const result = elements.map(element => ({ ...element }));
+  const indexOf = (id) => result.findIndex(element => element.id === id);
+  const deletedIds = new Set();
+  const issues = [];
+  const summary = { added: [], updated: [], deleted: [], rebound: [] };
+
+  const reject = (index, message) => {
+    issues.push({ index, severity: 'error', message: `操作 #${index + 1}：${message}` });
+  };
+
+  operations.forEach((operation, index) => {
+    const { op, id } = operation || {};
+
+    if (!PATCH_OPERATION_TYPES.includes(op)) {
+      reject(index, `不支持的操作类型 ${op}`);
+      return;
+    }
+
+    if (op === 'add') {
+      const element = operation.element;
+      if (!element || typeof element !== 'object' || !element.type) {
+        reject(index, 'add 操作缺少带 type 的 element');
+        return;
+      }
+      if (element.id && indexOf(element.id) !== -1) {
+        reject(index, `元素 id ${element.id} 已存在`);
+        return;
+      }
+      result.push({ ...element });
+      deletedIds.delete(element.id);
+      summary.added.push({ id: element.id || null, description: describeElement(element) });
+      return;
+    }
+
+    const targetIndex = indexOf(id);
+    if (!id || targetIndex === -1) {
+      reject(index, `找不到 id 为 ${id} 的元素`);
+      return;
+    }
+    const target = result[targetIndex];
+
+    if (op === 'update') {
+      const props = operation.props;
+      if (!props || typeof props !== 'object' || Array.isArray(props)) {
+        reject(index, 'update 操作缺少 props 对象');
+        return;
+      }
+
+      const next = { ...target };
+      const changedKeys = [];
+      for (const [key, value] of Object.entries(props)) {
+        if (PROTECTED_PROPS.includes(key)) continue;
+        if (value === null) {
+          delete next[key];
+        } else {
+          next[key] = value;
+        }
+        changedKeys.push(key);
+      }
+
+      if (changedKeys.length === 0) {
+        reject(index, `没有可更新的属性（不能修改 ${PROTECTED_PROPS.join('/')}）`);
+        return;
+      }
+
+      result[targetIndex] = next;
+      summary.updated.push({ id, description: describeElement(target), changes: changedKeys });
+      return;
+    }
+
+    if (op === 'delete') {
+      result.splice(targetIndex, 1);
+      deletedIds.add(id);
+      summary.deleted.push({ id, description: describeElement(target) });
+      return;
+    }
+
+    // rebind
+    if (target.type !== 'arrow') {
+      reject(index, `元素 ${id} 不是箭头，无法重新绑定`);
+      return;
+    }
+
+    const next = { ...target };
+    const changes = [];
+    for (const end of ['start', 'end']) {
+      if (operation[end] === undefined) continue;
+      const boundId = operation[end];
+      if (boundId === null) {
+        delete next[end];
+        changes.push(`${end}: -`);
+        continue;
+      }
+      if (indexOf(boundId) === -1) {
+        reject(index, `${end} 指向的元素 ${boundId} 不存在`);
+        return;
+      }
+      next[end] = { id: boundId };
+      changes.push(`${end}: ${boundId}`);
+    }
+
+    if (changes.length === 0) {
+      reject(index, 'rebind 操作需要提供 start 或 end');
+      return;
+    }
+
+    result[targetIndex] = next;
+    summary.rebound.push({ id, description: describeElement(target), changes });
+  });
+
+  const notes = pruneReferences(result, deletedIds);
+  notes.forEach(message => issues.push({ index: null, severity: 'warning', message }));
+
+  return { elements: result, summary, issues };
+}
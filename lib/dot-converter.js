@@ -0,0 +1,457 @@
+/**
+ * Graphviz DOT 转换器 - 在本地把 DOT 源码确定性地转换为 ExcalidrawElementSkeleton 元素，不调用 LLM
+ *
+ * 支持 graph/digraph、节点和连线属性、node/edge 默认属性、rankdir，
+ * 以及 cluster 子图（转换为 frame）
+ */
+
+import { buildGraphElements } from './diagram-graph.js';
+
+export const DOT_DIAGRAM_TYPES = {
+  digraph: '有向图',
+  graph: '无向图',
+};
+
+// DOT 节点形状 -> 元素形状
+const DOT_SHAPES = {
+  box: 'rectangle',
+  rect: 'rectangle',
+  rectangle: 'rectangle',
+  square: 'rectangle',
+  record: 'rectangle',
+  Mrecord: 'roundedRectangle',
+  component: 'rectangle',
+  folder: 'rectangle',
+  tab: 'rectangle',
+  note: 'rectangle',
+  cylinder: 'rectangle',
+  plaintext: 'rectangle',
+  plain: 'rectangle',
+  none: 'rectangle',
+  ellipse: 'ellipse',
+  oval: 'ellipse',
+  circle: 'ellipse',
+  doublecircle: 'ellipse',
+  point: 'ellipse',
+  egg: 'ellipse',
+  diamond: 'diamond',
+  Mdiamond: 'diamond',
+};
+
+// DOT 箭头类型 -> Excalidraw 箭头样式
+const DOT_ARROWHEADS = {
+  normal: 'triangle',
+  vee: 'arrow',
+  open: 'arrow',
+  empty: 'triangle_outline',
+  onormal: 'triangle_outline',
+  dot: 'dot',
+  odot: 'circle_outline',
+  diamond: 'diamond',
+  odiamond: 'diamond_outline',
+  tee: 'bar',
+  crow: 'crowfoot_many',
+  none: null,
+};
+
+const RANKDIR = { TB: 'TB', BT: 'BT', LR: 'LR', RL: 'RL' };
+
+/**
+ * 词法分析：标识符/数字、字符串、HTML 字符串和符号
+ * @returns {Array} [{ type: 'id' | 'symbol', value }]
+ */
+function tokenize(source) {
+  const tokens = [];
+  const text = String(source || '');
+  let index = 0;
+  // 当前行在此之前是否只有空白，# 预处理行可以缩进
+  let atLineStart = true;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      if (char === '\n') atLineStart = true;
+      index++;
+      continue;
+    }
+
+    // 注释：//、/* */ 以及行首的 # 预处理行
+    if (text.startsWith('//', index) || (char === '#' && atLineStart)) {
+      const lineEnd = text.indexOf('\n', index);
+      index = lineEnd === -1 ? text.length : lineEnd;
+      continue;
+    }
+    if (text.startsWith('/*', index)) {
+      const commentEnd = text.indexOf('*/', index + 2);
+      index = commentEnd === -1 ? text.length : commentEnd + 2;
+      continue;
+    }
+    atLineStart = false;
+
+    if (char === '"') {
+      let value = '';
+      index++;
+      while (index < text.length && text[index] !== '"') {
+        if (text[index] === '\\' && index + 1 < text.length) {
+          const next = text[index + 1];
+          // \n \l \r 都表示换行；其余转义原样保留给标签处理
+          value += next === '"' ? '"' : /[nlr]/.test(next) ? '\n' : `\\${next}`;
+          index += 2;
+          continue;
+        }
+        value += text[index++];
+      }
+      index++;
+      // 字符串可以用 + 拼接
+      const previous = tokens[tokens.length - 1];
+      const beforePrevious = tokens[tokens.length - 2];
+      if (previous?.value === '+' && previous.type === 'symbol' && beforePrevious?.quoted) {
+        tokens.pop();
+        beforePrevious.value += value;
+      } else {
+        tokens.push({ type: 'id', value, quoted: true });
+      }
+      continue;
+    }
+
+    if (char === '<') {
+      // HTML 标签：匹配尖括号，去掉内部标签只保留文字
+      let depth = 0;
+      const start = index;
+      do {
+        if (text[index] === '<') depth++;
+        if (text[index] === '>') depth--;
+        index++;
+      } while (index < text.length && depth > 0);
+      const html = text.slice(start + 1, index - 1);
+      const value = html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim();
+      tokens.push({ type: 'id', value, quoted: true });
+      continue;
+    }
+
+    if (text.startsWith('->', index) || text.startsWith('--', index)) {
+      tokens.push({ type: 'symbol', value: text.slice(index, index + 2) });
+      index += 2;
+      continue;
+    }
+
+    if ('{}[]=;,:+'.includes(char)) {
+      tokens.push({ type: 'symbol', value: char });
+      index++;
+      continue;
+    }
+
+    const match = text.slice(index).match(/^(-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_À-￿][\wÀ-￿]*)/);
+    if (match) {
+      tokens.push({ type: 'id', value: match[0] });
+      index += match[0].length;
+      continue;
+    }
+
+    throw new Error(`DOT 语法错误：无法识别的字符 "${char}"`);
+  }
+
+  return tokens;
+}
+
+/**
+ * 把 DOT 颜色转换为元素颜色：支持 #RRGGBB、#RRGGBBAA 和颜色名称
+ */
+function toColor(value) {
+  if (!value) return undefined;
+  const color = value.split(':')[0].trim();
+  if (/^#[0-9a-f]{8}$/i.test(color)) return color.slice(0, 7);
+  return color;
+}
+
+/**
+ * 生成节点标签：\N 替换为节点 id，record 形状的 | 分隔转换为多行
+ */
+function resolveNodeLabel(id, attrs) {
+  if (attrs.label === undefined) return id;
+  let label = attrs.label.replace(/\\N/g, id).replace(/\\G/g, '').replace(/\\(.)/g, '$1');
+  if (attrs.shape === 'record' || attrs.shape === 'Mrecord') {
+    label = label
+      .replace(/<[^>]*>/g, '')
+      .replace(/[{}]/g, '')
+      .split('|')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+  return label;
+}
+
+function createParser(tokens) {
+  let position = 0;
+
+  return {
+    peek: (offset = 0) => tokens[position + offset],
+    next: () => tokens[position++],
+    done: () => position >= tokens.length,
+    accept(value) {
+      const token = tokens[position];
+      if (token && token.type === 'symbol' && token.value === value) {
+        position++;
+        return true;
+      }
+      return false;
+    },
+    expect(value) {
+      if (!this.accept(value)) {
+        const token = tokens[position];
+        throw new Error(`DOT 语法错误：期望 "${value}"，实际为 ${token ? `"${token.value}"` : '文件结尾'}`);
+      }
+    },
+  };
+}
+
+/**
+ * 解析属性列表 [a=b, c=d][e=f]
+ */
+function parseAttributes(parser) {
+  const attrs = {};
+  while (parser.accept('[')) {
+    while (!parser.accept(']')) {
+      const key = parser.next();
+      if (!key) throw new Error('DOT 语法错误：属性列表没有闭合');
+      if (key.type !== 'id') continue; // 跳过 , 和 ;
+      if (parser.accept('=')) {
+        const value = parser.next();
+        attrs[key.value] = value?.value;
+      } else {
+        attrs[key.value] = 'true';
+      }
+    }
+  }
+  return attrs;
+}
+
+/**
+ * 把 Graphviz DOT 源码转换为 ExcalidrawElementSkeleton 元素数组
+ * @param {string} source - DOT 源码
+ * @returns {Object} { type, elements, warnings }
+ * @throws {Error} 语法错误或没有解析出任何节点时抛出
+ */
+export function convertDotToElements(source) {
+  const parser = createParser(tokenize(source));
+  const warnings = [];
+
+  // strict 图中相同端点之间只保留一条连线
+  const strict = parser.peek()?.value?.toLowerCase() === 'strict';
+  if (strict) parser.next();
+  const kind = parser.next()?.value?.toLowerCase();
+  if (kind !== 'graph' && kind !== 'digraph') {
+    throw new Error('DOT 代码必须以 graph 或 digraph 开头');
+  }
+  const directed = kind === 'digraph';
+  if (parser.peek()?.type === 'id') parser.next(); // 图名称
+  parser.expect('{');
+
+  const nodes = new Map();
+  const edges = [];
+  const clusters = [];
+  const nodeClusters = new Map(); // 节点 id -> 所属的 cluster
+  let rankdir = 'TB';
+
+  const ensureNode = (id, attrs, scope) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, attrs: { ...scope.nodeDefaults } });
+    }
+    // Excalidraw 的 frame 不能嵌套，节点只归属于第一次在其中出现的最内层 cluster
+    if (scope.cluster && !nodeClusters.has(id)) {
+      nodeClusters.set(id, scope.cluster);
+      scope.cluster.nodeIds.push(id);
+    }
+    Object.assign(nodes.get(id).attrs, attrs);
+    return id;
+  };
+
+  // strict 图的重复连线合并属性，无向图中 a -- b 与 b -- a 是同一条连线
+  const edgeIndex = new Map();
+  const addEdge = (from, to, attrs) => {
+    const key = directed || from <= to ? `${from}\u0000${to}` : `${to}\u0000${from}`;
+    const existing = strict ? edgeIndex.get(key) : null;
+    if (existing) {
+      Object.assign(existing.attrs, attrs);
+      return;
+    }
+    const edge = { from, to, attrs: { ...attrs } };
+    edgeIndex.set(key, edge);
+    edges.push(edge);
+  };
+
+  /**
+   * 解析节点 id，忽略端口 a:port:n
+   */
+  const parseNodeId = () => {
+    const id = parser.next().value;
+    while (parser.accept(':')) parser.next();
+    return id;
+  };
+
+  /**
+   * 解析语句列表，直到遇到 }
+   * @returns {Array<string>} 该作用域内出现的节点 id
+   */
+  const parseStatements = (scope) => {
+    const scopeNodes = [];
+
+    while (!parser.accept('}')) {
+      if (parser.done()) throw new Error('DOT 语法错误：缺少 }');
+      if (parser.accept(';') || parser.accept(',')) continue;
+
+      const operands = [parseOperand(scope)];
+      if (!operands[0]) continue;
+
+      // 连线语句：a -> b -> { c d } [attrs]
+      while (parser.peek()?.value === '->' || parser.peek()?.value === '--') {
+        parser.next();
+        const operand = parser.done() ? null : parseOperand(scope);
+        if (!operand) throw new Error('DOT 语法错误：连线缺少目标节点');
+        operands.push(operand);
+      }
+
+      if (operands.length > 1) {
+        const attrs = { ...scope.edgeDefaults, ...parseAttributes(parser) };
+        for (let i = 0; i < operands.length - 1; i++) {
+          operands[i].nodeIds.forEach(from => operands[i + 1].nodeIds.forEach(to => {
+            addEdge(from, to, attrs);
+          }));
+        }
+      } else if (operands[0].kind === 'node') {
+        ensureNode(operands[0].nodeIds[0], parseAttributes(parser), scope);
+      }
+
+      operands.forEach(operand => scopeNodes.push(...operand.nodeIds));
+    }
+
+    return scopeNodes;
+  };
+
+  /**
+   * 解析一个语句操作数：节点、子图，或 graph/node/edge 默认属性、a=b 图属性
+   */
+  const parseOperand = (scope) => {
+    const token = parser.peek();
+
+    if ((token.type === 'symbol' && token.value === '{') || (token.type === 'id' && token.value.toLowerCase() === 'subgraph')) {
+      let name = null;
+      if (token.value.toLowerCase() === 'subgraph') {
+        parser.next();
+        if (parser.peek()?.type === 'id') name = parser.next().value;
+      }
+      parser.expect('{');
+
+      const cluster = name && name.startsWith('cluster')
+        ? { id: `frame-${name}`, label: '', nodeIds: [] }
+        : null;
+      if (cluster) clusters.push(cluster);
+
+      const innerScope = {
+        nodeDefaults: { ...scope.nodeDefaults },
+        edgeDefaults: { ...scope.edgeDefaults },
+        graphAttrs: {},
+        cluster: cluster || scope.cluster,
+        isRoot: false,
+      };
+      const nodeIds = parseStatements(innerScope);
+      if (cluster) cluster.label = innerScope.graphAttrs.label || name.replace(/^cluster_?/, '');
+      return { kind: 'subgraph', nodeIds: [...new Set(nodeIds)] };
+    }
+
+    if (token.type !== 'id') {
+      parser.next();
+      warnings.push(`忽略无法识别的符号：${token.value}`);
+      return null;
+    }
+
+    const keyword = token.quoted ? null : token.value.toLowerCase();
+    if ((keyword === 'graph' || keyword === 'node' || keyword === 'edge') && parser.peek(1)?.value === '[') {
+      parser.next();
+      const attrs = parseAttributes(parser);
+      if (keyword === 'node') Object.assign(scope.nodeDefaults, attrs);
+      if (keyword === 'edge') Object.assign(scope.edgeDefaults, attrs);
+      if (keyword === 'graph') Object.assign(scope.graphAttrs, attrs);
+      if (keyword === 'graph' && attrs.rankdir && scope.isRoot) rankdir = attrs.rankdir;
+      return null;
+    }
+
+    if (parser.peek(1)?.value === '=') {
+      parser.next();
+      parser.next();
+      const value = parser.next()?.value;
+      scope.graphAttrs[token.value] = value;
+      if (token.value === 'rankdir' && scope.isRoot) rankdir = value;
+      return null;
+    }
+
+    const id = parseNodeId();
+    // 连线的端点在这里创建，节点语句的属性由调用方合并
+    ensureNode(id, {}, scope);
+    return { kind: 'node', nodeIds: [id] };
+  };
+
+  const rootScope = { nodeDefaults: {}, edgeDefaults: {}, graphAttrs: {}, cluster: null, isRoot: true };
+  parseStatements(rootScope);
+
+  if (nodes.size === 0) {
+    throw new Error('没有从 DOT 代码中解析出任何节点');
+  }
+
+  const graphNodes = [...nodes.values()]
+    .filter(({ attrs }) => attrs.style !== 'invis')
+    .map(({ id, attrs }) => {
+      const shape = attrs.shape || 'ellipse';
+      if (!DOT_SHAPES[shape]) warnings.push(`不支持的节点形状 ${shape}，已使用矩形代替`);
+      const isPlain = ['plaintext', 'plain', 'none'].includes(shape);
+      const styles = (attrs.style || '').split(',').map(style => style.trim());
+      const filled = styles.includes('filled') || attrs.fillcolor;
+
+      return {
+        id,
+        label: shape === 'point' ? '' : resolveNodeLabel(id, attrs),
+        shape: styles.includes('rounded') ? 'roundedRectangle' : DOT_SHAPES[shape] || 'rectangle',
+        ...(shape === 'point' && { width: 12, height: 12 }),
+        style: {
+          ...(attrs.color && { strokeColor: toColor(attrs.color) }),
+          ...(filled && { backgroundColor: toColor(attrs.fillcolor || attrs.color) || '#e9ecef' }),
+          ...(isPlain && { strokeColor: 'transparent', backgroundColor: 'transparent' }),
+          ...(styles.includes('dashed') && { strokeStyle: 'dashed' }),
+          ...(styles.includes('dotted') && { strokeStyle: 'dotted' }),
+          ...(attrs.penwidth && { strokeWidth: Number(attrs.penwidth) || undefined }),
+        },
+      };
+    });
+
+  const visibleIds = new Set(graphNodes.map(node => node.id));
+  const graphEdges = edges
+    .filter(({ from, to, attrs }) => visibleIds.has(from) && visibleIds.has(to) && attrs.style !== 'invis')
+    .map(({ from, to, attrs }) => {
+      const dir = attrs.dir || (directed ? 'forward' : 'none');
+      const head = DOT_ARROWHEADS[attrs.arrowhead] !== undefined ? DOT_ARROWHEADS[attrs.arrowhead] : 'arrow';
+      const tail = DOT_ARROWHEADS[attrs.arrowtail] !== undefined ? DOT_ARROWHEADS[attrs.arrowtail] : 'arrow';
+      const styles = (attrs.style || '').split(',').map(style => style.trim());
+
+      return {
+        from,
+        to,
+        label: attrs.label ? attrs.label.replace(/\\(.)/g, '$1') : attrs.xlabel,
+        strokeColor: toColor(attrs.color),
+        strokeStyle: styles.includes('dashed') ? 'dashed' : styles.includes('dotted') ? 'dotted' : 'solid',
+        strokeWidth: Number(attrs.penwidth) || (styles.includes('bold') ? 2 : undefined),
+        startArrowhead: dir === 'back' || dir === 'both' ? tail : null,
+        endArrowhead: dir === 'forward' || dir === 'both' ? head : null,
+      };
+    });
+
+  const elements = buildGraphElements({
+    direction: RANKDIR[String(rankdir).toUpperCase()] || 'TB',
+    nodes: graphNodes,
+    edges: graphEdges,
+    clusters: clusters.map(cluster => ({ ...cluster, nodeIds: cluster.nodeIds.filter(id => visibleIds.has(id)) })),
+  });
+
+  return { type: kind, elements, warnings };
+}
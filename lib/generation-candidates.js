@@ -0,0 +1,123 @@
+/**
+ * 多候选生成 - 同时生成多份图表供用户比较和挑选
+ *
+ * /api/generate 在 candidates > 1 时并发调用多路 callLLM，事件带有 candidate 序号：
+ * - { candidates: [{ name, model }] }：开始时发送，每个候选使用的配置（不含密钥）
+ * - { candidate, content } / { candidate, repair }：与单路生成相同的内容和纠错事件
+ * - { candidate, done: true } / { candidate, error }：该候选结束
+ */
+
+import { postProcessExcalidrawCode, analyzeJsonStructure, inspectParsedElements } from './code-parser.js';
+import { validateAndFixElements } from './skeleton-validator.js';
+import { optimizeExcalidrawCode } from './optimizeArrows.js';
+import { lintDiagram } from './diagram-lint.js';
+
+// 单次请求允许的最大候选数，防止并发请求过多消耗额度
+export const MAX_CANDIDATES = 4;
+
+/**
+ * 将客户端传入的候选数规范为 1 ~ MAX_CANDIDATES 之间的整数
+ * @param {*} value - 客户端传入的值
+ * @returns {number} 候选数，1 表示普通的单路生成
+ */
+export function normalizeCandidateCount(value) {
+  const count = Math.floor(Number(value));
+  if (!Number.isFinite(count) || count <= 1) return 1;
+  return Math.min(count, MAX_CANDIDATES);
+}
+
+/**
+ * 为每个候选分配配置：提供了多份配置时轮流使用，否则都使用主配置
+ * @param {Object} config - 主配置
+ * @param {Array} candidateConfigs - 可选的配置列表
+ * @param {number} count - 候选数
+ * @returns {Array} 长度为 count 的配置数组
+ */
+export function assignCandidateConfigs(config, candidateConfigs, count) {
+  const pool = Array.isArray(candidateConfigs) && candidateConfigs.length > 0 ? candidateConfigs : [config];
+  return Array.from({ length: count }, (_, index) => pool[index % pool.length]);
+}
+
+/**
+ * 解析并优化一个候选的输出，流程与前端 tryParseAndApply 一致
+ * @param {string} output - 模型的原始输出
+ * @returns {Object} { code, elements, errors }，errors 为无法自动修复的校验问题；失败时为 { error }
+ */
+export function parseCandidateOutput(output) {
+  const processed = postProcessExcalidrawCode(output || '').trim();
+  if (!processed) {
+    return { error: '输出为空' };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(processed);
+  } catch (parseError) {
+    // 缺少闭括号时尝试自动补全
+    try {
+      parsed = JSON.parse(processed + analyzeJsonStructure(processed).pendingClosers);
+    } catch {
+      return { error: `JSON 解析失败：${parseError.message}` };
+    }
+  }
+
+  const parsedInfo = inspectParsedElements(parsed);
+  if (!parsedInfo || parsedInfo.elements.length === 0) {
+    return { error: '没有找到元素数组' };
+  }
+
+  const { elements, errors } = validateAndFixElements(parsedInfo.elements);
+  const code = optimizeExcalidrawCode(JSON.stringify(elements, null, 2));
+  return { code, elements: JSON.parse(code), errors: errors.map(error => error.message) };
+}
+
+/**
+ * 把一条候选事件合并到候选列表中
+ * @param {Array} candidates - 当前的候选列表
+ * @param {Object} event - /api/generate 发送的候选事件
+ * @returns {Array} 新的候选列表，每项为 { name, model, status, output, repairs, code, elements, quality, error }
+ *   status 为 'streaming' | 'done' | 'error'，quality 为 lintDiagram 的结果
+ */
+export function applyCandidateEvent(candidates, event) {
+  if (Array.isArray(event.candidates)) {
+    return event.candidates.map(info => ({ ...info, status: 'streaming', output: '', repairs: 0 }));
+  }
+
+  const index = event.candidate;
+  if (!Number.isInteger(index) || !candidates[index]) return candidates;
+
+  const candidate = { ...candidates[index] };
+  if (event.content) {
+    candidate.output += event.content;
+  } else if (event.repair) {
+    // 纠错后的输出会从头重新发送
+    candidate.repairs = event.repair.attempt;
+    candidate.output = '';
+  } else if (event.error) {
+    candidate.status = 'error';
+    candidate.error = event.error;
+  } else if (event.done) {
+    const result = parseCandidateOutput(candidate.output);
+    Object.assign(candidate, result.error
+      ? { status: 'error', error: result.error }
+      : { status: 'done', code: result.code, elements: result.elements, quality: lintDiagram(result.elements) });
+  }
+
+  const next = [...candidates];
+  next[index] = candidate;
+  return next;
+}
+
+/**
+ * 找出质量评分最高的已完成候选
+ * @param {Array} candidates - 候选列表
+ * @returns {number} 候选序号，没有已完成的候选时为 -1
+ */
+export function getRecommendedCandidate(candidates) {
+  let best = -1;
+  candidates.forEach((candidate, index) => {
+    if (candidate.status !== 'done') return;
+    if (best === -1 || candidate.quality.score > candidates[best].quality.score) best = index;
+  });
+  return best;
+}
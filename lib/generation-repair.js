@@ -0,0 +1,84 @@
+/**
+ * 生成结果自检 - 判断模型输出能否被解析并通过元素规范校验，
+ * 供 /api/generate 的自动纠错循环使用
+ */
+
+import { postProcessExcalidrawCode, analyzeJsonStructure, inspectParsedElements } from './code-parser.js';
+import { validateAndFixElements } from './skeleton-validator.js';
+import { extractPatchOperations } from './diagram-patch.js';
+
+// 单次生成允许的最大纠错次数，防止无限重试消耗额度
+export const MAX_REPAIR_ATTEMPTS = 3;
+
+// 反馈给模型的问题条数上限，避免纠错提示词过长
+const MAX_REPORTED_DIAGNOSTICS = 10;
+
+/**
+ * 将客户端传入的纠错次数规范为 0 ~ MAX_REPAIR_ATTEMPTS 之间的整数
+ * @param {*} value - 客户端传入的值
+ * @returns {number} 纠错次数，0 表示关闭
+ */
+export function normalizeRepairAttempts(value) {
+  const attempts = Math.floor(Number(value));
+  if (!Number.isFinite(attempts) || attempts <= 0) return 0;
+  return Math.min(attempts, MAX_REPAIR_ATTEMPTS);
+}
+
+/**
+ * 诊断模型输出
+ * 与前端 tryParseAndApply 使用相同的解析流程，能自动修复的问题不视为错误
+ * @param {string} code - 模型的原始输出
+ * @param {Object} options
+ * @param {boolean} options.allowPatch - 是否接受补丁操作列表
+ * @returns {Object} { ok, diagnostics }
+ */
+export function diagnoseGeneratedCode(code, { allowPatch = false } = {}) {
+  if (!code || !code.trim()) {
+    return { ok: false, diagnostics: ['输出为空，没有包含任何代码'] };
+  }
+
+  const processed = postProcessExcalidrawCode(code).trim();
+  let parsed;
+
+  try {
+    parsed = JSON.parse(processed);
+  } catch (parseError) {
+    // 与前端一致：缺少闭括号时尝试自动补全
+    const structure = analyzeJsonStructure(processed);
+    try {
+      parsed = JSON.parse(processed + structure.pendingClosers);
+    } catch {
+      const diagnostics = [`JSON 解析失败：${parseError.message}`];
+      if (structure.pendingCount > 0) {
+        diagnostics.push(`输出不完整，缺少 ${structure.pendingClosers}`);
+      }
+      if (structure.hasMismatchedClosing) {
+        diagnostics.push('存在不匹配的括号');
+      }
+      return { ok: false, diagnostics };
+    }
+  }
+
+  if (allowPatch && extractPatchOperations(parsed)) {
+    return { ok: true, diagnostics: [] };
+  }
+
+  const parsedInfo = inspectParsedElements(parsed);
+  if (!parsedInfo) {
+    return { ok: false, diagnostics: ['JSON 中没有找到元素数组，顶层应为元素数组'] };
+  }
+  if (parsedInfo.elements.length === 0) {
+    return { ok: false, diagnostics: ['元素数组为空'] };
+  }
+
+  const { errors } = validateAndFixElements(parsedInfo.elements);
+  if (errors.length === 0) {
+    return { ok: true, diagnostics: [] };
+  }
+
+  const diagnostics = errors.slice(0, MAX_REPORTED_DIAGNOSTICS).map(error => error.message);
+  if (errors.length > MAX_REPORTED_DIAGNOSTICS) {
+    diagnostics.push(`另有 ${errors.length - MAX_REPORTED_DIAGNOSTICS} 个类似问题`);
+  }
+  return { ok: false, diagnostics };
+}
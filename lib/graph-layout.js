@@ -0,0 +1,447 @@
+/**
+ * 图布局算法 - 根据节点和连线计算节点坐标
+ *
+ * 分层布局（简化的 Sugiyama 算法）：
+ * 1. 通过 DFS 反转回边，消除环
+ * 2. 最长路径分层
+ * 3. 重心法多轮排序，减少连线交叉
+ * 4. 按层分配坐标，节点尽量对齐到前驱节点的中心
+ */
+
+const DEFAULT_OPTIONS = {
+  direction: 'TB', // 'TB' 从上到下，'LR' 从左到右
+  nodeGap: 60, // 同一层内节点之间的间距
+  layerGap: 100, // 相邻两层之间的间距
+  originX: 100,
+  originY: 100,
+  orderingSweeps: 4, // 重心排序的轮数
+};
+
+/**
+ * 消除环：DFS 遍历，把指向祖先节点的回边反转
+ * @returns {Array} 无环的边列表 [{ from, to }]
+ */
+function breakCycles(nodeIds, edges) {
+  const outgoing = new Map(nodeIds.map(id => [id, []]));
+  edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+
+  const state = new Map(); // undefined: 未访问, 1: 访问中, 2: 已完成
+  const reversed = new Set();
+
+  const visit = (id) => {
+    state.set(id, 1);
+    for (const next of outgoing.get(id)) {
+      if (state.get(next) === 1) {
+        reversed.add(`${id}->${next}`);
+      } else if (!state.get(next)) {
+        visit(next);
+      }
+    }
+    state.set(id, 2);
+  };
+  nodeIds.forEach(id => {
+    if (!state.get(id)) visit(id);
+  });
+
+  return edges.map(edge => (reversed.has(`${edge.from}->${edge.to}`)
+    ? { from: edge.to, to: edge.from }
+    : edge));
+}
+
+/**
+ * 最长路径分层：没有入边的节点在第 0 层，其余节点位于所有前驱的下一层
+ * @returns {Map} 节点 id -> 层号
+ */
+function assignLayers(nodeIds, edges) {
+  const incoming = new Map(nodeIds.map(id => [id, []]));
+  const inDegree = new Map(nodeIds.map(id => [id, 0]));
+  edges.forEach(edge => {
+    incoming.get(edge.to).push(edge.from);
+    inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+  });
+
+  // Kahn 拓扑排序
+  const outgoing = new Map(nodeIds.map(id => [id, []]));
+  edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+  const queue = nodeIds.filter(id => inDegree.get(id) === 0);
+  const layers = new Map();
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const layer = incoming.get(id).reduce((max, from) => Math.max(max, (layers.get(from) ?? -1) + 1), 0);
+    layers.set(id, layer);
+    for (const next of outgoing.get(id)) {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * 重心法排序：交替向下、向上扫描，按相邻层邻居的平均位置排序
+ * @returns {Array<Array<string>>} 每一层的节点 id 顺序
+ */
+function orderLayers(nodeIds, edges, layers, sweeps) {
+  const layerCount = Math.max(0, ...layers.values()) + 1;
+  const ordering = Array.from({ length: layerCount }, () => []);
+  nodeIds.forEach(id => ordering[layers.get(id)].push(id));
+
+  const neighbors = (id, direction) => edges
+    .filter(edge => (direction === 'up' ? edge.to === id : edge.from === id))
+    .map(edge => (direction === 'up' ? edge.from : edge.to));
+
+  const sortLayer = (layerIndex, direction) => {
+    const reference = ordering[layerIndex + (direction === 'up' ? -1 : 1)];
+    if (!reference) return;
+    const positions = new Map(reference.map((id, index) => [id, index]));
+    const current = ordering[layerIndex];
+
+    const barycenters = new Map(current.map((id, index) => {
+      const related = neighbors(id, direction).filter(other => positions.has(other));
+      const value = related.length > 0
+        ? related.reduce((sum, other) => sum + positions.get(other), 0) / related.length
+        : index; // 没有邻居的节点保持原位置
+      return [id, value];
+    }));
+
+    current.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+  };
+
+  for (let sweep = 0; sweep < sweeps; sweep++) {
+    if (sweep % 2 === 0) {
+      for (let i = 1; i < layerCount; i++) sortLayer(i, 'up');
+    } else {
+      for (let i = layerCount - 2; i >= 0; i--) sortLayer(i, 'down');
+    }
+  }
+
+  return ordering;
+}
+
+/**
+ * 分层布局
+ * @param {Array} nodes - 节点列表 [{ id, width, height }]
+ * @param {Array} edges - 连线列表 [{ from, to }]，指向不存在节点的连线会被忽略
+ * @param {Object} options - 布局参数，见 DEFAULT_OPTIONS
+ * @returns {Map} 节点 id -> { x, y }（节点左上角坐标）
+ */
+export function layeredLayout(nodes, edges, options = {}) {
+  const { direction, nodeGap, layerGap, originX, originY, orderingSweeps } = { ...DEFAULT_OPTIONS, ...options };
+  const horizontal = direction === 'LR' || direction === 'RL';
+
+  const nodeIds = nodes.map(node => node.id);
+  const nodeIdSet = new Set(nodeIds);
+  const validEdges = edges.filter(edge =>
+    nodeIdSet.has(edge.from) && nodeIdSet.has(edge.to) && edge.from !== edge.to
+  );
+
+  // 以"主轴"（层的方向）和"交叉轴"（层内方向）统一处理两种方向
+  const sizeOf = new Map(nodes.map(node => {
+    const width = node.width || 0;
+    const height = node.height || 0;
+    return [node.id, horizontal ? { cross: height, main: width } : { cross: width, main: height }];
+  }));
+
+  const acyclicEdges = breakCycles(nodeIds, validEdges);
+  const layers = assignLayers(nodeIds, acyclicEdges);
+  const ordering = orderLayers(nodeIds, acyclicEdges, layers, orderingSweeps);
+
+  // 交叉轴坐标：节点尽量对齐到前驱节点中心，同时保证最小间距
+  const crossCenter = new Map();
+  ordering.forEach((layerNodes) => {
+    const desired = layerNodes.map(id => {
+      const parents = acyclicEdges.filter(edge => edge.to === id && crossCenter.has(edge.from));
+      return parents.length > 0
+        ? parents.reduce((sum, edge) => sum + crossCenter.get(edge.from), 0) / parents.length
+        : null;
+    });
+
+    let cursor = -Infinity;
+    let shiftTotal = 0;
+    let shiftCount = 0;
+    layerNodes.forEach((id, index) => {
+      const { cross } = sizeOf.get(id);
+      const minStart = cursor === -Infinity ? 0 : cursor + nodeGap;
+      const start = desired[index] === null ? minStart : Math.max(desired[index] - cross / 2, minStart);
+      crossCenter.set(id, start + cross / 2);
+      cursor = start + cross;
+      if (desired[index] !== null) {
+        shiftTotal += desired[index] - (start + cross / 2);
+        shiftCount++;
+      }
+    });
+
+    // 整体平移该层，让偏移量的平均值为 0，避免节点整体偏向一侧
+    if (shiftCount > 0) {
+      const shift = shiftTotal / shiftCount;
+      layerNodes.forEach(id => crossCenter.set(id, crossCenter.get(id) + shift));
+    }
+  });
+
+  // 主轴坐标：每层的厚度取该层最大的节点尺寸
+  const layerOffsets = [];
+  let offset = 0;
+  ordering.forEach((layerNodes, index) => {
+    layerOffsets[index] = offset;
+    const thickness = Math.max(0, ...layerNodes.map(id => sizeOf.get(id).main));
+    offset += thickness + layerGap;
+  });
+
+  const minCross = Math.min(...nodeIds.map(id => crossCenter.get(id) - sizeOf.get(id).cross / 2));
+  const positions = new Map();
+  nodeIds.forEach(id => {
+    const { cross, main } = sizeOf.get(id);
+    const layerIndex = layers.get(id);
+    const layerThickness = Math.max(...ordering[layerIndex].map(other => sizeOf.get(other).main));
+    const crossPos = crossCenter.get(id) - cross / 2 - minCross;
+    // 同一层内的节点沿主轴居中对齐
+    const mainPos = layerOffsets[layerIndex] + (layerThickness - main) / 2;
+
+    positions.set(id, horizontal
+      ? { x: Math.round(originX + mainPos), y: Math.round(originY + crossPos) }
+      : { x: Math.round(originX + crossPos), y: Math.round(originY + mainPos) });
+  });
+
+  // 反向布局：沿主轴镜像
+  if (direction === 'BT' || direction === 'RL') {
+    const key = direction === 'BT' ? 'y' : 'x';
+    const sizeKey = direction === 'BT' ? 'height' : 'width';
+    const maxEnd = Math.max(...nodes.map(node => positions.get(node.id)[key] + (node[sizeKey] || 0)));
+    const base = direction === 'BT' ? originY : originX;
+    nodes.forEach(node => {
+      const position = positions.get(node.id);
+      position[key] = Math.round(base + maxEnd - (position[key] + (node[sizeKey] || 0)));
+    });
+  }
+
+  return positions;
+}
+
+/**
+ * 网格布局：没有连线关系的节点按行排列
+ * @param {Array} nodes - 节点列表 [{ id, width, height }]
+ * @param {Object} options - { columns, nodeGap, originX, originY }
+ * @returns {Map} 节点 id -> { x, y }
+ */
+export function gridLayout(nodes, options = {}) {
+  const { nodeGap, originX, originY } = { ...DEFAULT_OPTIONS, ...options };
+  const columns = options.columns || Math.max(1, Math.ceil(Math.sqrt(nodes.length)));
+  const positions = new Map();
+
+  let y = originY;
+  for (let rowStart = 0; rowStart < nodes.length; rowStart += columns) {
+    const row = nodes.slice(rowStart, rowStart + columns);
+    let x = originX;
+    row.forEach(node => {
+      positions.set(node.id, { x, y });
+      x += (node.width || 0) + nodeGap;
+    });
+    y += Math.max(...row.map(node => node.height || 0)) + nodeGap;
+  }
+
+  return positions;
+}
+
+/**
+ * 从连线构建生成树：每个节点只保留第一次访问到它的父节点
+ * @param {boolean} undirected - 是否忽略连线方向
+ * @returns {Object} { roots, children } children 为节点 id -> 子节点 id 数组
+ */
+function buildSpanningForest(nodeIds, edges, preferredRoots, undirected = false) {
+  const adjacency = new Map(nodeIds.map(id => [id, []]));
+  edges.forEach(edge => {
+    adjacency.get(edge.from).push(edge.to);
+    if (undirected) adjacency.get(edge.to).push(edge.from);
+  });
+
+  const children = new Map(nodeIds.map(id => [id, []]));
+  const visited = new Set();
+  const roots = [];
+
+  const visitFrom = (rootId) => {
+    roots.push(rootId);
+    visited.add(rootId);
+    const queue = [rootId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const next of adjacency.get(id)) {
+        if (visited.has(next)) continue;
+        visited.add(next);
+        children.get(id).push(next);
+        queue.push(next);
+      }
+    }
+  };
+
+  [...preferredRoots, ...nodeIds].forEach(id => {
+    if (!visited.has(id)) visitFrom(id);
+  });
+
+  return { roots, children };
+}
+
+/**
+ * 整齐树布局：父节点位于子树的中间，子树之间互不重叠
+ * 适用于树形图、组织架构图和思维导图
+ * @param {Array} nodes - 节点列表 [{ id, width, height }]
+ * @param {Array} edges - 连线列表 [{ from, to }]，从父节点指向子节点
+ * @param {Object} options - 布局参数，见 DEFAULT_OPTIONS
+ * @returns {Map} 节点 id -> { x, y }
+ */
+export function treeLayout(nodes, edges, options = {}) {
+  const { direction, nodeGap, layerGap, originX, originY } = { ...DEFAULT_OPTIONS, ...options };
+  const horizontal = direction === 'LR' || direction === 'RL';
+
+  const nodeIds = nodes.map(node => node.id);
+  const nodeIdSet = new Set(nodeIds);
+  const validEdges = edges.filter(edge => nodeIdSet.has(edge.from) && nodeIdSet.has(edge.to) && edge.from !== edge.to);
+  const hasIncoming = new Set(validEdges.map(edge => edge.to));
+  const { roots, children } = buildSpanningForest(nodeIds, validEdges, nodeIds.filter(id => !hasIncoming.has(id)));
+
+  const sizeOf = new Map(nodes.map(node => {
+    const width = node.width || 0;
+    const height = node.height || 0;
+    return [node.id, horizontal ? { cross: height, main: width } : { cross: width, main: height }];
+  }));
+
+  // 子树在交叉轴上占用的宽度
+  const extent = new Map();
+  const measure = (id) => {
+    const childIds = children.get(id);
+    const childrenExtent = childIds.reduce((sum, child) => sum + measure(child), 0) + nodeGap * Math.max(0, childIds.length - 1);
+    const value = Math.max(sizeOf.get(id).cross, childrenExtent);
+    extent.set(id, value);
+    return value;
+  };
+  roots.forEach(measure);
+
+  // 每一层的厚度取该层最大的节点尺寸
+  const depthOf = new Map();
+  const assignDepth = (id, depth) => {
+    depthOf.set(id, depth);
+    children.get(id).forEach(child => assignDepth(child, depth + 1));
+  };
+  roots.forEach(root => assignDepth(root, 0));
+  const thickness = [];
+  nodeIds.forEach(id => {
+    const depth = depthOf.get(id);
+    thickness[depth] = Math.max(thickness[depth] || 0, sizeOf.get(id).main);
+  });
+  const depthOffsets = [];
+  thickness.reduce((offset, value, depth) => {
+    depthOffsets[depth] = offset;
+    return offset + value + layerGap;
+  }, 0);
+
+  const positions = new Map();
+  const place = (id, crossStart) => {
+    const { cross, main } = sizeOf.get(id);
+    const childIds = children.get(id);
+    const crossPos = crossStart + (extent.get(id) - cross) / 2;
+    const depth = depthOf.get(id);
+    const mainPos = depthOffsets[depth] + (thickness[depth] - main) / 2;
+    positions.set(id, horizontal
+      ? { x: Math.round(originX + mainPos), y: Math.round(originY + crossPos) }
+      : { x: Math.round(originX + crossPos), y: Math.round(originY + mainPos) });
+
+    const childrenExtent = childIds.reduce((sum, child) => sum + extent.get(child), 0) + nodeGap * Math.max(0, childIds.length - 1);
+    let cursor = crossStart + (extent.get(id) - childrenExtent) / 2;
+    childIds.forEach(child => {
+      place(child, cursor);
+      cursor += extent.get(child) + nodeGap;
+    });
+  };
+
+  let rootCursor = 0;
+  roots.forEach(root => {
+    place(root, rootCursor);
+    rootCursor += extent.get(root) + nodeGap * 2;
+  });
+
+  return positions;
+}
+
+/**
+ * 径向布局：中心节点位于圆心，其余节点按与中心的距离分布在同心圆上，
+ * 每个子树占用的角度与其叶子数量成正比
+ * 适用于概念图
+ * @param {Array} nodes - 节点列表 [{ id, width, height }]
+ * @param {Array} edges - 连线列表 [{ from, to }]，方向会被忽略
+ * @param {Object} options - 布局参数，见 DEFAULT_OPTIONS，可通过 rootId 指定中心节点
+ * @returns {Map} 节点 id -> { x, y }
+ */
+export function radialLayout(nodes, edges, options = {}) {
+  const { nodeGap, layerGap, originX, originY, rootId } = { ...DEFAULT_OPTIONS, ...options };
+
+  const nodeIds = nodes.map(node => node.id);
+  const nodeIdSet = new Set(nodeIds);
+  const validEdges = edges.filter(edge => nodeIdSet.has(edge.from) && nodeIdSet.has(edge.to) && edge.from !== edge.to);
+  const sizeOf = new Map(nodes.map(node => [node.id, { width: node.width || 0, height: node.height || 0 }]));
+
+  // 默认以连线最多的节点为中心
+  const degree = new Map(nodeIds.map(id => [id, 0]));
+  validEdges.forEach(edge => {
+    degree.set(edge.from, degree.get(edge.from) + 1);
+    degree.set(edge.to, degree.get(edge.to) + 1);
+  });
+  const center = rootId && nodeIdSet.has(rootId)
+    ? rootId
+    : nodeIds.reduce((best, id) => (degree.get(id) > degree.get(best) ? id : best), nodeIds[0]);
+
+  const { roots, children } = buildSpanningForest(nodeIds, validEdges, [center], true);
+  // 与中心不连通的节点作为中心的子节点放在第一圈
+  roots.slice(1).forEach(id => children.get(center).push(id));
+
+  const leafCount = new Map();
+  const countLeaves = (id) => {
+    const childIds = children.get(id);
+    const value = childIds.length === 0 ? 1 : childIds.reduce((sum, child) => sum + countLeaves(child), 0);
+    leafCount.set(id, value);
+    return value;
+  };
+  countLeaves(center);
+
+  // 圆环间距：保证相邻两圈的节点不重叠，且同一圈的节点有足够的周长
+  const diagonal = (id) => Math.hypot(sizeOf.get(id).width, sizeOf.get(id).height);
+  const maxDiagonal = Math.max(...nodeIds.map(diagonal));
+  const ringGap = maxDiagonal + layerGap / 2;
+  const minRadiusForLeaves = (leafCount.get(center) * (maxDiagonal + nodeGap)) / (2 * Math.PI);
+
+  const polar = new Map([[center, { radius: 0, angle: 0 }]]);
+  let maxDepth = 0;
+  const assign = (id, depth, startAngle, endAngle) => {
+    const childIds = children.get(id);
+    let angle = startAngle;
+    childIds.forEach(child => {
+      const span = ((endAngle - startAngle) * leafCount.get(child)) / leafCount.get(id);
+      polar.set(child, { depth: depth + 1, angle: angle + span / 2 });
+      maxDepth = Math.max(maxDepth, depth + 1);
+      assign(child, depth + 1, angle, angle + span);
+      angle += span;
+    });
+  };
+  assign(center, 0, -Math.PI / 2, Math.PI * 1.5);
+
+  // 最外圈至少要容纳所有叶子节点
+  const scale = Math.max(1, maxDepth > 0 ? minRadiusForLeaves / (ringGap * maxDepth) : 1);
+  const centers = new Map();
+  polar.forEach(({ depth = 0, angle }, id) => {
+    const radius = depth * ringGap * scale;
+    centers.set(id, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+  });
+
+  const minX = Math.min(...nodeIds.map(id => centers.get(id).x - sizeOf.get(id).width / 2));
+  const minY = Math.min(...nodeIds.map(id => centers.get(id).y - sizeOf.get(id).height / 2));
+  const positions = new Map();
+  nodeIds.forEach(id => {
+    const { x, y } = centers.get(id);
+    positions.set(id, {
+      x: Math.round(originX + x - sizeOf.get(id).width / 2 - minX),
+      y: Math.round(originY + y - sizeOf.get(id).height / 2 - minY),
+    });
+  });
+
+  return positions;
+}
@@ -1,24 +1,48 @@
 /**
- * LLM Client for calling OpenAI, Anthropic, and built-in GLM-4.6 APIs
+ * LLM Client for calling OpenAI, Anthropic, Google Gemini, Ollama, and built-in GLM-4.6 APIs
  */
 
 import { glmMonitor } from './builtin-glm-monitor.js';
 import { callBuiltinGLM, parseGLMError } from './builtin-glm-client.js';
 
+// Provider types whose APIs accept tool definitions in callLLM
+export const TOOL_PROVIDER_TYPES = ['openai', 'anthropic'];
+
 /**
  * Call LLM API with streaming support
  * @param {Object} config - Provider configuration
  * @param {Array} messages - Chat messages array
  * @param {Function} onChunk - Callback for each chunk
- * @returns {Promise<string>} Complete response
+ * @param {Object} options - Optional settings
+ * @param {Object} options.responseFormat - { name, description, schema } of the expected JSON output.
+ *   Only used when config.structuredOutput is on and the provider is OpenAI-compatible or Anthropic;
+ *   otherwise the model answers in plain text as instructed by the prompt
+ * @param {Array} options.tools - [{ name, description, parameters }] the model may call (OpenAI-compatible and Anthropic only)
+ * @param {Function} options.onToolCall - Receives { id, name, input } for each completed tool call;
+ *   input is null when the model sent arguments that are not a JSON object
+ * @returns {Promise<string>} Complete response text
+ *
+ * Messages may also carry tool turns in a provider-neutral form:
+ * { role: 'assistant', content, toolCalls: [{ id, name, input }] } and
+ * { role: 'tool', toolResults: [{ id, content, isError }] }
  */
-export async function callLLM(config, messages, onChunk) {
+export async function callLLM(config, messages, onChunk, { responseFormat, tools, onToolCall } = {}) {
   const { type, baseUrl, apiKey, model } = config;
+  const structuredFormat = config.structuredOutput ? responseFormat : undefined;
+  const toolOptions = tools?.length ? { tools, onToolCall } : null;
+
+  if (toolOptions && !TOOL_PROVIDER_TYPES.includes(type)) {
+    throw new Error(`Tool calling is not supported for provider type: ${type}`);
+  }
 
   if (type === 'openai') {
-    return callOpenAI(baseUrl, apiKey, model, messages, onChunk);
+    return callOpenAI(baseUrl, apiKey, model, messages, onChunk, structuredFormat, toolOptions);
   } else if (type === 'anthropic') {
-    return callAnthropic(baseUrl, apiKey, model, messages, onChunk);
+    return callAnthropic(baseUrl, apiKey, model, messages, onChunk, structuredFormat, toolOptions);
+  } else if (type === 'gemini') {
+    return callGemini(baseUrl, apiKey, model, messages, onChunk);
+  } else if (type === 'ollama') {
+    return callOllama(baseUrl, apiKey, model, messages, onChunk);
   } else if (type === 'builtin-glm') {
     return callBuiltinGLMAdapter(messages, onChunk);
   } else {
@@ -29,11 +53,11 @@ export async function callLLM(config, messages, onChunk) {
 /**
  * Call OpenAI-compatible API
  */
-async function callOpenAI(baseUrl, apiKey, model, messages, onChunk) {
+async function callOpenAI(baseUrl, apiKey, model, messages, onChunk, responseFormat, toolOptions) {
   const url = `${baseUrl}/chat/completions`;
 
-  // Process messages to support multimodal content (text + images)
-  const processedMessages = messages.map(processMessageForOpenAI);
+  // Process messages to support multimodal content (text + images) and tool turns
+  const processedMessages = messages.flatMap(processMessageForOpenAI);
 
   const response = await fetch(url, {
     method: 'POST',
@@ -46,6 +70,15 @@ async function callOpenAI(baseUrl, apiKey, model, messages, onChunk) {
       messages: processedMessages,
       stream: true,
       max_tokens: 4096,
+      // Non-strict schema: strict mode would require every optional property to be present
+      response_format: responseFormat ? {
+        type: 'json_schema',
+        json_schema: { name: responseFormat.name, description: responseFormat.description, schema: responseFormat.schema, strict: false },
+      } : undefined,
+      tools: toolOptions?.tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters },
+      })),
     }),
   });
 
@@ -54,17 +87,19 @@ async function callOpenAI(baseUrl, apiKey, model, messages, onChunk) {
     throw new Error(`OpenAI API error: ${response.status} ${error}`);
   }
 
-  return processOpenAIStream(response.body, onChunk);
+  return processOpenAIStream(response.body, onChunk, toolOptions?.onToolCall);
 }
 
 /**
  * Process OpenAI streaming response
+ * Tool call arguments arrive in fragments keyed by index and are reported once the stream ends
  */
-async function processOpenAIStream(body, onChunk) {
+async function processOpenAIStream(body, onChunk, onToolCall) {
   const reader = body.getReader();
   const decoder = new TextDecoder();
   let fullText = '';
   let buffer = '';
+  const toolCalls = [];
 
   try {
     while (true) {
@@ -82,11 +117,20 @@ async function processOpenAIStream(body, onChunk) {
         if (trimmed.startsWith('data: ')) {
           try {
             const json = JSON.parse(trimmed.slice(6));
-            const content = json.choices?.[0]?.delta?.content;
+            const delta = json.choices?.[0]?.delta;
+            const content = delta?.content;
             if (content) {
               fullText += content;
               if (onChunk) onChunk(content);
             }
+
+            for (const toolCallDelta of delta?.tool_calls || []) {
+              const index = toolCallDelta.index ?? toolCalls.length;
+              const call = toolCalls[index] || (toolCalls[index] = { id: '', name: '', arguments: '' });
+              if (toolCallDelta.id) call.id = toolCallDelta.id;
+              if (toolCallDelta.function?.name) call.name += toolCallDelta.function.name;
+              if (toolCallDelta.function?.arguments) call.arguments += toolCallDelta.function.arguments;
+            }
           } catch (e) {
             console.error('Failed to parse SSE:', e);
           }
@@ -97,13 +141,34 @@ async function processOpenAIStream(body, onChunk) {
     reader.releaseLock();
   }
 
+  if (onToolCall) {
+    toolCalls.forEach((call, index) => {
+      if (!call) return;
+      onToolCall({ id: call.id || `call_${index}`, name: call.name, input: parseToolInput(call.arguments) });
+    });
+  }
+
   return fullText;
 }
 
+/**
+ * Parse streamed tool arguments; an empty string means no arguments
+ * @returns {Object|null} Arguments object, or null when they are not a JSON object
+ */
+function parseToolInput(text) {
+  if (!text || !text.trim()) return {};
+  try {
+    const input = JSON.parse(text);
+    return input && typeof input === 'object' && !Array.isArray(input) ? input : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Call Anthropic API
  */
-async function callAnthropic(baseUrl, apiKey, model, messages, onChunk) {
+async function callAnthropic(baseUrl, apiKey, model, messages, onChunk, responseFormat, toolOptions) {
   const url = `${baseUrl}/messages`;
 
   // Convert messages format for Anthropic with multimodal support
@@ -124,6 +189,14 @@ async function callAnthropic(baseUrl, apiKey, model, messages, onChunk) {
       max_tokens: 4096,
       stream: true,
       temperature: 1,
+      // Structured output through a forced tool call; its input streams as partial JSON
+      ...(responseFormat && !toolOptions ? {
+        tools: [{ name: responseFormat.name, description: responseFormat.description, input_schema: responseFormat.schema }],
+        tool_choice: { type: 'tool', name: responseFormat.name },
+      } : {}),
+      ...(toolOptions ? {
+        tools: toolOptions.tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })),
+      } : {}),
     }),
   });
 
@@ -132,17 +205,20 @@ async function callAnthropic(baseUrl, apiKey, model, messages, onChunk) {
     throw new Error(`Anthropic API error: ${response.status} ${error}`);
   }
 
-  return processAnthropicStream(response.body, onChunk);
+  return processAnthropicStream(response.body, onChunk, toolOptions?.onToolCall);
 }
 
 /**
  * Process Anthropic streaming response
+ * Without onToolCall, tool input is streamed as text (structured output through a forced tool);
+ * with it, each tool_use block is reported when the block stops
  */
-async function processAnthropicStream(body, onChunk) {
+async function processAnthropicStream(body, onChunk, onToolCall) {
   const reader = body.getReader();
   const decoder = new TextDecoder();
   let fullText = '';
   let buffer = '';
+  const toolBlocks = {};
 
   try {
     while (true) {
@@ -159,13 +235,23 @@ async function processAnthropicStream(body, onChunk) {
         
         try {
           const json = JSON.parse(trimmed.slice(6));
-          
-          if (json.type === 'content_block_delta') {
-            const content = json.delta?.text;
+
+          if (onToolCall && json.type === 'content_block_start' && json.content_block?.type === 'tool_use') {
+            toolBlocks[json.index] = { id: json.content_block.id, name: json.content_block.name, arguments: '' };
+          } else if (json.type === 'content_block_delta') {
+            if (toolBlocks[json.index]) {
+              toolBlocks[json.index].arguments += json.delta?.partial_json || '';
+              continue;
+            }
+            const content = json.delta?.type === 'input_json_delta' ? json.delta.partial_json : json.delta?.text;
             if (content) {
               fullText += content;
               if (onChunk) onChunk(content);
             }
+          } else if (json.type === 'content_block_stop' && toolBlocks[json.index]) {
+            const { id, name, arguments: input } = toolBlocks[json.index];
+            delete toolBlocks[json.index];
+            onToolCall({ id, name, input: parseToolInput(input) });
           }
         } catch (e) {
           console.error('Failed to parse SSE:', e);
@@ -179,12 +265,243 @@ async function processAnthropicStream(body, onChunk) {
   return fullText;
 }
 
+/**
+ * Call Google Gemini API
+ */
+async function callGemini(baseUrl, apiKey, model, messages, onChunk) {
+  const modelName = model.replace(/^models\//, '');
+  const url = `${baseUrl}/models/${modelName}:streamGenerateContent?alt=sse`;
+
+  // Gemini takes the system prompt separately and names the assistant role "model"
+  const systemMessage = messages.find(m => m.role === 'system');
+  const chatMessages = messages.filter(m => m.role !== 'system');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiKey,
+    },
+    body: JSON.stringify({
+      contents: chatMessages.map(processMessageForGemini),
+      systemInstruction: systemMessage ? { parts: [{ text: systemMessage.content }] } : undefined,
+      generationConfig: {
+        // Thinking models count their reasoning tokens against this limit
+        maxOutputTokens: 8192,
+      },
+    }),
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Gemini API error: ${response.status} ${error}`);
+  }
+
+  return processGeminiStream(response.body, onChunk);
+}
+
+/**
+ * Process Gemini streaming response (SSE, one GenerateContentResponse per event)
+ */
+async function processGeminiStream(body, onChunk) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let fullText = '';
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed || !trimmed.startsWith('data: ')) continue;
+
+        let json;
+        try {
+          json = JSON.parse(trimmed.slice(6));
+        } catch (e) {
+          console.error('Failed to parse SSE:', e);
+          continue;
+        }
+
+        // A blocked prompt returns no candidates, only the reason
+        if (json.promptFeedback?.blockReason) {
+          throw new Error(`Gemini blocked the prompt: ${json.promptFeedback.blockReason}`);
+        }
+        if (json.error) {
+          throw new Error(`Gemini API error: ${json.error.message || JSON.stringify(json.error)}`);
+        }
+
+        const parts = json.candidates?.[0]?.content?.parts || [];
+        for (const part of parts) {
+          // Skip thought summaries from thinking models
+          if (part.text && !part.thought) {
+            fullText += part.text;
+            if (onChunk) onChunk(part.text);
+          }
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  return fullText;
+}
+
+/**
+ * Call Ollama native chat API
+ */
+async function callOllama(baseUrl, apiKey, model, messages, onChunk) {
+  const url = `${getOllamaRoot(baseUrl)}/api/chat`;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: getOllamaHeaders(apiKey),
+      body: JSON.stringify({
+        model,
+        messages: messages.map(processMessageForOllama),
+        stream: true,
+        options: {
+          // The default context window truncates the system prompt without any error
+          num_ctx: 16384,
+        },
+      }),
+    });
+  } catch (error) {
+    throw new Error(`Cannot reach Ollama at ${baseUrl}, make sure \`ollama serve\` is running (${error.cause?.message || error.message})`);
+  }
+
+  if (!response.ok) {
+    const error = await response.text();
+    let message = error;
+    try {
+      message = JSON.parse(error).error || error;
+    } catch {
+      // Plain-text error body
+    }
+
+    if (response.status === 404) {
+      throw new Error(`Ollama model "${model}" is not installed, pull it in the provider settings or run \`ollama pull ${model}\` first (${message})`);
+    }
+    throw new Error(`Ollama API error: ${response.status} ${message}`);
+  }
+
+  return processOllamaStream(response.body, onChunk);
+}
+
+/**
+ * Process Ollama streaming response (NDJSON, one chat chunk per line)
+ */
+async function processOllamaStream(body, onChunk) {
+  let fullText = '';
+
+  await readOllamaLines(body, (json) => {
+    // message.thinking from reasoning models is not part of the answer
+    const content = json.message?.content;
+    if (content) {
+      fullText += content;
+      if (onChunk) onChunk(content);
+    }
+  });
+
+  return fullText;
+}
+
+/**
+ * Read an Ollama NDJSON stream and pass each parsed line to onLine
+ */
+async function readOllamaLines(body, onLine) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (e) {
+      console.error('Failed to parse NDJSON:', e);
+      return;
+    }
+
+    // Errors after the response has started arrive as a line of their own
+    if (json.error) {
+      throw new Error(`Ollama API error: ${json.error}`);
+    }
+    onLine(json);
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Ollama serves its native API at the root, so drop an OpenAI-style /v1 suffix
+ */
+function getOllamaRoot(baseUrl) {
+  return baseUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+/**
+ * Ollama needs no key locally; one is only sent for servers behind an auth proxy
+ */
+function getOllamaHeaders(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+  };
+}
+
 /**
  * Process message for OpenAI API with multimodal support
  * @param {Object} message - Message object
- * @returns {Object} Processed message for OpenAI
+ * @returns {Object|Array} Processed message for OpenAI (one message per tool result)
  */
 function processMessageForOpenAI(message) {
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.input ?? {}) }
+      }))
+    };
+  }
+
+  if (message.toolResults) {
+    return message.toolResults.map(result => ({
+      role: 'tool',
+      tool_call_id: result.id,
+      content: result.content
+    }));
+  }
+
   // If message doesn't have image data, return as-is
   if (!message.image) {
     return message;
@@ -217,6 +534,29 @@ function processMessageForOpenAI(message) {
  * @returns {Object} Processed message for Anthropic
  */
 function processMessageForAnthropic(message) {
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input ?? {} }))
+      ]
+    };
+  }
+
+  // Tool results go back to Anthropic as a user turn
+  if (message.toolResults) {
+    return {
+      role: 'user',
+      content: message.toolResults.map(result => ({
+        type: 'tool_result',
+        tool_use_id: result.id,
+        content: result.content,
+        ...(result.isError ? { is_error: true } : {})
+      }))
+    };
+  }
+
   // If message doesn't have image data, return as-is
   if (!message.image) {
     return message;
@@ -244,6 +584,46 @@ function processMessageForAnthropic(message) {
   };
 }
 
+/**
+ * Process message for Gemini API with multimodal support
+ * @param {Object} message - Message object
+ * @returns {Object} Gemini content with role and parts
+ */
+function processMessageForGemini(message) {
+  const parts = [{ text: message.content }];
+
+  if (message.image) {
+    parts.push({
+      inlineData: {
+        mimeType: message.image.mimeType,
+        data: message.image.data
+      }
+    });
+  }
+
+  return {
+    role: message.role === 'assistant' ? 'model' : 'user',
+    parts
+  };
+}
+
+/**
+ * Process message for Ollama API with multimodal support
+ * @param {Object} message - Message object
+ * @returns {Object} Message with base64 images for vision models
+ */
+function processMessageForOllama(message) {
+  if (!message.image) {
+    return { role: message.role, content: message.content };
+  }
+
+  return {
+    role: message.role,
+    content: message.content,
+    images: [message.image.data]
+  };
+}
+
 /**
  * Test configuration connection with a simple API call
  * @param {Object} config - Provider configuration
@@ -375,6 +755,50 @@ export async function fetchModels(type, baseUrl, apiKey) {
         name: typeof model === 'string' ? model : (model.name || model.id || model.model || model.slug),
       }))
       .filter(m => m.id);
+  } else if (type === 'gemini') {
+    const url = `${baseUrl}/models?pageSize=1000`;
+    const response = await fetch(url, {
+      headers: {
+        'x-goog-api-key': apiKey,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch models: ${response.status}`);
+    }
+
+    const data = await response.json();
+    // Only models that can generate content; ids drop the "models/" prefix
+    return (Array.isArray(data?.models) ? data.models : [])
+      .filter(model => !model.supportedGenerationMethods || model.supportedGenerationMethods.includes('generateContent'))
+      .map(model => ({
+        id: String(model.name || '').replace(/^models\//, ''),
+        name: model.displayName || String(model.name || '').replace(/^models\//, ''),
+        description: model.description,
+      }))
+      .filter(m => m.id);
+  } else if (type === 'ollama') {
+    // Locally installed models; anything else has to be pulled first
+    const url = `${getOllamaRoot(baseUrl)}/api/tags`;
+    let response;
+    try {
+      response = await fetch(url, { headers: getOllamaHeaders(apiKey) });
+    } catch (error) {
+      throw new Error(`Cannot reach Ollama at ${baseUrl}, make sure \`ollama serve\` is running (${error.cause?.message || error.message})`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch models: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (Array.isArray(data?.models) ? data.models : [])
+      .map(model => ({
+        id: model.name || model.model,
+        name: model.name || model.model,
+        description: [model.details?.parameter_size, model.details?.quantization_level].filter(Boolean).join(' · ') || undefined,
+      }))
+      .filter(m => m.id);
   } else if (type === 'builtin-glm') {
     // For built-in GLM, return a predefined model
     return [{
@@ -387,6 +811,41 @@ export async function fetchModels(type, baseUrl, apiKey) {
   }
 }
 
+/**
+ * Pull a model into a local Ollama server, reporting progress as it downloads
+ * @param {string} baseUrl - Ollama base URL
+ * @param {string} apiKey - Optional key for servers behind an auth proxy
+ * @param {string} model - Model name, e.g. llama3.2-vision
+ * @param {Function} onStatus - Called with { status, digest, total, completed } for each progress line
+ * @returns {Promise<string>} Final status, "success" once the model is installed
+ */
+export async function pullOllamaModel(baseUrl, apiKey, model, onStatus) {
+  const url = `${getOllamaRoot(baseUrl)}/api/pull`;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: getOllamaHeaders(apiKey),
+      body: JSON.stringify({ model, stream: true }),
+    });
+  } catch (error) {
+    throw new Error(`Cannot reach Ollama at ${baseUrl}, make sure \`ollama serve\` is running (${error.cause?.message || error.message})`);
+  }
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Ollama API error: ${response.status} ${error}`);
+  }
+
+  let lastStatus = '';
+  await readOllamaLines(response.body, ({ status, digest, total, completed }) => {
+    lastStatus = status || lastStatus;
+    if (onStatus) onStatus({ status, digest, total, completed });
+  });
+  return lastStatus;
+}
+
 /**
  * Call built-in GLM API with monitoring and usage tracking
  * @param {Array} messages - Chat messages array
@@ -0,0 +1,83 @@
+/**
+ * Markdown 提示词提取 - 供命令行批量生成使用
+ *
+ * 支持两种写法：
+ * - Markdown 文件中的 ```excalidraw-prompt 代码块，信息串中可写 name=xxx chartType=xxx
+ * - 扩展名为 .excalidraw-prompt 的文件，整个文件内容就是提示词
+ */
+
+import { createHash } from 'node:crypto';
+
+export const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+export const PROMPT_FILE_EXTENSION = '.excalidraw-prompt';
+
+const PROMPT_BLOCK_LANGUAGE = 'excalidraw-prompt';
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([^\s`]*)(.*)$/;
+
+/**
+ * 解析代码块信息串中的 key=value 选项
+ */
+function parseBlockOptions(info) {
+  const options = {};
+  for (const match of info.matchAll(/(\w+)=("[^"]*"|\S+)/g)) {
+    options[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return options;
+}
+
+/**
+ * 提取 Markdown 中的 excalidraw-prompt 代码块
+ * @param {string} markdown - Markdown 文本
+ * @returns {Array} [{ name, prompt, chartType, line }]，line 为代码块起始行号（从 1 开始）
+ */
+export function extractPromptBlocks(markdown) {
+  const lines = String(markdown || '').split(/\r?\n/);
+  const blocks = [];
+  let open = null;
+
+  lines.forEach((line, index) => {
+    const match = line.match(FENCE_PATTERN);
+    if (!open) {
+      if (match) {
+        open = { fence: match[1], language: match[2], info: match[3], line: index + 1, body: [] };
+      }
+      return;
+    }
+
+    // 闭合围栏必须使用相同字符且长度不短于开启围栏，不能带信息串
+    const isClosing = match && !match[2] && !match[3].trim()
+      && match[1][0] === open.fence[0] && match[1].length >= open.fence.length;
+    if (!isClosing) {
+      open.body.push(line);
+      return;
+    }
+
+    if (open.language === PROMPT_BLOCK_LANGUAGE) {
+      const options = parseBlockOptions(open.info);
+      const prompt = open.body.join('\n').trim();
+      if (prompt) {
+        blocks.push({
+          name: options.name || `diagram-${blocks.length + 1}`,
+          prompt,
+          chartType: options.chartType || options.type || 'auto',
+          line: open.line,
+        });
+      }
+    }
+    open = null;
+  });
+
+  return blocks;
+}
+
+/**
+ * 计算一次生成的内容哈希，输入不变时可以跳过
+ * @param {Object} job - { prompt, chartType }
+ * @param {Object} context - 影响输出的其他参数，如 { format, profile, model }
+ * @returns {string} sha256 十六进制字符串
+ */
+export function hashPromptJob(job, context = {}) {
+  return createHash('sha256')
+    .update(JSON.stringify({ prompt: job.prompt, chartType: job.chartType, ...context }))
+    .digest('hex');
+}
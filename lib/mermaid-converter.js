@@ -0,0 +1,880 @@
+/**
+ * Mermaid 转换器 - 在本地把 Mermaid 源码确定性地转换为 ExcalidrawElementSkeleton 元素，不调用 LLM
+ *
+ * 支持的图表：flowchart/graph、sequenceDiagram、classDiagram、stateDiagram(-v2)、erDiagram
+ */
+
+import { buildGraphElements, buildSequenceElements } from './diagram-graph.js';
+
+export const MERMAID_DIAGRAM_TYPES = {
+  flowchart: '流程图',
+  sequence: '时序图',
+  class: '类图',
+  state: '状态图',
+  er: 'ER 图',
+};
+
+// 图表声明关键字 -> 图表类型
+const HEADER_TYPES = [
+  [/^(flowchart|graph)\b/i, 'flowchart'],
+  [/^sequenceDiagram\b/, 'sequence'],
+  [/^classDiagram(-v2)?\b/, 'class'],
+  [/^stateDiagram(-v2)?\b/, 'state'],
+  [/^erDiagram\b/, 'er'],
+];
+
+// 流程图节点形状：[开始符号, 结束符号, 元素形状]，较长的符号需要排在前面
+const FLOWCHART_SHAPES = [
+  ['(((', ')))', 'ellipse'],
+  ['((', '))', 'ellipse'],
+  ['([', '])', 'roundedRectangle'],
+  ['[[', ']]', 'rectangle'],
+  ['[(', ')]', 'rectangle'],
+  ['{{', '}}', 'diamond'],
+  ['[/', '/]', 'rectangle'],
+  ['[/', '\\]', 'rectangle'],
+  ['[\\', '\\]', 'rectangle'],
+  ['[\\', '/]', 'rectangle'],
+  ['[', ']', 'rectangle'],
+  ['(', ')', 'roundedRectangle'],
+  ['{', '}', 'diamond'],
+  ['>', ']', 'rectangle'],
+];
+
+// 流程图中不需要生成元素的语句
+const FLOWCHART_IGNORED = /^(linkStyle|click|accTitle|accDescr|direction)\b/;
+
+const NODE_ID_PATTERN = /^[A-Za-z0-9_À-￿](?:[A-Za-z0-9_À-￿]|-(?=[A-Za-z0-9_À-￿]))*/;
+
+// 带文字的连线：-- 文字 -->、-. 文字 .->、== 文字 ==>
+const LINK_WITH_TEXT = /^\s*([<ox])?(--|==|-\.)\s+(.+?)\s+(-{2,}[>ox]|-{3,}|={2,}[>ox]|={3,}|\.-+[>ox]|\.-+)/;
+// 普通连线：-->、---、-.->、==>、<-->、--o、--x 等
+const LINK_PLAIN = /^\s*([<ox])?(-{2,}|={2,}|-\.+-)([>ox])?/;
+const LINK_INVISIBLE = /^\s*~{3,}/;
+const LINK_PIPE_TEXT = /^\s*\|([^|]*)\|/;
+
+/**
+ * 预处理：去掉 front matter、%% 注释和空行
+ * @returns {Array<string>} 去掉首尾空白后的有效行
+ */
+function splitLines(source) {
+  let text = String(source || '').replace(/\r\n?/g, '\n');
+  text = text.replace(/^\s*---\n[\s\S]*?\n---\s*\n/, '');
+  return text
+    .split('\n')
+    .map(line => line.replace(/%%.*$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * 规范化节点/连线文本：去掉引号，<br> 转换为换行
+ */
+function cleanText(text) {
+  return String(text ?? '')
+    .trim()
+    .replace(/^"(.*)"$/s, '$1')
+    .replace(/^`(.*)`$/s, '$1')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/#quot;/g, '"')
+    .trim();
+}
+
+/**
+ * 把 Mermaid 的 style/classDef 样式转换为元素属性
+ */
+function parseStyle(styleText) {
+  const style = {};
+  styleText.split(',').forEach(part => {
+    const [key, ...rest] = part.split(':');
+    const value = rest.join(':').trim();
+    if (!value) return;
+    switch (key.trim()) {
+      case 'fill':
+        style.backgroundColor = value;
+        break;
+      case 'stroke':
+        style.strokeColor = value;
+        break;
+      case 'stroke-width':
+        style.strokeWidth = parseFloat(value) || undefined;
+        break;
+      case 'stroke-dasharray':
+        style.strokeStyle = 'dashed';
+        break;
+      default:
+        break;
+    }
+  });
+  return style;
+}
+
+/**
+ * 检测 Mermaid 图表类型
+ * @param {string} source - Mermaid 源码
+ * @returns {string|null} MERMAID_DIAGRAM_TYPES 中的类型，无法识别时返回 null
+ */
+export function detectMermaidType(source) {
+  const header = splitLines(source).find(line => !line.startsWith('%%{'));
+  if (!header) return null;
+  const match = HEADER_TYPES.find(([pattern]) => pattern.test(header));
+  return match ? match[1] : null;
+}
+
+// ---------------------------------------------------------------------------
+// flowchart / graph
+// ---------------------------------------------------------------------------
+
+/**
+ * 从 position 开始解析一个节点引用，例如 A、A[文本]、B{"判断"}:::cls
+ * @returns {Object|null} { id, label, shape, className, end }
+ */
+function parseFlowchartNode(text, position) {
+  let index = position;
+  while (text[index] === ' ' || text[index] === '\t') index++;
+
+  const idMatch = text.slice(index).match(NODE_ID_PATTERN);
+  if (!idMatch) return null;
+
+  const node = { id: idMatch[0] };
+  index += idMatch[0].length;
+
+  for (const [open, close, shape] of FLOWCHART_SHAPES) {
+    if (!text.startsWith(open, index)) continue;
+    const contentStart = index + open.length;
+    let contentEnd;
+    if (text[contentStart] === '"') {
+      const closingQuote = text.indexOf('"', contentStart + 1);
+      contentEnd = closingQuote === -1 ? -1 : text.indexOf(close, closingQuote);
+    } else {
+      contentEnd = text.indexOf(close, contentStart);
+    }
+    if (contentEnd === -1) continue;
+
+    node.label = cleanText(text.slice(contentStart, contentEnd));
+    node.shape = shape;
+    index = contentEnd + close.length;
+    break;
+  }
+
+  const classMatch = text.slice(index).match(/^:::([\w-]+)/);
+  if (classMatch) {
+    node.className = classMatch[1];
+    index += classMatch[0].length;
+  }
+
+  node.end = index;
+  return node;
+}
+
+/**
+ * 解析由 & 连接的一组节点
+ */
+function parseFlowchartNodeGroup(text, position) {
+  const nodes = [];
+  let index = position;
+
+  while (true) {
+    const node = parseFlowchartNode(text, index);
+    if (!node) return nodes.length > 0 ? { nodes, end: index } : null;
+    nodes.push(node);
+    index = node.end;
+
+    const separator = text.slice(index).match(/^\s*&\s*/);
+    if (!separator) return { nodes, end: index };
+    index += separator[0].length;
+  }
+}
+
+/**
+ * 从 position 开始解析一条连线
+ * @returns {Object|null} { edge, end }，不可见连线的 edge 为 null
+ */
+function parseFlowchartLink(text, position) {
+  const rest = text.slice(position);
+
+  const invisible = rest.match(LINK_INVISIBLE);
+  if (invisible) return { edge: null, end: position + invisible[0].length };
+
+  let startMarker;
+  let endMarker;
+  let body;
+  let label;
+  let length;
+
+  const withText = rest.match(LINK_WITH_TEXT);
+  if (withText) {
+    [, startMarker, body, label] = withText;
+    const closing = withText[4];
+    endMarker = /[>ox]$/.test(closing) ? closing.slice(-1) : undefined;
+    length = withText[0].length;
+  } else {
+    const plain = rest.match(LINK_PLAIN);
+    if (!plain) return null;
+    [, startMarker, body, endMarker] = plain;
+    length = plain[0].length;
+
+    const pipeText = rest.slice(length).match(LINK_PIPE_TEXT);
+    if (pipeText) {
+      label = pipeText[1];
+      length += pipeText[0].length;
+    }
+  }
+
+  const arrowheadFor = (marker) => {
+    if (marker === '>' || marker === '<') return 'arrow';
+    if (marker === 'o') return 'circle';
+    if (marker === 'x') return 'bar';
+    return null;
+  };
+
+  return {
+    edge: {
+      label: label ? cleanText(label) : undefined,
+      strokeStyle: body.includes('.') ? 'dashed' : 'solid',
+      strokeWidth: body.includes('=') ? 4 : undefined,
+      startArrowhead: arrowheadFor(startMarker),
+      endArrowhead: arrowheadFor(endMarker),
+    },
+    end: position + length,
+  };
+}
+
+/**
+ * 解析 subgraph 声明：subgraph id [标题]、subgraph id["标题"] 或 subgraph 标题
+ */
+function parseSubgraphHeader(rest, index) {
+  const withTitle = rest.match(/^([^\s[]+)\s*\[(.*)\]$/);
+  if (withTitle) return { id: withTitle[1], label: cleanText(withTitle[2]) };
+  if (/^[\w-]+$/.test(rest)) return { id: rest, label: rest };
+  return { id: `subgraph-${index + 1}`, label: cleanText(rest) };
+}
+
+function parseFlowchart(lines, warnings) {
+  // 头部行可以用 ; 接上语句，例如 graph LR; a-->b
+  const [headerText, ...headerStatements] = lines[0].split(';');
+  const header = headerText.trim().split(/\s+/);
+  const direction = (header[1] || 'TB').toUpperCase().replace('TD', 'TB');
+
+  const nodes = new Map();
+  const edges = [];
+  const clusters = [];
+  const clusterStack = [];
+  const classDefs = new Map();
+  const nodeClasses = new Map();
+  const nodeStyles = new Map();
+
+  const ensureNode = (ref) => {
+    const existing = nodes.get(ref.id);
+    const node = existing || { id: ref.id, label: ref.id, shape: 'rectangle' };
+    if (ref.label !== undefined) {
+      node.label = ref.label;
+      node.shape = ref.shape;
+    }
+    if (ref.className) nodeClasses.set(ref.id, ref.className);
+    if (!existing) {
+      nodes.set(ref.id, node);
+      // 节点归属于首次出现时所在的 subgraph
+      const cluster = clusterStack[clusterStack.length - 1];
+      if (cluster) cluster.nodeIds.push(ref.id);
+    }
+    return node;
+  };
+
+  const statements = [headerStatements.join(';'), ...lines.slice(1)]
+    .flatMap(line => line.split(';').map(part => part.trim()).filter(Boolean));
+
+  statements.forEach(statement => {
+    if (FLOWCHART_IGNORED.test(statement)) return;
+
+    if (/^subgraph\b/.test(statement)) {
+      const cluster = { ...parseSubgraphHeader(statement.slice('subgraph'.length).trim(), clusters.length), nodeIds: [] };
+      clusters.push(cluster);
+      clusterStack.push(cluster);
+      return;
+    }
+    if (statement === 'end') {
+      clusterStack.pop();
+      return;
+    }
+
+    const classDefMatch = statement.match(/^classDef\s+([\w-]+(?:\s*,\s*[\w-]+)*)\s+(.+)$/);
+    if (classDefMatch) {
+      classDefMatch[1].split(',').forEach(name => classDefs.set(name.trim(), parseStyle(classDefMatch[2])));
+      return;
+    }
+    const classMatch = statement.match(/^class\s+(.+?)\s+([\w-]+)$/);
+    if (classMatch) {
+      classMatch[1].split(',').forEach(id => nodeClasses.set(id.trim(), classMatch[2]));
+      return;
+    }
+    const styleMatch = statement.match(/^style\s+(\S+)\s+(.+)$/);
+    if (styleMatch) {
+      nodeStyles.set(styleMatch[1], parseStyle(styleMatch[2]));
+      return;
+    }
+
+    // 节点组 (连线 节点组)*
+    let group = parseFlowchartNodeGroup(statement, 0);
+    if (!group) {
+      warnings.push(`无法解析的语句：${statement}`);
+      return;
+    }
+    let previous = group.nodes.map(ensureNode);
+    let index = group.end;
+
+    while (index < statement.length && statement.slice(index).trim()) {
+      const link = parseFlowchartLink(statement, index);
+      if (!link) {
+        warnings.push(`无法解析的连线：${statement}`);
+        return;
+      }
+      group = parseFlowchartNodeGroup(statement, link.end);
+      if (!group) {
+        warnings.push(`连线缺少目标节点：${statement}`);
+        return;
+      }
+      const current = group.nodes.map(ensureNode);
+      if (link.edge) {
+        previous.forEach(from => current.forEach(to => edges.push({ ...link.edge, from: from.id, to: to.id })));
+      }
+      previous = current;
+      index = group.end;
+    }
+  });
+
+  // subgraph 作为连线端点时无法绑定，丢弃这些连线
+  const clusterIds = new Set(clusters.map(cluster => cluster.id));
+  clusterIds.forEach(id => {
+    const node = nodes.get(id);
+    if (node && node.label === id) nodes.delete(id);
+  });
+  const validEdges = edges.filter(edge => {
+    const valid = nodes.has(edge.from) && nodes.has(edge.to);
+    if (!valid) warnings.push(`连接到 subgraph 的连线已忽略：${edge.from} → ${edge.to}`);
+    return valid;
+  });
+
+  nodes.forEach(node => {
+    node.style = { ...classDefs.get(nodeClasses.get(node.id)), ...nodeStyles.get(node.id) };
+  });
+
+  return buildGraphElements({
+    direction,
+    nodes: [...nodes.values()],
+    edges: validEdges,
+    clusters: clusters.map(cluster => ({
+      ...cluster,
+      id: `frame-${cluster.id}`,
+      nodeIds: cluster.nodeIds.filter(id => nodes.has(id)),
+    })),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// sequenceDiagram
+// ---------------------------------------------------------------------------
+
+const SEQUENCE_MESSAGE = /^(.+?)\s*(-->>|->>|--x|-x|--\)|-\)|-->|->)\s*([+-]?)\s*([^:]+?)\s*(?::\s*(.*))?$/;
+
+// 消息箭头 -> 线型与箭头样式
+const SEQUENCE_ARROWS = {
+  '->': { strokeStyle: 'solid', endArrowhead: null },
+  '-->': { strokeStyle: 'dashed', endArrowhead: null },
+  '->>': { strokeStyle: 'solid', endArrowhead: 'arrow' },
+  '-->>': { strokeStyle: 'dashed', endArrowhead: 'arrow' },
+  '-x': { strokeStyle: 'solid', endArrowhead: 'bar' },
+  '--x': { strokeStyle: 'dashed', endArrowhead: 'bar' },
+  '-)': { strokeStyle: 'solid', endArrowhead: 'triangle_outline' },
+  '--)': { strokeStyle: 'dashed', endArrowhead: 'triangle_outline' },
+};
+
+const SEQUENCE_BLOCKS = /^(loop|alt|opt|par|critical|break|rect|box)\b\s*(.*)$/;
+const SEQUENCE_DIVIDERS = /^(else|and|option)\b\s*(.*)$/;
+const SEQUENCE_IGNORED = /^(autonumber|activate|deactivate|title|accTitle|accDescr|destroy|links?|properties|details)\b/;
+
+function parseSequence(lines, warnings) {
+  const participants = new Map();
+  const messages = [];
+  const notes = [];
+  const blocks = [];
+  const blockStack = [];
+  let row = 0;
+
+  const ensureParticipant = (name, kind = 'participant', label) => {
+    const id = name.trim();
+    if (!participants.has(id)) {
+      participants.set(id, { id, label: label || id, kind });
+    } else if (label) {
+      participants.get(id).label = label;
+    }
+    return id;
+  };
+
+  lines.slice(1).forEach(line => {
+    if (SEQUENCE_IGNORED.test(line)) return;
+
+    const participantMatch = line.match(/^(?:create\s+)?(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/);
+    if (participantMatch) {
+      ensureParticipant(cleanText(participantMatch[2]), participantMatch[1], participantMatch[3] && cleanText(participantMatch[3]));
+      return;
+    }
+
+    const noteMatch = line.match(/^note\s+(over|left of|right of)\s+([^:]+):\s*(.*)$/i);
+    if (noteMatch) {
+      notes.push({
+        participants: noteMatch[2].split(',').map(name => ensureParticipant(name)),
+        position: noteMatch[1].toLowerCase().split(' ')[0],
+        text: cleanText(noteMatch[3]),
+        row: row++,
+      });
+      return;
+    }
+
+    const blockMatch = line.match(SEQUENCE_BLOCKS);
+    if (blockMatch) {
+      const kind = blockMatch[1];
+      // box 只是参与者分组，不生成元素，但仍需匹配对应的 end
+      const block = kind === 'box'
+        ? { ignored: true }
+        : { kind: kind === 'rect' ? '' : kind, label: kind === 'rect' ? '' : cleanText(blockMatch[2]), startRow: row, dividers: [], depth: blockStack.filter(item => !item.ignored).length };
+      blockStack.push(block);
+      if (!block.ignored) row += 0.5; // 为片段标题留出空间
+      return;
+    }
+
+    const dividerMatch = line.match(SEQUENCE_DIVIDERS);
+    if (dividerMatch && blockStack.length > 0) {
+      const block = blockStack[blockStack.length - 1];
+      if (!block.ignored) {
+        block.dividers.push({ row: row + 0.25, label: cleanText(dividerMatch[2]) });
+        row += 0.75;
+      }
+      return;
+    }
+
+    if (line === 'end') {
+      const block = blockStack.pop();
+      if (block && !block.ignored) {
+        block.endRow = row;
+        blocks.push(block);
+        row += 0.25;
+      }
+      return;
+    }
+
+    const messageMatch = line.match(SEQUENCE_MESSAGE);
+    if (messageMatch) {
+      const [, from, arrow, , to, text] = messageMatch;
+      messages.push({
+        from: ensureParticipant(from),
+        to: ensureParticipant(to),
+        text: cleanText(text),
+        ...SEQUENCE_ARROWS[arrow],
+        row: row++,
+      });
+      return;
+    }
+
+    warnings.push(`无法解析的语句：${line}`);
+  });
+
+  if (blockStack.some(block => !block.ignored)) {
+    warnings.push('存在未闭合的 loop/alt/opt 等片段，缺少 end');
+  }
+
+  return buildSequenceElements({
+    participants: [...participants.values()],
+    messages,
+    notes,
+    blocks,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// classDiagram
+// ---------------------------------------------------------------------------
+
+const CLASS_RELATION = /^([^\s"<|*.-]+)\s*(?:"([^"]*)"\s*)?(<\||\*|o|<)?(--|\.\.)(\|>|\*|o|>)?\s*(?:"([^"]*)"\s*)?([^\s":]+)\s*(?::\s*(.*))?$/;
+
+// 关系标记 -> 箭头样式
+const CLASS_MARKERS = {
+  '<|': 'triangle_outline',
+  '|>': 'triangle_outline',
+  '*': 'diamond',
+  'o': 'diamond_outline',
+  '<': 'arrow',
+  '>': 'arrow',
+};
+
+/**
+ * 生成类/实体节点的多行标签：名称、分隔线、成员
+ */
+function buildCompartmentLabel(titleLines, sections) {
+  const nonEmpty = sections.filter(section => section.length > 0);
+  const longest = Math.max(...[...titleLines, ...nonEmpty.flat()].map(line => line.length));
+  const separator = '─'.repeat(Math.max(8, Math.min(30, longest)));
+  return [titleLines.join('\n'), ...nonEmpty.map(section => section.join('\n'))].join(`\n${separator}\n`);
+}
+
+function parseClassDiagram(lines, warnings) {
+  const classes = new Map();
+  const edges = [];
+  let direction = 'TB';
+  let openClass = null;
+
+  const ensureClass = (rawName) => {
+    const name = rawName.replace(/~([^~]*)~/g, '<$1>');
+    const id = rawName.replace(/~[^~]*~/g, '');
+    if (!classes.has(id)) {
+      classes.set(id, { id, name, label: null, stereotype: null, fields: [], methods: [] });
+    }
+    return classes.get(id);
+  };
+
+  const addMember = (cls, member) => {
+    const text = member.trim();
+    if (!text) return;
+    const stereotype = text.match(/^<<(.+)>>$/);
+    if (stereotype) {
+      cls.stereotype = stereotype[1];
+    } else if (text.includes('(')) {
+      cls.methods.push(text);
+    } else {
+      cls.fields.push(text);
+    }
+  };
+
+  lines.slice(1).forEach(line => {
+    if (openClass) {
+      if (line === '}') {
+        openClass = null;
+      } else {
+        addMember(openClass, line);
+      }
+      return;
+    }
+
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/);
+    if (directionMatch) {
+      direction = directionMatch[1].replace('TD', 'TB');
+      return;
+    }
+    if (/^(note|style|classDef|cssClass|click|callback|link)\b/.test(line)) return;
+
+    const classMatch = line.match(/^class\s+([^\s{[]+)(?:\s*\["?([^"\]]*)"?\])?\s*(\{)?\s*(\})?$/);
+    if (classMatch) {
+      const cls = ensureClass(classMatch[1]);
+      if (classMatch[2]) cls.label = classMatch[2];
+      if (classMatch[3] && !classMatch[4]) openClass = cls;
+      return;
+    }
+
+    const annotationMatch = line.match(/^<<(.+)>>\s*(\S+)$/);
+    if (annotationMatch) {
+      ensureClass(annotationMatch[2]).stereotype = annotationMatch[1];
+      return;
+    }
+
+    const relationMatch = line.match(CLASS_RELATION);
+    if (relationMatch) {
+      const [, from, fromCardinality, startMarker, body, endMarker, toCardinality, to, label] = relationMatch;
+      const labelParts = [fromCardinality, label && label.trim(), toCardinality].filter(Boolean);
+      edges.push({
+        from: ensureClass(from).id,
+        to: ensureClass(to).id,
+        strokeStyle: body === '..' ? 'dashed' : 'solid',
+        startArrowhead: CLASS_MARKERS[startMarker] ?? null,
+        endArrowhead: CLASS_MARKERS[endMarker] ?? null,
+        label: labelParts.length > 0 ? labelParts.join('  ') : undefined,
+      });
+      return;
+    }
+
+    const memberMatch = line.match(/^([^\s:]+)\s*:\s*(.+)$/);
+    if (memberMatch) {
+      addMember(ensureClass(memberMatch[1]), memberMatch[2]);
+      return;
+    }
+
+    warnings.push(`无法解析的语句：${line}`);
+  });
+
+  const nodes = [...classes.values()].map(cls => ({
+    id: cls.id,
+    shape: 'rectangle',
+    label: buildCompartmentLabel(
+      [...(cls.stereotype ? [`«${cls.stereotype}»`] : []), cls.label || cls.name],
+      [cls.fields, cls.methods]
+    ),
+    textAlign: cls.fields.length + cls.methods.length > 0 ? 'left' : undefined,
+  }));
+
+  return buildGraphElements({ direction, nodes, edges });
+}
+
+// ---------------------------------------------------------------------------
+// stateDiagram
+// ---------------------------------------------------------------------------
+
+const STATE_TRANSITION = /^(\S+)\s*-->\s*(\S+)\s*(?::\s*(.*))?$/;
+
+function parseStateDiagram(lines, warnings) {
+  const states = new Map();
+  const edges = [];
+  const clusters = [];
+  const scopeStack = [];
+  let direction = 'TB';
+  let inNote = false;
+
+  const currentScope = () => scopeStack[scopeStack.length - 1];
+
+  const ensureState = (id, extra = {}) => {
+    if (!states.has(id)) {
+      states.set(id, { id, label: id, shape: 'roundedRectangle', ...extra });
+      const scope = currentScope();
+      if (scope) scope.nodeIds.push(id);
+    }
+    return states.get(id);
+  };
+
+  // [*] 在作为起点和终点时分别表示初始状态和结束状态，每个复合状态内独立
+  const resolvePseudoState = (name, role) => {
+    if (name !== '[*]') return ensureState(name).id;
+    const scopeId = currentScope()?.stateId || 'root';
+    const id = `${scopeId}-${role}`;
+    ensureState(id, {
+      label: '',
+      shape: 'ellipse',
+      width: role === 'start' ? 24 : 28,
+      height: role === 'start' ? 24 : 28,
+      style: role === 'start'
+        ? { backgroundColor: '#1e1e1e', strokeColor: '#1e1e1e' }
+        : { backgroundColor: '#1e1e1e', strokeColor: '#868e96', strokeWidth: 4 },
+    });
+    return id;
+  };
+
+  lines.slice(1).forEach(line => {
+    if (inNote) {
+      if (/^end\s+note$/i.test(line)) inNote = false;
+      return;
+    }
+    if (/^note\b/i.test(line)) {
+      // 单行注释包含冒号，多行注释以 end note 结束
+      if (!line.includes(':')) inNote = true;
+      return;
+    }
+
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/);
+    if (directionMatch) {
+      if (scopeStack.length === 0) direction = directionMatch[1].replace('TD', 'TB');
+      return;
+    }
+    if (line === '--' || /^(classDef|class|style|accTitle|accDescr)\b/.test(line)) return;
+
+    const compositeMatch = line.match(/^state\s+(?:"([^"]*)"\s+as\s+)?(\S+)\s*\{$/);
+    if (compositeMatch) {
+      const stateId = compositeMatch[2];
+      const cluster = { id: `frame-${stateId}`, stateId, label: compositeMatch[1] || stateId, nodeIds: [] };
+      clusters.push(cluster);
+      scopeStack.push(cluster);
+      return;
+    }
+    if (line === '}') {
+      scopeStack.pop();
+      return;
+    }
+
+    const aliasMatch = line.match(/^state\s+"([^"]*)"\s+as\s+(\S+)$/);
+    if (aliasMatch) {
+      ensureState(aliasMatch[2]).label = cleanText(aliasMatch[1]);
+      return;
+    }
+
+    const specialMatch = line.match(/^state\s+(\S+)\s+<<(choice|fork|join)>>$/);
+    if (specialMatch) {
+      const [, id, kind] = specialMatch;
+      Object.assign(ensureState(id), kind === 'choice'
+        ? { label: '', shape: 'diamond', width: 40, height: 40 }
+        : { label: '', shape: 'rectangle', width: 80, height: 10, style: { backgroundColor: '#1e1e1e', strokeColor: '#1e1e1e' } });
+      return;
+    }
+
+    const plainState = line.match(/^state\s+(\S+)$/);
+    if (plainState) {
+      ensureState(plainState[1]);
+      return;
+    }
+
+    const transitionMatch = line.match(STATE_TRANSITION);
+    if (transitionMatch) {
+      const [, from, to, label] = transitionMatch;
+      edges.push({
+        from: resolvePseudoState(from, 'start'),
+        to: resolvePseudoState(to, 'end'),
+        label: label ? cleanText(label) : undefined,
+        endArrowhead: 'arrow',
+      });
+      return;
+    }
+
+    const descriptionMatch = line.match(/^([^\s:]+)\s*:\s*(.+)$/);
+    if (descriptionMatch) {
+      ensureState(descriptionMatch[1]).label = cleanText(descriptionMatch[2]);
+      return;
+    }
+
+    warnings.push(`无法解析的语句：${line}`);
+  });
+
+  // 指向复合状态的连线改为连接其内部的初始/结束状态
+  const compositeIds = new Set(clusters.map(cluster => cluster.stateId));
+  const redirect = (id, role) => {
+    if (!compositeIds.has(id)) return id;
+    const inner = `${id}-${role}`;
+    return states.has(inner) ? inner : null;
+  };
+  const resolvedEdges = edges
+    .map(edge => ({ ...edge, from: redirect(edge.from, 'end'), to: redirect(edge.to, 'start') }))
+    .filter(edge => {
+      if (edge.from && edge.to) return true;
+      warnings.push('连接到没有初始/结束状态的复合状态的转换已忽略');
+      return false;
+    });
+  compositeIds.forEach(id => {
+    const state = states.get(id);
+    if (state && state.label === id) states.delete(id);
+  });
+
+  return buildGraphElements({
+    direction,
+    nodes: [...states.values()],
+    edges: resolvedEdges,
+    clusters: clusters.map(cluster => ({ ...cluster, nodeIds: cluster.nodeIds.filter(id => states.has(id)) })),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// erDiagram
+// ---------------------------------------------------------------------------
+
+const ER_RELATION = /^("?[\w-]+"?)\s*(\|o|\|\||\}o|\}\|)(--|\.\.)(o\||\|\||o\{|\|\{)\s*("?[\w-]+"?)\s*:\s*(.+)$/;
+
+// 基数标记 -> 箭头样式（Excalidraw 没有区分"零或一"的鸦脚符号）
+const ER_CARDINALITY = {
+  '|o': 'crowfoot_one',
+  'o|': 'crowfoot_one',
+  '||': 'crowfoot_one',
+  '}o': 'crowfoot_many',
+  'o{': 'crowfoot_many',
+  '}|': 'crowfoot_one_or_many',
+  '|{': 'crowfoot_one_or_many',
+};
+
+function parseErDiagram(lines, warnings) {
+  const entities = new Map();
+  const edges = [];
+  let direction = 'TB';
+  let openEntity = null;
+
+  const ensureEntity = (rawName, alias) => {
+    const id = rawName.replace(/"/g, '');
+    if (!entities.has(id)) entities.set(id, { id, label: id, attributes: [] });
+    if (alias) entities.get(id).label = alias;
+    return entities.get(id);
+  };
+
+  lines.slice(1).forEach(line => {
+    if (openEntity) {
+      if (line === '}') {
+        openEntity = null;
+        return;
+      }
+      const attribute = line.match(/^(\S+)\s+(\S+)(?:\s+((?:PK|FK|UK)(?:\s*,\s*(?:PK|FK|UK))*))?(?:\s+"(.*)")?$/);
+      if (attribute) {
+        openEntity.attributes.push([attribute[1], attribute[2], attribute[3]].filter(Boolean).join(' '));
+      } else {
+        warnings.push(`无法解析的属性：${line}`);
+      }
+      return;
+    }
+
+    const directionMatch = line.match(/^direction\s+(TB|TD|BT|LR|RL)$/);
+    if (directionMatch) {
+      direction = directionMatch[1].replace('TD', 'TB');
+      return;
+    }
+
+    const entityMatch = line.match(/^("?[\w-]+"?)(?:\s*\[\s*"?([^"\]]*)"?\s*\])?\s*\{\s*(\})?$/);
+    if (entityMatch) {
+      const entity = ensureEntity(entityMatch[1], entityMatch[2]);
+      if (!entityMatch[3]) openEntity = entity;
+      return;
+    }
+
+    const relationMatch = line.match(ER_RELATION);
+    if (relationMatch) {
+      const [, from, left, body, right, to, label] = relationMatch;
+      edges.push({
+        from: ensureEntity(from).id,
+        to: ensureEntity(to).id,
+        strokeStyle: body === '..' ? 'dashed' : 'solid',
+        startArrowhead: ER_CARDINALITY[left],
+        endArrowhead: ER_CARDINALITY[right],
+        label: cleanText(label),
+      });
+      return;
+    }
+
+    if (/^[\w-]+$/.test(line)) {
+      ensureEntity(line);
+      return;
+    }
+
+    warnings.push(`无法解析的语句：${line}`);
+  });
+
+  const nodes = [...entities.values()].map(entity => ({
+    id: entity.id,
+    shape: 'rectangle',
+    label: buildCompartmentLabel([entity.label], [entity.attributes]),
+    textAlign: entity.attributes.length > 0 ? 'left' : undefined,
+  }));
+
+  return buildGraphElements({ direction, nodes, edges });
+}
+
+const PARSERS = {
+  flowchart: parseFlowchart,
+  sequence: parseSequence,
+  class: parseClassDiagram,
+  state: parseStateDiagram,
+  er: parseErDiagram,
+};
+
+/**
+ * 把 Mermaid 源码转换为 ExcalidrawElementSkeleton 元素数组
+ * @param {string} source - Mermaid 源码，可以包含 ```mermaid 代码块标记
+ * @returns {Object} { type, elements, warnings }
+ * @throws {Error} 图表类型不支持或没有解析出任何元素时抛出
+ */
+export function convertMermaidToElements(source) {
+  const code = String(source || '').replace(/^\s*```(?:mermaid)?\s*\n?/i, '').replace(/\n?```\s*$/, '');
+  const lines = splitLines(code).filter(line => !line.startsWith('%%{'));
+  if (lines.length === 0) {
+    throw new Error('Mermaid 代码为空');
+  }
+
+  const type = detectMermaidType(lines.join('\n'));
+  if (!type) {
+    throw new Error(`无法识别的 Mermaid 图表类型：${lines[0]}。目前支持 flowchart/graph、sequenceDiagram、classDiagram、stateDiagram、erDiagram`);
+  }
+
+  const warnings = [];
+  const elements = PARSERS[type](lines, warnings);
+  if (elements.length === 0) {
+    throw new Error(`没有从${MERMAID_DIAGRAM_TYPES[type]}中解析出任何元素`);
+  }
+
+  return { type, elements, warnings };
+}
@@ -2,6 +2,19 @@
  * Optimize Excalidraw arrow coordinates by aligning them to the center of bound element edges
  */
 
+import { getSideOfPoint, routeOrthogonal, segmentIntersectsRect } from './arrow-routing.js';
+import { getElementBounds, getBoundaryPoint, toLocalPoint } from './shape-geometry.js';
+
+// Element types that arrows should be routed around
+const OBSTACLE_TYPES = ['rectangle', 'ellipse', 'diamond', 'image', 'text'];
+
+// Routing runs on the main thread after every generation, so each arrow only avoids
+// the obstacles near its endpoints and large diagrams skip automatic routing
+const ROUTING_PADDING = 200;
+const MAX_ROUTING_OBSTACLES = 24;
+const MAX_ROUTING_ATTEMPTS = 3;
+const MAX_AUTO_ROUTING_OBSTACLES = 100;
+
 /**
  * Determine which edge of startEle should be used based on its position relative to endEle
  * Returns the center point of the appropriate edge
@@ -179,6 +192,178 @@ function getEndEdgeCenter(endEle, startEle) {
   return { x: endX, y: endY + endHeight / 2 };
 }
 
+/**
+ * Resolve the element an arrow end is bound to.
+ * Shapes auto-created via `start.type`/`end.type` are pinned to explicit coordinates
+ * (same defaults as convertToExcalidrawElements) so they no longer depend on the arrow position.
+ */
+function resolveBoundElement(arrow, endName, elementMap) {
+  const binding = arrow[endName];
+  if (!binding || typeof binding !== 'object') return null;
+  if (binding.id) return elementMap.get(binding.id) || null;
+  if (!binding.type) return null;
+
+  const { width, height } = getElementBounds({ ...binding, x: 0, y: 0 });
+  const arrowX = arrow.x || 0;
+  const arrowY = arrow.y || 0;
+  const x = binding.x ?? (endName === 'start' ? arrowX - width : arrowX + (arrow.width || 100));
+  const y = binding.y ?? arrowY - height / 2;
+  return { ...binding, x, y, width, height, pinned: true };
+}
+
+/**
+ * Pick the edge of `ele` facing `otherCenter` and return the attachment on its outline.
+ * The comparison runs in the element's unrotated frame so rotated shapes use the facing side.
+ */
+function getAttachment(ele, otherCenter, endName, key) {
+  const bounds = getElementBounds(ele);
+  const toward = toLocalPoint(ele, otherCenter);
+  // Same top-left comparison as before, with the other end treated as a box of equal size
+  const other = { x: toward.x - bounds.width / 2, y: toward.y - bounds.height / 2 };
+  const edgeCenter = endName === 'start'
+    ? getStartEdgeCenter(bounds, other)
+    : getEndEdgeCenter(bounds, other);
+  const side = getSideOfPoint(edgeCenter, bounds);
+
+  return { key: `${key}:${side}`, element: ele, side, toward, point: getBoundaryPoint(ele, side) };
+}
+
+function getCenter(element) {
+  const bounds = getElementBounds(element);
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * Spread arrows that attach to the same edge of the same element across distinct points.
+ * Attachments are ordered by the position of the opposite endpoint to avoid crossings.
+ */
+function spreadAttachments(attachments) {
+  const groups = new Map();
+  attachments.forEach(attachment => {
+    if (!groups.has(attachment.key)) groups.set(attachment.key, []);
+    groups.get(attachment.key).push(attachment);
+  });
+
+  groups.forEach(group => {
+    if (group.length < 2) return;
+    const horizontal = group[0].side === 'top' || group[0].side === 'bottom';
+    group.sort((a, b) => (horizontal ? a.toward.x - b.toward.x : a.toward.y - b.toward.y));
+    group.forEach((attachment, index) => {
+      attachment.point = getBoundaryPoint(attachment.element, attachment.side, (index + 1) / (group.length + 1));
+    });
+  });
+}
+
+/**
+ * Keep frame membership consistent with arrow bindings:
+ * arrows connecting two children of a frame join it, arrows leaving the frame are removed from it
+ * so they are not clipped at the frame border.
+ */
+function syncFrameChildren(elements) {
+  const arrows = new Map(elements
+    .filter(element => element.type === 'arrow' && element.id && (element.start?.id || element.end?.id))
+    .map(element => [element.id, element]));
+  const framedArrowIds = new Set(elements
+    .filter(element => element.type === 'frame' && Array.isArray(element.children))
+    .flatMap(frame => frame.children.filter(id => arrows.has(id))));
+
+  return elements.map(element => {
+    if (element.type !== 'frame' || !Array.isArray(element.children)) return element;
+    const children = new Set(element.children);
+    const isInside = arrow => [arrow.start?.id, arrow.end?.id].every(id => !id || children.has(id));
+    const isConnected = arrow => arrow.start?.id && arrow.end?.id;
+
+    const kept = element.children.filter(id => !arrows.has(id) || isInside(arrows.get(id)));
+    const added = [...arrows.values()]
+      .filter(arrow => !framedArrowIds.has(arrow.id) && isConnected(arrow) && isInside(arrow))
+      .map(arrow => arrow.id);
+    if (kept.length === element.children.length && added.length === 0) return element;
+    return { ...element, children: [...kept, ...added] };
+  });
+}
+
+/**
+ * Replace straight arrows that cut through other elements with elbowed arrows routed around them.
+ * Arrows that already ask for `elbowed: true` are always routed; others only in diagrams
+ * of up to MAX_AUTO_ROUTING_OBSTACLES shapes.
+ */
+function routeArrows(arrows, elements) {
+  const obstacles = elements
+    .filter(element => OBSTACLE_TYPES.includes(element.type))
+    .map(element => ({ id: element.id, bounds: getElementBounds(element) }));
+  const autoRoute = obstacles.length <= MAX_AUTO_ROUTING_OBSTACLES;
+
+  arrows.forEach(({ optimized, start, end }) => {
+    // Orthogonal paths only make sense for axis-aligned shapes
+    if (start.element.angle || end.element.angle) return;
+    if (!optimized.elbowed && !autoRoute) return;
+    const startPoint = start.point;
+    const endPoint = end.point;
+    // Containers around an endpoint (group boxes, backgrounds) can't be avoided
+    const relevant = obstacles.filter(obstacle => !isStrictlyInside(startPoint, obstacle.bounds) && !isStrictlyInside(endPoint, obstacle.bounds));
+    const crossesObstacle = relevant.some(obstacle =>
+      obstacle.id !== start.element.id && obstacle.id !== end.element.id
+      && segmentIntersectsRect(startPoint, endPoint, obstacle.bounds)
+    );
+    if (!optimized.elbowed && !crossesObstacle) return;
+
+    const endpointIds = [start.element.id, end.element.id];
+    const considered = getNearbyObstacles(relevant, startPoint, endPoint, endpointIds);
+    let path = null;
+    for (let attempt = 0; attempt < MAX_ROUTING_ATTEMPTS; attempt++) {
+      path = routeOrthogonal(startPoint, start.side, endPoint, end.side, considered.map(obstacle => obstacle.bounds));
+      if (!path) return;
+      // A detour can run into obstacles that were left out; add them and route again
+      const crossed = getCrossedObstacles(path, relevant, endpointIds);
+      if (crossed.length === 0) break;
+      if (attempt === MAX_ROUTING_ATTEMPTS - 1) return;
+      considered.push(...crossed);
+    }
+
+    const origin = path[0];
+    const last = path[path.length - 1];
+    optimized.elbowed = true;
+    optimized.x = origin.x;
+    optimized.y = origin.y;
+    optimized.points = path.map(point => [point.x - origin.x, point.y - origin.y]);
+    optimized.width = last.x - origin.x;
+    optimized.height = last.y - origin.y;
+  });
+}
+
+/**
+ * The arrow's own shapes plus the obstacles overlapping the padded box around both endpoints,
+ * nearest to the segment midpoint first
+ */
+function getNearbyObstacles(obstacles, startPoint, endPoint, endpointIds) {
+  const area = {
+    x: Math.min(startPoint.x, endPoint.x) - ROUTING_PADDING,
+    y: Math.min(startPoint.y, endPoint.y) - ROUTING_PADDING,
+    width: Math.abs(endPoint.x - startPoint.x) + ROUTING_PADDING * 2,
+    height: Math.abs(endPoint.y - startPoint.y) + ROUTING_PADDING * 2,
+  };
+  const middle = { x: (startPoint.x + endPoint.x) / 2, y: (startPoint.y + endPoint.y) / 2 };
+  const distance = ({ bounds }) => Math.hypot(bounds.x + bounds.width / 2 - middle.x, bounds.y + bounds.height / 2 - middle.y);
+
+  const nearby = obstacles
+    .filter(({ id, bounds }) => !endpointIds.includes(id)
+      && bounds.x < area.x + area.width && bounds.x + bounds.width > area.x
+      && bounds.y < area.y + area.height && bounds.y + bounds.height > area.y)
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, MAX_ROUTING_OBSTACLES);
+  return [...obstacles.filter(({ id }) => endpointIds.includes(id)), ...nearby];
+}
+
+function getCrossedObstacles(path, obstacles, endpointIds) {
+  return obstacles.filter(obstacle => !endpointIds.includes(obstacle.id)
+    && path.slice(1).some((point, index) => segmentIntersectsRect(path[index], point, obstacle.bounds)));
+}
+
+function isStrictlyInside(point, bounds) {
+  return point.x > bounds.x && point.x < bounds.x + bounds.width
+    && point.y > bounds.y && point.y < bounds.y + bounds.height;
+}
+
 /**
  * Optimize arrow/line coordinates to align with bound element edge centers
  */
@@ -211,92 +396,70 @@ export function optimizeExcalidrawCode(codeString) {
     });
 
     // Step 2 & 3: Find and optimize arrows/lines with bound elements
-    const optimizedElements = elements.map(element => {
+    const boundArrows = [];
+    const optimizedElements = elements.map((element, index) => {
       // Only process arrow and line elements
       if (element.type !== 'arrow' && element.type !== 'line') {
         return element;
       }
 
-      // Log arrow elements with strokeColor=#fab005
-      if (element.type === 'arrow' && element.strokeColor === '#fab005') {
-        console.log('🔍 Found arrow with strokeColor=#fab005:', {
-          id: element.id,
-          x: element.x,
-          y: element.y,
-          width: element.width,
-          height: element.height,
-          strokeColor: element.strokeColor,
-          start: element.start,
-          end: element.end,
-          fullElement: element
-        });
-      }
-
       const optimized = { ...element };
       let needsOptimization = false;
 
-      // Get bound elements
-      const startEle = element.start && element.start.id ? elementMap.get(element.start.id) : null;
-      const endEle = element.end && element.end.id ? elementMap.get(element.end.id) : null;
-
-      // Log detailed information for #fab005 arrows
-      if (element.type === 'arrow' && element.strokeColor === '#fab005') {
-        console.log('📍 Processing arrow with strokeColor=#fab005:');
-        console.log('  startEle:', startEle ? {
-          id: startEle.id,
-          type: startEle.type,
-          x: startEle.x,
-          y: startEle.y,
-          width: startEle.width,
-          height: startEle.height
-        } : 'null');
-        console.log('  endEle:', endEle ? {
-          id: endEle.id,
-          type: endEle.type,
-          x: endEle.x,
-          y: endEle.y,
-          width: endEle.width,
-          height: endEle.height
-        } : 'null');
-      }
-
-      // Both start and end must be bound to calculate correctly
-      if (startEle && endEle) {
-        // Calculate start point (arrow.x, arrow.y)
-        
-        const startEdgeCenter = getStartEdgeCenter(startEle, endEle);
-        optimized.x = startEdgeCenter.x;
-        optimized.y = startEdgeCenter.y;
-
-        // Calculate end point and derive width/height
-        const endEdgeCenter = getEndEdgeCenter(endEle, startEle);
-        optimized.width = endEdgeCenter.x - startEdgeCenter.x;
-        optimized.height = endEdgeCenter.y - startEdgeCenter.y;
-
-        // Log calculation results for #fab005 arrows
-        if (element.type === 'arrow' && element.strokeColor === '#fab005') {
-          console.log('  🎯 Calculated values:');
-          console.log('    startEdgeCenter:', startEdgeCenter);
-          console.log('    endEdgeCenter:', endEdgeCenter);
-          console.log('    Original arrow: { x:', element.x, ', y:', element.y, ', width:', element.width, ', height:', element.height, '}');
-          console.log('    Optimized arrow: { x:', optimized.x, ', y:', optimized.y, ', width:', optimized.width, ', height:', optimized.height, '}');
+      // Get bound elements (existing elements, or shapes auto-created via start/end.type)
+      const startEle = resolveBoundElement(element, 'start', elementMap);
+      const endEle = resolveBoundElement(element, 'end', elementMap);
+      ['start', 'end'].forEach(endName => {
+        const bound = endName === 'start' ? startEle : endEle;
+        if (bound?.pinned) {
+          optimized[endName] = { ...element[endName], x: bound.x, y: bound.y };
+          needsOptimization = true;
         }
+      });
 
-        needsOptimization = true;
-      }
+      if (startEle || endEle) {
+        // The free end of a half-bound arrow keeps its absolute position
+        const freeStart = { x: element.x || 0, y: element.y || 0 };
+        const freeEnd = { x: freeStart.x + (element.width ?? 100), y: freeStart.y + (element.height ?? 0) };
+        const arrowKey = `${element.id || index}`;
+
+        const start = startEle
+          ? getAttachment(startEle, endEle ? getCenter(endEle) : freeEnd, 'start', startEle.pinned ? `${arrowKey}:start` : startEle.id)
+          : { point: freeStart };
+        const end = endEle
+          ? getAttachment(endEle, startEle ? getCenter(startEle) : freeStart, 'end', endEle.pinned ? `${arrowKey}:end` : endEle.id)
+          : { point: freeEnd };
 
-      // Fix Excalidraw rendering bug: line-type elements with width 0 should be 1
-      if ((element.type === 'arrow' || element.type === 'line') && optimized.width === 0) {
-        optimized.width = 1;
         needsOptimization = true;
+        boundArrows.push({ optimized, start, end });
       }
 
       return needsOptimization ? optimized : element;
 
     });
 
+    // Step 3.1: Spread arrows sharing an edge, then route arrows around other elements
+    spreadAttachments(boundArrows.flatMap(arrow => [arrow.start, arrow.end]).filter(attachment => attachment.element));
+    boundArrows.forEach(({ optimized, start, end }) => {
+      optimized.x = start.point.x;
+      optimized.y = start.point.y;
+      optimized.width = end.point.x - start.point.x;
+      optimized.height = end.point.y - start.point.y;
+    });
+    routeArrows(
+      boundArrows.filter(arrow => arrow.optimized.type === 'arrow' && arrow.start.element && arrow.end.element),
+      optimizedElements
+    );
+
+    // Fix Excalidraw rendering bug: line-type elements with width 0 should be 1
+    optimizedElements.forEach((element, index) => {
+      if ((element.type === 'arrow' || element.type === 'line') && element.width === 0) {
+        optimizedElements[index] = { ...element, width: 1 };
+      }
+    });
+
     // Step 4: Convert back to JSON string
-    return JSON.stringify(optimizedElements, null, 2);
+    return JSON.stringify(syncFrameChildren(optimizedElements), null, 2);
   } catch (error) {
     console.error('Failed to optimize arrows:', error);
     return codeString; // Return original code if optimization fails
@@ -0,0 +1,545 @@
+/**
+ * PlantUML 转换器 - 在本地把 PlantUML 源码确定性地转换为 ExcalidrawElementSkeleton 元素，不调用 LLM
+ *
+ * 支持的图表：时序图、类图、组件图
+ */
+
+import { buildGraphElements, buildSequenceElements } from './diagram-graph.js';
+
+export const PLANTUML_DIAGRAM_TYPES = {
+  sequence: '时序图',
+  class: '类图',
+  component: '组件图',
+};
+
+// 所有图表中都不需要生成元素的语句
+const COMMON_IGNORED = /^(skinparam|title|header|footer|caption|legend|endlegend|scale|hide|show|!|center|newpage|allowmixing|set\s)/i;
+
+// 跨多行的样式和说明块：[开始, 结束]，整块都不生成元素
+const DIRECTIVE_BLOCKS = [
+  [/^skinparam\b.*\{$/i, /^\}$/],
+  [/^legend\b/i, /^end\s?legend$/i],
+  [/^(title|header|footer)$/i, /^end\s?(title|header|footer)$/i],
+];
+
+// 类图和组件图中箭头内的方向提示，例如 -up->、-left-
+const ARROW_DIRECTION_HINT = /-(up|down|left|right|u|d|l|r)-/gi;
+// 箭头内的颜色和样式，例如 -[#red]->、.[dashed].>
+const ARROW_STYLE_HINT = /([-.])\[[^\]]*\]/g;
+
+/**
+ * 预处理：去掉 @startuml/@enduml、单行注释 ' 和多行注释 /' '/
+ * @returns {Array<string>} 去掉首尾空白后的有效行
+ */
+function splitLines(source) {
+  const text = String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\/'[\s\S]*?'\//g, '');
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("'") && !/^@(start|end)\w*/i.test(line));
+}
+
+/**
+ * 去掉 skinparam、title 等样式和说明语句，包括多行的块
+ * @param {Array<string>} lines - 预处理后的行
+ * @returns {Array<string>} 只包含图表内容的行
+ */
+function stripDirectives(lines) {
+  const result = [];
+  let blockEnd = null;
+  lines.forEach(line => {
+    if (blockEnd) {
+      if (blockEnd.test(line)) blockEnd = null;
+      return;
+    }
+    const block = DIRECTIVE_BLOCKS.find(([start]) => start.test(line));
+    if (block) {
+      blockEnd = block[1];
+      return;
+    }
+    if (!COMMON_IGNORED.test(line)) result.push(line);
+  });
+  return result;
+}
+
+/**
+ * 规范化文本：去掉引号，\n 转换为换行
+ */
+function cleanText(text) {
+  return String(text ?? '')
+    .trim()
+    .replace(/^"(.*)"$/s, '$1')
+    .replace(/\\n/g, '\n')
+    .trim();
+}
+
+/**
+ * 根据关键字推断 PlantUML 图表类型
+ * @param {Array<string>} lines - 去掉样式和说明语句后的行
+ * @returns {string} PLANTUML_DIAGRAM_TYPES 中的类型
+ */
+function detectDiagramType(lines) {
+  const has = (pattern) => lines.some(line => pattern.test(line));
+
+  if (has(/^(abstract\s+class|abstract|class|interface|enum|annotation)\s+[^\s"]/) ||
+      has(/(<\||\|>|\*--|--\*|o--|--o)/)) {
+    return 'class';
+  }
+  if (has(/^(participant|boundary|control|collections|activate|deactivate|autonumber|alt|loop|opt|par|return)\b/) ||
+      has(/^note\s+over\b/i)) {
+    return 'sequence';
+  }
+  if (has(/^\[[^\]]+\]/) || has(/^(component|node|package|cloud|folder|frame|artifact|storage|usecase|rectangle)\b/)) {
+    return 'component';
+  }
+  // 其余情况与 PlantUML 一致：A -> B 形式的箭头视为时序图
+  return has(SEQUENCE_MESSAGE) ? 'sequence' : 'component';
+}
+
+// ---------------------------------------------------------------------------
+// 时序图
+// ---------------------------------------------------------------------------
+
+const SEQUENCE_PARTICIPANT = /^(participant|actor|boundary|control|entity|database|collections|queue)\s+(?:"([^"]+)"|(\S+))(?:\s+as\s+(?:"([^"]+)"|(\S+)))?/;
+const SEQUENCE_MESSAGE = /^("[^"]+"|[^\s<>\-:]+)\s*(x?<<?-{1,2}|-{1,2}>>?x?|-{1,2}[/\\]{1,2}|[/\\]{1,2}-{1,2})\s*("[^"]+"|[^\s<>\-:]+)\s*(?::\s*(.*))?$/;
+const SEQUENCE_BLOCKS = /^(alt|opt|loop|par|break|critical|group)\b\s*(.*)$/;
+const SEQUENCE_IGNORED = /^(activate|deactivate|autonumber|destroy|create|hnote|rnote|ref|box|end box|==|\.\.\.|\|\|\||newpage|delay)/;
+
+function parseSequence(lines, warnings) {
+  const participants = new Map();
+  const messages = [];
+  const notes = [];
+  const blocks = [];
+  const blockStack = [];
+  let openNote = null;
+  let row = 0;
+
+  const ensureParticipant = (name, kind = 'participant', label) => {
+    const id = cleanText(name);
+    if (!participants.has(id)) {
+      participants.set(id, { id, label: label || id, kind });
+    } else if (label) {
+      participants.get(id).label = label;
+    }
+    return id;
+  };
+
+  lines.forEach(line => {
+    if (openNote) {
+      if (/^end\s*note$/i.test(line)) {
+        openNote.text = openNote.lines.join('\n');
+        delete openNote.lines;
+        notes.push(openNote);
+        openNote = null;
+      } else {
+        openNote.lines.push(line);
+      }
+      return;
+    }
+    if (COMMON_IGNORED.test(line) || SEQUENCE_IGNORED.test(line)) return;
+
+    const participantMatch = line.match(SEQUENCE_PARTICIPANT);
+    if (participantMatch) {
+      const [, keyword, quotedName, name, quotedAlias, alias] = participantMatch;
+      // participant "长名称" as A 与 participant A as "长名称" 两种写法
+      const id = alias || quotedAlias ? (alias || quotedAlias) : (name || quotedName);
+      const label = quotedName || quotedAlias || name;
+      ensureParticipant(id, keyword === 'actor' ? 'actor' : 'participant', label);
+      return;
+    }
+
+    const noteMatch = line.match(/^note\s+(over|left of|right of|left|right)\s*([^:]*?)\s*(?::\s*(.*))?$/i);
+    if (noteMatch) {
+      const [, position, targets, text] = noteMatch;
+      const lastMessage = messages[messages.length - 1];
+      const participantIds = targets
+        ? targets.split(',').map(name => ensureParticipant(name))
+        : lastMessage ? [lastMessage.to] : [];
+      const note = { participants: participantIds, position: position.toLowerCase().split(' ')[0], row: row++ };
+      if (text !== undefined) {
+        notes.push({ ...note, text: cleanText(text) });
+      } else {
+        openNote = { ...note, lines: [] };
+      }
+      return;
+    }
+
+    const blockMatch = line.match(SEQUENCE_BLOCKS);
+    if (blockMatch) {
+      blockStack.push({
+        kind: blockMatch[1],
+        label: cleanText(blockMatch[2]),
+        startRow: row,
+        dividers: [],
+        depth: blockStack.length,
+      });
+      row += 0.5;
+      return;
+    }
+
+    const elseMatch = line.match(/^else\b\s*(.*)$/);
+    if (elseMatch && blockStack.length > 0) {
+      blockStack[blockStack.length - 1].dividers.push({ row: row + 0.25, label: cleanText(elseMatch[1]) });
+      row += 0.75;
+      return;
+    }
+
+    if (line === 'end') {
+      const block = blockStack.pop();
+      if (block) {
+        block.endRow = row;
+        blocks.push(block);
+        row += 0.25;
+      }
+      return;
+    }
+
+    const returnMatch = line.match(/^return\b\s*(.*)$/);
+    if (returnMatch) {
+      const lastMessage = messages[messages.length - 1];
+      if (lastMessage) {
+        messages.push({
+          from: lastMessage.to,
+          to: lastMessage.from,
+          text: cleanText(returnMatch[1]),
+          strokeStyle: 'dashed',
+          endArrowhead: 'arrow',
+          row: row++,
+        });
+      }
+      return;
+    }
+
+    const messageMatch = line.replace(ARROW_STYLE_HINT, '$1').match(SEQUENCE_MESSAGE);
+    if (messageMatch) {
+      const [, left, arrow, right, text] = messageMatch;
+      const reversed = arrow.includes('<');
+      messages.push({
+        from: ensureParticipant(reversed ? right : left),
+        to: ensureParticipant(reversed ? left : right),
+        text: cleanText(text),
+        strokeStyle: arrow.includes('--') ? 'dashed' : 'solid',
+        endArrowhead: arrow.includes('x') ? 'bar' : 'arrow',
+        row: row++,
+      });
+      return;
+    }
+
+    warnings.push(`无法解析的语句：${line}`);
+  });
+
+  if (blockStack.length > 0) {
+    warnings.push('存在未闭合的 alt/loop/opt 等分组，缺少 end');
+  }
+
+  return buildSequenceElements({
+    participants: [...participants.values()],
+    messages,
+    notes,
+    blocks,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// 类图
+// ---------------------------------------------------------------------------
+
+const CLASS_DECLARATION = /^(abstract\s+class|abstract|class|interface|enum|annotation|entity)\s+(?:"([^"]+)"|([^\s{<]+))(?:\s+as\s+(\S+))?\s*(?:<<\s*(.+?)\s*>>)?\s*(\{)?\s*(\})?$/;
+const CLASS_RELATION = /^("[^"]+"|\w+(?:\.\w+)*)\s*(?:"([^"]*)"\s*)?(<\||\*|o|<|\+|#)?(-+|\.+)(\|>|\*|o|>|\+|#)?\s*(?:"([^"]*)"\s*)?("[^"]+"|\w+(?:\.\w+)*)\s*(?::\s*(.*))?$/;
+
+// 关系标记 -> 箭头样式
+const CLASS_MARKERS = {
+  '<|': 'triangle_outline',
+  '|>': 'triangle_outline',
+  '*': 'diamond',
+  'o': 'diamond_outline',
+  '<': 'arrow',
+  '>': 'arrow',
+  '+': 'circle_outline',
+  '#': 'bar',
+};
+
+// 类型关键字 -> 标签中显示的构造型
+const CLASS_KEYWORD_STEREOTYPES = {
+  interface: 'interface',
+  enum: 'enumeration',
+  annotation: 'annotation',
+  abstract: 'abstract',
+  'abstract class': 'abstract',
+};
+
+/**
+ * 生成类节点的多行标签：名称、分隔线、成员
+ */
+function buildClassLabel(cls) {
+  const titleLines = [...(cls.stereotype ? [`«${cls.stereotype}»`] : []), cls.label];
+  const sections = [cls.fields, cls.methods].filter(section => section.length > 0);
+  const longest = Math.max(...[...titleLines, ...sections.flat()].map(line => line.length));
+  const separator = '─'.repeat(Math.max(8, Math.min(30, longest)));
+  return [titleLines.join('\n'), ...sections.map(section => section.join('\n'))].join(`\n${separator}\n`);
+}
+
+function parseClassDiagram(lines, warnings) {
+  const classes = new Map();
+  const edges = [];
+  let direction = 'TB';
+  let openClass = null;
+
+  const ensureClass = (name, label) => {
+    const id = cleanText(name);
+    if (!classes.has(id)) {
+      classes.set(id, { id, label: label || id, stereotype: null, fields: [], methods: [] });
+    } else if (label) {
+      classes.get(id).label = label;
+    }
+    return classes.get(id);
+  };
+
+  const addMember = (cls, member) => {
+    const text = member.trim();
+    // 分隔线 -- .. == __ 只用于分组成员
+    if (!text || /^(--|\.\.|==|__)/.test(text)) return;
+    if (text.includes('(')) {
+      cls.methods.push(text);
+    } else {
+      cls.fields.push(text);
+    }
+  };
+
+  lines.forEach(line => {
+    if (openClass) {
+      if (line === '}') {
+        openClass = null;
+      } else {
+        addMember(openClass, line);
+      }
+      return;
+    }
+    if (COMMON_IGNORED.test(line) || /^(note|package|namespace|together)\b/.test(line) || line === '}') return;
+
+    if (/^left to right direction$/i.test(line)) {
+      direction = 'LR';
+      return;
+    }
+    if (/^top to bottom direction$/i.test(line)) {
+      direction = 'TB';
+      return;
+    }
+
+    const declaration = line.match(CLASS_DECLARATION);
+    if (declaration) {
+      const [, keyword, quotedName, name, alias, stereotype, open, close] = declaration;
+      const cls = ensureClass(alias || quotedName || name, quotedName || name);
+      cls.stereotype = stereotype || CLASS_KEYWORD_STEREOTYPES[keyword.replace(/\s+/g, ' ')] || cls.stereotype;
+      if (open && !close) openClass = cls;
+      return;
+    }
+
+    const relation = line
+      .replace(ARROW_DIRECTION_HINT, '--')
+      .replace(ARROW_STYLE_HINT, '$1')
+      .match(CLASS_RELATION);
+    if (relation) {
+      const [, from, fromCardinality, startMarker, body, endMarker, toCardinality, to, label] = relation;
+      const labelParts = [fromCardinality, label && label.trim(), toCardinality].filter(Boolean);
+      edges.push({
+        from: ensureClass(from).id,
+        to: ensureClass(to).id,
+        strokeStyle: body.startsWith('.') ? 'dashed' : 'solid',
+        startArrowhead: CLASS_MARKERS[startMarker] ?? null,
+        endArrowhead: CLASS_MARKERS[endMarker] ?? null,
+        label: labelParts.length > 0 ? labelParts.join('  ') : undefined,
+      });
+      return;
+    }
+
+    const memberMatch = line.match(/^("[^"]+"|\w+(?:\.\w+)*)\s*:\s*(.+)$/);
+    if (memberMatch) {
+      addMember(ensureClass(memberMatch[1]), memberMatch[2]);
+      return;
+    }
+
+    warnings.push(`无法解析的语句：${line}`);
+  });
+
+  const nodes = [...classes.values()].map(cls => ({
+    id: cls.id,
+    shape: 'rectangle',
+    label: buildClassLabel(cls),
+    textAlign: cls.fields.length + cls.methods.length > 0 ? 'left' : undefined,
+  }));
+
+  return buildGraphElements({ direction, nodes, edges });
+}
+
+// ---------------------------------------------------------------------------
+// 组件图
+// ---------------------------------------------------------------------------
+
+// 组件图元素关键字 -> 形状
+const COMPONENT_SHAPES = {
+  component: 'rectangle',
+  node: 'rectangle',
+  database: 'ellipse',
+  cloud: 'roundedRectangle',
+  queue: 'rectangle',
+  interface: 'ellipse',
+  actor: 'ellipse',
+  usecase: 'ellipse',
+  artifact: 'rectangle',
+  storage: 'rectangle',
+  file: 'rectangle',
+  folder: 'rectangle',
+  frame: 'rectangle',
+  package: 'rectangle',
+  rectangle: 'rectangle',
+  card: 'rectangle',
+  agent: 'rectangle',
+  boundary: 'ellipse',
+  control: 'ellipse',
+  entity: 'ellipse',
+  collections: 'rectangle',
+  hexagon: 'diamond',
+};
+
+const COMPONENT_KEYWORDS = Object.keys(COMPONENT_SHAPES).join('|');
+// 元素引用：[组件]、() 接口、(用例)、"带引号的名称" 或普通标识符
+const COMPONENT_REF = String.raw`\[[^\]]+\]|\(\)\s*"[^"]+"|\(\)\s*[\w.]+|\([^)]+\)|"[^"]+"|[\w.]+`;
+const COMPONENT_DECLARATION = new RegExp(String.raw`^(?:(${COMPONENT_KEYWORDS})\s+)?(${COMPONENT_REF})(?:\s+as\s+("[^"]+"|[\w.]+))?(?:\s+<<.+?>>)?(?:\s+#\S+)?\s*(\{)?$`);
+const COMPONENT_RELATION = new RegExp(String.raw`^(${COMPONENT_REF})\s*(<)?(-+|\.+)(>)?\s*(${COMPONENT_REF})\s*(?::\s*(.*))?$`);
+
+/**
+ * 解析元素引用，返回标识符、显示名称和形状
+ */
+function parseComponentRef(ref, keyword) {
+  const text = ref.trim();
+  if (text.startsWith('[')) {
+    const name = text.slice(1, -1).trim();
+    return { name, label: name, shape: 'rectangle' };
+  }
+  if (text.startsWith('()')) {
+    const name = cleanText(text.slice(2));
+    return { name, label: name, shape: 'ellipse' };
+  }
+  if (text.startsWith('(')) {
+    const name = text.slice(1, -1).trim();
+    return { name, label: name, shape: 'ellipse' };
+  }
+  const name = cleanText(text);
+  return { name, label: name, shape: keyword ? COMPONENT_SHAPES[keyword] : 'rectangle' };
+}
+
+function parseComponentDiagram(lines, warnings) {
+  const components = new Map();
+  const aliases = new Map(); // 显示名称/引用写法 -> id
+  const edges = [];
+  const clusters = [];
+  const clusterStack = [];
+  let direction = 'TB';
+
+  const register = (ref, keyword, alias) => {
+    const parsed = parseComponentRef(ref, keyword);
+    const id = alias ? cleanText(alias) : aliases.get(parsed.name) || parsed.name;
+    if (!components.has(id)) {
+      components.set(id, { id, label: parsed.label, shape: parsed.shape });
+      const cluster = clusterStack[clusterStack.length - 1];
+      if (cluster) cluster.nodeIds.push(id);
+    } else if (keyword) {
+      components.get(id).shape = parsed.shape;
+    }
+    aliases.set(parsed.name, id);
+    return id;
+  };
+
+  lines.forEach(line => {
+    if (COMMON_IGNORED.test(line) || /^(note|end note)\b/.test(line)) return;
+
+    if (/^left to right direction$/i.test(line)) {
+      direction = 'LR';
+      return;
+    }
+    if (/^top to bottom direction$/i.test(line)) {
+      direction = 'TB';
+      return;
+    }
+    if (line === '}') {
+      clusterStack.pop();
+      return;
+    }
+
+    const relation = line
+      .replace(ARROW_DIRECTION_HINT, '--')
+      .replace(ARROW_STYLE_HINT, '$1')
+      .match(COMPONENT_RELATION);
+    if (relation) {
+      const [, left, startMarker, body, endMarker, right, label] = relation;
+      const from = register(left);
+      const to = register(right);
+      // 只有左侧箭头时反转方向，保证布局自上而下
+      const reversed = startMarker && !endMarker;
+      edges.push({
+        from: reversed ? to : from,
+        to: reversed ? from : to,
+        strokeStyle: body.startsWith('.') ? 'dashed' : 'solid',
+        startArrowhead: startMarker && endMarker ? 'arrow' : null,
+        endArrowhead: startMarker || endMarker ? 'arrow' : null,
+        label: label ? cleanText(label) : undefined,
+      });
+      return;
+    }
+
+    const declaration = line.match(COMPONENT_DECLARATION);
+    if (declaration) {
+      const [, keyword, ref, alias, open] = declaration;
+      if (open) {
+        // 容器：package/node/cloud 等带 { 的声明生成 frame
+        const { label } = parseComponentRef(ref, keyword);
+        const cluster = { id: `frame-${clusters.length + 1}`, label, nodeIds: [] };
+        clusters.push(cluster);
+        clusterStack.push(cluster);
+        return;
+      }
+      register(ref, keyword, alias);
+      return;
+    }
+
+    warnings.push(`无法解析的语句：${line}`);
+  });
+
+  return buildGraphElements({
+    direction,
+    nodes: [...components.values()],
+    edges,
+    clusters,
+  });
+}
+
+const PARSERS = {
+  sequence: parseSequence,
+  class: parseClassDiagram,
+  component: parseComponentDiagram,
+};
+
+/**
+ * 把 PlantUML 源码转换为 ExcalidrawElementSkeleton 元素数组
+ * @param {string} source - PlantUML 源码，@startuml/@enduml 可省略
+ * @returns {Object} { type, elements, warnings }
+ * @throws {Error} 没有解析出任何元素时抛出
+ */
+export function convertPlantUMLToElements(source) {
+  const lines = stripDirectives(splitLines(source));
+  if (lines.length === 0) {
+    throw new Error('PlantUML 代码为空');
+  }
+
+  const type = detectDiagramType(lines);
+  const warnings = [];
+  const elements = PARSERS[type](lines, warnings);
+  if (elements.length === 0) {
+    throw new Error(`没有从 PlantUML ${PLANTUML_DIAGRAM_TYPES[type]}中解析出任何元素`);
+  }
+
+  return { type, elements, warnings };
+}
@@ -485,3 +485,110 @@ export const USER_PROMPT_TEMPLATE = (userInput, chartType = 'auto') => {
   return promptParts.join('\n\n');
 };
 
+
+// Output contract for patch-based edits (used instead of the full element array)
+const PATCH_OUTPUT_SPEC = `
+## 输出格式：增量补丁
+
+不要输出完整的元素数组，只输出对当前图表的修改操作列表：
+
+\`\`\`json
+{
+  "operations": [
+    { "op": "add", "element": { "type": "rectangle", "id": "cache-1", "x": 600, "y": 200, "width": 180, "height": 80, "label": { "text": "缓存层" } } },
+    { "op": "update", "id": "db-1", "props": { "backgroundColor": "#ffc9c9", "strokeColor": "#e03131" } },
+    { "op": "delete", "id": "old-node-1" },
+    { "op": "rebind", "id": "arrow-1", "start": "api-1", "end": "cache-1" }
+  ]
+}
+\`\`\`
+
+### 操作说明
+- **add**：新增元素，\`element\` 为完整的 ExcalidrawElementSkeleton 元素，必须带有新的唯一 \`id\`
+- **update**：按 \`id\` 修改已有元素，\`props\` 中只包含需要修改的属性（浅合并，\`label\` 需整体提供）；属性值为 null 表示删除该属性；不能修改 \`id\` 和 \`type\`
+- **delete**：按 \`id\` 删除元素，绑定到该元素的箭头也需要用 delete 或 rebind 处理
+- **rebind**：修改箭头的绑定，\`start\`/\`end\` 为目标元素的 id，可只提供其中之一
+
+⚠️ 输出格式提醒：请只在单个 \`\`\`json ... \`\`\` 代码块中返回上述结构的标准 JSON，操作按顺序执行，不要输出未修改的元素，不要在代码块外添加额外文字说明。`;
+
+/**
+ * Generate refinement prompt for editing the diagram currently on the canvas
+ * @param {string} userInput - User's modification request
+ * @param {Array} currentElements - Skeleton elements currently on the canvas
+ * @param {string} chartType - Chart type (default: 'auto')
+ * @param {string} outputMode - 'full' returns the whole element array, 'patch' returns operations
+ * @returns {string} Complete refinement prompt
+ */
+export const REFINE_PROMPT_TEMPLATE = (userInput, currentElements, chartType = 'auto', outputMode = 'full') => {
+  const promptParts = [];
+
+  promptParts.push(
+    '以下是画布上当前图表的 ExcalidrawElementSkeleton JSON：\n\n' +
+    '```json\n' +
+    JSON.stringify(currentElements, null, 2) +
+    '\n```'
+  );
+
+  const chartTypeName = chartType && chartType !== 'auto' ? CHART_TYPE_NAMES[chartType] : null;
+  if (chartTypeName) {
+    promptParts.push(`当前图表为${chartTypeName}，修改时请继续遵循该类型的视觉规范。`);
+  }
+
+  promptParts.push(
+    '请在当前图表的基础上完成用户的修改要求，而不是重新绘制。\n\n' +
+    '## 修改规则\n' +
+    '- 未被修改的元素必须保持原有的 id、坐标、尺寸和样式不变\n' +
+    '- 只修改与用户要求相关的元素\n' +
+    '- 新增元素使用新的唯一 id，并放置在不与现有元素重叠的位置\n' +
+    '- 删除元素时，同时删除绑定到该元素的箭头，或更新箭头的 start/end 绑定\n' +
+    '- 新增的箭头需通过 id 绑定到已有元素\n' +
+    '- frame 的 children 需同步更新，只能引用存在的元素 id'
+  );
+
+  if (outputMode === 'patch') {
+    promptParts.push(PATCH_OUTPUT_SPEC.trim());
+  } else {
+    promptParts.push(
+      '⚠️ 输出格式提醒：请在单个 ```json ... ``` 代码块中输出修改后的完整元素数组（包含未修改的元素），使用标准 JSON 语法（键使用双引号、无单引号/注释/尾随逗号），不要在代码块外添加额外文字说明。'
+    );
+  }
+
+  promptParts.push(`用户修改要求：\n${userInput}`);
+
+  return promptParts.join('\n\n');
+};
+
+/**
+ * 自动纠错提示词：把上一次输出的解析/校验问题反馈给模型，要求重新输出
+ * @param {Array<string>} diagnostics - 问题描述列表
+ * @param {string} outputMode - 'full' 或 'patch'，与上一次请求的输出格式保持一致
+ */
+export const REPAIR_PROMPT_TEMPLATE = (diagnostics, outputMode = 'full') => {
+  const issueList = diagnostics.map(message => `- ${message}`).join('\n');
+  const formatHint = outputMode === 'patch'
+    ? '请按照之前要求的补丁格式，重新输出修正后的完整操作列表。'
+    : '请重新输出修正后的完整元素数组（包含所有元素，而不只是出错的部分）。';
+
+  return (
+    '你上一次输出的代码无法被正确解析或未通过元素规范校验，发现以下问题：\n\n' +
+    `${issueList}\n\n` +
+    `${formatHint}\n\n` +
+    '⚠️ 输出格式提醒：只在单个 ```json ... ``` 代码块中输出结果，使用标准 JSON 语法（键使用双引号、无单引号/注释/尾随逗号），不要添加任何解释文字。'
+  );
+};
+
+/**
+ * 工具调用构建模式：附加在系统提示词之后，替代输出 JSON 的要求
+ * 工具定义见 lib/diagram-builder.js
+ */
+export const TOOL_BUILD_PROMPT = `## 本次输出方式：工具调用
+
+本次不要输出 JSON 代码块，而是通过工具调用逐步构建图表，以上元素规范和配色建议仍然适用：
+
+1. 用 \`add_node\` 添加全部节点（形状或文本），记下返回的 id
+2. 用 \`connect\` 按 id 连接节点，箭头的绑定和坐标由系统自动计算
+3. 需要时用 \`create_frame\` 把相关节点放进框架，用 \`group\` 组合元素，用 \`set_style\` 统一调整样式
+
+- 可以在一次回复中并行调用多个工具；工具返回错误时根据提示修正后重试
+- 所有节点都省略 \`x\`/\`y\` 时系统会按连线关系自动布局；需要精确排版时为每个节点提供坐标
+- 图表完成后停止调用工具，只用一句话总结所画的内容`;
@@ -0,0 +1,250 @@
+/**
+ * Excalidraw 场景转换器 - 把完整的 Excalidraw 元素还原为精简的 ExcalidrawElementSkeleton 元素
+ *
+ * 支持 .excalidraw 文件、从 Excalidraw 复制到剪贴板的内容，以及本应用导出的骨架 JSON
+ * - 容器内的绑定文本合并为 label
+ * - 箭头的 startBinding/endBinding 转换为 start/end { id }
+ * - frameId 转换为 frame 的 children
+ * - 省略与默认值相同的样式属性，id 重新编号为易读的短 id
+ */
+
+import { METADATA_KEY, readExportMetadata } from './diagram-export.js';
+
+export const SCENE_DIAGRAM_TYPES = {
+  scene: '场景',
+  skeleton: '骨架 JSON',
+};
+
+// 与 convertToExcalidrawElements 的默认值相同的属性不写入骨架
+const STYLE_DEFAULTS = {
+  strokeColor: '#1e1e1e',
+  backgroundColor: 'transparent',
+  fillStyle: 'solid',
+  strokeWidth: 2,
+  strokeStyle: 'solid',
+  roughness: 1,
+  opacity: 100,
+  angle: 0,
+};
+
+const TEXT_DEFAULTS = {
+  fontSize: 20,
+  fontFamily: 5,
+  textAlign: 'left',
+  verticalAlign: 'top',
+};
+
+const SHAPE_TYPES = ['rectangle', 'ellipse', 'diamond'];
+const SUPPORTED_TYPES = [...SHAPE_TYPES, 'arrow', 'line', 'text', 'frame'];
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * 判断是否为完整的 Excalidraw 元素（而非骨架元素）
+ */
+function isFullElement(element) {
+  return element && typeof element === 'object' && 'versionNonce' in element && 'seed' in element;
+}
+
+/**
+ * 解析场景文本
+ * @param {string} source - .excalidraw 文件内容、剪贴板内容或骨架 JSON
+ * @returns {Object|null} { elements, metadata, isScene }，无法识别时返回 null
+ */
+export function parseSceneSource(source) {
+  const text = String(source || '').trim();
+  if (!text.startsWith('{') && !text.startsWith('[')) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return null;
+  }
+
+  const elements = Array.isArray(parsed) ? parsed : parsed?.elements;
+  if (!Array.isArray(elements)) return null;
+
+  const metadata = Array.isArray(parsed) ? null : parsed[METADATA_KEY] || null;
+  const isScene = elements.some(isFullElement)
+    || ['excalidraw', 'excalidraw/clipboard'].includes(parsed?.type);
+  return { elements, metadata, isScene };
+}
+
+function pickStyles(element, defaults) {
+  const styles = {};
+  Object.entries(defaults).forEach(([key, value]) => {
+    if (element[key] !== undefined && element[key] !== null && element[key] !== value) {
+      styles[key] = typeof element[key] === 'number' ? round(element[key]) : element[key];
+    }
+  });
+  return styles;
+}
+
+function toLabel(textElement) {
+  return {
+    text: textElement.originalText ?? textElement.text,
+    ...pickStyles(textElement, { fontSize: TEXT_DEFAULTS.fontSize, fontFamily: TEXT_DEFAULTS.fontFamily }),
+    ...(textElement.strokeColor && textElement.strokeColor !== STYLE_DEFAULTS.strokeColor ? { strokeColor: textElement.strokeColor } : {}),
+  };
+}
+
+/**
+ * 把完整的 Excalidraw 元素转换为骨架元素
+ * @param {Array} sceneElements - Excalidraw 元素数组
+ * @param {Object} options - { preserveIds } 为 true 时保留原始 id，用于画布与代码之间的同步
+ * @returns {Object} { elements, warnings }
+ */
+export function convertSceneElementsToSkeleton(sceneElements, options = {}) {
+  const { preserveIds = false } = options;
+  const warnings = [];
+  const live = sceneElements.filter(element => element && !element.isDeleted);
+  const byId = new Map(live.map(element => [element.id, element]));
+
+  // 绑定在容器或箭头上的文本作为 label
+  const labels = new Map();
+  live.forEach(element => {
+    if (element.type === 'text' && element.containerId && byId.has(element.containerId)) {
+      labels.set(element.containerId, element);
+    }
+  });
+  const labelTextIds = new Set([...labels.values()].map(element => element.id));
+
+  // 生成易读的短 id
+  const idMap = new Map();
+  const counters = {};
+  live.forEach(element => {
+    if (labelTextIds.has(element.id) || !SUPPORTED_TYPES.includes(element.type)) return;
+    counters[element.type] = (counters[element.type] || 0) + 1;
+    idMap.set(element.id, preserveIds ? element.id : `${element.type}-${counters[element.type]}`);
+  });
+
+  const skipped = {};
+  const skeleton = [];
+  live.forEach(element => {
+    if (labelTextIds.has(element.id)) return;
+    if (!SUPPORTED_TYPES.includes(element.type)) {
+      skipped[element.type] = (skipped[element.type] || 0) + 1;
+      return;
+    }
+
+    const base = {
+      id: idMap.get(element.id),
+      type: element.type,
+      x: round(element.x),
+      y: round(element.y),
+    };
+
+    if (element.type === 'frame') {
+      const children = live
+        .filter(child => child.frameId === element.id && idMap.has(child.id))
+        .map(child => idMap.get(child.id));
+      skeleton.push({ ...base, width: round(element.width), height: round(element.height), children, ...(element.name ? { name: element.name } : {}) });
+      return;
+    }
+
+    if (element.type === 'text') {
+      skeleton.push({
+        ...base,
+        text: element.originalText ?? element.text,
+        ...pickStyles(element, TEXT_DEFAULTS),
+        ...pickStyles(element, { strokeColor: STYLE_DEFAULTS.strokeColor, opacity: STYLE_DEFAULTS.opacity, angle: STYLE_DEFAULTS.angle }),
+      });
+      return;
+    }
+
+    const result = { ...base, width: round(element.width), height: round(element.height), ...pickStyles(element, STYLE_DEFAULTS) };
+    if (element.roundness && SHAPE_TYPES.includes(element.type)) {
+      result.roundness = { type: element.roundness.type };
+    }
+    if (labels.has(element.id)) {
+      result.label = toLabel(labels.get(element.id));
+    }
+
+    if (element.type === 'arrow' || element.type === 'line') {
+      const points = Array.isArray(element.points) && element.points.length >= 2 ? element.points : [[0, 0], [element.width, element.height]];
+      const [originX, originY] = points[0];
+      const last = points[points.length - 1];
+      result.x = round(element.x + originX);
+      result.y = round(element.y + originY);
+      result.width = round(last[0] - originX);
+      result.height = round(last[1] - originY);
+
+      if (element.type === 'line' || element.elbowed) {
+        result.points = points.map(([px, py]) => [round(px - originX), round(py - originY)]);
+      } else if (points.length > 2) {
+        warnings.push(`${result.id} 的折线中间点已省略，箭头将显示为直线`);
+      }
+      if (element.elbowed) result.elbowed = true;
+    }
+
+    if (element.type === 'arrow') {
+      const startId = element.startBinding?.elementId;
+      const endId = element.endBinding?.elementId;
+      if (startId && idMap.has(startId)) result.start = { id: idMap.get(startId) };
+      if (endId && idMap.has(endId)) result.end = { id: idMap.get(endId) };
+      // 骨架中箭头默认带结束箭头，没有箭头时需要显式写出 null
+      if (element.startArrowhead) result.startArrowhead = element.startArrowhead;
+      result.endArrowhead = element.endArrowhead ?? null;
+      if (result.endArrowhead === 'arrow') delete result.endArrowhead;
+    }
+
+    skeleton.push(result);
+  });
+
+  Object.entries(skipped).forEach(([type, count]) => {
+    warnings.push(`已跳过 ${count} 个不支持的 ${type} 元素`);
+  });
+
+  return { elements: skeleton, warnings };
+}
+
+/**
+ * 把 Excalidraw 场景源码转换为元素数组
+ * @param {string} source - .excalidraw 文件内容、剪贴板内容或骨架 JSON
+ * @returns {Object} { type, elements, warnings, metadata }
+ * @throws {Error} 内容无法识别或没有可用元素时抛出
+ */
+export function convertSceneToElements(source) {
+  const parsed = parseSceneSource(source);
+  if (!parsed) {
+    throw new Error('无法识别 Excalidraw 场景，请粘贴 .excalidraw 文件内容或从 Excalidraw 复制的元素');
+  }
+
+  const { elements, warnings } = parsed.isScene
+    ? convertSceneElementsToSkeleton(parsed.elements)
+    : { elements: parsed.elements, warnings: [] };
+  if (elements.length === 0) {
+    throw new Error('场景中没有可导入的元素');
+  }
+
+  return {
+    type: parsed.isScene ? 'scene' : 'skeleton',
+    elements,
+    warnings,
+    metadata: parsed.metadata,
+  };
+}
+
+/**
+ * 读取场景文件为文本，SVG/PNG 中嵌入的场景会被提取出来
+ * @param {File} file - .excalidraw、.json、.svg 或 .png 文件
+ * @returns {Promise<string>} 可交给 convertSceneToElements 的文本
+ * @throws {Error} 图片中没有嵌入场景时抛出
+ */
+export async function readSceneFile(file) {
+  const isImage = /\.(png|svg)$/i.test(file.name) || ['image/png', 'image/svg+xml'].includes(file.type);
+  if (!isImage) {
+    return file.text();
+  }
+
+  const { loadFromBlob } = await import('@excalidraw/excalidraw');
+  let scene;
+  try {
+    scene = await loadFromBlob(file, null, null);
+  } catch {
+    throw new Error('图片中没有嵌入 Excalidraw 场景，请使用勾选了"嵌入场景"的导出文件');
+  }
+  const metadata = await readExportMetadata(file);
+  return JSON.stringify({ type: 'excalidraw', elements: scene.elements, ...(metadata ? { [METADATA_KEY]: metadata } : {}) }, null, 2);
+}
@@ -0,0 +1,100 @@
+/**
+ * 场景协调 - 按元素 id 把新转换出的元素合并到当前画布场景中
+ *
+ * 配合 excalidrawAPI.updateScene 使用，代替重新挂载 Excalidraw：
+ * - 内容没有变化的元素保留画布上的原对象，不产生多余的撤销记录
+ * - 内容变化的元素沿用原 id 并递增 version
+ * - 新场景中不存在的元素标记为 isDeleted，撤销时可以恢复
+ * - 容器和箭头上的 label 文本每次转换都会生成新 id，按 containerId 对应回原文本
+ */
+
+// 每次转换都会重新生成、不代表内容变化的属性
+const VOLATILE_KEYS = new Set(['version', 'versionNonce', 'seed', 'updated', 'index']);
+
+function isSameContent(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (VOLATILE_KEYS.has(key)) continue;
+    if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) return false;
+  }
+  return true;
+}
+
+const randomNonce = () => Math.floor(Math.random() * 2 ** 31);
+
+/**
+ * 把 label 文本的新 id 替换为画布上同一容器已有文本的 id
+ */
+function remapLabelIds(currentElements, nextElements) {
+  const currentLabels = new Map();
+  currentElements.forEach(element => {
+    if (element.type === 'text' && element.containerId && !element.isDeleted) {
+      currentLabels.set(element.containerId, element.id);
+    }
+  });
+
+  const idMap = new Map();
+  nextElements.forEach(element => {
+    if (element.type !== 'text' || !element.containerId) return;
+    const existingId = currentLabels.get(element.containerId);
+    if (existingId && existingId !== element.id) {
+      idMap.set(element.id, existingId);
+    }
+  });
+  if (idMap.size === 0) return nextElements;
+
+  return nextElements.map(element => {
+    if (idMap.has(element.id)) {
+      return { ...element, id: idMap.get(element.id) };
+    }
+    if (element.boundElements?.some(bound => idMap.has(bound.id))) {
+      return {
+        ...element,
+        boundElements: element.boundElements.map(bound => (idMap.has(bound.id) ? { ...bound, id: idMap.get(bound.id) } : bound)),
+      };
+    }
+    return element;
+  });
+}
+
+/**
+ * 按 id 协调当前场景与新元素
+ * @param {Array} currentElements - 画布上的元素（包含已删除的元素）
+ * @param {Array} nextElements - convertToExcalidrawElements 的转换结果
+ * @returns {Object} { elements, changed, isFreshScene }
+ *   isFreshScene 表示新元素与画布上的可见元素没有共同 id，即换成了一张新图
+ */
+export function reconcileSceneElements(currentElements, nextElements) {
+  const currentById = new Map(currentElements.map(element => [element.id, element]));
+  const remapped = remapLabelIds(currentElements, nextElements);
+  const nextIds = new Set(remapped.map(element => element.id));
+
+  let changed = false;
+  let sharedCount = 0;
+  const elements = remapped.map(element => {
+    const existing = currentById.get(element.id);
+    if (!existing) {
+      changed = true;
+      return element;
+    }
+    if (!existing.isDeleted) sharedCount++;
+    if (!existing.isDeleted && isSameContent(existing, element)) {
+      return existing;
+    }
+    changed = true;
+    return { ...element, version: existing.version + 1, versionNonce: randomNonce() };
+  });
+
+  currentElements.forEach(element => {
+    if (nextIds.has(element.id)) return;
+    if (element.isDeleted) {
+      elements.push(element);
+      return;
+    }
+    changed = true;
+    elements.push({ ...element, isDeleted: true, version: element.version + 1, versionNonce: randomNonce() });
+  });
+
+  const hasVisible = currentElements.some(element => !element.isDeleted);
+  return { elements, changed, isFreshScene: !hasVisible || sharedCount === 0 };
+}
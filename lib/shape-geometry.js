@@ -0,0 +1,104 @@
+/**
+ * 形状几何 - 计算元素的实际尺寸和轮廓上的连接点
+ *
+ * 与 convertToExcalidrawElements 的行为保持一致：
+ * - 没有 width/height 的元素默认 100×100
+ * - 带 label 且未指定尺寸的容器会按文本自动撑开
+ * - angle 为绕中心顺时针旋转的弧度
+ */
+
+import { estimateTextSize } from './diagram-graph.js';
+
+const DEFAULT_DIMENSION = 100;
+const DEFAULT_FONT_SIZE = 20;
+const BOUND_TEXT_PADDING = 5;
+
+/**
+ * 根据文本尺寸计算容器尺寸，与 Excalidraw 的 computeContainerDimensionForBoundText 一致
+ */
+function containerDimensionForText(dimension, type) {
+  const padded = Math.ceil(dimension) + BOUND_TEXT_PADDING * 2;
+  if (type === 'ellipse') return Math.round((padded / Math.sqrt(2)) * 2);
+  if (type === 'diamond') return 2 * padded;
+  return padded;
+}
+
+/**
+ * 计算元素的包围盒（未旋转）
+ * @param {Object} element - ExcalidrawElementSkeleton 元素
+ * @returns {Object} { x, y, width, height }
+ */
+export function getElementBounds(element) {
+  const x = element.x || 0;
+  const y = element.y || 0;
+
+  if (element.type === 'text') {
+    const size = estimateTextSize(element.text, element.fontSize || DEFAULT_FONT_SIZE);
+    return { x, y, width: element.width || size.width, height: element.height || size.height };
+  }
+
+  if (element.label?.text) {
+    const size = estimateTextSize(element.label.text, element.label.fontSize || DEFAULT_FONT_SIZE);
+    return {
+      x,
+      y,
+      width: element.width ?? containerDimensionForText(size.width, element.type),
+      height: element.height ?? containerDimensionForText(size.height, element.type),
+    };
+  }
+
+  return { x, y, width: element.width || DEFAULT_DIMENSION, height: element.height || DEFAULT_DIMENSION };
+}
+
+function rotate(point, center, angle) {
+  if (!angle) return point;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+}
+
+function centerOf(bounds) {
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * 把画布坐标转换为元素未旋转时的坐标
+ * @param {Object} element - 元素
+ * @param {Object} point - 画布坐标 { x, y }
+ * @returns {Object} { x, y }
+ */
+export function toLocalPoint(element, point) {
+  return rotate(point, centerOf(getElementBounds(element)), -(element.angle || 0));
+}
+
+/**
+ * 计算元素轮廓上的连接点
+ * 先在包围盒的指定边上按比例取点，再沿该边法线向内投影到椭圆或菱形的轮廓上，最后按 angle 旋转
+ * @param {Object} element - 元素
+ * @param {string} side - 'top' | 'bottom' | 'left' | 'right'（未旋转时的边）
+ * @param {number} ratio - 在该边上的位置，0 ~ 1，0.5 为边的中点
+ * @returns {Object} 画布坐标 { x, y }
+ */
+export function getBoundaryPoint(element, side, ratio = 0.5) {
+  const bounds = getElementBounds(element);
+  const center = centerOf(bounds);
+  const rx = bounds.width / 2;
+  const ry = bounds.height / 2;
+  const horizontal = side === 'top' || side === 'bottom';
+  const sign = side === 'top' || side === 'left' ? -1 : 1;
+
+  // 沿边的偏移（相对中心）和该位置处轮廓到中心的距离
+  const along = horizontal ? bounds.width * ratio - rx : bounds.height * ratio - ry;
+  const u = Math.min(1, Math.abs(along) / (horizontal ? rx : ry) || 0);
+  let depth = 1;
+  if (element.type === 'ellipse') depth = Math.sqrt(1 - u * u);
+  if (element.type === 'diamond') depth = 1 - u;
+
+  const local = horizontal
+    ? { x: center.x + along, y: center.y + sign * ry * depth }
+    : { x: center.x + sign * rx * depth, y: center.y + along };
+  const point = rotate(local, center, element.angle || 0);
+  return { x: Math.round(point.x * 100) / 100, y: Math.round(point.y * 100) / 100 };
+}
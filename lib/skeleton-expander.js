@@ -0,0 +1,271 @@
+/**
+ * 骨架展开 - 在服务器端把 ExcalidrawElementSkeleton 展开为完整的 Excalidraw 元素
+ *
+ * 浏览器中由 convertToExcalidrawElements 完成，但它依赖 DOM，无法在 Node 中使用。
+ * 这里实现 .excalidraw 文件需要的部分：
+ * - label 展开为居中的绑定文本，文字尺寸按字符数估算（打开后 Excalidraw 会重新测量）
+ * - 箭头的 start/end { id } 转换为 startBinding/endBinding，并写入目标的 boundElements
+ * - frame 的 children 转换为子元素的 frameId
+ * 通过 type 自动创建的绑定端点、图片等需要浏览器的元素不会展开
+ */
+
+import { estimateTextSize } from './diagram-graph.js';
+import { METADATA_KEY } from './diagram-export.js';
+
+const SHAPE_TYPES = ['rectangle', 'ellipse', 'diamond'];
+const LINEAR_TYPES = ['arrow', 'line'];
+const SUPPORTED_TYPES = [...SHAPE_TYPES, ...LINEAR_TYPES, 'text', 'frame'];
+
+const DEFAULT_DIMENSION = 100;
+const DEFAULT_FONT_SIZE = 20;
+const DEFAULT_FONT_FAMILY = 5;
+const LINE_HEIGHT = 1.25;
+const BOUND_TEXT_PADDING = 5;
+const FRAME_PADDING = 10;
+
+const STYLE_DEFAULTS = {
+  strokeColor: '#1e1e1e',
+  backgroundColor: 'transparent',
+  fillStyle: 'solid',
+  strokeWidth: 2,
+  strokeStyle: 'solid',
+  roughness: 1,
+  opacity: 100,
+  angle: 0,
+};
+
+// fractional-indexing 使用的 base62 字符，元素顺序由 index 决定
+const BASE_62_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+function createIndex(position) {
+  if (position < 62) return `a${BASE_62_DIGITS[position]}`;
+  return `b${BASE_62_DIGITS[Math.floor(position / 62) % 62]}${BASE_62_DIGITS[position % 62]}`;
+}
+
+const randomInteger = () => Math.floor(Math.random() * 2 ** 31);
+
+function createBaseElement(skeleton, overrides) {
+  const styles = {};
+  Object.entries(STYLE_DEFAULTS).forEach(([key, value]) => {
+    styles[key] = skeleton[key] ?? value;
+  });
+  return {
+    id: skeleton.id,
+    type: skeleton.type,
+    x: skeleton.x ?? 0,
+    y: skeleton.y ?? 0,
+    width: skeleton.width ?? DEFAULT_DIMENSION,
+    height: skeleton.height ?? DEFAULT_DIMENSION,
+    ...styles,
+    seed: randomInteger(),
+    version: 1,
+    versionNonce: randomInteger(),
+    index: null,
+    isDeleted: false,
+    groupIds: skeleton.groupIds || [],
+    frameId: null,
+    roundness: skeleton.roundness || null,
+    boundElements: null,
+    updated: Date.now(),
+    link: skeleton.link || null,
+    locked: false,
+    ...overrides,
+  };
+}
+
+function createTextElement(id, text, options) {
+  const fontSize = options.fontSize || DEFAULT_FONT_SIZE;
+  const size = estimateTextSize(text, fontSize);
+  return createBaseElement({ id, type: 'text', strokeColor: options.strokeColor, opacity: options.opacity, angle: options.angle }, {
+    x: options.x ?? 0,
+    y: options.y ?? 0,
+    width: size.width,
+    height: size.height,
+    text,
+    originalText: text,
+    fontSize,
+    fontFamily: options.fontFamily || DEFAULT_FONT_FAMILY,
+    textAlign: options.textAlign || 'left',
+    verticalAlign: options.verticalAlign || 'top',
+    containerId: options.containerId || null,
+    autoResize: true,
+    lineHeight: LINE_HEIGHT,
+  });
+}
+
+/**
+ * 创建居中在容器中的 label 文本
+ */
+function createLabel(container, label, center) {
+  const text = createTextElement(`${container.id}-label`, label.text ?? '', {
+    ...label,
+    textAlign: label.textAlign || 'center',
+    verticalAlign: label.verticalAlign || 'middle',
+    containerId: container.id,
+  });
+  text.x = center.x - text.width / 2;
+  text.y = center.y - text.height / 2;
+  return text;
+}
+
+function createShape(skeleton) {
+  const shape = createBaseElement(skeleton);
+  if (skeleton.label?.text && (skeleton.width === undefined || skeleton.height === undefined)) {
+    // 未指定尺寸时放大到能容纳文字
+    const textSize = estimateTextSize(skeleton.label.text, skeleton.label.fontSize || DEFAULT_FONT_SIZE);
+    const scale = shape.type === 'rectangle' ? 1 : 2;
+    shape.width = skeleton.width ?? Math.max(DEFAULT_DIMENSION, (textSize.width + BOUND_TEXT_PADDING * 2) * scale);
+    shape.height = skeleton.height ?? Math.max(DEFAULT_DIMENSION, (textSize.height + BOUND_TEXT_PADDING * 2) * scale);
+  }
+  return shape;
+}
+
+function createLinear(skeleton) {
+  const points = Array.isArray(skeleton.points) && skeleton.points.length >= 2
+    ? skeleton.points
+    : [[0, 0], [skeleton.width ?? DEFAULT_DIMENSION, skeleton.height ?? 0]];
+  const xs = points.map(([px]) => px);
+  const ys = points.map(([, py]) => py);
+
+  return createBaseElement(skeleton, {
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+    points,
+    lastCommittedPoint: null,
+    startBinding: null,
+    endBinding: null,
+    startArrowhead: skeleton.startArrowhead ?? null,
+    endArrowhead: skeleton.type === 'arrow' ? (skeleton.endArrowhead === undefined ? 'arrow' : skeleton.endArrowhead) : null,
+    elbowed: skeleton.type === 'arrow' && !!skeleton.elbowed,
+  });
+}
+
+function addBoundElement(target, id, type) {
+  target.boundElements = [...(target.boundElements || []), { id, type }];
+}
+
+/**
+ * 把箭头端点绑定到目标元素；肘形箭头需要以比例表示的固定连接点
+ */
+function bindArrowEnd(arrow, target, end) {
+  const point = end === 'start' ? arrow.points[0] : arrow.points[arrow.points.length - 1];
+  const binding = { elementId: target.id, focus: 0, gap: 1 };
+  if (arrow.elbowed) {
+    binding.fixedPoint = [
+      target.width ? (arrow.x + point[0] - target.x) / target.width : 0.5,
+      target.height ? (arrow.y + point[1] - target.y) / target.height : 0.5,
+    ];
+  }
+  arrow[`${end}Binding`] = binding;
+  addBoundElement(target, arrow.id, 'arrow');
+}
+
+function fitFrameToChildren(frame, skeleton, children) {
+  const minX = Math.min(...children.map(child => child.x));
+  const minY = Math.min(...children.map(child => child.y));
+  const maxX = Math.max(...children.map(child => child.x + child.width));
+  const maxY = Math.max(...children.map(child => child.y + child.height));
+  frame.x = skeleton.x ?? minX - FRAME_PADDING;
+  frame.y = skeleton.y ?? minY - FRAME_PADDING;
+  frame.width = skeleton.width ?? maxX + FRAME_PADDING - frame.x;
+  frame.height = skeleton.height ?? maxY + FRAME_PADDING - frame.y;
+}
+
+/**
+ * 展开骨架元素
+ * @param {Array} skeleton - 已通过 validateAndFixElements 的骨架元素（每个元素都有 id）
+ * @returns {Object} { elements, warnings }
+ */
+export function expandSkeletonElements(skeleton) {
+  const warnings = [];
+  const elements = [];
+  const byId = new Map();
+  const labelsById = new Map();
+
+  skeleton.forEach(item => {
+    if (!item || !SUPPORTED_TYPES.includes(item.type)) {
+      warnings.push(`已跳过服务器端不支持展开的 ${item?.type} 元素 ${item?.id || ''}`.trim());
+      return;
+    }
+
+    let element;
+    if (item.type === 'text') {
+      element = createTextElement(item.id, item.text ?? '', item);
+    } else if (item.type === 'frame') {
+      element = createBaseElement(item, { name: item.name ?? null });
+    } else if (LINEAR_TYPES.includes(item.type)) {
+      element = createLinear(item);
+    } else {
+      element = createShape(item);
+    }
+    elements.push(element);
+    byId.set(element.id, element);
+
+    if (item.label?.text && item.type !== 'frame') {
+      const points = element.points;
+      const center = points
+        ? { x: element.x + (points[0][0] + points[points.length - 1][0]) / 2, y: element.y + (points[0][1] + points[points.length - 1][1]) / 2 }
+        : { x: element.x + element.width / 2, y: element.y + element.height / 2 };
+      const label = createLabel(element, item.label, center);
+      addBoundElement(element, label.id, 'text');
+      elements.push(label);
+      labelsById.set(element.id, label);
+    }
+  });
+
+  skeleton.forEach(item => {
+    const element = byId.get(item?.id);
+    if (!element) return;
+
+    if (element.type === 'arrow') {
+      ['start', 'end'].forEach(end => {
+        const targetId = item[end]?.id;
+        if (!targetId) return;
+        const target = byId.get(targetId);
+        if (target && target.type !== 'arrow' && target.type !== 'line') {
+          bindArrowEnd(element, target, end);
+        } else {
+          warnings.push(`箭头 ${element.id} 的${end === 'start' ? '起点' : '终点'}无法绑定到 ${targetId}`);
+        }
+      });
+    }
+
+    if (element.type === 'frame' && Array.isArray(item.children)) {
+      const children = item.children.map(childId => byId.get(childId)).filter(Boolean);
+      children.forEach(child => {
+        child.frameId = element.id;
+        const label = labelsById.get(child.id);
+        if (label) label.frameId = element.id;
+      });
+      // 未指定位置和尺寸时包住所有子元素
+      if (children.length > 0 && (item.x === undefined || item.width === undefined)) {
+        fitFrameToChildren(element, item, children);
+      }
+    }
+  });
+
+  elements.forEach((element, position) => {
+    element.index = createIndex(position);
+  });
+  return { elements, warnings };
+}
+
+/**
+ * 构建 .excalidraw 文件内容
+ * @param {Array} skeleton - 骨架元素
+ * @param {Object} metadata - 可选，写入 smartExcalidraw 字段的元数据
+ * @returns {Object} { scene, warnings }，scene 可直接 JSON.stringify 后保存
+ */
+export function createExcalidrawScene(skeleton, metadata) {
+  const { elements, warnings } = expandSkeletonElements(skeleton);
+  const scene = {
+    type: 'excalidraw',
+    version: 2,
+    source: 'smart-excalidraw',
+    elements,
+    appState: { viewBackgroundColor: '#ffffff', gridSize: 20 },
+    files: {},
+    ...(metadata ? { [METADATA_KEY]: metadata } : {}),
+  };
+  return { scene, warnings };
+}
@@ -0,0 +1,110 @@
+/**
+ * 骨架元素的 JSON Schema - 供支持结构化输出的提供商约束模型输出
+ * 由 skeleton-validator 中的元素类型、必填字段和枚举取值生成，与校验规则保持一致
+ */
+
+import { ELEMENT_TYPES, SHAPE_TYPES, ENUM_VALUES, REQUIRED_FIELDS, BINDING_TYPES } from './skeleton-validator.js';
+
+const NUMBER = { type: 'number' };
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const STRING_LIST = { type: 'array', items: STRING };
+const POINTS = { type: 'array', items: { type: 'array', items: NUMBER, minItems: 2, maxItems: 2 } };
+
+const enumOf = values => ({ type: 'string', enum: values });
+
+// 所有元素共有的属性
+const COMMON_PROPERTIES = {
+  id: STRING,
+  x: NUMBER,
+  y: NUMBER,
+  width: NUMBER,
+  height: NUMBER,
+  angle: NUMBER,
+  strokeColor: STRING,
+  backgroundColor: STRING,
+  strokeWidth: NUMBER,
+  strokeStyle: enumOf(ENUM_VALUES.strokeStyle),
+  fillStyle: enumOf(ENUM_VALUES.fillStyle),
+  roughness: NUMBER,
+  opacity: NUMBER,
+  groupIds: STRING_LIST,
+  locked: BOOLEAN,
+  link: STRING,
+};
+
+const TEXT_STYLE_PROPERTIES = {
+  fontSize: NUMBER,
+  fontFamily: NUMBER,
+  textAlign: enumOf(ENUM_VALUES.textAlign),
+  verticalAlign: enumOf(ENUM_VALUES.verticalAlign),
+};
+
+const LABEL = {
+  type: 'object',
+  properties: { text: STRING, strokeColor: STRING, ...TEXT_STYLE_PROPERTIES },
+  required: ['text'],
+};
+
+// 箭头的 start/end：绑定已有元素的 id，或按 type 自动创建元素
+const BINDING = {
+  type: 'object',
+  properties: { id: STRING, type: enumOf(BINDING_TYPES), text: STRING, width: NUMBER, height: NUMBER },
+};
+
+const SHAPE_PROPERTIES = { label: LABEL, roundness: { type: 'object' } };
+
+const FRAME_PROPERTIES = { children: STRING_LIST, name: STRING };
+
+// 各类型特有的属性
+const TYPE_PROPERTIES = {
+  ...Object.fromEntries(SHAPE_TYPES.map(type => [type, SHAPE_PROPERTIES])),
+  text: { text: STRING, ...TEXT_STYLE_PROPERTIES },
+  line: { points: POINTS },
+  // 箭头的 points 由校验器删除（仅保留路由生成的路径），不允许模型输出
+  arrow: {
+    start: BINDING,
+    end: BINDING,
+    startArrowhead: { enum: [...ENUM_VALUES.startArrowhead, null] },
+    endArrowhead: { enum: [...ENUM_VALUES.endArrowhead, null] },
+    elbowed: BOOLEAN,
+    label: LABEL,
+  },
+  freedraw: { points: POINTS },
+  image: { fileId: STRING, scale: { type: 'array', items: NUMBER } },
+  frame: FRAME_PROPERTIES,
+  magicframe: FRAME_PROPERTIES,
+};
+
+/**
+ * 生成骨架元素数组的 JSON Schema
+ * 结构化输出要求根节点是对象，元素数组放在 elements 中，inspectParsedElements 可以直接识别
+ * @returns {Object} JSON Schema
+ */
+export function buildSkeletonSchema() {
+  const variants = ELEMENT_TYPES.map(type => ({
+    type: 'object',
+    properties: {
+      type: { type: 'string', const: type },
+      ...COMMON_PROPERTIES,
+      ...TYPE_PROPERTIES[type],
+    },
+    required: ['type', ...(REQUIRED_FIELDS[type] || [])],
+  }));
+
+  return {
+    type: 'object',
+    properties: {
+      elements: { type: 'array', items: { anyOf: variants } },
+    },
+    required: ['elements'],
+    additionalProperties: false,
+  };
+}
+
+// 传给 callLLM 的结构化输出描述
+export const SKELETON_RESPONSE_FORMAT = {
+  name: 'excalidraw_elements',
+  description: '输出 Excalidraw 骨架元素数组',
+  schema: buildSkeletonSchema(),
+};
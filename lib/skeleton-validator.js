@@ -0,0 +1,279 @@
+/**
+ * ExcalidrawElementSkeleton 校验与自动修复
+ * 校验规则与 SYSTEM_PROMPT 中描述的元素规范保持一致
+ */
+
+export const SHAPE_TYPES = ['rectangle', 'ellipse', 'diamond'];
+export const ELEMENT_TYPES = [
+  ...SHAPE_TYPES,
+  'text',
+  'line',
+  'arrow',
+  'freedraw',
+  'image',
+  'frame',
+  'magicframe',
+  'embeddable',
+  'iframe',
+];
+
+// 各类型元素的必填字段
+export const REQUIRED_FIELDS = {
+  rectangle: ['x', 'y'],
+  ellipse: ['x', 'y'],
+  diamond: ['x', 'y'],
+  text: ['x', 'y', 'text'],
+  line: ['x', 'y'],
+  arrow: ['x', 'y'],
+  freedraw: ['x', 'y'],
+  image: ['x', 'y', 'fileId'],
+  frame: ['children'],
+  magicframe: ['children'],
+};
+
+const NUMERIC_FIELDS = ['x', 'y', 'width', 'height', 'strokeWidth', 'roughness', 'opacity', 'angle', 'fontSize'];
+
+const ARROWHEADS = [
+  'arrow', 'bar', 'dot', 'circle', 'circle_outline', 'triangle', 'triangle_outline',
+  'diamond', 'diamond_outline', 'crowfoot_one', 'crowfoot_many', 'crowfoot_one_or_many',
+];
+
+// 枚举属性的合法取值
+export const ENUM_VALUES = {
+  strokeStyle: ['solid', 'dashed', 'dotted'],
+  fillStyle: ['hachure', 'solid', 'zigzag', 'cross-hatch'],
+  startArrowhead: ARROWHEADS,
+  endArrowhead: ARROWHEADS,
+  textAlign: ['left', 'center', 'right'],
+  verticalAlign: ['top', 'middle', 'bottom'],
+};
+
+// 常见的错误写法与正确取值的映射，命中时直接替换
+const ENUM_ALIASES = {
+  strokeStyle: { dash: 'dashed', dot: 'dotted', dots: 'dotted' },
+  fillStyle: { crosshatch: 'cross-hatch', cross_hatch: 'cross-hatch', hatch: 'hachure' },
+  textAlign: { middle: 'center' },
+  verticalAlign: { center: 'middle' },
+};
+
+// 箭头绑定通过 type 自动创建元素时支持的类型
+export const BINDING_TYPES = [...SHAPE_TYPES, 'text'];
+
+/**
+ * 生成元素描述，用于在错误面板中定位元素
+ */
+function describe(element, index) {
+  const type = element && typeof element === 'object' && element.type ? element.type : '未知元素';
+  const id = element && typeof element === 'object' && element.id ? ` (id: ${element.id})` : '';
+  return `#${index + 1} ${type}${id}`;
+}
+
+/**
+ * 为缺少 id 的元素生成不与现有 id 冲突的新 id
+ */
+function createIdGenerator(usedIds) {
+  const counters = {};
+  return (type) => {
+    const prefix = type || 'element';
+    let id;
+    do {
+      counters[prefix] = (counters[prefix] || 0) + 1;
+      id = `${prefix}-${counters[prefix]}`;
+    } while (usedIds.has(id));
+    usedIds.add(id);
+    return id;
+  };
+}
+
+/**
+ * 判断 points 是否为从 [0, 0] 出发、只含水平/垂直线段的路径（optimizeExcalidrawCode 路由生成）
+ */
+function isOrthogonalPath(points) {
+  if (!Array.isArray(points) || points.length < 2) return false;
+  const valid = points.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+  if (!valid || points[0][0] !== 0 || points[0][1] !== 0) return false;
+  return points.slice(1).every((point, index) => point[0] === points[index][0] || point[1] === points[index][1]);
+}
+
+/**
+ * 校验并自动修复元素数组
+ *
+ * 自动修复的安全情况：
+ * - 为缺少 id 的元素生成唯一 id
+ * - 删除箭头上禁止的 points 属性（路由生成的肘形箭头路径除外）、line 上不支持的 start/end 绑定
+ * - 移除指向不存在元素的箭头绑定和 frame children
+ * - 数字字符串转换为数字、字符串 label 转换为 { text }
+ * - 修正常见的枚举别名，删除无法识别的枚举值（回退到默认值）
+ *
+ * @param {Array} elements - 元素数组
+ * @returns {Object} { elements, fixes, errors } 修复后的元素、已执行的修复和无法自动修复的错误
+ */
+export function validateAndFixElements(elements) {
+  const fixes = [];
+  const errors = [];
+
+  if (!Array.isArray(elements)) {
+    errors.push({ index: null, id: null, message: '元素列表必须是数组' });
+    return { elements, fixes, errors };
+  }
+
+  const addFix = (index, element, message) => {
+    fixes.push({ index, id: element?.id ?? null, message: `${describe(element, index)}：${message}` });
+  };
+  const addError = (index, element, message) => {
+    errors.push({ index, id: element?.id ?? null, message: `${describe(element, index)}：${message}` });
+  };
+
+  // 第一遍：收集已有 id 并检查重复
+  const usedIds = new Set();
+  const idCounts = new Map();
+  elements.forEach(element => {
+    if (element && typeof element === 'object' && typeof element.id === 'string' && element.id) {
+      usedIds.add(element.id);
+      idCounts.set(element.id, (idCounts.get(element.id) || 0) + 1);
+    }
+  });
+  const generateId = createIdGenerator(usedIds);
+
+  // 第二遍：逐个元素修复属性
+  const fixed = elements.map((original, index) => {
+    if (!original || typeof original !== 'object' || Array.isArray(original)) {
+      addError(index, original, '元素必须是对象');
+      return original;
+    }
+
+    let element = { ...original };
+
+    if (!ELEMENT_TYPES.includes(element.type)) {
+      addError(index, element, `不支持的元素类型 ${JSON.stringify(element.type)}`);
+    }
+
+    if (typeof element.id !== 'string' || !element.id) {
+      const hadInvalidId = element.id !== undefined;
+      const { id: _invalidId, ...rest } = element;
+      element = { id: generateId(rest.type), ...rest };
+      addFix(index, element, hadInvalidId ? '无效的 id 已替换为唯一 id' : '已生成唯一 id');
+    } else if (idCounts.get(element.id) > 1) {
+      addError(index, element, `id ${element.id} 与其他元素重复`);
+    }
+
+    // 数字属性
+    for (const field of NUMERIC_FIELDS) {
+      const value = element[field];
+      if (value === undefined) continue;
+      if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+        element[field] = Number(value);
+        addFix(index, element, `${field} 已从字符串转换为数字`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        addError(index, element, `${field} 必须是数字`);
+      }
+    }
+
+    // 必填字段
+    for (const field of REQUIRED_FIELDS[element.type] || []) {
+      if (element[field] === undefined || element[field] === null) {
+        addError(index, element, `缺少必填字段 ${field}`);
+      }
+    }
+    if (element.type === 'text' && element.text !== undefined && typeof element.text !== 'string') {
+      addError(index, element, 'text 必须是字符串');
+    }
+
+    // 枚举属性
+    for (const [field, allowed] of Object.entries(ENUM_VALUES)) {
+      const value = element[field];
+      if (value === undefined || value === null || allowed.includes(value)) continue;
+      const alias = ENUM_ALIASES[field]?.[value];
+      if (alias) {
+        element[field] = alias;
+        addFix(index, element, `${field} 的取值 ${JSON.stringify(value)} 已修正为 ${JSON.stringify(alias)}`);
+      } else {
+        delete element[field];
+        addFix(index, element, `${field} 的取值 ${JSON.stringify(value)} 无效，已移除（可选值：${allowed.join(', ')}）`);
+      }
+    }
+
+    // 标签
+    if (element.label !== undefined) {
+      if (typeof element.label === 'string') {
+        element.label = { text: element.label };
+        addFix(index, element, 'label 字符串已转换为 { text }');
+      } else if (!element.label || typeof element.label !== 'object' || typeof element.label.text !== 'string') {
+        addError(index, element, 'label 必须是包含 text 字符串的对象');
+      }
+    }
+
+    // 线性元素
+    if (element.type === 'arrow' && element.points !== undefined && !(element.elbowed && isOrthogonalPath(element.points))) {
+      delete element.points;
+      addFix(index, element, '已删除箭头上禁止的 points 属性');
+    }
+    if (element.type === 'line') {
+      for (const end of ['start', 'end']) {
+        if (element[end] !== undefined) {
+          delete element[end];
+          addFix(index, element, `line 不支持 ${end} 绑定，已移除`);
+        }
+      }
+    }
+
+    if (element.groupIds !== undefined &&
+        (!Array.isArray(element.groupIds) || element.groupIds.some(groupId => typeof groupId !== 'string'))) {
+      addError(index, element, 'groupIds 必须是字符串数组');
+    }
+
+    return element;
+  });
+
+  // 第三遍：检查引用关系（需要所有 id 都已确定）
+  const existingIds = new Set(
+    fixed.filter(element => element && typeof element === 'object').map(element => element.id)
+  );
+
+  fixed.forEach((element, index) => {
+    if (!element || typeof element !== 'object') return;
+
+    if (element.type === 'arrow') {
+      for (const end of ['start', 'end']) {
+        const binding = element[end];
+        if (binding === undefined) continue;
+
+        if (!binding || typeof binding !== 'object' || (!binding.id && !binding.type)) {
+          addError(index, element, `${end} 绑定必须包含 type 或 id`);
+          continue;
+        }
+
+        if (binding.id) {
+          if (!existingIds.has(binding.id) && !binding.type) {
+            delete element[end];
+            addFix(index, element, `${end} 绑定的元素 ${binding.id} 不存在，已移除该绑定`);
+          }
+          continue;
+        }
+
+        if (!BINDING_TYPES.includes(binding.type)) {
+          addError(index, element, `${end} 绑定的 type 必须是 ${BINDING_TYPES.join('/')} 之一`);
+        } else if (binding.type === 'text' && typeof binding.text !== 'string') {
+          addError(index, element, `${end} 绑定自动创建 text 元素时必须提供 text`);
+        }
+      }
+    }
+
+    if ((element.type === 'frame' || element.type === 'magicframe') && Array.isArray(element.children)) {
+      const missing = element.children.filter(childId => !existingIds.has(childId));
+      if (missing.length > 0) {
+        element.children = element.children.filter(childId => existingIds.has(childId));
+        addFix(index, element, `已移除不存在的 children：${missing.join(', ')}`);
+      }
+      if (element.children.length === 0 && (element.width === undefined || element.height === undefined)) {
+        addError(index, element, 'frame 没有有效的 children，且未提供尺寸');
+      }
+    } else if ((element.type === 'frame' || element.type === 'magicframe') && element.children !== undefined) {
+      addError(index, element, 'children 必须是元素 id 数组');
+    }
+  });
+
+  // 按元素顺序排列，便于在错误面板中对照代码查看
+  const byIndex = (a, b) => (a.index ?? -1) - (b.index ?? -1);
+  return { elements: fixed, fixes: fixes.sort(byIndex), errors: errors.sort(byIndex) };
+}
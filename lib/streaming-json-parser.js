@@ -0,0 +1,147 @@
+/**
+ * 流式 JSON 解析器 - 在模型输出过程中逐个提取完整的元素对象
+ *
+ * 解析器只扫描新到达的文本片段，并只缓存当前未完成的元素，
+ * 因此整体复杂度与输出长度成线性关系，不需要在每个片段到达时重新解析整个缓冲区。
+ */
+
+import { sanitizeJsonLikeText, fixUnescapedQuotes } from './code-parser.js';
+
+/**
+ * 尝试把单个元素的文本解析为对象，兼容常见的 JS 风格写法
+ * @param {string} text - 以 { 开头、以 } 结尾的元素文本
+ * @returns {Object|null} 解析成功返回对象，否则返回 null
+ */
+function parseElementText(text) {
+  const candidates = [text];
+  const sanitized = sanitizeJsonLikeText(text);
+  candidates.push(sanitized, fixUnescapedQuotes(sanitized));
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+export class StreamingElementParser {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * 重置解析状态，用于开始解析新的输出
+   */
+  reset() {
+    this.elements = [];
+    this.skippedCount = 0; // 无法解析的元素数量
+    this.state = 'seeking'; // 'seeking' | 'pendingArray' | 'inArray' | 'done'
+    this.depth = 0; // 当前元素内部的括号深度
+    this.inString = false;
+    this.escapeNext = false;
+    this.current = ''; // 当前未完成元素的文本
+  }
+
+  /**
+   * 追加一段新的输出文本
+   * @param {string} chunk - 新到达的文本片段
+   * @returns {Array} 本次新解析出的完整元素
+   */
+  push(chunk) {
+    const completed = [];
+    if (!chunk || this.state === 'done') return completed;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      // 寻找元素数组的起始位置：一个后面紧跟 { 或 ] 的 [
+      if (this.state === 'seeking') {
+        if (char === '[') this.state = 'pendingArray';
+        continue;
+      }
+
+      if (this.state === 'pendingArray') {
+        if (/\s/.test(char)) continue;
+        if (char === '{') {
+          this.state = 'inArray';
+        } else {
+          this.state = char === '[' ? 'pendingArray' : 'seeking';
+          continue;
+        }
+      }
+
+      if (this.state === 'done') break;
+
+      // 元素之间：跳过分隔符，遇到 ] 表示数组结束
+      if (this.depth === 0) {
+        if (char === '{') {
+          this.depth = 1;
+          this.current = '{';
+        } else if (char === ']') {
+          this.state = 'done';
+        }
+        continue;
+      }
+
+      this.current += char;
+
+      if (this.escapeNext) {
+        this.escapeNext = false;
+        continue;
+      }
+
+      if (char === '\\') {
+        this.escapeNext = true;
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = !this.inString;
+        continue;
+      }
+
+      if (this.inString) continue;
+
+      if (char === '{' || char === '[') {
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        this.depth--;
+        if (this.depth === 0) {
+          const element = parseElementText(this.current);
+          if (element) {
+            this.elements.push(element);
+            completed.push(element);
+          } else {
+            this.skippedCount++;
+          }
+          this.current = '';
+        }
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * 获取目前已解析出的全部元素（返回新数组，便于直接用作 React 状态）
+   * @returns {Array} 元素数组
+   */
+  getElements() {
+    return [...this.elements];
+  }
+
+  /**
+   * 元素数组是否已经完整结束
+   * @returns {boolean}
+   */
+  isDone() {
+    return this.state === 'done';
+  }
+}
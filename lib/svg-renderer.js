@@ -0,0 +1,324 @@
+/**
+ * 服务器端 SVG 渲染 - 不依赖浏览器，把骨架元素渲染为 SVG 文本
+ *
+ * 先用 expandSkeletonElements 展开骨架（文字尺寸按字符数估算），再逐个元素输出 SVG 节点。
+ * 默认输出整洁的直线风格；handDrawn 为 true 时用随机抖动的双笔画模拟 Excalidraw 的手绘效果，
+ * 随机数以元素 id 为种子，相同输入总是得到相同的输出。
+ * 不支持的内容：图片、曲线箭头（按折线绘制）、嵌入可重新编辑的场景
+ */
+
+import { expandSkeletonElements } from './skeleton-expander.js';
+import { METADATA_KEY } from './diagram-export.js';
+
+const FONT_FAMILIES = {
+  1: 'Virgil, Segoe UI Emoji, cursive',
+  2: 'Helvetica, Segoe UI Emoji, sans-serif',
+  3: 'Cascadia, Segoe UI Emoji, monospace',
+  5: 'Excalifont, Xiaolai, Segoe UI Emoji, cursive',
+  6: 'Nunito, Segoe UI Emoji, sans-serif',
+  7: 'Lilita One, Segoe UI Emoji, sans-serif',
+  8: 'Comic Shanns, Segoe UI Emoji, monospace',
+};
+const DEFAULT_FONT_FAMILY = FONT_FAMILIES[5];
+
+const ARROWHEAD_LENGTH = 15;
+const ARROWHEAD_ANGLE = Math.PI / 7;
+const FRAME_NAME_OFFSET = 8;
+const HACHURE_GAP = 8;
+
+const round = value => Math.round(value * 100) / 100;
+
+// 文本节点只需转义 & < >，与 readExportMetadata 的反转义一致
+const escapeText = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+const escapeXml = value => escapeText(value).replace(/"/g, '&quot;');
+
+/**
+ * 以字符串为种子的伪随机数生成器（mulberry32）
+ */
+function createRandom(seedText) {
+  let seed = 0;
+  for (const char of String(seedText)) {
+    seed = (Math.imul(seed, 31) + char.charCodeAt(0)) | 0;
+  }
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 手绘风格的线段：起止点和中间控制点随机偏移，长线段偏移更大
+ */
+function sketchSegment(from, to, random, roughness) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const offset = Math.min(length / 10, 2) * roughness;
+  const jitter = () => (random() - 0.5) * 2 * offset;
+  const mid = { x: (from.x + to.x) / 2 + jitter() * 1.5, y: (from.y + to.y) / 2 + jitter() * 1.5 };
+  return `M${round(from.x + jitter())} ${round(from.y + jitter())} Q${round(mid.x)} ${round(mid.y)} ${round(to.x + jitter())} ${round(to.y + jitter())}`;
+}
+
+/**
+ * 折线路径；手绘风格下每段画两遍
+ */
+function polylinePath(points, { closed = false, sketch = null } = {}) {
+  const path = closed ? [...points, points[0]] : points;
+  if (!sketch) {
+    return `M${path.map(point => `${round(point.x)} ${round(point.y)}`).join(' L')}${closed ? ' Z' : ''}`;
+  }
+  const segments = [];
+  for (let pass = 0; pass < 2; pass++) {
+    path.slice(1).forEach((point, index) => {
+      segments.push(sketchSegment(path[index], point, sketch.random, sketch.roughness));
+    });
+  }
+  return segments.join(' ');
+}
+
+function ellipsePath(cx, cy, rx, ry, sketch) {
+  if (!sketch) return null;
+  // 手绘椭圆：半径随机变化的闭合曲线，画两遍
+  const passes = [];
+  for (let pass = 0; pass < 2; pass++) {
+    const steps = 16;
+    const start = sketch.random() * Math.PI * 2;
+    const points = Array.from({ length: steps + 1 }, (_, index) => {
+      const angle = start + (index / steps) * Math.PI * 2 * 1.05;
+      const scale = 1 + (sketch.random() - 0.5) * 0.04 * sketch.roughness;
+      return { x: cx + Math.cos(angle) * rx * scale, y: cy + Math.sin(angle) * ry * scale };
+    });
+    passes.push(`M${round(points[0].x)} ${round(points[0].y)} ${points.slice(1).map(point => `L${round(point.x)} ${round(point.y)}`).join(' ')}`);
+  }
+  return passes.join(' ');
+}
+
+function getDashArray(element) {
+  if (element.strokeStyle === 'dashed') return `8 ${8 + element.strokeWidth}`;
+  if (element.strokeStyle === 'dotted') return `1.5 ${6 + element.strokeWidth}`;
+  return null;
+}
+
+/**
+ * 渲染过程中收集的 <defs>，非实心填充使用斜线图案
+ */
+function createDefs() {
+  const patterns = new Map();
+  return {
+    getFill(element) {
+      if (!element.backgroundColor || element.backgroundColor === 'transparent') return 'none';
+      if (element.fillStyle === 'solid') return escapeXml(element.backgroundColor);
+
+      const key = `${element.fillStyle}-${element.backgroundColor}`;
+      if (!patterns.has(key)) {
+        const id = `fill-${patterns.size + 1}`;
+        const lines = [`<path d="M0 0 L0 ${HACHURE_GAP}" stroke="${escapeXml(element.backgroundColor)}" stroke-width="1.5"/>`];
+        if (element.fillStyle === 'cross-hatch') {
+          lines.push(`<path d="M0 0 L${HACHURE_GAP} 0" stroke="${escapeXml(element.backgroundColor)}" stroke-width="1.5"/>`);
+        }
+        patterns.set(key, {
+          id,
+          markup: `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${HACHURE_GAP}" height="${HACHURE_GAP}" patternTransform="rotate(-41)">${lines.join('')}</pattern>`,
+        });
+      }
+      return `url(#${patterns.get(key).id})`;
+    },
+    toString() {
+      return patterns.size > 0 ? `<defs>${[...patterns.values()].map(pattern => pattern.markup).join('')}</defs>` : '';
+    },
+  };
+}
+
+function strokeAttributes(element, fill = 'none') {
+  const attributes = [
+    `stroke="${escapeXml(element.strokeColor)}"`,
+    `stroke-width="${element.strokeWidth}"`,
+    `fill="${fill}"`,
+    'stroke-linecap="round"',
+    'stroke-linejoin="round"',
+  ];
+  const dashArray = getDashArray(element);
+  if (dashArray) attributes.push(`stroke-dasharray="${dashArray}"`);
+  return attributes.join(' ');
+}
+
+function wrapElement(element, content) {
+  const attributes = [];
+  if (element.opacity !== 100) attributes.push(`opacity="${element.opacity / 100}"`);
+  if (element.angle) {
+    const cx = round(element.x + element.width / 2);
+    const cy = round(element.y + element.height / 2);
+    attributes.push(`transform="rotate(${round((element.angle * 180) / Math.PI)} ${cx} ${cy})"`);
+  }
+  return `<g${attributes.length ? ` ${attributes.join(' ')}` : ''}>${content}</g>`;
+}
+
+function renderShape(element, defs, sketch) {
+  const { x, y, width, height } = element;
+  const fill = defs.getFill(element);
+
+  if (element.type === 'ellipse') {
+    const cx = x + width / 2;
+    const cy = y + height / 2;
+    const sketchPath = ellipsePath(cx, cy, width / 2, height / 2, sketch);
+    const fillNode = `<ellipse cx="${round(cx)}" cy="${round(cy)}" rx="${round(width / 2)}" ry="${round(height / 2)}" fill="${fill}" stroke="none"/>`;
+    return sketchPath
+      ? `${fillNode}<path d="${sketchPath}" ${strokeAttributes(element)}/>`
+      : `<ellipse cx="${round(cx)}" cy="${round(cy)}" rx="${round(width / 2)}" ry="${round(height / 2)}" ${strokeAttributes(element, fill)}/>`;
+  }
+
+  if (element.type === 'diamond') {
+    const points = [
+      { x: x + width / 2, y },
+      { x: x + width, y: y + height / 2 },
+      { x: x + width / 2, y: y + height },
+      { x, y: y + height / 2 },
+    ];
+    const fillNode = `<path d="${polylinePath(points, { closed: true })}" fill="${fill}" stroke="none"/>`;
+    return `${fillNode}<path d="${polylinePath(points, { closed: true, sketch })}" ${strokeAttributes(element)}/>`;
+  }
+
+  // 圆角矩形按 Excalidraw 的自适应圆角计算，手绘风格下不画圆角
+  const radius = element.roundness ? Math.min(32, Math.min(width, height) * 0.25) : 0;
+  if (sketch) {
+    const points = [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+    return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="${fill}" stroke="none"/>`
+      + `<path d="${polylinePath(points, { closed: true, sketch })}" ${strokeAttributes(element)}/>`;
+  }
+  return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" rx="${round(radius)}" ${strokeAttributes(element, fill)}/>`;
+}
+
+function renderArrowhead(type, tip, from, element) {
+  if (!type) return '';
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const wing = side => ({
+    x: tip.x - ARROWHEAD_LENGTH * Math.cos(angle + side * ARROWHEAD_ANGLE),
+    y: tip.y - ARROWHEAD_LENGTH * Math.sin(angle + side * ARROWHEAD_ANGLE),
+  });
+  const stroke = strokeAttributes({ ...element, strokeStyle: 'solid' });
+  const color = escapeXml(element.strokeColor);
+
+  if (type === 'dot' || type === 'circle' || type === 'circle_outline') {
+    const fill = type === 'circle_outline' ? 'none' : color;
+    return `<circle cx="${round(tip.x)}" cy="${round(tip.y)}" r="${type === 'dot' ? 4 : 6}" ${stroke.replace('fill="none"', `fill="${fill}"`)}/>`;
+  }
+  if (type === 'bar') {
+    const dx = Math.sin(angle) * 8;
+    const dy = Math.cos(angle) * 8;
+    return `<path d="M${round(tip.x - dx)} ${round(tip.y + dy)} L${round(tip.x + dx)} ${round(tip.y - dy)}" ${stroke}/>`;
+  }
+  if (type.startsWith('triangle') || type.startsWith('diamond')) {
+    const fill = type.endsWith('_outline') ? 'none' : color;
+    const points = type.startsWith('diamond')
+      ? [tip, wing(1), { x: tip.x - ARROWHEAD_LENGTH * 1.8 * Math.cos(angle), y: tip.y - ARROWHEAD_LENGTH * 1.8 * Math.sin(angle) }, wing(-1)]
+      : [tip, wing(1), wing(-1)];
+    return `<path d="${polylinePath(points, { closed: true })}" ${stroke.replace('fill="none"', `fill="${fill}"`)}/>`;
+  }
+  // arrow 及其余类型（如 crowfoot）都画成开放的箭头
+  const [left, right] = [wing(1), wing(-1)];
+  return `<path d="M${round(left.x)} ${round(left.y)} L${round(tip.x)} ${round(tip.y)} L${round(right.x)} ${round(right.y)}" ${stroke}/>`;
+}
+
+function renderLinear(element, sketch) {
+  const points = element.points.map(([px, py]) => ({ x: element.x + px, y: element.y + py }));
+  const body = `<path d="${polylinePath(points, { sketch })}" ${strokeAttributes(element)}/>`;
+  const last = points.length - 1;
+  return body
+    + renderArrowhead(element.endArrowhead, points[last], points[last - 1], element)
+    + renderArrowhead(element.startArrowhead, points[0], points[1], element);
+}
+
+function renderText(element, maskColor) {
+  const lines = String(element.text).split('\n');
+  const lineHeight = element.fontSize * element.lineHeight;
+  const anchor = { left: 'start', center: 'middle', right: 'end' }[element.textAlign] || 'start';
+  const x = element.textAlign === 'center'
+    ? element.x + element.width / 2
+    : element.textAlign === 'right' ? element.x + element.width : element.x;
+
+  const tspans = lines.map((line, index) =>
+    `<tspan x="${round(x)}" y="${round(element.y + (index + 0.5) * lineHeight)}">${escapeText(line)}</tspan>`
+  ).join('');
+  // 箭头上的文字遮住下面的线段，与 Excalidraw 一致
+  const mask = maskColor
+    ? `<rect x="${round(element.x - 4)}" y="${round(element.y)}" width="${round(element.width + 8)}" height="${round(element.height)}" fill="${escapeXml(maskColor)}"/>`
+    : '';
+  return `${mask}<text font-family="${escapeXml(FONT_FAMILIES[element.fontFamily] || DEFAULT_FONT_FAMILY)}" font-size="${element.fontSize}" fill="${escapeXml(element.strokeColor)}" text-anchor="${anchor}" dominant-baseline="central" xml:space="preserve">${tspans}</text>`;
+}
+
+function renderFrame(element) {
+  const name = element.name ?? 'Frame';
+  return `<rect x="${round(element.x)}" y="${round(element.y)}" width="${round(element.width)}" height="${round(element.height)}" rx="8" fill="none" stroke="#bbb" stroke-width="1"/>`
+    + `<text x="${round(element.x)}" y="${round(element.y - FRAME_NAME_OFFSET)}" font-family="${escapeXml(FONT_FAMILIES[2])}" font-size="14" fill="#999">${escapeText(name)}</text>`;
+}
+
+function getBounds(elements) {
+  const boxes = elements.map(element => {
+    if (element.points) {
+      const xs = element.points.map(([px]) => element.x + px);
+      const ys = element.points.map(([, py]) => element.y + py);
+      return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+    const top = element.type === 'frame' ? element.y - FRAME_NAME_OFFSET - 14 : element.y;
+    return { minX: element.x, minY: top, maxX: element.x + element.width, maxY: element.y + element.height };
+  });
+  return {
+    minX: Math.min(...boxes.map(box => box.minX)),
+    minY: Math.min(...boxes.map(box => box.minY)),
+    maxX: Math.max(...boxes.map(box => box.maxX)),
+    maxY: Math.max(...boxes.map(box => box.maxY)),
+  };
+}
+
+/**
+ * 把骨架元素渲染为 SVG
+ * @param {Array} skeleton - 已通过 validateAndFixElements 的骨架元素
+ * @param {Object} options - { handDrawn, padding, background, metadata }
+ *   background 为 null 时背景透明，metadata 会写入 <metadata id="smartExcalidraw">
+ * @returns {Object} { svg, width, height, warnings }
+ * @throws {Error} 没有可渲染的元素时抛出
+ */
+export function renderSkeletonToSvg(skeleton, options = {}) {
+  const { handDrawn = false, padding = 20, background = '#ffffff', metadata = null } = options;
+  const { elements, warnings } = expandSkeletonElements(skeleton);
+  if (elements.length === 0) {
+    throw new Error('没有可渲染的元素');
+  }
+
+  const bounds = getBounds(elements);
+  const width = Math.ceil(bounds.maxX - bounds.minX + padding * 2);
+  const height = Math.ceil(bounds.maxY - bounds.minY + padding * 2);
+  const defs = createDefs();
+
+  // 框架画在最底层，其余元素按数组顺序绘制
+  const ordered = [...elements.filter(element => element.type === 'frame'), ...elements.filter(element => element.type !== 'frame')];
+  const arrowIds = new Set(elements.filter(element => element.type === 'arrow' || element.type === 'line').map(element => element.id));
+  const nodes = ordered.map(element => {
+    const sketch = handDrawn && element.roughness > 0
+      ? { random: createRandom(element.id), roughness: element.roughness }
+      : null;
+    if (element.type === 'frame') return renderFrame(element);
+    if (element.type === 'text') {
+      const maskColor = arrowIds.has(element.containerId) ? background || '#ffffff' : null;
+      return wrapElement(element, renderText(element, maskColor));
+    }
+    if (element.type === 'arrow' || element.type === 'line') return wrapElement(element, renderLinear(element, sketch));
+    return wrapElement(element, renderShape(element, defs, sketch));
+  });
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${round(bounds.minX - padding)} ${round(bounds.minY - padding)} ${width} ${height}">`,
+  ];
+  if (metadata?.prompt) parts.push(`<title>${escapeText(metadata.prompt.slice(0, 200))}</title>`);
+  if (metadata) parts.push(`<metadata id="${METADATA_KEY}">${escapeText(JSON.stringify(metadata))}</metadata>`);
+  parts.push(defs.toString());
+  if (background) {
+    parts.push(`<rect x="${round(bounds.minX - padding)}" y="${round(bounds.minY - padding)}" width="${width}" height="${height}" fill="${escapeXml(background)}"/>`);
+  }
+  parts.push(...nodes, '</svg>');
+
+  return { svg: parts.join('\n'), width, height, warnings };
+}
@@ -0,0 +1,179 @@
+/**
+ * 版本历史 - 记录每次生成、优化、手动应用和画布编辑后的图表，并按元素 id 比较两个版本
+ *
+ * 可视化对比在画布上用颜色区分：
+ * - 新增：绿色
+ * - 删除：红色虚线、半透明
+ * - 移动：橙色，旧位置显示灰色虚线轮廓
+ * - 修改：蓝色
+ */
+
+export const VERSION_SOURCES = {
+  generate: '生成',
+  refine: '修改',
+  patch: '增量修改',
+  optimize: '优化',
+  relayout: '重新布局',
+  apply: '手动应用',
+  canvas: '画布编辑',
+  import: '导入',
+  restore: '恢复版本',
+};
+
+export const DIFF_COLORS = {
+  added: '#2f9e44',
+  removed: '#e03131',
+  moved: '#f08c00',
+  changed: '#1971c2',
+  ghost: '#adb5bd',
+};
+
+// 每份图表最多保留的版本数
+export const MAX_VERSIONS = 50;
+
+// 连续的画布编辑在这段时间内合并为一个版本，避免拖动时产生大量版本
+const CANVAS_MERGE_WINDOW_MS = 60 * 1000;
+
+// 位置变化小于该值时不算移动
+const MOVE_TOLERANCE = 1;
+
+/**
+ * 创建版本
+ * @param {string} source - VERSION_SOURCES 中的来源
+ * @param {string} code - 代码编辑器中的骨架 JSON
+ * @param {Array} elements - 骨架元素数组
+ * @returns {Object} { id, source, code, elements, createdAt }
+ */
+export function createVersion(source, code, elements) {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+    source,
+    code,
+    elements,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * 把新版本追加到历史末尾
+ * 代码与上一版本相同时不追加；连续的画布编辑合并为一个版本；超过 MAX_VERSIONS 时丢弃最旧的版本
+ * @param {Array} versions - 按时间正序的版本数组
+ * @param {Object} version - createVersion 创建的版本
+ * @returns {Array} 新的版本数组
+ */
+export function appendVersion(versions, version) {
+  const last = versions[versions.length - 1];
+  if (last && last.code === version.code) {
+    return versions;
+  }
+
+  const shouldMerge = last
+    && last.source === 'canvas'
+    && version.source === 'canvas'
+    && new Date(version.createdAt) - new Date(last.createdAt) < CANVAS_MERGE_WINDOW_MS;
+  const base = shouldMerge ? versions.slice(0, -1) : versions;
+  return [...base, version].slice(-MAX_VERSIONS);
+}
+
+function withoutPosition(element) {
+  const { x: _x, y: _y, ...rest } = element;
+  return JSON.stringify(rest);
+}
+
+/**
+ * 按 id 比较两个版本的元素
+ * @param {Array} before - 旧版本的骨架元素
+ * @param {Array} after - 新版本的骨架元素
+ * @returns {Object} { added, removed, moved, changed } 各为 id 数组，同时移动和修改的元素两边都会出现
+ */
+export function diffElements(before = [], after = []) {
+  const beforeById = new Map(before.filter(element => element.id).map(element => [element.id, element]));
+  const afterIds = new Set(after.map(element => element.id));
+
+  const diff = { added: [], removed: [], moved: [], changed: [] };
+  after.forEach(element => {
+    const previous = element.id && beforeById.get(element.id);
+    if (!previous) {
+      diff.added.push(element.id);
+      return;
+    }
+    const dx = Math.abs((element.x || 0) - (previous.x || 0));
+    const dy = Math.abs((element.y || 0) - (previous.y || 0));
+    if (dx > MOVE_TOLERANCE || dy > MOVE_TOLERANCE) {
+      diff.moved.push(element.id);
+    }
+    if (withoutPosition(element) !== withoutPosition(previous)) {
+      diff.changed.push(element.id);
+    }
+  });
+  before.forEach(element => {
+    if (element.id && !afterIds.has(element.id)) {
+      diff.removed.push(element.id);
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * 旧元素只作为轮廓显示：去掉绑定和子元素引用，避免引用到新版本中不存在的元素
+ */
+function toOutline(element, id, color, options = {}) {
+  const { start: _start, end: _end, children: _children, ...rest } = element;
+  const outline = {
+    ...rest,
+    id,
+    strokeColor: color,
+    strokeStyle: 'dashed',
+    opacity: 40,
+    ...options,
+  };
+  if (outline.label) {
+    outline.label = { ...outline.label, strokeColor: color };
+  }
+  return outline;
+}
+
+function highlight(element, color) {
+  const highlighted = { ...element, strokeColor: color };
+  if (highlighted.label) {
+    highlighted.label = { ...highlighted.label, strokeColor: color };
+  }
+  return highlighted;
+}
+
+/**
+ * 构建在画布上显示的对比图：以新版本为底，高亮变化的元素并画出删除的元素和移动前的位置
+ * @param {Array} before - 旧版本的骨架元素
+ * @param {Array} after - 新版本的骨架元素
+ * @returns {Object} { elements, diff }
+ */
+export function buildDiffElements(before = [], after = []) {
+  const diff = diffElements(before, after);
+  const beforeById = new Map(before.filter(element => element.id).map(element => [element.id, element]));
+  const added = new Set(diff.added);
+  const moved = new Set(diff.moved);
+  const changed = new Set(diff.changed);
+
+  const ghosts = [];
+  const elements = after.map(element => {
+    if (added.has(element.id)) return highlight(element, DIFF_COLORS.added);
+    if (moved.has(element.id)) {
+      // 箭头跟随节点移动，不画旧位置
+      if (element.type !== 'arrow' && element.type !== 'line') {
+        ghosts.push(toOutline(beforeById.get(element.id), `${element.id}-diff-ghost`, DIFF_COLORS.ghost));
+      }
+      return highlight(element, DIFF_COLORS.moved);
+    }
+    if (changed.has(element.id)) return highlight(element, DIFF_COLORS.changed);
+    return element;
+  });
+
+  const removed = diff.removed.map(id =>
+    toOutline(beforeById.get(id), `${id}-diff-removed`, DIFF_COLORS.removed, { opacity: 60 })
+  );
+
+  // 没有显式尺寸的 frame 依赖子元素计算大小，去掉子元素后无法显示
+  const outlines = [...ghosts, ...removed].filter(element => element.type !== 'frame' || element.width !== undefined);
+  return { elements: [...elements, ...outlines], diff };
+}
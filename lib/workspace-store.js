@@ -0,0 +1,186 @@
+/**
+ * 工作区存储 - 在 IndexedDB 中保存多份命名图表
+ *
+ * 每份图表包含：
+ * - code：代码编辑器中的骨架 JSON
+ * - elements：骨架元素数组
+ * - scene：画布上的完整场景 { elements, files }，保留骨架无法表示的手动编辑
+ * - prompt / chartType / conversation：生成时使用的提示词、图表类型和对话
+ * - createdAt / updatedAt：ISO 时间戳
+ */
+
+const DB_NAME = 'smart-excalidraw';
+const DB_VERSION = 1;
+const STORE_NAME = 'diagrams';
+
+class WorkspaceStore {
+  constructor() {
+    this.ACTIVE_DIAGRAM_KEY = 'smart-excalidraw-active-diagram';
+    this.dbPromise = null;
+  }
+
+  /**
+   * 生成唯一ID
+   */
+  generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  /**
+   * 打开数据库，首次打开时创建对象仓库
+   */
+  openDB() {
+    if (typeof window === 'undefined' || !window.indexedDB) {
+      return Promise.reject(new Error('当前环境不支持 IndexedDB'));
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('updatedAt', 'updatedAt');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 在对象仓库上执行一次请求
+   */
+  async request(mode, operation) {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 获取所有图表，按更新时间倒序
+   */
+  async listDiagrams() {
+    const diagrams = await this.request('readonly', store => store.getAll());
+    return diagrams.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * 根据ID获取图表
+   */
+  async getDiagram(id) {
+    return (await this.request('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * 创建新图表
+   */
+  async createDiagram(diagramData = {}) {
+    const now = new Date().toISOString();
+    const diagram = {
+      name: '未命名图表',
+      code: '',
+      elements: [],
+      scene: null,
+      prompt: '',
+      chartType: 'auto',
+      conversation: [],
+      ...diagramData,
+      id: this.generateId(),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.request('readwrite', store => store.add(diagram));
+    return diagram;
+  }
+
+  /**
+   * 更新图表
+   */
+  async updateDiagram(id, updateData) {
+    const diagram = await this.getDiagram(id);
+    if (!diagram) {
+      throw new Error('图表不存在');
+    }
+
+    const updated = {
+      ...diagram,
+      ...updateData,
+      id, // 确保ID不被修改
+      createdAt: diagram.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    await this.request('readwrite', store => store.put(updated));
+    return updated;
+  }
+
+  /**
+   * 重命名图表
+   */
+  async renameDiagram(id, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('图表名称不能为空');
+    }
+    return this.updateDiagram(id, { name: trimmed });
+  }
+
+  /**
+   * 复制图表
+   */
+  async duplicateDiagram(id, newName) {
+    const original = await this.getDiagram(id);
+    if (!original) {
+      throw new Error('原图表不存在');
+    }
+
+    // createDiagram 会重新生成 id 和时间戳
+    return this.createDiagram({ ...original, name: newName || `${original.name} (副本)` });
+  }
+
+  /**
+   * 删除图表
+   */
+  async deleteDiagram(id) {
+    await this.request('readwrite', store => store.delete(id));
+    if (this.getActiveDiagramId() === id) {
+      this.setActiveDiagramId(null);
+    }
+  }
+
+  /**
+   * 获取当前打开的图表ID
+   */
+  getActiveDiagramId() {
+    if (typeof window === 'undefined') return null;
+    return localStorage.getItem(this.ACTIVE_DIAGRAM_KEY);
+  }
+
+  /**
+   * 保存当前打开的图表ID，传入 null 时清除
+   */
+  setActiveDiagramId(id) {
+    if (typeof window === 'undefined') return;
+    if (id) {
+      localStorage.setItem(this.ACTIVE_DIAGRAM_KEY, id);
+    } else {
+      localStorage.removeItem(this.ACTIVE_DIAGRAM_KEY);
+    }
+  }
+}
+
+// 导出单例实例
+export const workspaceStore = new WorkspaceStore();
+export default WorkspaceStore;
@@ -0,0 +1,55 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getApiProfile, listApiProfiles } from '../lib/api-profiles.js';
+
+const ENV_KEYS = ['API_PROFILES', 'API_DEFAULT_PROFILE', 'BUILTIN_GLM_BASE_URL', 'BUILTIN_GLM_API_KEY'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+const setProfiles = profiles => { process.env.API_PROFILES = JSON.stringify(profiles); };
+
+test('defaults to the first complete profile', () => {
+  setProfiles({
+    draft: { type: 'openai', baseUrl: 'https://api.openai.com/v1' },
+    local: { type: 'ollama', baseUrl: 'http://localhost:11434', model: 'qwen3' },
+    cloud: { type: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: 'sk-test', model: 'gpt-4o' },
+  });
+
+  assert.equal(getApiProfile().name, 'local');
+  assert.deepEqual(listApiProfiles().filter(profile => profile.isDefault).map(profile => profile.name), ['local']);
+  assert.throws(() => getApiProfile('draft'), /配置 draft 不完整/);
+});
+
+test('uses API_DEFAULT_PROFILE when it is set', () => {
+  setProfiles({
+    local: { type: 'ollama', baseUrl: 'http://localhost:11434', model: 'qwen3' },
+    cloud: { type: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: 'sk-test', model: 'gpt-4o' },
+  });
+  process.env.API_DEFAULT_PROFILE = 'cloud';
+
+  assert.equal(getApiProfile().name, 'cloud');
+  assert.equal(getApiProfile('local').name, 'local');
+  assert.throws(() => getApiProfile('missing'), /配置 missing 不存在/);
+});
+
+test('explains a configuration without any complete profile', () => {
+  assert.throws(() => getApiProfile(), /请设置 API_PROFILES 环境变量/);
+
+  setProfiles({ draft: { type: 'openai', baseUrl: 'https://api.openai.com/v1' } });
+  assert.throws(() => getApiProfile(), /API_PROFILES 中没有完整的配置（draft）/);
+  assert.deepEqual(listApiProfiles(), []);
+
+  process.env.API_PROFILES = '{';
+  assert.throws(() => getApiProfile(), /API_PROFILES 不是合法的 JSON/);
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  authenticateRequest,
+  canUseProfile,
+  getBearerToken,
+  issueAccessToken,
+  verifyAccessToken,
+} from '../lib/api-tokens.js';
+
+const ENV_KEYS = ['API_TOKEN_SECRET', 'API_TOKEN_NOT_BEFORE'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  process.env.API_TOKEN_SECRET = 'test-secret';
+  delete process.env.API_TOKEN_NOT_BEFORE;
+});
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+const now = () => Math.floor(Date.now() / 1000);
+const requestWith = authorization => new Request('http://localhost/api/v1/generate', {
+  headers: authorization ? { authorization } : {},
+});
+
+test('verifies the claims of an issued token', () => {
+  const { token, claims } = issueAccessToken({ name: 'ci', profiles: ['default', 42], expiresIn: 60 });
+
+  assert.match(token, /^sek_[\w-]+\.[\w-]+$/);
+  assert.deepEqual(claims.profiles, ['default']);
+  assert.equal(claims.exp, claims.iat + 60);
+  assert.deepEqual(verifyAccessToken(token), claims);
+});
+
+test('issues tokens without expiry and requires a name', () => {
+  const { claims } = issueAccessToken({ name: 'ci' });
+  assert.equal('exp' in claims, false);
+  assert.throws(() => issueAccessToken({}), /令牌名称不能为空/);
+});
+
+test('rejects tokens with a bad signature or payload', () => {
+  const { token } = issueAccessToken({ name: 'ci' });
+  const [payload, signature] = token.slice('sek_'.length).split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'admin', profiles: [], iat: now() })).toString('base64url');
+
+  assert.throws(() => verifyAccessToken(`sek_${forged}.${signature}`), /访问令牌无效/);
+  assert.throws(() => verifyAccessToken(`sek_${payload}.${signature.slice(1)}`), /访问令牌无效/);
+  assert.throws(() => verifyAccessToken(`sek_${payload}`), /访问令牌无效/);
+
+  process.env.API_TOKEN_SECRET = 'rotated-secret';
+  assert.throws(() => verifyAccessToken(token), /访问令牌无效/);
+});
+
+test('requires the sek_ prefix', () => {
+  const { token } = issueAccessToken({ name: 'ci' });
+  assert.throws(() => verifyAccessToken(token.slice('sek_'.length)), /令牌格式错误/);
+  assert.throws(() => verifyAccessToken(`sk_${token.slice('sek_'.length)}`), /令牌格式错误/);
+  assert.throws(() => verifyAccessToken(null), /缺少访问令牌/);
+});
+
+test('rejects expired tokens', (t) => {
+  const { token } = issueAccessToken({ name: 'ci', expiresIn: 60 });
+  const later = (now() + 61) * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.throws(() => verifyAccessToken(token), /访问令牌已过期/);
+});
+
+test('revokes tokens issued before API_TOKEN_NOT_BEFORE', () => {
+  const { token } = issueAccessToken({ name: 'ci' });
+
+  process.env.API_TOKEN_NOT_BEFORE = String(now() + 1);
+  assert.throws(() => verifyAccessToken(token), /访问令牌已被吊销/);
+
+  process.env.API_TOKEN_NOT_BEFORE = String(now() - 10);
+  assert.equal(verifyAccessToken(token).sub, 'ci');
+});
+
+test('limits profiles only when the token lists them', () => {
+  assert.equal(canUseProfile({ profiles: [] }, 'any'), true);
+  assert.equal(canUseProfile({ profiles: ['default'] }, 'default'), true);
+  assert.equal(canUseProfile({ profiles: ['default'] }, 'other'), false);
+});
+
+test('authenticates requests by their Bearer header', () => {
+  const { token } = issueAccessToken({ name: 'ci' });
+
+  assert.equal(getBearerToken(requestWith(`bearer  ${token} `)), token);
+  assert.equal(authenticateRequest(requestWith(`Bearer ${token}`)).claims.sub, 'ci');
+  assert.deepEqual(authenticateRequest(requestWith()), { error: '缺少访问令牌或令牌格式错误', status: 401 });
+
+  delete process.env.API_TOKEN_SECRET;
+  assert.equal(authenticateRequest(requestWith(`Bearer ${token}`)).status, 503);
+});
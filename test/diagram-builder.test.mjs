@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DiagramBuilder, DIAGRAM_TOOLS } from '../lib/diagram-builder.js';
+
+const build = (calls) => {
+  const builder = new DiagramBuilder();
+  const results = calls.map(([name, input]) => builder.execute(name, input));
+  return { builder, results };
+};
+
+test('every tool in DIAGRAM_TOOLS is handled', () => {
+  const calls = [
+    ['add_node', { id: 'a', label: '网关', x: 0, y: 0 }],
+    ['add_node', { id: 'b', label: '服务', x: 300, y: 0 }],
+    ['connect', { from: 'a', to: 'b', label: '调用' }],
+    ['create_frame', { children: ['a', 'b'], name: '后端' }],
+    ['group', { ids: ['a', 'b'] }],
+    ['set_style', { ids: ['a'], backgroundColor: '#a5d8ff' }],
+  ];
+  const { results } = build(calls);
+  assert.deepEqual([...new Set(calls.map(([name]) => name))], DIAGRAM_TOOLS.map(tool => tool.name));
+  assert.ok(results.every(result => result.ok), JSON.stringify(results));
+});
+
+test('adds nodes with their shape, label and requested id', () => {
+  const { builder, results } = build([
+    ['add_node', { id: 'login', label: ' 登录 ', shape: 'roundedRectangle', x: 10, y: 20, fontSize: 24 }],
+    ['add_node', { id: 'login', label: '说明', shape: 'text', x: 0, y: 200 }],
+  ]);
+  const [node, note] = builder.getElements();
+
+  assert.equal(node.id, 'login');
+  assert.equal(node.type, 'rectangle');
+  assert.deepEqual(node.roundness, { type: 3 });
+  assert.deepEqual(node.label, { text: '登录', fontSize: 24 });
+  assert.ok(node.width > 0 && node.height > 0);
+
+  // The taken id is replaced and the model is told about it
+  assert.equal(note.id, 'login-1');
+  assert.equal(note.type, 'text');
+  assert.match(results[1].message, /id login 已被占用，已改用 login-1/);
+});
+
+test('connects nodes and routes the arrow between their centres', () => {
+  const { builder } = build([
+    ['add_node', { id: 'a', label: 'A', x: 0, y: 0, width: 100, height: 50 }],
+    ['add_node', { id: 'b', label: 'B', x: 300, y: 0, width: 100, height: 50 }],
+    ['connect', { from: 'a', to: 'b', endArrowhead: null, elbowed: true }],
+  ]);
+  const arrow = builder.getElements()[2];
+  assert.deepEqual(arrow.start, { id: 'a' });
+  assert.deepEqual(arrow.end, { id: 'b' });
+  assert.equal(arrow.endArrowhead, null);
+  assert.equal(arrow.elbowed, true);
+  assert.deepEqual([arrow.x, arrow.y, arrow.width, arrow.height], [50, 25, 300, 0]);
+});
+
+test('rejects connections to unknown nodes and lists the known ids', () => {
+  const { builder, results } = build([
+    ['add_node', { id: 'a', label: 'A' }],
+    ['connect', { from: 'a', to: 'missing' }],
+    ['connect', { from: 'a', to: 'a' }],
+  ]);
+  assert.equal(results[1].ok, false);
+  assert.match(results[1].message, /to 引用的元素 missing 不存在，可用的 id：a/);
+  assert.equal(results[2].ok, false);
+  assert.match(results[2].message, /不能是同一个节点/);
+  assert.equal(builder.elements.length, 1);
+});
+
+test('returns errors to the model instead of throwing', () => {
+  const builder = new DiagramBuilder();
+  assert.deepEqual(builder.execute('draw', {}), {
+    ok: false,
+    message: '未知的工具 draw，可用的工具：add_node、connect、create_frame、group、set_style',
+  });
+  assert.deepEqual(builder.execute('add_node', null), { ok: false, message: '参数不是合法的 JSON 对象' });
+  assert.match(builder.execute('add_node', { label: ' ' }).message, /label 不能为空/);
+  assert.match(builder.execute('add_node', { label: 'A', shape: 'star' }).message, /shape 必须是/);
+  assert.match(builder.execute('add_node', { label: 'A', x: 'left' }).message, /x 必须是数字/);
+  assert.match(builder.execute('connect', { from: 'a', to: 'b' }).message, /请先用 add_node 添加节点/);
+  assert.equal(builder.elements.length, 0);
+});
+
+test('frames take their children once and cannot nest', () => {
+  const { builder, results } = build([
+    ['add_node', { id: 'a', label: 'A' }],
+    ['add_node', { id: 'b', label: 'B' }],
+    ['create_frame', { id: 'f', children: ['a', 'a'], name: ' 前端 ' }],
+    ['create_frame', { children: ['a', 'b'] }],
+    ['create_frame', { children: ['f'] }],
+    ['create_frame', { children: [] }],
+  ]);
+  assert.deepEqual(builder.findElement('f'), { id: 'f', type: 'frame', children: ['a'], name: '前端' });
+  assert.match(results[3].message, /元素 a 已在框架 f 中/);
+  assert.match(results[4].message, /框架不能嵌套/);
+  assert.match(results[5].message, /children 至少需要 1 个/);
+});
+
+test('groups add a fresh group id to every member', () => {
+  const { builder, results } = build([
+    ['add_node', { id: 'a', label: 'A' }],
+    ['add_node', { id: 'b', label: 'B' }],
+    ['add_node', { id: 'c', label: 'C' }],
+    ['group', { ids: ['a', 'b'] }],
+    ['group', { ids: ['b', 'c'] }],
+    ['group', { ids: ['a', 'a'] }],
+    ['group', { ids: ['a', 'missing'] }],
+  ]);
+  assert.deepEqual(builder.elements.map(element => element.groupIds), [['group-1'], ['group-1', 'group-2'], ['group-2']]);
+  assert.match(results[5].message, /ids 至少需要 2 个不同的元素 id/);
+  assert.match(results[6].message, /missing 不存在/);
+});
+
+test('set_style validates values and applies font size to labels and text', () => {
+  const { builder, results } = build([
+    ['add_node', { id: 'a', label: 'A' }],
+    ['add_node', { id: 't', label: '说明', shape: 'text' }],
+    ['set_style', { ids: ['a', 't'], strokeStyle: 'dashed', opacity: '60', fontSize: 28 }],
+    ['set_style', { ids: ['a'], strokeStyle: 'wavy' }],
+    ['set_style', { ids: ['a'], opacity: 'half' }],
+    ['set_style', { ids: ['a'] }],
+  ]);
+  const [node, text] = builder.elements;
+
+  assert.equal(results[2].ok, true);
+  assert.equal(node.strokeStyle, 'dashed');
+  assert.equal(node.opacity, 60);
+  assert.equal(node.label.fontSize, 28);
+  assert.equal(text.fontSize, 28);
+  assert.match(results[3].message, /strokeStyle 必须是 solid\/dashed\/dotted 之一/);
+  assert.match(results[4].message, /opacity 必须是数字/);
+  assert.match(results[5].message, /没有提供要修改的样式/);
+});
+
+test('places nodes without coordinates on a grid below existing content', () => {
+  const { builder } = build([
+    ['add_node', { id: 'top', label: 'Top', x: 40, y: 0, width: 100, height: 60 }],
+    ...['a', 'b', 'c', 'd', 'e'].map(id => ['add_node', { id, label: id }]),
+  ]);
+  const positions = builder.elements.slice(1).map(element => [element.x, element.y]);
+  assert.deepEqual(positions, [[40, 140], [280, 140], [520, 140], [760, 140], [40, 300]]);
+});
+
+test('finish lays out connected nodes that were all placed automatically', () => {
+  const { builder } = build([
+    ['add_node', { id: 'a', label: 'A' }],
+    ['add_node', { id: 'b', label: 'B' }],
+    ['add_node', { id: 'c', label: 'C' }],
+    ['connect', { from: 'a', to: 'b' }],
+    ['connect', { from: 'b', to: 'c' }],
+  ]);
+  const grid = builder.getElements();
+  const { elements, warnings } = builder.finish({ chartType: 'flowchart' });
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(elements.map(element => element.id), grid.map(element => element.id));
+  const moved = elements.filter((element, index) => element.type !== 'arrow'
+    && (element.x !== grid[index].x || element.y !== grid[index].y));
+  assert.ok(moved.length > 0, 'auto layout should replace the grid positions');
+  for (const element of elements) {
+    assert.ok(Number.isFinite(element.x) && Number.isFinite(element.y), `${element.id} has coordinates`);
+  }
+});
+
+test('finish keeps explicit coordinates and reports validator errors as warnings', () => {
+  const { builder } = build([
+    ['add_node', { id: 'a', label: 'A', x: 0, y: 0 }],
+    ['add_node', { id: 'b', label: 'B' }],
+    ['connect', { from: 'a', to: 'b' }],
+  ]);
+  const before = builder.getElements();
+  const { elements, warnings } = builder.finish();
+  assert.deepEqual(elements, before);
+  assert.deepEqual(warnings, []);
+
+  builder.elements.push({ type: 'frame', id: 'empty', children: [] });
+  assert.match(builder.finish().warnings[0], /frame 没有有效的 children/);
+});
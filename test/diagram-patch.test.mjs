@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPatch, extractPatchOperations } from '../lib/diagram-patch.js';
+
+const diagram = () => [
+  { type: 'rectangle', id: 'a', x: 0, y: 0, label: { text: '网关' } },
+  { type: 'rectangle', id: 'b', x: 200, y: 0, label: { text: '服务' } },
+  { type: 'rectangle', id: 'c', x: 400, y: 0 },
+  { type: 'arrow', id: 'e1', x: 100, y: 25, start: { id: 'a' }, end: { id: 'b' } },
+  { type: 'frame', id: 'f', children: ['a', 'b'], name: '后端' },
+];
+
+test('recognises operation lists but not element arrays', () => {
+  const operations = [{ op: 'delete', id: 'a' }];
+  assert.deepEqual(extractPatchOperations(operations), operations);
+  assert.deepEqual(extractPatchOperations({ operations }), operations);
+  assert.equal(extractPatchOperations(diagram()), null);
+  assert.equal(extractPatchOperations([]), null);
+});
+
+test('adds an element', () => {
+  const { elements, summary, issues } = applyPatch(diagram(), [
+    { op: 'add', element: { type: 'ellipse', id: 'd', x: 600, y: 0, label: { text: '缓存' } } },
+  ]);
+  assert.equal(elements.length, 6);
+  assert.equal(elements[5].id, 'd');
+  assert.deepEqual(summary.added, [{ id: 'd', description: 'ellipse "缓存"' }]);
+  assert.deepEqual(issues, []);
+});
+
+test('updates properties shallowly and removes null ones', () => {
+  const { elements, summary } = applyPatch(diagram(), [
+    { op: 'update', id: 'a', props: { backgroundColor: '#a5d8ff', label: null, id: 'z', type: 'ellipse' } },
+  ]);
+  assert.equal(elements[0].backgroundColor, '#a5d8ff');
+  assert.equal(elements[0].label, undefined);
+  assert.equal(elements[0].id, 'a');
+  assert.equal(elements[0].type, 'rectangle');
+  assert.deepEqual(summary.updated[0].changes, ['backgroundColor', 'label']);
+});
+
+test('rebinds arrow ends', () => {
+  const { elements, summary, issues } = applyPatch(diagram(), [{ op: 'rebind', id: 'e1', end: 'c' }]);
+  assert.deepEqual(elements[3].start, { id: 'a' });
+  assert.deepEqual(elements[3].end, { id: 'c' });
+  assert.deepEqual(summary.rebound[0].changes, ['end: c']);
+  assert.deepEqual(issues, []);
+});
+
+test('deletes an element and prunes arrow bindings and frame children', () => {
+  const { elements, summary, issues } = applyPatch(diagram(), [{ op: 'delete', id: 'b' }]);
+  assert.deepEqual(elements.map(el => el.id), ['a', 'c', 'e1', 'f']);
+  assert.deepEqual(summary.deleted, [{ id: 'b', description: 'rectangle "服务"' }]);
+
+  const arrow = elements.find(el => el.id === 'e1');
+  assert.deepEqual(arrow.start, { id: 'a' });
+  assert.equal('end' in arrow, false);
+  assert.deepEqual(elements.find(el => el.id === 'f').children, ['a']);
+
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].severity, 'warning');
+  assert.match(issues[0].message, /e1 的 end 绑定指向已删除的元素 b/);
+});
+
+test('rejects operations that reference unknown ids and keeps applying the rest', () => {
+  const original = diagram();
+  const { elements, summary, issues } = applyPatch(original, [
+    { op: 'update', id: 'missing', props: { x: 1 } },
+    { op: 'rebind', id: 'e1', start: 'c', end: 'missing' },
+    { op: 'delete', id: 'c' },
+  ]);
+
+  assert.deepEqual(issues.map(issue => [issue.index, issue.severity]), [[0, 'error'], [1, 'error']]);
+  assert.match(issues[0].message, /找不到 id 为 missing 的元素/);
+  assert.match(issues[1].message, /end 指向的元素 missing 不存在/);
+  // The rejected rebind leaves the arrow untouched
+  assert.deepEqual(elements.find(el => el.id === 'e1').start, { id: 'a' });
+  assert.deepEqual(summary.deleted.map(item => item.id), ['c']);
+  // The input array is not modified
+  assert.equal(original.length, 5);
+});
+
+test('rejects malformed operations', () => {
+  const { issues } = applyPatch(diagram(), [
+    { op: 'move', id: 'a' },
+    { op: 'add', element: { type: 'rectangle', id: 'a' } },
+    { op: 'add', element: { id: 'x' } },
+    { op: 'update', id: 'a', props: { id: 'z' } },
+    { op: 'rebind', id: 'a', start: 'b' },
+    { op: 'rebind', id: 'e1' },
+  ]);
+  assert.deepEqual(issues.map(issue => issue.index), [0, 1, 2, 3, 4, 5]);
+  assert.ok(issues.every(issue => issue.severity === 'error'));
+});
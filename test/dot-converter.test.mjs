@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertDotToElements } from '../lib/dot-converter.js';
+
+const countArrows = source => convertDotToElements(source).elements.filter(el => el.type === 'arrow').length;
+
+test('skips indented preprocessor lines', () => {
+  assert.equal(countArrows('digraph {\n  # line 3 "graph.gv"\n  a -> b\n}'), 1);
+});
+
+test('keeps one edge per node pair in strict graphs', () => {
+  assert.equal(countArrows('strict digraph { a -> b; a -> b [color=red]; b -> a }'), 2);
+  assert.equal(countArrows('strict graph { a -- b; b -- a }'), 1);
+  assert.equal(countArrows('digraph { a -> b; a -> b }'), 2);
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { callLLM, fetchModels, pullOllamaModel } from '../lib/llm-client.js';
+
+// Stub of the Ollama native API: /api/chat, /api/tags and /api/pull
+let lastRequest;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    lastRequest = { url: req.url, body: body ? JSON.parse(body) : null };
+    const ndjson = lines => {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.end(lines.map(line => JSON.stringify(line)).join('\n'));
+    };
+
+    if (req.url === '/api/tags') {
+      res.end(JSON.stringify({ models: [{ name: 'llava:7b', details: { parameter_size: '7B', quantization_level: 'Q4_0' } }] }));
+    } else if (req.url === '/api/chat' && lastRequest.body.model === 'missing') {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: 'model "missing" not found, try pulling it first' }));
+    } else if (req.url === '/api/chat') {
+      ndjson([
+        { message: { role: 'assistant', content: '', thinking: 'planning' }, done: false },
+        { message: { role: 'assistant', content: '[]' }, done: false },
+        { message: { role: 'assistant', content: '' }, done: true },
+      ]);
+    } else if (req.url === '/api/pull' && lastRequest.body.model === 'unknown') {
+      ndjson([{ status: 'pulling manifest' }, { error: 'pull model manifest: file does not exist' }]);
+    } else if (req.url === '/api/pull') {
+      ndjson([
+        { status: 'pulling manifest' },
+        { status: 'pulling 170370233dd5', digest: 'sha256:170370233dd5', total: 4000, completed: 1000 },
+        { status: 'pulling 170370233dd5', digest: 'sha256:170370233dd5', total: 4000, completed: 4000 },
+        { status: 'verifying sha256 digest' },
+        { status: 'success' },
+      ]);
+    } else {
+      res.statusCode = 404;
+      res.end('not found');
+    }
+  });
+});
+
+let baseUrl;
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+test('streams chat content and sends images natively', async () => {
+  const chunks = [];
+  const text = await callLLM(
+    { type: 'ollama', baseUrl: `${baseUrl}/v1`, model: 'llava:7b' },
+    [{ role: 'user', content: 'describe', image: { mimeType: 'image/png', data: 'AAAA' } }],
+    chunk => chunks.push(chunk)
+  );
+
+  assert.equal(text, '[]');
+  assert.deepEqual(chunks, ['[]']);
+  assert.equal(lastRequest.url, '/api/chat');
+  assert.deepEqual(lastRequest.body.messages[0].images, ['AAAA']);
+});
+
+test('reports a missing model with a pull hint', async () => {
+  await assert.rejects(
+    callLLM({ type: 'ollama', baseUrl, model: 'missing' }, [{ role: 'user', content: 'hi' }]),
+    /ollama pull missing/
+  );
+});
+
+test('lists installed models from /api/tags', async () => {
+  const models = await fetchModels('ollama', baseUrl, '');
+  assert.deepEqual(models, [{ id: 'llava:7b', name: 'llava:7b', description: '7B · Q4_0' }]);
+});
+
+test('reports pull progress until the model is installed', async () => {
+  const progress = [];
+  const status = await pullOllamaModel(baseUrl, '', 'llava:7b', update => progress.push(update));
+
+  assert.equal(status, 'success');
+  assert.equal(lastRequest.body.model, 'llava:7b');
+  assert.deepEqual(progress.map(update => update.completed).filter(Boolean), [1000, 4000]);
+  assert.equal(progress.at(-1).status, 'success');
+});
+
+test('fails a pull when Ollama reports an error mid-stream', async () => {
+  await assert.rejects(pullOllamaModel(baseUrl, '', 'unknown'), /file does not exist/);
+});
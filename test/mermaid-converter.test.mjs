@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertMermaidToElements } from '../lib/mermaid-converter.js';
+
+test('parses statements on a one-line flowchart header', () => {
+  const { type, elements } = convertMermaidToElements('graph LR; a-->b; b-.->c');
+  assert.equal(type, 'flowchart');
+
+  const labels = elements.filter(el => el.type !== 'arrow').map(el => el.label?.text).sort();
+  assert.deepEqual(labels, ['a', 'b', 'c']);
+
+  const arrows = elements.filter(el => el.type === 'arrow');
+  assert.equal(arrows.length, 2);
+  assert.equal(arrows[1].strokeStyle, 'dashed');
+});
+
+test('reads the direction from a one-line header', () => {
+  const horizontal = convertMermaidToElements('graph LR; a-->b').elements;
+  const [a, b] = horizontal.filter(el => el.type !== 'arrow');
+  assert.ok(b.x > a.x);
+  assert.equal(b.y, a.y);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertPlantUMLToElements } from '../lib/plantuml-converter.js';
+
+test('detects a sequence diagram after skinparam and title lines', () => {
+  const source = '@startuml\nskinparam monochrome true\ntitle Login\nA -> B\n@enduml';
+  assert.equal(convertPlantUMLToElements(source).type, 'sequence');
+});
+
+test('ignores multi-line skinparam and legend blocks', () => {
+  const source = 'skinparam component {\n  BackgroundColor white\n}\nlegend\n[Cache] note\nendlegend\nAlice -> Bob : hello';
+  const { type, warnings } = convertPlantUMLToElements(source);
+  assert.equal(type, 'sequence');
+  assert.deepEqual(warnings, []);
+});
+
+test('still detects component diagrams', () => {
+  assert.equal(convertPlantUMLToElements('title Services\n[API] --> [Database]').type, 'component');
+});
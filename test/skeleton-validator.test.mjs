@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAndFixElements } from '../lib/skeleton-validator.js';
+
+const rect = (id, extra = {}) => ({ type: 'rectangle', id, x: 0, y: 0, width: 100, height: 50, ...extra });
+
+test('passes valid elements through unchanged', () => {
+  const elements = [rect('a'), rect('b', { x: 200 }), { type: 'arrow', id: 'e', x: 100, y: 25, start: { id: 'a' }, end: { id: 'b' } }];
+  const result = validateAndFixElements(elements);
+  assert.deepEqual(result.elements, elements);
+  assert.deepEqual(result.fixes, []);
+  assert.deepEqual(result.errors, []);
+});
+
+test('generates unique ids that do not collide with existing ones', () => {
+  const { elements, fixes, errors } = validateAndFixElements([
+    rect('rectangle-1'),
+    { type: 'rectangle', x: 0, y: 0 },
+    { type: 'rectangle', id: 42, x: 0, y: 0 },
+  ]);
+  assert.deepEqual(elements.map(el => el.id), ['rectangle-1', 'rectangle-2', 'rectangle-3']);
+  assert.deepEqual(fixes.map(fix => fix.index), [1, 2]);
+  assert.match(fixes[1].message, /无效的 id/);
+  assert.deepEqual(errors, []);
+});
+
+test('reports duplicated ids on every element that uses them', () => {
+  const { errors } = validateAndFixElements([rect('a'), rect('a'), rect('b')]);
+  assert.deepEqual(errors.map(error => error.index), [0, 1]);
+  assert.match(errors[0].message, /id a 与其他元素重复/);
+});
+
+test('strips arrow points unless the arrow is an elbowed orthogonal path', () => {
+  const routed = [[0, 0], [0, 40], [120, 40]];
+  const { elements, fixes } = validateAndFixElements([
+    { type: 'arrow', id: 'plain', x: 0, y: 0, points: [[0, 0], [100, 0]] },
+    { type: 'arrow', id: 'diagonal', x: 0, y: 0, elbowed: true, points: [[0, 0], [100, 60]] },
+    { type: 'arrow', id: 'offset', x: 0, y: 0, elbowed: true, points: [[10, 0], [10, 60]] },
+    { type: 'arrow', id: 'routed', x: 0, y: 0, elbowed: true, points: routed },
+  ]);
+  assert.equal(elements[0].points, undefined);
+  assert.equal(elements[1].points, undefined);
+  assert.equal(elements[2].points, undefined);
+  assert.deepEqual(elements[3].points, routed);
+  assert.deepEqual(fixes.map(fix => fix.index), [0, 1, 2]);
+});
+
+test('removes start and end bindings from lines', () => {
+  const { elements, fixes } = validateAndFixElements([
+    rect('a'),
+    { type: 'line', id: 'l', x: 0, y: 0, start: { id: 'a' }, end: { type: 'rectangle' } },
+  ]);
+  assert.equal(elements[1].start, undefined);
+  assert.equal(elements[1].end, undefined);
+  assert.equal(fixes.length, 2);
+});
+
+test('drops dangling arrow bindings but keeps auto-created ends', () => {
+  const { elements, fixes, errors } = validateAndFixElements([
+    rect('a'),
+    { type: 'arrow', id: 'e', x: 0, y: 0, start: { id: 'a' }, end: { id: 'missing' } },
+    { type: 'arrow', id: 'f', x: 0, y: 0, start: { id: 'new', type: 'ellipse' }, end: { type: 'text', text: 'note' } },
+  ]);
+  assert.deepEqual(elements[1].start, { id: 'a' });
+  assert.equal(elements[1].end, undefined);
+  assert.match(fixes[0].message, /missing 不存在/);
+  assert.deepEqual(elements[2].start, { id: 'new', type: 'ellipse' });
+  assert.deepEqual(errors, []);
+});
+
+test('reports bindings that cannot be resolved or auto-created', () => {
+  const { errors } = validateAndFixElements([
+    { type: 'arrow', id: 'a', x: 0, y: 0, start: {} },
+    { type: 'arrow', id: 'b', x: 0, y: 0, start: { type: 'frame' } },
+    { type: 'arrow', id: 'c', x: 0, y: 0, end: { type: 'text' } },
+  ]);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0].message, /必须包含 type 或 id/);
+  assert.match(errors[1].message, /type 必须是/);
+  assert.match(errors[2].message, /必须提供 text/);
+});
+
+test('drops frame children that do not exist', () => {
+  const { elements, fixes, errors } = validateAndFixElements([
+    rect('a'),
+    { type: 'frame', id: 'f', children: ['a', 'gone'] },
+    { type: 'frame', id: 'empty', children: ['gone'] },
+    { type: 'frame', id: 'bad', children: 'a' },
+  ]);
+  assert.deepEqual(elements[1].children, ['a']);
+  assert.deepEqual(elements[2].children, []);
+  assert.equal(fixes.length, 2);
+  assert.deepEqual(errors.map(error => error.id), ['empty', 'bad']);
+});
+
+test('converts numeric strings and reports other non-numbers', () => {
+  const { elements, fixes, errors } = validateAndFixElements([
+    rect('a', { x: '10', width: ' 120 ', opacity: 'half' }),
+  ]);
+  assert.equal(elements[0].x, 10);
+  assert.equal(elements[0].width, 120);
+  assert.equal(fixes.length, 2);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /opacity 必须是数字/);
+});
+
+test('fixes enum aliases and removes unknown enum values', () => {
+  const { elements, fixes } = validateAndFixElements([
+    rect('a', { strokeStyle: 'dash', fillStyle: 'crosshatch', endArrowhead: 'arrow' }),
+    { type: 'text', id: 't', x: 0, y: 0, text: 'hi', textAlign: 'middle', verticalAlign: 'center' },
+    rect('b', { strokeStyle: 'wavy' }),
+  ]);
+  assert.equal(elements[0].strokeStyle, 'dashed');
+  assert.equal(elements[0].fillStyle, 'cross-hatch');
+  assert.equal(elements[0].endArrowhead, 'arrow');
+  assert.equal(elements[1].textAlign, 'center');
+  assert.equal(elements[1].verticalAlign, 'middle');
+  assert.equal('strokeStyle' in elements[2], false);
+  assert.equal(fixes.length, 5);
+});
+
+test('converts string labels and reports invalid ones', () => {
+  const { elements, fixes, errors } = validateAndFixElements([rect('a', { label: '服务' }), rect('b', { label: { size: 2 } })]);
+  assert.deepEqual(elements[0].label, { text: '服务' });
+  assert.equal(fixes.length, 1);
+  assert.match(errors[0].message, /label 必须是/);
+});
+
+test('reports unsupported types, missing fields and malformed values', () => {
+  const { errors } = validateAndFixElements([
+    { type: 'hexagon', id: 'h', x: 0, y: 0 },
+    { type: 'text', id: 't', x: 0 },
+    { type: 'text', id: 'n', x: 0, y: 0, text: 5 },
+    rect('g', { groupIds: 'group-1' }),
+    'not an element',
+  ]);
+  assert.deepEqual(errors.map(error => error.index), [0, 1, 1, 2, 3, 4]);
+  assert.match(errors[0].message, /不支持的元素类型/);
+  assert.match(errors[1].message, /缺少必填字段 y/);
+  assert.match(errors[2].message, /缺少必填字段 text/);
+  assert.match(errors[3].message, /text 必须是字符串/);
+  assert.match(errors[4].message, /groupIds/);
+  assert.match(errors[5].message, /必须是对象/);
+});
+
+test('rejects input that is not an array', () => {
+  const { errors } = validateAndFixElements({ elements: [] });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].index, null);
+});
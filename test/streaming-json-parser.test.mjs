@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamingElementParser } from '../lib/streaming-json-parser.js';
+
+// Fenced output with braces, brackets and escaped quotes inside strings, and text after the array
+const DOCUMENT = [
+  '```json',
+  '[',
+  '  {"type": "rectangle", "id": "api", "x": 0, "y": 0, "label": {"text": "API {v2}"}},',
+  '  {"type": "text", "id": "note", "x": 0, "y": 100, "text": "say \\"hi\\" to [ops] \\\\ }"},',
+  '  {"type": "arrow", "id": "e", "x": 100, "y": 25, "start": {"id": "api"}, "end": {"type": "ellipse"}}',
+  ']',
+  '```',
+  'Done [1].',
+].join('\n');
+
+const EXPECTED = [
+  { type: 'rectangle', id: 'api', x: 0, y: 0, label: { text: 'API {v2}' } },
+  { type: 'text', id: 'note', x: 0, y: 100, text: 'say "hi" to [ops] \\ }' },
+  { type: 'arrow', id: 'e', x: 100, y: 25, start: { id: 'api' }, end: { type: 'ellipse' } },
+];
+
+const parseInChunks = (chunks) => {
+  const parser = new StreamingElementParser();
+  const completed = chunks.flatMap(chunk => parser.push(chunk));
+  return { parser, completed };
+};
+
+test('parses the whole document in one chunk', () => {
+  const { parser, completed } = parseInChunks([DOCUMENT]);
+  assert.deepEqual(parser.getElements(), EXPECTED);
+  assert.deepEqual(completed, EXPECTED);
+  assert.equal(parser.isDone(), true);
+});
+
+test('gives the same result for every two-chunk split', () => {
+  for (let split = 1; split < DOCUMENT.length; split++) {
+    const { parser, completed } = parseInChunks([DOCUMENT.slice(0, split), DOCUMENT.slice(split)]);
+    assert.deepEqual(parser.getElements(), EXPECTED, `split at ${split}`);
+    assert.deepEqual(completed, EXPECTED, `split at ${split}`);
+    assert.equal(parser.isDone(), true, `split at ${split}`);
+  }
+});
+
+test('gives the same result when fed one character at a time', () => {
+  const { parser } = parseInChunks([...DOCUMENT]);
+  assert.deepEqual(parser.getElements(), EXPECTED);
+  assert.equal(parser.isDone(), true);
+});
+
+test('returns completed elements while the array is still open', () => {
+  const cut = DOCUMENT.indexOf('{"type": "arrow"') + 10;
+  const { parser } = parseInChunks([DOCUMENT.slice(0, cut)]);
+  assert.deepEqual(parser.getElements(), EXPECTED.slice(0, 2));
+  assert.equal(parser.isDone(), false);
+});
+
+test('reset starts over with a new document', () => {
+  const parser = new StreamingElementParser();
+  parser.push(DOCUMENT.slice(0, DOCUMENT.indexOf('"note"')));
+  parser.reset();
+  assert.deepEqual(parser.getElements(), []);
+  assert.equal(parser.isDone(), false);
+
+  parser.push('[{"type": "ellipse", "id": "x", "x": 1, "y": 2}]');
+  assert.deepEqual(parser.getElements(), [{ type: 'ellipse', id: 'x', x: 1, y: 2 }]);
+  assert.equal(parser.isDone(), true);
+});